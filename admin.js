@@ -0,0 +1,201 @@
+// Usage dashboard: token and cost totals from /api/usage by day, model and
+// user. Admins (signed-in admin accounts, or anyone with ADMIN_TOKEN) see
+// every user; everyone else sees their own usage. Admins also see what the
+// content policy blocked, redacted or flagged, from /api/policy/events.
+
+// Where the admin token is kept for this browser tab
+const ADMIN_TOKEN_KEY = 'unblockedgpt_admin_token';
+
+class UsageDashboard {
+    constructor() {
+        this.daysSelect = document.getElementById('usage-days');
+        this.tokenForm = document.getElementById('usage-token-form');
+        this.tokenInput = document.getElementById('usage-token');
+        this.note = document.getElementById('usage-note');
+        this.totals = document.getElementById('usage-totals');
+        this.tables = {
+            byDay: document.getElementById('usage-by-day'),
+            byModel: document.getElementById('usage-by-model'),
+            byUser: document.getElementById('usage-by-user')
+        };
+        this.policyCard = document.getElementById('policy-card');
+        this.policyAction = document.getElementById('policy-action');
+        this.policyTable = document.getElementById('policy-events');
+
+        this.daysSelect.addEventListener('change', () => this.load());
+        this.policyAction.addEventListener('change', () => this.loadPolicyEvents());
+        this.tokenForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            sessionStorage.setItem(ADMIN_TOKEN_KEY, this.tokenInput.value.trim());
+            this.tokenInput.value = '';
+            this.load();
+        });
+
+        this.load();
+    }
+
+    getHeaders() {
+        const headers = {};
+        const token = sessionStorage.getItem(ADMIN_TOKEN_KEY);
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+        return headers;
+    }
+
+    async load() {
+        try {
+            const response = await fetch(`/api/usage?days=${this.daysSelect.value}`, { headers: this.getHeaders() });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+            this.render(data);
+        } catch (error) {
+            this.showNote(`Couldn't load usage: ${error.message}`);
+            this.totals.innerHTML = '';
+            Object.values(this.tables).forEach(table => {
+                table.innerHTML = '';
+            });
+        }
+    }
+
+    render(data) {
+        this.tokenForm.classList.toggle('hidden', data.isAdmin);
+        if (data.isAdmin) {
+            this.note.classList.add('hidden');
+        } else {
+            this.showNote('Showing your own usage. Sign in as an admin or enter the admin token to see everyone\'s.');
+        }
+        if (data.isAdmin) {
+            this.loadPolicyEvents();
+        } else {
+            this.policyCard.classList.add('hidden');
+        }
+
+        this.totals.innerHTML = '';
+        [
+            ['Requests', this.formatNumber(data.totals.requests)],
+            ['Prompt tokens', this.formatNumber(data.totals.promptTokens)],
+            ['Completion tokens', this.formatNumber(data.totals.completionTokens)],
+            ['Estimated cost', this.formatCost(data.totals.cost)]
+        ].forEach(([label, value]) => {
+            const item = document.createElement('div');
+            item.className = 'usage-total';
+            const valueSpan = document.createElement('span');
+            valueSpan.className = 'usage-total-value';
+            valueSpan.textContent = value;
+            const labelSpan = document.createElement('span');
+            labelSpan.className = 'usage-total-label';
+            labelSpan.textContent = label;
+            item.append(valueSpan, labelSpan);
+            this.totals.appendChild(item);
+        });
+
+        this.renderTable(this.tables.byDay, 'Day', data.byDay);
+        this.renderTable(this.tables.byModel, 'Model', data.byModel);
+        this.renderTable(this.tables.byUser, 'User', data.byUser);
+    }
+
+    renderTable(table, keyLabel, rows) {
+        table.innerHTML = '';
+
+        const headRow = table.createTHead().insertRow();
+        [keyLabel, 'Requests', 'Prompt tokens', 'Completion tokens', 'Cost'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        if (rows.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 5;
+            cell.className = 'usage-empty';
+            cell.textContent = 'No usage in this period.';
+            return;
+        }
+
+        rows.forEach(row => {
+            const tr = body.insertRow();
+            [
+                row.key,
+                this.formatNumber(row.requests),
+                this.formatNumber(row.promptTokens),
+                this.formatNumber(row.completionTokens),
+                this.formatCost(row.cost)
+            ].forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        });
+    }
+
+    async loadPolicyEvents() {
+        try {
+            const action = this.policyAction.value;
+            const response = await fetch(`/api/policy/events?limit=200${action ? `&action=${action}` : ''}`, { headers: this.getHeaders() });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+            // Nothing to review on servers without a content policy
+            this.policyCard.classList.toggle('hidden', !data.enabled);
+            this.renderPolicyEvents(data.events);
+        } catch (error) {
+            console.error('Could not load policy events:', error);
+            this.policyCard.classList.add('hidden');
+        }
+    }
+
+    renderPolicyEvents(events) {
+        const table = this.policyTable;
+        table.innerHTML = '';
+
+        const headRow = table.createTHead().insertRow();
+        ['Time', 'User', 'Stage', 'Action', 'Rules', 'Excerpt'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        if (events.length === 0) {
+            const cell = body.insertRow().insertCell();
+            cell.colSpan = 6;
+            cell.className = 'usage-empty';
+            cell.textContent = 'No policy events yet.';
+            return;
+        }
+
+        events.forEach(event => {
+            const tr = body.insertRow();
+            [
+                new Date(event.time).toLocaleString(),
+                event.userId,
+                event.stage,
+                event.action,
+                [...event.rules, ...event.categories].join(', '),
+                event.excerpt
+            ].forEach(value => {
+                tr.insertCell().textContent = value;
+            });
+        });
+    }
+
+    showNote(text) {
+        this.note.textContent = text;
+        this.note.classList.remove('hidden');
+    }
+
+    formatNumber(value) {
+        return value.toLocaleString();
+    }
+
+    formatCost(cost) {
+        return `$${cost < 0.01 && cost > 0 ? cost.toFixed(6) : cost.toFixed(2)}`;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new UsageDashboard();
+});
@@ -0,0 +1,61 @@
+// The service worker (sw.js) keeps a copy of the app shell, the page and its
+// scripts, styles and icons, so the app opens without a connection. Browsers
+// install a new worker only when its bytes change, so the server fills in a
+// version made from the shell files' contents: every deploy that changes the
+// client changes the worker, and open pages offer to reload.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const VERSION_PLACEHOLDER = '__SHELL_VERSION__';
+
+// Client files in the app's folder; server.js is the only script that isn't one
+const SHELL_EXTENSIONS = ['.html', '.js', '.css', '.svg', '.png', '.webmanifest'];
+const SERVER_FILES = ['server.js'];
+
+// Helper function to list the shell files in a folder, sorted so the version is stable
+function listShellFiles(dir) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .filter(entry => entry.isFile() && SHELL_EXTENSIONS.includes(path.extname(entry.name)) && !SERVER_FILES.includes(entry.name))
+        .map(entry => path.join(dir, entry.name))
+        .sort();
+}
+
+// A short hash of the client files, the icons and package.json (which pins
+// the versions of the KaTeX and highlight.js files served from /vendor)
+function getShellVersion(rootDir) {
+    const hash = crypto.createHash('sha256');
+    const files = [
+        ...listShellFiles(rootDir),
+        ...listShellFiles(path.join(rootDir, 'icons')),
+        path.join(rootDir, 'package.json')
+    ];
+    files.forEach(file => {
+        hash.update(path.relative(rootDir, file));
+        hash.update(fs.readFileSync(file));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+// The files the server makes public, as URL path -> file: the client files
+// and the icons, and nothing else in the app's folder
+function getPublicFiles(rootDir) {
+    const files = new Map();
+    [...listShellFiles(rootDir), ...listShellFiles(path.join(rootDir, 'icons'))].forEach(file => {
+        files.set(`/${path.relative(rootDir, file).split(path.sep).join('/')}`, file);
+    });
+    return files;
+}
+
+// The service worker's source with its version filled in
+function loadServiceWorker(rootDir) {
+    const source = fs.readFileSync(path.join(rootDir, 'sw.js'), 'utf8');
+    return source.replace(VERSION_PLACEHOLDER, getShellVersion(rootDir));
+}
+
+module.exports = {
+    getPublicFiles,
+    getShellVersion,
+    loadServiceWorker
+};
@@ -0,0 +1,273 @@
+// Optional login layer. AUTH_MODE picks how people sign in:
+//   none      anyone can use the app (the default)
+//   passcode  everyone shares AUTH_PASSCODE; each browser gets its own guest id
+//   accounts  username/password pairs from the config's user list
+// Sessions are kept in an HMAC-signed cookie, so no server-side store is needed.
+//
+// Without accounts, people are told apart by a random key each browser keeps
+// in a cookie, not by IP address, so students behind one school network don't
+// see each other's shares. Quotas and the per-user rate limit can't follow that
+// key, though: a client that drops the cookie gets a new one with every
+// request. They count against the IP address instead (see getQuotaKey).
+//
+// To hash a password for the user list: node lib/auth.js <password>
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const SESSION_COOKIE = 'unblockedgpt_session';
+const BROWSER_COOKIE = 'unblockedgpt_browser';
+// Browsers keep cookies for at most 400 days
+const BROWSER_COOKIE_MAX_AGE_SECONDS = 400 * 24 * 60 * 60;
+const BROWSER_KEY_PATTERN = /^[a-f0-9]{32}$/;
+
+class AuthError extends Error {}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+// Checked against for unknown usernames so timing doesn't reveal who exists
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = (stored || '').split(':');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// Helper function to compare secrets without leaking their length or content through timing
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+}
+
+// Helper function to read cookies from the request header
+function parseCookies(header) {
+    const cookies = {};
+    (header || '').split(';').forEach(pair => {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        }
+    });
+    return cookies;
+}
+
+// Helper function to turn a browser's key into the user id it goes by. The key
+// itself stays in the cookie: ids show up in logs and the admin's usage table.
+function getBrowserUserId(browserKey) {
+    return crypto.createHash('sha256').update(browserKey).digest('hex').slice(0, 16);
+}
+
+// Helper function to check whether the request reached us over HTTPS
+function isSecureRequest(req) {
+    return req.secure || req.headers['x-forwarded-proto'] === 'https';
+}
+
+class Auth {
+    constructor({ mode, passcode, users, sessionSecret, sessionMaxAgeHours, adminToken }) {
+        if (!['none', 'passcode', 'accounts'].includes(mode)) {
+            throw new Error(`Unknown AUTH_MODE "${mode}". Use none, passcode or accounts.`);
+        }
+        if (mode === 'passcode' && !passcode) {
+            throw new Error('AUTH_MODE is passcode but AUTH_PASSCODE is not set.');
+        }
+        if (mode === 'accounts' && users.length === 0) {
+            throw new Error('AUTH_MODE is accounts but no users are configured.');
+        }
+
+        this.mode = mode;
+        this.enabled = mode !== 'none';
+        this.passcode = passcode;
+        this.users = new Map(users.map(user => [user.username, user]));
+        this.maxAgeSeconds = sessionMaxAgeHours * 60 * 60;
+
+        if (this.enabled && !sessionSecret) {
+            logger.warn('SESSION_SECRET is not set. Sessions will end whenever the server restarts.');
+        }
+        this.secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+        this.adminToken = adminToken || '';
+    }
+
+    // ==================== LOGIN ====================
+
+    // Check credentials and return the signed-in user; throws AuthError.
+    // browserKey (see getBrowserKey) keeps a passcode guest's id the same
+    // from one login to the next.
+    login({ username, password }, browserKey) {
+        if (typeof password !== 'string' || !password) {
+            throw new AuthError('Please enter your password.');
+        }
+
+        if (this.mode === 'passcode') {
+            if (!safeEqual(password, this.passcode)) {
+                throw new AuthError('Incorrect passcode.');
+            }
+            return { id: `guest-${getBrowserUserId(browserKey)}`, name: 'Guest' };
+        }
+
+        const account = this.users.get(typeof username === 'string' ? username.trim() : '');
+        const valid = verifyPassword(password, account ? account.passwordHash : DUMMY_HASH);
+        if (!account || !valid) {
+            throw new AuthError('Incorrect username or password.');
+        }
+        return { id: account.username, name: account.username };
+    }
+
+    // ==================== SESSIONS ====================
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    createSessionCookie(user, req) {
+        const payload = Buffer.from(JSON.stringify({
+            id: user.id,
+            name: user.name,
+            exp: Math.floor(Date.now() / 1000) + this.maxAgeSeconds
+        })).toString('base64url');
+        const value = `${payload}.${this.sign(payload)}`;
+        return this.serializeCookie(value, this.maxAgeSeconds, req);
+    }
+
+    clearSessionCookie(req) {
+        return this.serializeCookie('', 0, req);
+    }
+
+    serializeCookie(value, maxAge, req, name = SESSION_COOKIE) {
+        const parts = [
+            `${name}=${encodeURIComponent(value)}`,
+            'Path=/',
+            'HttpOnly',
+            'SameSite=Lax',
+            `Max-Age=${maxAge}`
+        ];
+        if (isSecureRequest(req)) {
+            parts.push('Secure');
+        }
+        return parts.join('; ');
+    }
+
+    // The random key this browser keeps in a cookie. A browser without one
+    // is given one on res.
+    getBrowserKey(req, res) {
+        if (!req.browserKey) {
+            const key = parseCookies(req.headers.cookie)[BROWSER_COOKIE];
+            if (key && BROWSER_KEY_PATTERN.test(key)) {
+                req.browserKey = key;
+            } else {
+                req.browserKey = crypto.randomBytes(16).toString('hex');
+                res.append('Set-Cookie', this.serializeCookie(req.browserKey, BROWSER_COOKIE_MAX_AGE_SECONDS, req, BROWSER_COOKIE));
+            }
+        }
+        return req.browserKey;
+    }
+
+    // The user making the request: the session's user when auth is on, or an
+    // anonymous user per browser (so quotas still apply) when it's off.
+    // Returns null if auth is on and there's no valid session.
+    resolveUser(req, res) {
+        if (!this.enabled) {
+            return { id: `browser:${getBrowserUserId(this.getBrowserKey(req, res))}`, name: 'Anonymous' };
+        }
+        return this.getSessionUser(req);
+    }
+
+    // Returns the session's user, or null if there's no valid session
+    getSessionUser(req) {
+        const value = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+        if (!value) {
+            return null;
+        }
+
+        const [payload, signature] = value.split('.');
+        if (!payload || !signature || !safeEqual(signature, this.sign(payload))) {
+            return null;
+        }
+
+        try {
+            const session = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (session.exp < Date.now() / 1000) {
+                return null;
+            }
+            // Accounts removed from the config lose access straight away
+            if (this.mode === 'accounts' && !this.users.has(session.id)) {
+                return null;
+            }
+            return { id: session.id, name: session.name };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // What quotas and the per-user rate limit count against. Accounts are the
+    // only ids a client can't mint for itself; everyone else is counted by IP.
+    getQuotaKey(req, user) {
+        return this.mode === 'accounts' ? user.id : `ip:${req.ip}`;
+    }
+
+    // Per-user quota overrides from the user list, if any
+    getUserQuotas(userId) {
+        const account = this.users.get(userId);
+        if (!account) {
+            return {};
+        }
+        return { dailyRequests: account.dailyRequests, dailyTokens: account.dailyTokens };
+    }
+
+    // Admins can see everyone's usage: requests carrying ADMIN_TOKEN as a
+    // bearer token, and signed-in accounts marked "admin": true
+    isAdmin(req, user) {
+        if (this.hasBearerToken(req, this.adminToken)) {
+            return true;
+        }
+        const account = user && this.mode === 'accounts' ? this.users.get(user.id) : null;
+        return !!(account && account.admin === true);
+    }
+
+    // Whether the request carries token (e.g. METRICS_TOKEN) as a bearer token
+    hasBearerToken(req, token) {
+        const header = req.headers.authorization || '';
+        return !!token && header.startsWith('Bearer ') && safeEqual(header.slice(7), token);
+    }
+
+    // ==================== MIDDLEWARE ====================
+
+    // Sets req.user and req.quotaKey, or answers 401 if sign-in is required
+    requireAuth() {
+        return (req, res, next) => {
+            const user = this.resolveUser(req, res);
+            if (!user) {
+                return res.status(401).json({ error: 'Please sign in to continue.', authRequired: true });
+            }
+            req.user = user;
+            req.quotaKey = this.getQuotaKey(req, user);
+            next();
+        };
+    }
+}
+
+// CLI: print a hash to paste into the user list
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password) {
+        console.log('Usage: node lib/auth.js <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
+
+module.exports = {
+    Auth,
+    AuthError,
+    hashPassword
+};
@@ -0,0 +1,261 @@
+// Server configuration. Settings come from environment variables, with an
+// optional JSON file (LLM_CONFIG_FILE) for deployments that prefer one.
+// Environment variables win over the file.
+//
+// Keep the config file outside the project directory, or it may be served
+// to browsers along with the static files.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The app's own folder. Runtime data is kept out of it: it may be read-only
+// (e.g. on Vercel) and is where the code lives.
+const APP_DIR = path.join(__dirname, '..');
+
+// Helper function to read a comma-separated list from an environment variable
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// Helper function to read the optional JSON config file
+function readConfigFile(filePath) {
+    if (!filePath) {
+        return {};
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read config file ${filePath}: ${error.message}`);
+    }
+}
+
+// Helper function to read the trust proxy setting: a hop count, true, or a list of addresses
+function parseTrustProxy(value) {
+    if (value === undefined || value === '' || value === 'false' || value === false) {
+        return false;
+    }
+    if (value === 'true' || value === true) {
+        return true;
+    }
+    return /^\d+$/.test(String(value)) ? Number(value) : value;
+}
+
+// Helper function to read an optional true/false setting from the environment
+function readBool(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    return value === 'true' || value === '1';
+}
+
+// Helper function to read an optional whole number from the environment
+function readInt(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? undefined : number;
+}
+
+function loadConfig(env = process.env) {
+    const file = readConfigFile(env.LLM_CONFIG_FILE);
+    const fileAuth = file.auth || {};
+    // Where synced chats, shared chats and the policy audit log go unless
+    // their own settings say otherwise
+    const dataDir = path.resolve(env.DATA_DIR || file.dataDir || path.join(os.homedir(), '.unblockedgpt'));
+    const chatStore = (env.CHAT_STORE || file.sync?.store || 'json').toLowerCase();
+    const envModels = parseList(env.ALLOWED_MODELS);
+    const envVisionModels = parseList(env.VISION_MODELS);
+    const envToolModels = parseList(env.TOOL_MODELS);
+    const envTools = parseList(env.TOOLS);
+    const envFetchAllowlist = parseList(env.TOOL_FETCH_ALLOWLIST);
+    const envImageSizes = parseList(env.IMAGE_SIZES);
+    const envCorsOrigins = parseList(env.CORS_ORIGINS);
+    const envFallbackModels = parseList(env.FALLBACK_MODELS);
+
+    // Accounts can live in their own JSON file (an array of users)
+    const users = env.AUTH_USERS_FILE ? readConfigFile(env.AUTH_USERS_FILE) : (fileAuth.users || []);
+
+    return {
+        dataDir: dataDir,
+        provider: {
+            name: (env.LLM_PROVIDER || file.provider || 'openai').toLowerCase(),
+            baseUrl: env.LLM_BASE_URL || file.baseUrl || '',
+            apiKey: env.LLM_API_KEY || file.apiKey || ''
+        },
+        models: {
+            allowed: envModels.length > 0 ? envModels : (file.models || []),
+            vision: envVisionModels.length > 0 ? envVisionModels : (file.visionModels || null),
+            tools: envToolModels.length > 0 ? envToolModels : (file.toolModels || null),
+            defaultModel: env.DEFAULT_MODEL || file.defaultModel || '',
+            defaultVisionModel: env.DEFAULT_VISION_MODEL || file.defaultVisionModel || '',
+            maxTokensLimit: parseInt(env.MAX_TOKENS_LIMIT, 10) || file.maxTokensLimit || 4000,
+            systemPromptMaxLength: parseInt(env.SYSTEM_PROMPT_MAX_LENGTH, 10) || file.systemPromptMaxLength || 4000
+        },
+        contextTokenBudget: parseInt(env.CONTEXT_TOKEN_BUDGET, 10) || file.contextTokenBudget || 12000,
+        // Calls to the LLM provider (see lib/providers/resilience.js): how long
+        // to wait for an answer and, once a stream has started, between its
+        // pieces; how often to retry; the models to try, in order, when the
+        // chosen one keeps failing; and how many failures in a row open the
+        // circuit breaker, and for how long. 0 turns a timeout or the breaker off.
+        upstream: {
+            timeoutMs: readInt(env.UPSTREAM_TIMEOUT_MS) ?? file.upstream?.timeoutMs ?? 60000,
+            idleTimeoutMs: readInt(env.UPSTREAM_IDLE_TIMEOUT_MS) ?? file.upstream?.idleTimeoutMs ?? 30000,
+            retries: readInt(env.UPSTREAM_RETRIES) ?? file.upstream?.retries ?? 2,
+            retryBaseDelayMs: readInt(env.UPSTREAM_RETRY_BASE_MS) ?? file.upstream?.retryBaseDelayMs ?? 500,
+            retryMaxDelayMs: readInt(env.UPSTREAM_RETRY_MAX_MS) ?? file.upstream?.retryMaxDelayMs ?? 8000,
+            fallbackModels: envFallbackModels.length > 0 ? envFallbackModels : (file.upstream?.fallbackModels || []),
+            breakerThreshold: readInt(env.CIRCUIT_BREAKER_THRESHOLD) ?? file.upstream?.breakerThreshold ?? 5,
+            breakerCooldownMs: readInt(env.CIRCUIT_BREAKER_COOLDOWN_MS) ?? file.upstream?.breakerCooldownMs ?? 30000
+        },
+        // Model that writes chat titles; empty uses the default chat model
+        titleModel: env.TITLE_MODEL || file.titleModel || '',
+        // Tools the model may call: null turns on every built-in one. fetch_url
+        // only reads sites on the allowlist (hosts, which include their subdomains).
+        tools: {
+            enabled: envTools.length > 0 ? envTools : (file.tools?.enabled || null),
+            maxIterations: readInt(env.TOOL_MAX_ITERATIONS) ?? file.tools?.maxIterations ?? 5,
+            fetchAllowlist: envFetchAllowlist.length > 0 ? envFetchAllowlist : (file.tools?.fetchAllowlist || []),
+            fetchMaxChars: readInt(env.TOOL_FETCH_MAX_CHARS) ?? file.tools?.fetchMaxChars ?? 8000
+        },
+        // Image generation: an empty provider uses the chat provider if it can
+        // make images, and off turns it off. Empty models and sizes use the
+        // provider's defaults.
+        images: {
+            provider: (env.IMAGE_PROVIDER || file.images?.provider || '').toLowerCase(),
+            baseUrl: env.IMAGE_BASE_URL || file.images?.baseUrl || '',
+            apiKey: env.IMAGE_API_KEY || file.images?.apiKey || '',
+            model: env.IMAGE_MODEL || file.images?.model || '',
+            variationModel: env.IMAGE_VARIATION_MODEL || file.images?.variationModel || '',
+            sizes: envImageSizes.length > 0 ? envImageSizes : (file.images?.sizes || null),
+            maxCount: readInt(env.IMAGE_MAX_COUNT) ?? file.images?.maxCount ?? 4,
+            // Images take longer than text, so they get their own timeout
+            timeoutMs: readInt(env.IMAGE_TIMEOUT_MS) ?? file.images?.timeoutMs ?? 120000
+        },
+        // Content policy: keyword and regex rules (see lib/policy/rules.js), an
+        // optional moderation model (off, openai or mock) whose verdicts block
+        // or flag, and the audit log of everything blocked, redacted or flagged.
+        // failClosed blocks messages while the moderation model can't be reached.
+        // The moderation model uses OPENAI_API_KEY unless given its own key.
+        policy: {
+            rules: env.POLICY_RULES_FILE ? readConfigFile(env.POLICY_RULES_FILE) : (file.policy?.rules || []),
+            moderation: (env.POLICY_MODERATION || file.policy?.moderation || 'off').toLowerCase(),
+            moderationModel: env.POLICY_MODERATION_MODEL || file.policy?.moderationModel || 'omni-moderation-latest',
+            moderationBaseUrl: env.POLICY_MODERATION_BASE_URL || file.policy?.moderationBaseUrl || '',
+            moderationApiKey: env.POLICY_MODERATION_API_KEY || file.policy?.moderationApiKey || env.OPENAI_API_KEY || '',
+            moderationAction: (env.POLICY_MODERATION_ACTION || file.policy?.moderationAction || 'block').toLowerCase(),
+            failClosed: readBool(env.POLICY_FAIL_CLOSED) ?? file.policy?.failClosed ?? false,
+            auditLogFile: env.POLICY_AUDIT_LOG_FILE || file.policy?.auditLogFile || path.join(dataDir, 'policy-audit.jsonl')
+        },
+        auth: {
+            // none, passcode or accounts
+            mode: (env.AUTH_MODE || fileAuth.mode || 'none').toLowerCase(),
+            passcode: env.AUTH_PASSCODE || fileAuth.passcode || '',
+            users: users,
+            sessionSecret: env.SESSION_SECRET || fileAuth.sessionSecret || '',
+            sessionMaxAgeHours: readInt(env.SESSION_MAX_AGE_HOURS) ?? fileAuth.sessionMaxAgeHours ?? 24 * 7,
+            // Bearer token for the usage dashboard; accounts with "admin": true can use it too
+            adminToken: env.ADMIN_TOKEN || fileAuth.adminToken || ''
+        },
+        // 0 means unlimited
+        quotas: {
+            dailyRequests: readInt(env.DAILY_REQUEST_QUOTA) ?? file.quotas?.dailyRequests ?? 0,
+            dailyTokens: readInt(env.DAILY_TOKEN_QUOTA) ?? file.quotas?.dailyTokens ?? 0
+        },
+        // Token usage log and the prices (dollars per million tokens) used to estimate cost
+        usage: {
+            logFile: env.USAGE_LOG_FILE || file.usage?.logFile || '',
+            prices: env.PRICING_FILE ? readConfigFile(env.PRICING_FILE) : (file.usage?.prices || null)
+        },
+        // Server copies of chats for accounts: json (a file, by default
+        // chats.json in DATA_DIR), sqlite (chats.db) or off
+        sync: {
+            store: chatStore,
+            file: env.CHAT_STORE_FILE || file.sync?.file || path.join(dataDir, chatStore === 'sqlite' ? 'chats.db' : 'chats.json')
+        },
+        // Shared chat links: where snapshots are kept and after how many days they expire (0 = never)
+        shares: {
+            dir: env.SHARES_DIR || file.shares?.dir || path.join(dataDir, 'shares'),
+            expiryDays: readInt(env.SHARE_EXPIRY_DAYS) ?? file.shares?.expiryDays ?? 30,
+            maxExpiryDays: readInt(env.SHARE_MAX_EXPIRY_DAYS) ?? file.shares?.maxExpiryDays ?? 365
+        },
+        // Empty allows any origin, as before
+        corsOrigins: envCorsOrigins.length > 0 ? envCorsOrigins : (file.corsOrigins || []),
+        // Token buckets: capacity is the burst size, perMinute the refill rate (0 turns a limit off)
+        rateLimit: {
+            ipCapacity: readInt(env.RATE_LIMIT_IP_BURST) ?? file.rateLimit?.ipCapacity ?? 20,
+            ipPerMinute: readInt(env.RATE_LIMIT_IP_PER_MINUTE) ?? file.rateLimit?.ipPerMinute ?? 30,
+            userCapacity: readInt(env.RATE_LIMIT_USER_BURST) ?? file.rateLimit?.userCapacity ?? 10,
+            userPerMinute: readInt(env.RATE_LIMIT_USER_PER_MINUTE) ?? file.rateLimit?.userPerMinute ?? 20,
+            maxConcurrentUpstream: readInt(env.MAX_CONCURRENT_UPSTREAM) ?? file.rateLimit?.maxConcurrentUpstream ?? 20,
+            redisUrl: env.RATE_LIMIT_REDIS_URL || file.rateLimit?.redisUrl || ''
+        },
+        uploads: {
+            jsonBodyLimit: env.JSON_BODY_LIMIT || file.uploads?.jsonBodyLimit || '10mb',
+            maxImages: readInt(env.MAX_IMAGES) ?? file.uploads?.maxImages ?? 4,
+            maxDocuments: readInt(env.MAX_DOCUMENTS) ?? file.uploads?.maxDocuments ?? 4,
+            maxFileSizeMb: readInt(env.MAX_FILE_SIZE_MB) ?? file.uploads?.maxFileSizeMb ?? 8,
+            maxFieldSizeMb: readInt(env.MAX_FIELD_SIZE_MB) ?? file.uploads?.maxFieldSizeMb ?? 10,
+            // Images are scaled down to fit this many pixels on their longest side
+            maxImageDimension: readInt(env.MAX_IMAGE_DIMENSION) ?? file.uploads?.maxImageDimension ?? 2048,
+            imageQuality: readInt(env.IMAGE_QUALITY) ?? file.uploads?.imageQuality ?? 85,
+            // Share of the prompt that text from attached documents may fill
+            documentTokenBudget: readInt(env.DOCUMENT_TOKEN_BUDGET) ?? file.uploads?.documentTokenBudget ?? 6000
+        },
+        // Set when running behind a proxy (e.g. 1 on Vercel) so req.ip is the client's address
+        trustProxy: parseTrustProxy(env.TRUST_PROXY ?? file.trustProxy),
+        // JSON logs; what users type is left out unless LOG_PROMPTS is on
+        logging: {
+            level: (env.LOG_LEVEL || file.logging?.level || 'info').toLowerCase(),
+            logPrompts: readBool(env.LOG_PROMPTS) ?? file.logging?.logPrompts ?? false
+        },
+        // Bearer token Prometheus must send to read /metrics (empty leaves it open)
+        metrics: {
+            token: env.METRICS_TOKEN || file.metrics?.token || ''
+        },
+        // The commit being run, shown by /api/health (Vercel sets VERCEL_GIT_COMMIT_SHA)
+        commit: env.GIT_COMMIT || env.VERCEL_GIT_COMMIT_SHA || ''
+    };
+}
+
+// Helper function to make sure runtime data can go where it's configured
+// to: outside the app's folder, somewhere this process can write. setting
+// names where the path came from, for the error.
+function checkWritable(target, setting, { isDir = false } = {}) {
+    const resolved = path.resolve(target);
+    const relative = path.relative(APP_DIR, resolved);
+    if (!relative || !(relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative))) {
+        throw new Error(`${setting} (${resolved}) is inside the app's folder. Set it, or DATA_DIR, to a folder outside the app.`);
+    }
+
+    const dir = isDir ? resolved : path.dirname(resolved);
+    try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.accessSync(dir, fs.constants.W_OK);
+        if (!isDir && fs.existsSync(resolved)) {
+            fs.accessSync(resolved, fs.constants.W_OK);
+        }
+    } catch (error) {
+        throw new Error(`${setting} (${resolved}) can't be written: ${error.message}. Set it, or DATA_DIR, to a writable folder outside the app (on Vercel, somewhere under /tmp).`);
+    }
+}
+
+// Check where the features that are on will write, so a misplaced or
+// read-only folder stops the server at startup instead of failing later
+function checkDataPaths(config) {
+    checkWritable(config.shares.dir, 'SHARES_DIR', { isDir: true });
+    if (config.auth.mode === 'accounts' && !['off', 'none'].includes(config.sync.store)) {
+        checkWritable(config.sync.file, 'CHAT_STORE_FILE');
+    }
+    if (config.policy.auditLogFile && (config.policy.rules.length > 0 || config.policy.moderation !== 'off')) {
+        checkWritable(config.policy.auditLogFile, 'POLICY_AUDIT_LOG_FILE');
+    }
+}
+
+module.exports = {
+    checkDataPaths,
+    loadConfig,
+    parseList
+};
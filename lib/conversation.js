@@ -0,0 +1,128 @@
+// Builds the OpenAI message list from the chat history the client sends
+// along with every request ({ text, sender, images, documents } entries).
+
+// Rough per-image cost of a high-detail image in the prompt
+const IMAGE_TOKEN_ESTIMATE = 765;
+
+// Overhead OpenAI adds for every message in the list
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+// Helper function to read the conversation field, which arrives as an array
+// for JSON requests and as a JSON string for multipart (image) requests
+function parseConversation(raw) {
+    if (!raw) {
+        return [];
+    }
+
+    const conversation = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    if (!Array.isArray(conversation)) {
+        throw new Error('Conversation must be an array');
+    }
+
+    return conversation;
+}
+
+// Helper function to estimate the prompt tokens a single message will use
+function estimateTokens(message) {
+    if (typeof message.content === 'string') {
+        return Math.ceil(message.content.length / 4) + MESSAGE_TOKEN_OVERHEAD;
+    }
+
+    return message.content.reduce((total, part) => {
+        if (part.type === 'image_url') {
+            return total + IMAGE_TOKEN_ESTIMATE;
+        }
+        return total + Math.ceil(part.text.length / 4);
+    }, MESSAGE_TOKEN_OVERHEAD);
+}
+
+// Helper function to label document text ({ name, text }) for the prompt
+function formatDocuments(documents) {
+    return documents
+        .map(document => `--- File: ${document.name} ---\n${document.text}\n--- End of file: ${document.name} ---`)
+        .join('\n\n');
+}
+
+// Helper function to turn one stored chat message into an OpenAI message
+function toOpenAIMessage(entry, allowImages) {
+    if (!entry || typeof entry !== 'object') {
+        return null;
+    }
+
+    const role = entry.sender === 'assistant' ? 'assistant' : 'user';
+    let text = typeof entry.text === 'string' ? entry.text : '';
+    const images = Array.isArray(entry.images)
+        ? entry.images.filter(image => image && typeof image.dataUrl === 'string' && image.dataUrl.startsWith('data:image/'))
+        : [];
+    const documents = Array.isArray(entry.documents)
+        ? entry.documents.filter(document => document && typeof document.name === 'string' && typeof document.text === 'string')
+        : [];
+    
+    // Text extracted from files attached to the message, ahead of the question
+    if (role === 'user' && documents.length > 0) {
+        text = text.trim() ? `${formatDocuments(documents)}\n\n${text}` : formatDocuments(documents);
+    }
+
+    if (role === 'user' && images.length > 0) {
+        if (allowImages) {
+            const content = [];
+            if (text.trim()) {
+                content.push({ type: 'text', text: text });
+            }
+            images.forEach(image => {
+                content.push({ type: 'image_url', image_url: { url: image.dataUrl } });
+            });
+            return { role, content };
+        }
+
+        // The model can't see images, so leave a note that one was shared
+        const notes = images.map(image => `[Image: ${image.name || 'attachment'}]`).join('\n');
+        text = text.trim() ? `${text}\n${notes}` : notes;
+    }
+
+    if (!text.trim()) {
+        return null;
+    }
+
+    return { role, content: text };
+}
+
+// Build the messages for a request, dropping the oldest turns until the
+// prompt fits within tokenBudget. The system prompt and the current message
+// are always kept.
+function buildMessages(history, currentContent, { allowImages, tokenBudget, systemPrompt }) {
+    const current = { role: 'user', content: currentContent };
+    const system = systemPrompt ? [{ role: 'system', content: systemPrompt }] : [];
+    let remaining = tokenBudget - estimateTokens(current);
+    system.forEach(message => {
+        remaining -= estimateTokens(message);
+    });
+
+    const previous = history
+        .map(entry => toOpenAIMessage(entry, allowImages))
+        .filter(Boolean);
+
+    const kept = [];
+    for (let i = previous.length - 1; i >= 0; i--) {
+        const cost = estimateTokens(previous[i]);
+        if (cost > remaining) {
+            break;
+        }
+        remaining -= cost;
+        kept.unshift(previous[i]);
+    }
+
+    // Don't start the context halfway through an exchange
+    while (kept.length > 0 && kept[0].role === 'assistant') {
+        kept.shift();
+    }
+
+    return [...system, ...kept, current];
+}
+
+module.exports = {
+    buildMessages,
+    estimateTokens,
+    formatDocuments,
+    parseConversation
+};
@@ -0,0 +1,202 @@
+// Text extraction for document attachments: PDF, Word (.docx), plain text,
+// CSV and source code. Long documents are split into chunks and cut down to
+// the chunks that best match the question, so they fit in the prompt.
+
+const path = require('path');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
+
+class DocumentError extends Error {}
+
+const PDF_MIME_TYPE = 'application/pdf';
+const DOCX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Extensions read as UTF-8 text, whatever MIME type the browser reports
+const TEXT_EXTENSIONS = new Set([
+    '.txt', '.md', '.markdown', '.rst', '.csv', '.tsv', '.json', '.xml', '.yaml', '.yml', '.toml', '.ini', '.log',
+    '.html', '.htm', '.css', '.scss', '.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte',
+    '.py', '.rb', '.php', '.java', '.kt', '.scala', '.go', '.rs', '.swift', '.c', '.h', '.cpp', '.hpp', '.cc', '.cs',
+    '.sh', '.bash', '.ps1', '.sql', '.r', '.lua', '.pl', '.dart', '.tex'
+]);
+
+// Roughly 4 characters per token, as in lib/conversation.js
+const CHARS_PER_TOKEN = 4;
+
+// Size of the pieces a long document is cut into
+const CHUNK_CHARS = 2000;
+
+// Stop reading a document after this many characters
+const MAX_EXTRACTED_CHARS = 2 * 1024 * 1024;
+
+// Marks where chunks were left out of a document
+const GAP_MARKER = '\n\n[...]\n\n';
+
+// Helper function to work out how to read an uploaded file: 'pdf', 'docx', 'text' or null
+function getDocumentKind(file) {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.pdf' || file.mimetype === PDF_MIME_TYPE) {
+        return 'pdf';
+    }
+    if (ext === '.docx' || file.mimetype === DOCX_MIME_TYPE) {
+        return 'docx';
+    }
+    if (TEXT_EXTENSIONS.has(ext) || file.mimetype.startsWith('text/')) {
+        return 'text';
+    }
+    return null;
+}
+
+async function readPdf(buffer) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        return (await parser.getText()).text;
+    } finally {
+        await parser.destroy();
+    }
+}
+
+// Extract the text of an uploaded file; throws DocumentError if it can't be read
+async function extractText(file) {
+    const name = file.originalname;
+    let text;
+
+    try {
+        switch (getDocumentKind(file)) {
+            case 'pdf':
+                text = await readPdf(file.buffer);
+                break;
+            case 'docx':
+                text = (await mammoth.extractRawText({ buffer: file.buffer })).value;
+                break;
+            case 'text':
+                if (file.buffer.includes(0)) {
+                    throw new DocumentError(`${name} looks like a binary file, not text.`);
+                }
+                text = file.buffer.toString('utf8');
+                break;
+            default:
+                throw new DocumentError(`${name} isn't a supported file type.`);
+        }
+    } catch (error) {
+        if (error instanceof DocumentError) {
+            throw error;
+        }
+        throw new DocumentError(`Couldn't read ${name}. The file may be damaged or password-protected.`, { cause: error });
+    }
+
+    text = text
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .slice(0, MAX_EXTRACTED_CHARS);
+
+    if (!text) {
+        throw new DocumentError(`${name} doesn't contain any text we can read. Scanned documents need to be converted to text first.`);
+    }
+    return text;
+}
+
+// Helper function to split text into chunks of about CHUNK_CHARS, breaking
+// between paragraphs or lines where possible
+function chunkText(text) {
+    const chunks = [];
+    let current = '';
+
+    const pieces = text.split(/(?<=\n)/);
+    for (let piece of pieces) {
+        while (piece.length > CHUNK_CHARS) {
+            if (current) {
+                chunks.push(current);
+                current = '';
+            }
+            chunks.push(piece.slice(0, CHUNK_CHARS));
+            piece = piece.slice(CHUNK_CHARS);
+        }
+        if (current.length + piece.length > CHUNK_CHARS) {
+            chunks.push(current);
+            current = '';
+        }
+        current += piece;
+    }
+    if (current.trim()) {
+        chunks.push(current);
+    }
+
+    return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+// Helper function to pick the chunks that share the most words with the
+// question, within maxChars, and return them in document order
+function selectChunks(chunks, question, maxChars) {
+    const questionWords = new Set((question.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []));
+
+    const ranked = chunks.map((chunk, index) => {
+        const chunkWords = new Set(chunk.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+        let score = 0;
+        questionWords.forEach(word => {
+            if (chunkWords.has(word)) score++;
+        });
+        // The opening usually says what the document is about
+        if (index === 0) score += 0.5;
+        return { index, score };
+    }).sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const selected = [];
+    let used = 0;
+    for (const { index } of ranked) {
+        const cost = chunks[index].length + GAP_MARKER.length;
+        if (used + cost > maxChars) continue;
+        selected.push(index);
+        used += cost;
+    }
+
+    return selected.sort((a, b) => a - b);
+}
+
+// Cut documents ({ name, text }) down to tokenBudget between them. Short
+// documents are kept whole and leave their unused share to the longer ones.
+function fitDocuments(documents, question, tokenBudget) {
+    let remainingChars = tokenBudget * CHARS_PER_TOKEN;
+    const fitted = new Array(documents.length);
+
+    const bySize = documents
+        .map((document, index) => ({ document, index }))
+        .sort((a, b) => a.document.text.length - b.document.text.length);
+
+    bySize.forEach(({ document, index }, position) => {
+        const share = Math.floor(remainingChars / (bySize.length - position));
+
+        if (document.text.length <= share) {
+            fitted[index] = { name: document.name, text: document.text };
+            remainingChars -= document.text.length;
+            return;
+        }
+
+        const chunks = chunkText(document.text);
+        const selected = selectChunks(chunks, question, share);
+        let text = '';
+        selected.forEach((chunkIndex, i) => {
+            const previous = i === 0 ? -1 : selected[i - 1];
+            text += (chunkIndex > previous + 1 ? GAP_MARKER : (i > 0 ? '\n\n' : '')) + chunks[chunkIndex];
+        });
+        if (selected.length === 0) {
+            // Not even one chunk fits, so keep the start
+            text = document.text.slice(0, Math.max(0, share - GAP_MARKER.length));
+        }
+        if (selected.length === 0 || selected[selected.length - 1] < chunks.length - 1) {
+            text += GAP_MARKER;
+        }
+
+        fitted[index] = { name: document.name, text: text.trim(), truncated: true };
+        remainingChars -= text.length;
+    });
+
+    return fitted;
+}
+
+module.exports = {
+    DocumentError,
+    extractText,
+    fitDocuments,
+    getDocumentKind
+};
@@ -0,0 +1,171 @@
+// Prepares uploaded images for the model. The real format is read from the
+// file's first bytes (not its name), HEIC, TIFF and BMP are converted, large
+// images are scaled down, and EXIF data (GPS position, camera details) is
+// dropped. Images that already fit and carry no metadata are left as they are.
+
+const path = require('path');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const bmp = require('bmp-js');
+const { logger } = require('./logger');
+
+class ImageError extends Error {}
+
+// Formats the model accepts as they are
+const PASSTHROUGH_FORMATS = new Set(['jpeg', 'png', 'gif', 'webp']);
+
+const MIME_TYPES = {
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    gif: 'image/gif',
+    webp: 'image/webp'
+};
+
+// Largest BMP we decode. bmp-js allocates the pixels the header declares
+// before reading any, so a tiny file could otherwise claim gigabytes.
+const MAX_BMP_PIXELS = 50 * 1000 * 1000;
+
+// ISO base media brands used by HEIC/HEIF and AVIF files
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+
+// Helper function to read an image's real format from its first bytes
+function detectImageFormat(buffer) {
+    if (buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'GIF8') {
+        return 'gif';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    if (buffer.toString('ascii', 0, 2) === 'BM') {
+        return 'bmp';
+    }
+    const tiffHeader = buffer.toString('hex', 0, 4);
+    if (tiffHeader === '49492a00' || tiffHeader === '4d4d002a') {
+        return 'tiff';
+    }
+    if (buffer.toString('ascii', 4, 8) === 'ftyp') {
+        const brand = buffer.toString('ascii', 8, 12);
+        if (brand === 'avif' || brand === 'avis') {
+            return 'avif';
+        }
+        if (HEIF_BRANDS.has(brand)) {
+            return 'heic';
+        }
+    }
+    return null;
+}
+
+// Helper function to load a decoded image into sharp, for formats it can't read itself
+async function openImage(buffer, format, name) {
+    if (format === 'heic') {
+        // sharp's prebuilt binaries can't decode HEVC, which iPhone photos use
+        const jpeg = await heicConvert({ buffer, format: 'JPEG', quality: 0.92 });
+        return sharp(Buffer.from(jpeg));
+    }
+    if (format === 'bmp') {
+        // Width and height from the header; a negative height means top-down rows
+        const declaredWidth = buffer.readInt32LE(18);
+        const declaredHeight = Math.abs(buffer.readInt32LE(22));
+        if (declaredWidth <= 0 || declaredHeight === 0 || declaredWidth * declaredHeight > MAX_BMP_PIXELS) {
+            throw new ImageError(`${name} is too large. BMP images can be at most ${MAX_BMP_PIXELS / 1000000} megapixels.`);
+        }
+
+        // bmp-js gives ABGR pixels; keep RGB
+        const { data, width, height } = bmp.decode(buffer);
+        const rgb = Buffer.alloc(width * height * 3);
+        for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+            rgb[j] = data[i + 3];
+            rgb[j + 1] = data[i + 2];
+            rgb[j + 2] = data[i + 1];
+        }
+        return sharp(rgb, { raw: { width, height, channels: 3 } });
+    }
+    return sharp(buffer);
+}
+
+// Normalize one image. Returns { buffer, mimeType, name, changed }, where
+// name has the extension of the format sent. Throws ImageError.
+async function normalizeImage(buffer, name, { maxDimension, quality }) {
+    const format = detectImageFormat(buffer);
+    if (!format) {
+        throw new ImageError(`${name} isn't an image we can read. Use JPEG, PNG, GIF, WebP, HEIC, TIFF or BMP.`);
+    }
+
+    try {
+        if (PASSTHROUGH_FORMATS.has(format)) {
+            const metadata = await sharp(buffer).metadata();
+            const fits = metadata.width <= maxDimension && metadata.height <= maxDimension;
+            const hasMetadata = metadata.exif || metadata.xmp || metadata.iptc;
+            // Animated GIFs would lose their frames if re-encoded
+            if ((fits && !hasMetadata) || (format === 'gif' && metadata.pages > 1 && fits)) {
+                return { buffer, mimeType: MIME_TYPES[format], name, changed: false };
+            }
+        }
+
+        const image = await openImage(buffer, format, name);
+        const { hasAlpha } = await image.metadata();
+
+        // rotate() applies the EXIF orientation before the metadata is dropped
+        const pipeline = image
+            .rotate()
+            .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+
+        // Keep transparency as PNG; everything else becomes JPEG
+        const output = hasAlpha
+            ? await pipeline.png().toBuffer()
+            : await pipeline.flatten({ background: '#ffffff' }).jpeg({ quality, mozjpeg: true }).toBuffer();
+        const outputFormat = hasAlpha ? 'png' : 'jpeg';
+
+        return {
+            buffer: output,
+            mimeType: MIME_TYPES[outputFormat],
+            name: `${path.basename(name, path.extname(name))}.${outputFormat === 'jpeg' ? 'jpg' : 'png'}`,
+            changed: true
+        };
+    } catch (error) {
+        if (error instanceof ImageError) {
+            throw error;
+        }
+        throw new ImageError(`Couldn't read the image ${name}. The file may be damaged.`, { cause: error });
+    }
+}
+
+// Normalize the data URL images in the chat history the client sends back.
+// Images that can't be read are left out rather than failing the request.
+async function normalizeHistoryImages(conversation, options) {
+    return Promise.all(conversation.map(async entry => {
+        if (!entry || !Array.isArray(entry.images) || entry.images.length === 0) {
+            return entry;
+        }
+
+        const images = [];
+        for (const image of entry.images) {
+            const match = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec((image && image.dataUrl) || '');
+            if (!match) continue;
+
+            try {
+                const result = await normalizeImage(Buffer.from(match[1], 'base64'), image.name || 'image', options);
+                images.push({ name: result.name, dataUrl: `data:${result.mimeType};base64,${result.buffer.toString('base64')}` });
+            } catch (error) {
+                logger.warn('Skipping unreadable image in conversation history', { error });
+            }
+        }
+        return { ...entry, images };
+    }));
+}
+
+module.exports = {
+    ImageError,
+    detectImageFormat,
+    normalizeHistoryImages,
+    normalizeImage
+};
@@ -0,0 +1,105 @@
+// Structured logs: one line of JSON per event, on stdout (stderr for warnings
+// and errors), e.g.
+//   {"time":"...","level":"info","msg":"request","requestId":"...","status":200}
+// LOG_LEVEL picks the least severe level written: debug, info (the default),
+// warn or error. What users type is kept out of the logs unless LOG_PROMPTS
+// is on; redact() stands in for it with its length.
+
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40
+};
+
+// Helper function to describe an error without everything hanging off it
+// (axios errors carry the request config, API key included)
+function serializeError(error) {
+    const result = { name: error.name, message: error.message };
+    if (error.status) {
+        result.status = error.status;
+    }
+    if (error.code) {
+        result.code = error.code;
+    }
+    const upstreamStatus = (error.cause && error.cause.response && error.cause.response.status)
+        || (error.response && error.response.status);
+    if (upstreamStatus) {
+        result.upstreamStatus = upstreamStatus;
+    }
+    // Expected errors (with a status to answer) don't need a stack
+    if (!error.status) {
+        result.stack = error.stack;
+    }
+    return result;
+}
+
+class Logger {
+    // Child loggers share their parent's settings, so configure() applies to all
+    constructor(settings, fields = {}) {
+        this.settings = settings;
+        this.fields = fields;
+    }
+
+    configure({ level, logPrompts }) {
+        if (level !== undefined) {
+            if (!LEVELS[level]) {
+                throw new Error(`Unknown LOG_LEVEL "${level}". Use debug, info, warn or error.`);
+            }
+            this.settings.level = level;
+        }
+        if (logPrompts !== undefined) {
+            this.settings.logPrompts = logPrompts;
+        }
+    }
+
+    // A logger that adds fields (e.g. the request ID) to everything it writes
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    debug(msg, fields) {
+        this.write('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.write('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.write('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.write('error', msg, fields);
+    }
+
+    // Text a user wrote, or a note of its length if prompts aren't logged
+    redact(text) {
+        if (typeof text !== 'string' || !text || this.settings.logPrompts) {
+            return text;
+        }
+        return `[redacted, ${text.length} characters]`;
+    }
+
+    write(level, msg, fields = {}) {
+        if (LEVELS[level] < LEVELS[this.settings.level]) {
+            return;
+        }
+
+        const entry = { time: new Date().toISOString(), level, msg, ...this.fields };
+        Object.entries(fields).forEach(([key, value]) => {
+            entry[key] = value instanceof Error ? serializeError(value) : value;
+        });
+        const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+}
+
+// The server's logger; server.js applies LOG_LEVEL and LOG_PROMPTS when it starts
+const logger = new Logger({ level: 'info', logPrompts: false });
+
+module.exports = {
+    Logger,
+    logger
+};
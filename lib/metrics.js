@@ -0,0 +1,190 @@
+// Prometheus metrics for /metrics: counters, gauges and histograms with
+// labels, written in Prometheus' text format. createMetrics() sets up the
+// ones the server records: HTTP requests and their latency, calls to the LLM
+// provider by upstream status, and tokens used.
+
+// Request latency buckets in seconds; streamed replies can take minutes
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+// Helper function to escape a label value
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Helper function to write a set of labels, e.g. {method="GET",status="200"}
+function formatLabels(names, values) {
+    if (names.length === 0) {
+        return '';
+    }
+    return `{${names.map((name, index) => `${name}="${escapeLabel(values[index])}"`).join(',')}}`;
+}
+
+// One value (or histogram) per combination of label values
+class Metric {
+    constructor(type, { name, help, labels = [] }) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labels = labels;
+        // JSON of the label values -> { values, data }
+        this.series = new Map();
+    }
+
+    // Helper function to find (or start) the series for some labels
+    getSeries(labels, create) {
+        const values = this.labels.map(label => (labels[label] === undefined ? '' : labels[label]));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, { values, data: create() });
+        }
+        return this.series.get(key);
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        this.series.forEach(({ values, data }) => {
+            lines.push(...this.renderSeries(values, data));
+        });
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super('counter', options);
+    }
+
+    inc(labels = {}, value = 1) {
+        this.getSeries(labels, () => ({ value: 0 })).data.value += value;
+    }
+
+    renderSeries(values, data) {
+        return [`${this.name}${formatLabels(this.labels, values)} ${data.value}`];
+    }
+}
+
+class Gauge extends Metric {
+    constructor(options) {
+        super('gauge', options);
+    }
+
+    set(labels = {}, value) {
+        this.getSeries(labels, () => ({ value: 0 })).data.value = value;
+    }
+
+    renderSeries(values, data) {
+        return [`${this.name}${formatLabels(this.labels, values)} ${data.value}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor({ buckets = LATENCY_BUCKETS, ...options }) {
+        super('histogram', options);
+        this.buckets = buckets.slice().sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const data = this.getSeries(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 })).data;
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) {
+                data.counts[index] += 1;
+            }
+        });
+        data.sum += value;
+        data.count += 1;
+    }
+
+    renderSeries(values, data) {
+        const names = [...this.labels, 'le'];
+        return [
+            ...this.buckets.map((bound, index) => `${this.name}_bucket${formatLabels(names, [...values, bound])} ${data.counts[index]}`),
+            `${this.name}_bucket${formatLabels(names, [...values, '+Inf'])} ${data.count}`,
+            `${this.name}_sum${formatLabels(this.labels, values)} ${data.sum}`,
+            `${this.name}_count${formatLabels(this.labels, values)} ${data.count}`
+        ];
+    }
+}
+
+class Registry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    counter(options) {
+        return this.add(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.add(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.add(new Histogram(options));
+    }
+
+    add(metric) {
+        if (this.metrics.some(existing => existing.name === metric.name)) {
+            throw new Error(`The metric ${metric.name} is already registered.`);
+        }
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    // The text /metrics serves
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join('\n\n')}\n`;
+    }
+}
+
+// The server's metrics. version goes in unblockedgpt_build_info.
+function createMetrics({ version }) {
+    const registry = new Registry();
+
+    registry.gauge({
+        name: 'unblockedgpt_build_info',
+        help: 'The running version, always 1.',
+        labels: ['version', 'node']
+    }).set({ version, node: process.version }, 1);
+
+    registry.gauge({
+        name: 'unblockedgpt_start_time_seconds',
+        help: 'When the server started, in seconds since the Unix epoch.'
+    }).set({}, Math.floor(Date.now() / 1000));
+
+    return {
+        registry,
+        httpRequests: registry.counter({
+            name: 'unblockedgpt_http_requests_total',
+            help: 'HTTP requests answered, by route and status code.',
+            labels: ['method', 'route', 'status']
+        }),
+        httpDuration: registry.histogram({
+            name: 'unblockedgpt_http_request_duration_seconds',
+            help: 'Time taken to answer HTTP requests, including streamed replies.',
+            labels: ['method', 'route']
+        }),
+        upstreamRequests: registry.counter({
+            name: 'unblockedgpt_upstream_requests_total',
+            help: 'Calls to the LLM provider, by the status code it answered with.',
+            labels: ['provider', 'operation', 'status']
+        }),
+        upstreamDuration: registry.histogram({
+            name: 'unblockedgpt_upstream_request_duration_seconds',
+            help: 'Time until the LLM provider answered (for streams, until it started streaming).',
+            labels: ['provider', 'operation']
+        }),
+        tokens: registry.counter({
+            name: 'unblockedgpt_tokens_total',
+            help: 'Tokens used, by model and type (prompt or completion).',
+            labels: ['model', 'type']
+        })
+    };
+}
+
+module.exports = {
+    Counter,
+    Gauge,
+    Histogram,
+    Registry,
+    createMetrics
+};
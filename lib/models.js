@@ -0,0 +1,110 @@
+// Model allowlist and validation of the per-chat generation settings.
+// Operators choose the models users may pick with ALLOWED_MODELS
+// (comma-separated) or `models` in the config file; anything not on the
+// list is rejected. Without either, the provider's default list is used.
+// Each model is marked with whether it reads images and whether it can call
+// tools.
+
+// Build the /api/models response from the model config (see lib/config.js)
+function loadModelConfig(options, provider) {
+    const models = options.allowed.length > 0 ? options.allowed : provider.defaultModels;
+
+    // VISION_MODELS overrides the provider's own guess at which models read images
+    const supportsImages = options.vision
+        ? (model) => options.vision.includes(model)
+        : (model) => provider.supportsImages(model);
+
+    // TOOL_MODELS does the same for tool calling
+    const supportsTools = options.tools
+        ? (model) => options.tools.includes(model)
+        : (model) => provider.supportsTools(model);
+
+    const defaultModel = options.defaultModel || (models.includes('gpt-3.5-turbo') ? 'gpt-3.5-turbo' : models[0]);
+    const defaultVisionModel = options.defaultVisionModel
+        || (models.includes('gpt-4o') ? 'gpt-4o' : models.find(supportsImages))
+        || null;
+
+    return {
+        models: models.map(id => ({ id, vision: supportsImages(id), tools: supportsTools(id) })),
+        defaults: {
+            model: defaultModel,
+            visionModel: defaultVisionModel,
+            temperature: 0.7,
+            maxTokens: 1000,
+            systemPrompt: ''
+        },
+        limits: {
+            maxTokens: options.maxTokensLimit,
+            systemPromptLength: options.systemPromptMaxLength
+        }
+    };
+}
+
+// Helper function to check whether a model in the config accepts images
+function supportsImages(model, config) {
+    const entry = config.models.find(item => item.id === model);
+    return !!entry && entry.vision;
+}
+
+// Helper function to check whether a model in the config can call tools
+function supportsTools(model, config) {
+    const entry = config.models.find(item => item.id === model);
+    return !!entry && entry.tools;
+}
+
+class SettingsError extends Error {}
+
+// Helper function to read a number that may arrive as a string (multipart)
+function readNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return undefined;
+    }
+    return Number(value);
+}
+
+// Check the requested model and parameters against the allowlist and fill in
+// defaults. Throws a SettingsError describing the first invalid value.
+function resolveSettings(body, { hasImages }, config) {
+    const { defaults, limits } = config;
+    const allowedIds = config.models.map(model => model.id);
+
+    let model = typeof body.model === 'string' ? body.model.trim() : '';
+    if (!model) {
+        // No explicit choice: pick the default for the kind of message
+        model = hasImages ? defaults.visionModel : defaults.model;
+        if (!model) {
+            throw new SettingsError('None of the allowed models can read images.');
+        }
+    } else if (!allowedIds.includes(model)) {
+        throw new SettingsError(`Model "${model}" is not allowed on this server.`);
+    }
+
+    if (hasImages && !supportsImages(model, config)) {
+        throw new SettingsError(`Model "${model}" can't read images. Choose a vision model in the chat settings.`);
+    }
+
+    const temperature = readNumber(body.temperature) ?? defaults.temperature;
+    if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+        throw new SettingsError('Temperature must be a number between 0 and 2.');
+    }
+
+    const maxTokens = readNumber(body.maxTokens) ?? defaults.maxTokens;
+    if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > limits.maxTokens) {
+        throw new SettingsError(`Max tokens must be a whole number between 1 and ${limits.maxTokens}.`);
+    }
+
+    const systemPrompt = body.systemPrompt ?? defaults.systemPrompt;
+    if (typeof systemPrompt !== 'string' || systemPrompt.length > limits.systemPromptLength) {
+        throw new SettingsError(`System prompt must be at most ${limits.systemPromptLength} characters.`);
+    }
+
+    return { model, temperature, maxTokens, systemPrompt: systemPrompt.trim() };
+}
+
+module.exports = {
+    SettingsError,
+    loadModelConfig,
+    resolveSettings,
+    supportsImages,
+    supportsTools
+};
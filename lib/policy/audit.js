@@ -0,0 +1,97 @@
+// Audit log of policy events: everything the content policy blocked,
+// redacted or flagged, with who sent it and an excerpt (as redacted), for
+// admins to review. The latest events are kept in memory. With a log file
+// (by default policy-audit.jsonl in DATA_DIR) each event is also appended to
+// it as a line of JSON, and the latest are read back from it when the server
+// starts.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../logger');
+
+// Events kept in memory for the admin page
+const MAX_EVENTS = 1000;
+
+class AuditLog {
+    constructor({ logFile }) {
+        this.logFile = logFile ? path.resolve(logFile) : '';
+        // Oldest first
+        this.events = [];
+
+        if (this.logFile) {
+            this.load();
+        }
+    }
+
+    // Read the latest events back from the log file, skipping lines that can't be read
+    load() {
+        let content;
+        try {
+            content = fs.readFileSync(this.logFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not read policy audit log', { file: this.logFile, error });
+            }
+            return;
+        }
+
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                this.add(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash; the rest of the log is still good
+            }
+        });
+    }
+
+    // Record one event. stage is input or output, action is block, redact or
+    // flag, and rules names the rules (or moderation) that matched.
+    record({ userId, stage, action, rules, categories = [], excerpt }) {
+        const event = {
+            id: crypto.randomUUID(),
+            time: new Date().toISOString(),
+            userId: userId,
+            stage: stage,
+            action: action,
+            rules: rules,
+            categories: categories,
+            excerpt: excerpt
+        };
+
+        this.add(event);
+        if (this.logFile) {
+            fs.mkdir(path.dirname(this.logFile), { recursive: true }, (mkdirError) => {
+                fs.appendFile(this.logFile, JSON.stringify(event) + '\n', (error) => {
+                    if (mkdirError || error) {
+                        logger.error('Could not write policy audit log', { file: this.logFile, error: mkdirError || error });
+                    }
+                });
+            });
+        }
+        return event;
+    }
+
+    add(event) {
+        this.events.push(event);
+        if (this.events.length > MAX_EVENTS) {
+            this.events.shift();
+        }
+    }
+
+    // The latest events, newest first, optionally only one action or user
+    list({ limit = 100, action = null, userId = null } = {}) {
+        const events = [];
+        for (let i = this.events.length - 1; i >= 0 && events.length < limit; i--) {
+            const event = this.events[i];
+            if ((action && event.action !== action) || (userId && event.userId !== userId)) continue;
+            events.push(event);
+        }
+        return events;
+    }
+}
+
+module.exports = {
+    AuditLog
+};
@@ -0,0 +1,224 @@
+// Content policy for /api/chat, /api/images and /api/title. Keyword and
+// regex rules (see rules.js) and an optional moderation model (see
+// moderation.js) check what users send (the input stage) and what the model
+// answers (the output stage). Content is blocked, redacted or flagged, and
+// everything that isn't simply allowed goes to the audit log (see audit.js).
+//
+// review() resolves to a decision, { action, texts, notice }: action is
+// allow, flag, redact or block, texts are the checked texts with any
+// redactions, and notice ({ stage, action, message }) is what to show the
+// user, or null if there's nothing to say.
+
+const { logger } = require('../logger');
+const { AuditLog } = require('./audit');
+const { createModerator } = require('./moderation');
+const { compileRules } = require('./rules');
+
+const REDACTION = '[redacted]';
+
+const MESSAGES = {
+    block: {
+        input: 'This message wasn\'t sent because it goes against the usage policy.',
+        output: 'This reply was withheld because it goes against the usage policy.'
+    },
+    redact: {
+        input: 'Parts of this message were removed before it was sent, because of the usage policy.',
+        output: 'Parts of this reply were removed because of the usage policy.'
+    },
+    unavailable: 'This couldn\'t be checked against the usage policy. Please try again.'
+};
+
+// Streamed replies hold back this many characters, so text matching a rule
+// that arrives in pieces is caught before any of it is sent
+const HOLD_BACK_CHARS = 80;
+
+// Longest excerpt of the checked text kept in the audit log. It's the text
+// as redacted, so what redact rules matched isn't kept; what flag and block
+// rules matched is, so admins can see why.
+const EXCERPT_LENGTH = 500;
+
+class ContentPolicy {
+    constructor({ rules, moderator, moderationAction, failClosed, audit }) {
+        if (!['block', 'flag'].includes(moderationAction)) {
+            throw new Error('The moderation action must be block or flag.');
+        }
+        this.rules = compileRules(rules);
+        this.moderator = moderator;
+        this.moderationAction = moderationAction;
+        this.failClosed = failClosed;
+        this.audit = audit;
+    }
+
+    get enabled() {
+        return this.rules.length > 0 || !!this.moderator;
+    }
+
+    hasRules(stage) {
+        return this.rules.some(rule => rule.stages.includes(stage));
+    }
+
+    // Apply the rules for a stage to one text: { text, hits } with the
+    // redactions made and the rules that matched
+    applyRules(text, stage) {
+        const hits = [];
+        let checked = text;
+        this.rules.forEach(rule => {
+            if (!rule.stages.includes(stage)) return;
+            // Zero-length matches (e.g. from "a*") don't count
+            const matched = Array.from(checked.matchAll(rule.regex)).some(match => match[0]);
+            if (!matched) return;
+
+            hits.push(rule);
+            if (rule.action === 'redact') {
+                checked = checked.replace(rule.regex, match => (match ? REDACTION : match));
+            }
+        });
+        return { text: checked, hits };
+    }
+
+    // Check texts (e.g. a message and the documents attached to it) at one stage
+    async review(texts, { stage, userId, signal }) {
+        const hits = [];
+        const checked = texts.map(text => {
+            const result = this.applyRules(text, stage);
+            hits.push(...result.hits);
+            return result.text;
+        });
+
+        const blocked = hits.some(hit => hit.action === 'block');
+        const combined = checked.filter(Boolean).join('\n\n');
+        let categories = [];
+        if (this.moderator && !blocked && combined) {
+            try {
+                const moderation = await this.moderator.check(combined, signal);
+                if (moderation.flagged) {
+                    hits.push({ id: 'moderation', action: this.moderationAction, message: '' });
+                    categories = moderation.categories;
+                }
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                logger.error('Moderation check failed', { userId, error });
+                if (this.failClosed) {
+                    hits.push({ id: 'moderation-unavailable', action: 'block', message: MESSAGES.unavailable });
+                }
+            }
+        }
+
+        const decision = this.decide(hits, stage, checked);
+        if (decision.action !== 'allow') {
+            this.audit.record({
+                userId: userId,
+                stage: stage,
+                action: decision.action,
+                rules: hits.map(hit => hit.id),
+                categories: categories,
+                excerpt: checked.filter(Boolean).join('\n\n').slice(0, EXCERPT_LENGTH)
+            });
+        }
+        return decision;
+    }
+
+    // Block beats redact, which beats flag
+    decide(hits, stage, texts) {
+        const block = hits.find(hit => hit.action === 'block');
+        if (block) {
+            return { action: 'block', texts: [], notice: { stage, action: 'block', message: block.message || MESSAGES.block[stage] } };
+        }
+        if (hits.some(hit => hit.action === 'redact')) {
+            return { action: 'redact', texts, notice: { stage, action: 'redact', message: MESSAGES.redact[stage] } };
+        }
+        return { action: hits.length > 0 ? 'flag' : 'allow', texts, notice: null };
+    }
+
+    // Earlier turns were checked when they were first sent, but the client
+    // sends them back, so apply the rules again: blocked turns are left out
+    // and the rest redacted. Not audited a second time.
+    filterHistory(conversation) {
+        if (this.rules.length === 0) {
+            return conversation;
+        }
+
+        return conversation.map(entry => {
+            if (!entry || typeof entry !== 'object') {
+                return entry;
+            }
+            const stage = entry.sender === 'assistant' ? 'output' : 'input';
+            const { text, hits } = this.applyRules(typeof entry.text === 'string' ? entry.text : '', stage);
+            const documents = (Array.isArray(entry.documents) ? entry.documents : []).map(document => {
+                if (!document || typeof document.text !== 'string') return document;
+                const result = this.applyRules(document.text, stage);
+                hits.push(...result.hits);
+                return { ...document, text: result.text };
+            });
+            if (hits.some(hit => hit.action === 'block')) {
+                return null;
+            }
+            return { ...entry, text, documents };
+        }).filter(Boolean);
+    }
+
+    // Check a streamed reply as it arrives. Text is held back until it's
+    // clear of the rules, and redacted; the finished reply is then reviewed
+    // in full (including by the moderation model). A reply that's blocked
+    // ends with a { policy } event telling the client to withdraw it, and a
+    // redacted one with a { policy } event saying so. Other events from the
+    // stream (e.g. tool calls) pass through.
+    filterStream(deltas, context) {
+        const policy = this;
+        const holdBack = this.hasRules('output') ? HOLD_BACK_CHARS : 0;
+
+        return (async function* () {
+            let raw = '';
+            let sent = 0;
+            for await (const part of deltas) {
+                if (typeof part !== 'string') {
+                    yield part;
+                    continue;
+                }
+
+                raw += part;
+                const { text, hits } = policy.applyRules(raw, 'output');
+                if (hits.some(hit => hit.action === 'block')) break;
+
+                const end = text.length - holdBack;
+                if (end > sent) {
+                    yield text.slice(sent, end);
+                    sent = end;
+                }
+            }
+
+            const decision = await policy.review([raw], { stage: 'output', ...context });
+            if (decision.action === 'block') {
+                yield { policy: decision.notice };
+                return;
+            }
+            if (decision.texts[0].length > sent) {
+                yield decision.texts[0].slice(sent);
+            }
+            if (decision.notice) {
+                yield { policy: decision.notice };
+            }
+        })();
+    }
+}
+
+// The content policy from the config, with its moderation model and audit log
+function createContentPolicy(options) {
+    return new ContentPolicy({
+        rules: options.rules,
+        moderator: createModerator({
+            name: options.moderation,
+            baseUrl: options.moderationBaseUrl,
+            apiKey: options.moderationApiKey,
+            model: options.moderationModel
+        }),
+        moderationAction: options.moderationAction,
+        failClosed: options.failClosed,
+        audit: new AuditLog({ logFile: options.auditLogFile })
+    });
+}
+
+module.exports = {
+    ContentPolicy,
+    createContentPolicy
+};
@@ -0,0 +1,65 @@
+// Moderation models the content policy can ask about a text, on top of its
+// rules. POLICY_MODERATION picks one: openai (the /moderations endpoint), or
+// mock for development and tests, which flags any text containing
+// "[mock:moderation]". check(text, signal) resolves to
+// { flagged, categories } and throws if the model can't be reached.
+
+const axios = require('axios');
+
+const MODERATION_TIMEOUT_MS = 10000;
+
+class OpenAIModerator {
+    constructor({ baseUrl, apiKey, model }) {
+        this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = apiKey || '';
+        this.model = model;
+    }
+
+    async check(text, signal) {
+        const response = await axios.post(`${this.baseUrl}/moderations`, {
+            model: this.model,
+            input: text
+        }, {
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            timeout: MODERATION_TIMEOUT_MS,
+            signal: signal
+        });
+
+        const result = response.data.results[0];
+        return {
+            flagged: result.flagged === true,
+            categories: Object.keys(result.categories || {}).filter(name => result.categories[name])
+        };
+    }
+}
+
+class MockModerator {
+    async check(text) {
+        const flagged = text.includes('[mock:moderation]');
+        return { flagged, categories: flagged ? ['mock'] : [] };
+    }
+}
+
+const MODERATORS = {
+    openai: OpenAIModerator,
+    mock: MockModerator
+};
+
+// The moderator for POLICY_MODERATION, or null when it's off
+function createModerator({ name, baseUrl, apiKey, model }) {
+    if (name === 'off') {
+        return null;
+    }
+    const Moderator = MODERATORS[name];
+    if (!Moderator) {
+        throw new Error(`Unknown moderation model "${name}". Use one of: off, ${Object.keys(MODERATORS).join(', ')}.`);
+    }
+    return new Moderator({ baseUrl, apiKey, model });
+}
+
+module.exports = {
+    createModerator
+};
@@ -0,0 +1,73 @@
+// Keyword and regex rules for the content policy, read from POLICY_RULES_FILE
+// (or policy.rules in the config file) as a list such as:
+//
+//   [
+//     { "id": "profanity", "keywords": ["darn", "heck"], "action": "redact" },
+//     { "id": "answer-keys", "pattern": "answer\\s+key", "flags": "i", "action": "flag", "stages": ["input"] },
+//     { "id": "self-harm", "keywords": ["hurt myself"], "action": "block", "message": "Please talk to a counselor." }
+//   ]
+//
+// Keywords match whole words, ignoring case. action is block, redact (the
+// matching text is replaced) or flag (let through, but written to the audit
+// log). stages is input (what users send), output (the model's replies) or
+// both, the default. message replaces the usual explanation for a block.
+
+const ACTIONS = ['block', 'redact', 'flag'];
+const STAGES = ['input', 'output'];
+
+// Helper function to escape a keyword for use in a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Check the rules from the config and compile their patterns. Throws with
+// the rule's id if one is invalid, so the server doesn't start half-filtered.
+function compileRules(rules) {
+    if (!Array.isArray(rules)) {
+        throw new Error('Policy rules must be a list.');
+    }
+
+    return rules.map((rule, index) => {
+        const id = (rule && rule.id) || `rule-${index + 1}`;
+        if (!rule || !ACTIONS.includes(rule.action)) {
+            throw new Error(`Policy rule ${id}: action must be one of ${ACTIONS.join(', ')}.`);
+        }
+
+        const stages = rule.stages || STAGES;
+        if (!Array.isArray(stages) || stages.length === 0 || stages.some(stage => !STAGES.includes(stage))) {
+            throw new Error(`Policy rule ${id}: stages must list ${STAGES.join(' and/or ')}.`);
+        }
+
+        let source;
+        let flags;
+        if (Array.isArray(rule.keywords) && rule.keywords.length > 0) {
+            // Whole words, so a keyword doesn't match inside a longer word
+            source = `(?<![\\p{L}\\p{N}])(?:${rule.keywords.map(keyword => escapeRegExp(String(keyword))).join('|')})(?![\\p{L}\\p{N}])`;
+            flags = 'giu';
+        } else if (typeof rule.pattern === 'string' && rule.pattern) {
+            source = rule.pattern;
+            flags = Array.from(new Set(`${rule.flags || ''}g`)).join('');
+        } else {
+            throw new Error(`Policy rule ${id} needs keywords or a pattern.`);
+        }
+
+        let regex;
+        try {
+            regex = new RegExp(source, flags);
+        } catch (error) {
+            throw new Error(`Policy rule ${id}: ${error.message}`);
+        }
+
+        return {
+            id: id,
+            action: rule.action,
+            stages: stages,
+            regex: regex,
+            message: typeof rule.message === 'string' ? rule.message : ''
+        };
+    });
+}
+
+module.exports = {
+    compileRules
+};
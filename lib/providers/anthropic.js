@@ -0,0 +1,196 @@
+// Anthropic Messages API. System prompts move to the top-level `system`
+// field, image_url data URLs become base64 image blocks, and tool calls and
+// results become tool_use and tool_result blocks.
+
+const axios = require('axios');
+const { ProviderError, toProviderError } = require('./errors');
+const { readEventData } = require('./lines');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+// Helper function to split a data URL into its media type and base64 data
+function parseDataUrl(url) {
+    const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+    if (!match) {
+        throw new ProviderError(400, 'Anthropic only accepts uploaded images, not image links.');
+    }
+    return { mediaType: match[1], data: match[2] };
+}
+
+// Helper function to convert OpenAI content (string or parts) to Anthropic blocks
+function toContentBlocks(content) {
+    if (typeof content === 'string') {
+        return [{ type: 'text', text: content }];
+    }
+
+    return content.map(part => {
+        if (part.type === 'image_url') {
+            const { mediaType, data } = parseDataUrl(part.image_url.url);
+            return { type: 'image', source: { type: 'base64', media_type: mediaType, data: data } };
+        }
+        return { type: 'text', text: part.text };
+    });
+}
+
+// Helper function to read a tool call's arguments back; a reply cut off by
+// max_tokens can leave them unfinished
+function parseToolInput(text) {
+    try {
+        const input = JSON.parse(text || '{}');
+        return input && typeof input === 'object' && !Array.isArray(input) ? input : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Helper function to convert an OpenAI message to an Anthropic turn
+function toTurn(message) {
+    // Tool results go back to the model from the user's side
+    if (message.role === 'tool') {
+        return { role: 'user', content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }] };
+    }
+    if (message.tool_calls) {
+        const blocks = message.content ? toContentBlocks(message.content) : [];
+        message.tool_calls.forEach(call => {
+            blocks.push({ type: 'tool_use', id: call.id, name: call.function.name, input: parseToolInput(call.function.arguments) });
+        });
+        return { role: message.role, content: blocks };
+    }
+    return { role: message.role, content: toContentBlocks(message.content) };
+}
+
+class AnthropicProvider {
+    constructor({ baseUrl, apiKey }) {
+        this.name = 'anthropic';
+        this.label = 'Anthropic';
+        this.keyHint = 'ANTHROPIC_API_KEY';
+        this.baseUrl = (baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+        this.apiKey = apiKey || process.env.ANTHROPIC_API_KEY || '';
+        this.defaultModels = ['claude-3-5-haiku-latest', 'claude-3-5-sonnet-latest'];
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    supportsImages(model) {
+        return model.startsWith('claude-3') || model.startsWith('claude-sonnet') || model.startsWith('claude-opus') || model.startsWith('claude-haiku');
+    }
+
+    supportsTools(model) {
+        return this.supportsImages(model);
+    }
+
+    requestConfig(signal) {
+        return {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': ANTHROPIC_VERSION,
+                'Content-Type': 'application/json'
+            },
+            signal
+        };
+    }
+
+    buildPayload({ model, messages, maxTokens, temperature, tools, toolChoice }) {
+        const system = messages
+            .filter(message => message.role === 'system')
+            .map(message => message.content)
+            .join('\n\n');
+
+        // The Messages API needs alternating roles, so merge consecutive turns
+        const turns = [];
+        messages
+            .filter(message => message.role !== 'system')
+            .map(toTurn)
+            .forEach(turn => {
+                const last = turns[turns.length - 1];
+                if (last && last.role === turn.role) {
+                    last.content.push(...turn.content);
+                } else {
+                    turns.push(turn);
+                }
+            });
+
+        const payload = {
+            model: model,
+            messages: turns,
+            max_tokens: maxTokens,
+            // Anthropic's temperature range is 0-1 rather than OpenAI's 0-2
+            temperature: Math.min(temperature, 1)
+        };
+        if (system) {
+            payload.system = system;
+        }
+        if (tools && tools.length > 0) {
+            payload.tools = tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters }));
+            payload.tool_choice = { type: toolChoice === 'none' ? 'none' : 'auto' };
+        }
+        return payload;
+    }
+
+    async complete(request) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/v1/messages`, this.buildPayload(request), this.requestConfig(request.signal));
+            const text = response.data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('');
+            const usage = response.data.usage;
+            return {
+                text,
+                usage: usage ? { promptTokens: usage.input_tokens, completionTokens: usage.output_tokens } : null
+            };
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+    }
+
+    async stream(request) {
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}/v1/messages`, {
+                ...this.buildPayload(request),
+                stream: true
+            }, {
+                ...this.requestConfig(request.signal),
+                responseType: 'stream'
+            });
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+
+        // Input tokens arrive at the start of the stream and output tokens near
+        // the end. A tool call is a content block whose input arrives as JSON in pieces.
+        const calls = [];
+        const deltas = (async function* () {
+            for await (const data of readEventData(response.data)) {
+                const event = JSON.parse(data);
+                if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    yield event.delta.text;
+                } else if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+                    calls[event.index] = { id: event.content_block.id, name: event.content_block.name, arguments: '' };
+                } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta' && calls[event.index]) {
+                    calls[event.index].arguments += event.delta.partial_json;
+                } else if (event.type === 'message_start' && event.message.usage) {
+                    deltas.usage = { promptTokens: event.message.usage.input_tokens, completionTokens: event.message.usage.output_tokens || 0 };
+                } else if (event.type === 'message_delta' && event.usage && deltas.usage) {
+                    deltas.usage.completionTokens = event.usage.output_tokens;
+                } else if (event.type === 'message_stop') {
+                    break;
+                } else if (event.type === 'error') {
+                    throw new ProviderError(500, 'The response was interrupted. Please try again.');
+                }
+            }
+            // A call without arguments sends no input at all
+            deltas.toolCalls = calls.filter(Boolean).map(call => ({ ...call, arguments: call.arguments || '{}' }));
+        })();
+        deltas.usage = null;
+        deltas.toolCalls = [];
+        return deltas;
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,70 @@
+// Errors from an LLM backend, already mapped onto the status code and
+// message /api/chat returns to the browser. retryable says whether trying
+// again may work (rate limits, timeouts, the upstream being down) and
+// retryAfter is how many seconds the upstream asked us to wait, if it said.
+class ProviderError extends Error {
+    constructor(status, message, { retryable = false, retryAfter = null, ...options } = {}) {
+        super(message, options);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Helper function to read a Retry-After header (seconds, or an HTTP date) as seconds
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, Math.ceil(seconds));
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+// Map an HTTP error from a provider's API onto a ProviderError.
+// keyHint names the setting that holds the API key, for the 401 message.
+function toProviderError(error, { label, keyHint }) {
+    if (error instanceof ProviderError) {
+        return error;
+    }
+
+    const status = error.response?.status;
+    const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+    if (status === 401 || status === 403) {
+        return new ProviderError(401, `Invalid ${label} API key. Please check your ${keyHint} in the .env file.`, { cause: error });
+    }
+    if (status === 429 || status === 529) {
+        return new ProviderError(429, 'Rate limit exceeded. Please try again later.', { cause: error, retryable: true, retryAfter });
+    }
+    if (status === 400 || status === 404 || status === 413 || status === 422) {
+        return new ProviderError(400, `Invalid request to ${label} API. Please check your message.`, { cause: error });
+    }
+    if (status === 408) {
+        return new ProviderError(504, `${label} took too long to answer. Please try again.`, { cause: error, retryable: true });
+    }
+    if (!error.response && error.code === 'ECONNREFUSED') {
+        return new ProviderError(502, `Could not connect to ${label}. Is the server running?`, { cause: error, retryable: true });
+    }
+    if (!error.response && (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT')) {
+        return new ProviderError(504, `${label} took too long to answer. Please try again.`, { cause: error, retryable: true });
+    }
+    if (!error.response) {
+        return new ProviderError(502, `Could not reach ${label}. Please try again.`, { cause: error, retryable: true });
+    }
+    return new ProviderError(502, `${label} returned an error (HTTP ${status}). Please try again.`, {
+        cause: error,
+        // Server errors are often over by the next try; other statuses won't change
+        retryable: status >= 500,
+        retryAfter
+    });
+}
+
+module.exports = {
+    ProviderError,
+    parseRetryAfter,
+    toProviderError
+};
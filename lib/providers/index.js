@@ -0,0 +1,127 @@
+// LLM backends behind /api/chat. Every provider takes messages in OpenAI's
+// chat format (text and image_url content parts) and exposes:
+//
+//   isConfigured()            whether it has what it needs (e.g. an API key)
+//   supportsImages(model)     whether the model accepts image parts
+//   supportsTools(model)      whether the model can be given tools to call
+//   complete(request)         resolves to { text, usage }
+//   stream(request)           resolves to an async iterable of text deltas,
+//                             whose usage property is filled in once the
+//                             stream has been read to the end, along with
+//                             toolCalls if the model called any tools
+//
+// where request is { model, messages, maxTokens, temperature, signal } and
+// usage is { promptTokens, completionTokens } as reported by the API, or
+// null if it didn't say.
+//
+// stream() also takes tools ([{ name, description, parameters }], parameters
+// being a JSON schema) and toolChoice ('auto', or 'none' to make the model
+// answer in text). toolCalls is then [{ id, name, arguments }] with the
+// arguments as JSON text, or empty. The tool calls and results that follow
+// are sent back in OpenAI's format: assistant messages with tool_calls, and
+// { role: 'tool', tool_call_id, content } messages.
+//
+// Providers that can make images (for /api/images) also have:
+//
+//   supportsImageGeneration() whether it's used for images by default
+//   imageDefaults             { model, variationModel } for when the
+//                             operator doesn't choose
+//   getImageSizes(model)      the sizes the model makes, e.g. '1024x1024'
+//   generateImages(request)   resolves to [{ buffer, revisedPrompt }] for
+//                             { model, prompt, size, count, image, signal };
+//                             with image (a buffer) it makes variations of it
+//
+// Failures are thrown as ProviderError with the status /api/chat returns.
+// observeProvider() reports every call and how it ended, for /metrics, and
+// withResilience() (see resilience.js) adds timeouts, retries, fallback
+// models and a circuit breaker.
+
+const AnthropicProvider = require('./anthropic');
+const MockProvider = require('./mock');
+const OllamaProvider = require('./ollama');
+const OpenAIProvider = require('./openai');
+const { ProviderError } = require('./errors');
+const { withResilience } = require('./resilience');
+
+const PROVIDERS = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider,
+    mock: MockProvider
+};
+
+function createProvider({ name, baseUrl, apiKey }) {
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+        throw new Error(`Unknown LLM provider "${name}". Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+    }
+    return new Provider({ baseUrl, apiKey });
+}
+
+// The provider behind /api/images, or null when image generation is off.
+// Without IMAGE_PROVIDER the chat provider is used if it can make images.
+function createImageProvider({ provider: name, baseUrl, apiKey }, chatProvider) {
+    if (name === 'off') {
+        return null;
+    }
+    if (!name) {
+        return chatProvider.generateImages && chatProvider.supportsImageGeneration() ? chatProvider : null;
+    }
+
+    // Named explicitly, so it's used even where it isn't assumed to work
+    const imageProvider = name === chatProvider.name && !baseUrl && !apiKey
+        ? chatProvider
+        : createProvider({ name, baseUrl, apiKey });
+    if (!imageProvider.generateImages) {
+        throw new Error(`${imageProvider.label} can't generate images. Set IMAGE_PROVIDER to openai, mock or off.`);
+    }
+    return imageProvider;
+}
+
+// Helper function to read the status code an upstream call ended with
+function getUpstreamStatus(error) {
+    const response = (error.cause && error.cause.response) || error.response;
+    if (response && response.status) {
+        return String(response.status);
+    }
+    // e.g. the mock provider's errors, which have no HTTP response behind them
+    if (error instanceof ProviderError && !error.cause) {
+        return String(error.status);
+    }
+    return error.name === 'CanceledError' || error.name === 'AbortError' ? 'cancelled' : 'error';
+}
+
+// A provider whose calls are each reported to onCall({ operation, status,
+// seconds }), status being the HTTP status the upstream answered with, or
+// error if it couldn't be reached. Streams count from when they start.
+function observeProvider(provider, onCall) {
+    const observed = Object.create(provider);
+    ['complete', 'stream', 'generateImages'].forEach(operation => {
+        if (!provider[operation]) return;
+        observed[operation] = async (...args) => {
+            const started = process.hrtime.bigint();
+            const report = (status) => onCall({
+                operation: operation,
+                status: status,
+                seconds: Number(process.hrtime.bigint() - started) / 1e9
+            });
+            try {
+                const result = await provider[operation](...args);
+                report('200');
+                return result;
+            } catch (error) {
+                report(getUpstreamStatus(error));
+                throw error;
+            }
+        };
+    });
+    return observed;
+}
+
+module.exports = {
+    ProviderError,
+    createImageProvider,
+    createProvider,
+    observeProvider,
+    withResilience
+};
@@ -0,0 +1,34 @@
+const { StringDecoder } = require('string_decoder');
+
+// Helper to read a streaming HTTP body (axios responseType: 'stream') line by line.
+// One decoder for the whole stream keeps characters split across chunks whole.
+async function* readLines(stream) {
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            yield line.trim();
+        }
+    }
+    buffer += decoder.end();
+    if (buffer.trim()) {
+        yield buffer.trim();
+    }
+}
+
+// Helper to read the data payloads of a Server-Sent Events stream
+async function* readEventData(stream) {
+    for await (const line of readLines(stream)) {
+        if (line.startsWith('data:')) {
+            yield line.slice(5).trim();
+        }
+    }
+}
+
+module.exports = {
+    readEventData,
+    readLines
+};
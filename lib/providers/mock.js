@@ -0,0 +1,190 @@
+// Offline provider for development and tests. It answers without any
+// network access by describing what it received. Include "[mock:401]",
+// "[mock:429]", "[mock:400]" or "[mock:500]" in a message to get that error;
+// "[mock:500@MODEL]" fails only when asked for that model, to try fallbacks.
+// When given tools, "[mock:tool:NAME {json arguments}]" in a message calls
+// that tool, and "[mock:tool-loop]" keeps calling tools until it's told not to.
+// Images are gradients with colours picked from the prompt; variations are
+// the image with its colours shifted.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { ProviderError } = require('./errors');
+
+const TOOL_CALL_PATTERN = /\[mock:tool:([\w-]+)\s*(\{[^\]]*\})?\]/g;
+const ERROR_PATTERN = /\[mock:(\d{3})(?:@([\w.:-]+))?\]/;
+
+const MOCK_ERRORS = {
+    400: 'Invalid request to Mock API. Please check your message.',
+    401: 'Invalid Mock API key. Please check your LLM_API_KEY in the .env file.',
+    429: 'Rate limit exceeded. Please try again later.',
+    500: 'Mock returned an error (HTTP 500). Please try again.'
+};
+
+// Helper function to throw the error a message asks for, if any
+function throwRequestedError(text, model) {
+    const match = ERROR_PATTERN.exec(text);
+    if (!match || !MOCK_ERRORS[match[1]] || (match[2] && match[2] !== model)) {
+        return;
+    }
+    const status = Number(match[1]);
+    throw new ProviderError(status, MOCK_ERRORS[match[1]], {
+        retryable: status === 429 || status === 500,
+        retryAfter: status === 429 ? 1 : null
+    });
+}
+
+// Helper function to pull the text out of OpenAI-style content
+function getText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    return content
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+}
+
+class MockProvider {
+    constructor({ delayMs } = {}) {
+        this.name = 'mock';
+        this.label = 'Mock';
+        this.keyHint = 'LLM_API_KEY';
+        this.delayMs = delayMs ?? (parseInt(process.env.MOCK_DELAY_MS, 10) || 0);
+        this.defaultModels = ['mock-model', 'mock-vision-model'];
+        this.imageDefaults = { model: 'mock-image-model', variationModel: 'mock-image-model' };
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    supportsImages(model) {
+        return model.includes('vision');
+    }
+
+    supportsTools() {
+        return true;
+    }
+
+    supportsImageGeneration() {
+        return true;
+    }
+
+    getImageSizes() {
+        return ['256x256', '512x512', '1024x1024'];
+    }
+
+    buildReply({ model, messages }) {
+        const last = messages[messages.length - 1];
+        const text = getText(last.content);
+
+        throwRequestedError(text, model);
+
+        const imageCount = Array.isArray(last.content)
+            ? last.content.filter(part => part.type === 'image_url').length
+            : 0;
+        const turns = messages.filter(message => message.role !== 'system').length;
+
+        if (last.role === 'tool') {
+            return `Mock reply from ${model} using the tool result: "${text}".`;
+        }
+
+        let reply = `Mock reply from ${model} to: "${text}"`;
+        if (imageCount > 0) {
+            reply += ` (with ${imageCount} image${imageCount === 1 ? '' : 's'})`;
+        }
+        return `${reply}. This conversation has ${turns} message${turns === 1 ? '' : 's'} so far.`;
+    }
+
+    // The tools the last user message asks for, if tools may be called
+    planToolCalls({ messages, tools, toolChoice }) {
+        if (!tools || tools.length === 0 || toolChoice === 'none') {
+            return [];
+        }
+
+        const last = messages[messages.length - 1];
+        const question = [...messages].reverse().find(message => message.role === 'user');
+        const text = question ? getText(question.content) : '';
+        let calls = [];
+        if (text.includes('[mock:tool-loop]')) {
+            calls = [{ name: 'current_datetime', arguments: '{}' }];
+        } else if (last.role === 'user') {
+            calls = Array.from(text.matchAll(TOOL_CALL_PATTERN), match => ({ name: match[1], arguments: match[2] || '{}' }));
+        }
+        return calls.map(call => ({ id: `call_${crypto.randomUUID()}`, ...call }));
+    }
+
+    // Token counts in the shape real providers report: a word is one token
+    countUsage({ messages }, reply) {
+        const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+        return {
+            promptTokens: messages.reduce((total, message) => total + countWords(getText(message.content)), 0),
+            completionTokens: countWords(reply)
+        };
+    }
+
+    wait(signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+            if (signal?.aborted) {
+                return abort();
+            }
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, this.delayMs);
+            const onAbort = () => {
+                clearTimeout(timer);
+                abort();
+            };
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    async complete(request) {
+        await this.wait(request.signal);
+        const text = this.buildReply(request);
+        return { text, usage: this.countUsage(request, text) };
+    }
+
+    async stream(request) {
+        const toolCalls = this.planToolCalls(request);
+        const reply = toolCalls.length > 0 ? '' : this.buildReply(request);
+        const provider = this;
+
+        const deltas = (async function* () {
+            for (const word of reply.split(/(?<= )/).filter(Boolean)) {
+                await provider.wait(request.signal);
+                yield word;
+            }
+            deltas.usage = provider.countUsage(request, reply);
+            deltas.toolCalls = toolCalls;
+        })();
+        deltas.usage = null;
+        deltas.toolCalls = [];
+        return deltas;
+    }
+
+    async generateImages({ model, prompt, size, count, image, signal }) {
+        await this.wait(signal);
+
+        throwRequestedError(prompt, model);
+
+        const [width, height] = size.split('x').map(Number);
+        const hue = crypto.createHash('sha256').update(prompt).digest().readUInt16BE(0) % 360;
+        return Promise.all(Array.from({ length: count }, async (_, index) => {
+            const shift = hue + index * 47;
+            const pipeline = image
+                ? sharp(image).resize(width, height, { fit: 'cover' }).modulate({ hue: (index + 1) * 60 })
+                : sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+                    + '<defs><linearGradient id="g" x2="1" y2="1">'
+                    + `<stop offset="0" stop-color="hsl(${shift % 360}, 70%, 60%)"/>`
+                    + `<stop offset="1" stop-color="hsl(${(shift + 120) % 360}, 70%, 40%)"/>`
+                    + '</linearGradient></defs><rect width="100%" height="100%" fill="url(#g)"/></svg>'));
+            return { buffer: await pipeline.png().toBuffer(), revisedPrompt: null };
+        }));
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,149 @@
+// Local Ollama server (/api/chat). Images are sent as bare base64 strings
+// in each message's `images` array and the stream is newline-delimited JSON.
+// Ollama's tool calls have no ids and carry their arguments as objects.
+// For llama.cpp's server, use the openai provider with LLM_BASE_URL instead.
+
+const axios = require('axios');
+const crypto = require('crypto');
+const { ProviderError, toProviderError } = require('./errors');
+const { readLines } = require('./lines');
+
+const VISION_MODEL_PREFIXES = ['llava', 'bakllava', 'llama3.2-vision', 'moondream', 'gemma3', 'qwen2.5vl', 'minicpm-v'];
+
+// Models trained to call tools (see "tools" on ollama.com/search)
+const TOOL_MODEL_PREFIXES = ['llama3.1', 'llama3.2', 'llama3.3', 'llama4', 'qwen2.5', 'qwen3', 'mistral', 'mixtral', 'command-r', 'granite3', 'hermes3', 'firefunction'];
+
+// Helper function to read token counts from a final response or stream chunk
+function toUsage(data) {
+    if (data.prompt_eval_count === undefined && data.eval_count === undefined) {
+        return null;
+    }
+    return { promptTokens: data.prompt_eval_count || 0, completionTokens: data.eval_count || 0 };
+}
+
+// Helper function to read a tool call's arguments back into an object
+function parseArguments(text) {
+    try {
+        return JSON.parse(text || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+// Helper function to convert an OpenAI message to Ollama's format
+function toOllamaMessage(message) {
+    if (message.tool_calls) {
+        return {
+            role: message.role,
+            content: message.content || '',
+            tool_calls: message.tool_calls.map(call => ({ function: { name: call.function.name, arguments: parseArguments(call.function.arguments) } }))
+        };
+    }
+    if (typeof message.content === 'string') {
+        return { role: message.role, content: message.content };
+    }
+
+    const text = message.content
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('\n');
+    const images = message.content
+        .filter(part => part.type === 'image_url')
+        .map(part => part.image_url.url.replace(/^data:[^,]*,/, ''));
+
+    return { role: message.role, content: text, images: images };
+}
+
+class OllamaProvider {
+    constructor({ baseUrl }) {
+        this.name = 'ollama';
+        this.label = 'Ollama';
+        this.keyHint = 'LLM_API_KEY';
+        this.baseUrl = (baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+        this.defaultModels = ['llama3.2', 'llava'];
+    }
+
+    isConfigured() {
+        return true; // Local servers don't use API keys
+    }
+
+    supportsImages(model) {
+        return VISION_MODEL_PREFIXES.some(prefix => model.startsWith(prefix));
+    }
+
+    supportsTools(model) {
+        return TOOL_MODEL_PREFIXES.some(prefix => model.startsWith(prefix));
+    }
+
+    buildPayload({ model, messages, maxTokens, temperature, tools, toolChoice }, stream) {
+        const payload = {
+            model: model,
+            messages: messages.map(toOllamaMessage),
+            stream: stream,
+            options: {
+                temperature: temperature,
+                num_predict: maxTokens
+            }
+        };
+        // There's no tool_choice: leaving the tools out makes the model answer
+        if (tools && tools.length > 0 && toolChoice !== 'none') {
+            payload.tools = tools.map(({ name, description, parameters }) => ({
+                type: 'function',
+                function: { name, description, parameters }
+            }));
+        }
+        return payload;
+    }
+
+    async complete(request) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/api/chat`, this.buildPayload(request, false), { signal: request.signal });
+            return { text: response.data.message.content, usage: toUsage(response.data) };
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+    }
+
+    async stream(request) {
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}/api/chat`, this.buildPayload(request, true), {
+                signal: request.signal,
+                responseType: 'stream'
+            });
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+
+        const deltas = (async function* () {
+            for await (const line of readLines(response.data)) {
+                if (!line) continue;
+                const chunk = JSON.parse(line);
+                if (chunk.error) {
+                    throw new ProviderError(500, 'The response was interrupted. Please try again.');
+                }
+                (chunk.message?.tool_calls || []).forEach(call => {
+                    deltas.toolCalls.push({
+                        id: `call_${crypto.randomUUID()}`,
+                        name: call.function.name,
+                        arguments: JSON.stringify(call.function.arguments || {})
+                    });
+                });
+                if (chunk.message?.content) {
+                    yield chunk.message.content;
+                }
+                if (chunk.done) {
+                    deltas.usage = toUsage(chunk);
+                    return;
+                }
+            }
+        })();
+        deltas.usage = null;
+        deltas.toolCalls = [];
+        return deltas;
+    }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,200 @@
+// OpenAI, or any server with an OpenAI-compatible /chat/completions API
+// (Azure-style gateways, OpenRouter, vLLM, llama.cpp's server, ...).
+// Messages are already in OpenAI's format, so they're sent unchanged.
+// Images are made with the /images endpoints.
+
+const axios = require('axios');
+const sharp = require('sharp');
+const { toProviderError } = require('./errors');
+const { readEventData } = require('./lines');
+
+const VISION_MODEL_PREFIXES = ['gpt-4o', 'gpt-4-turbo', 'gpt-4.1'];
+
+// Sizes each image model makes; DALL·E 2 is also the only one that makes variations
+const IMAGE_SIZES = {
+    'dall-e-2': ['256x256', '512x512', '1024x1024'],
+    'dall-e-3': ['1024x1024', '1792x1024', '1024x1792'],
+    'gpt-image': ['1024x1024', '1536x1024', '1024x1536']
+};
+
+// Helper function to describe tools in the format of the tools parameter
+function toOpenAITools(tools) {
+    return tools.map(({ name, description, parameters }) => ({
+        type: 'function',
+        function: { name, description, parameters }
+    }));
+}
+
+// Helper function to read the images from an /images response
+function toImages(response) {
+    return response.data.data.map(item => ({
+        buffer: Buffer.from(item.b64_json, 'base64'),
+        revisedPrompt: item.revised_prompt || null
+    }));
+}
+
+// Helper function to read token counts from a response's usage field
+function toUsage(usage) {
+    if (!usage) {
+        return null;
+    }
+    return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens };
+}
+
+class OpenAIProvider {
+    constructor({ baseUrl, apiKey }) {
+        this.name = 'openai';
+        this.label = 'OpenAI';
+        this.keyHint = 'OPENAI_API_KEY';
+        this.baseUrl = (baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = apiKey || process.env.OPENAI_API_KEY || '';
+        // Self-hosted OpenAI-compatible servers usually don't need a key
+        this.requiresKey = !baseUrl;
+        this.defaultModels = ['gpt-3.5-turbo', 'gpt-4o-mini', 'gpt-4o'];
+        this.imageDefaults = { model: 'dall-e-3', variationModel: 'dall-e-2' };
+    }
+
+    isConfigured() {
+        return !this.requiresKey || !!this.apiKey;
+    }
+
+    supportsImages(model) {
+        return VISION_MODEL_PREFIXES.some(prefix => model.startsWith(prefix));
+    }
+
+    // Self-hosted servers often can't parse tool calls, so only OpenAI itself is assumed to
+    supportsTools() {
+        return this.requiresKey;
+    }
+
+    // As with tools, self-hosted servers rarely have the /images endpoints
+    supportsImageGeneration() {
+        return this.requiresKey;
+    }
+
+    getImageSizes(model) {
+        const family = Object.keys(IMAGE_SIZES).find(prefix => model.startsWith(prefix));
+        return IMAGE_SIZES[family || 'dall-e-3'];
+    }
+
+    requestConfig(signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return { headers, signal };
+    }
+
+    buildPayload({ model, messages, maxTokens, temperature, tools, toolChoice }) {
+        const payload = {
+            model: model,
+            messages: messages,
+            max_tokens: maxTokens,
+            temperature: temperature
+        };
+        if (tools && tools.length > 0) {
+            payload.tools = toOpenAITools(tools);
+            payload.tool_choice = toolChoice || 'auto';
+        }
+        return payload;
+    }
+
+    async complete(request) {
+        try {
+            const response = await axios.post(`${this.baseUrl}/chat/completions`, this.buildPayload(request), this.requestConfig(request.signal));
+            return { text: response.data.choices[0].message.content, usage: toUsage(response.data.usage) };
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+    }
+
+    async stream(request) {
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}/chat/completions`, {
+                ...this.buildPayload(request),
+                stream: true,
+                // Only OpenAI itself is sure to accept this; other servers may send usage anyway
+                ...(this.requiresKey ? { stream_options: { include_usage: true } } : {})
+            }, {
+                ...this.requestConfig(request.signal),
+                responseType: 'stream'
+            });
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+
+        // Tool calls arrive in pieces: the id and name first, then the arguments
+        const calls = [];
+        const deltas = (async function* () {
+            for await (const data of readEventData(response.data)) {
+                if (data === '[DONE]') break;
+                const chunk = JSON.parse(data);
+                if (chunk.usage) {
+                    deltas.usage = toUsage(chunk.usage);
+                }
+                (chunk.choices?.[0]?.delta?.tool_calls || []).forEach(part => {
+                    const call = calls[part.index] || (calls[part.index] = { id: '', name: '', arguments: '' });
+                    call.id = part.id || call.id;
+                    call.name += part.function?.name || '';
+                    call.arguments += part.function?.arguments || '';
+                });
+                const delta = chunk.choices?.[0]?.delta?.content;
+                if (delta) yield delta;
+            }
+            deltas.toolCalls = calls.filter(Boolean);
+        })();
+        deltas.usage = null;
+        deltas.toolCalls = [];
+        return deltas;
+    }
+
+    async generateImages({ model, prompt, size, count, image, signal }) {
+        try {
+            if (image) {
+                return await this.createVariations({ model, size, count, image, signal });
+            }
+
+            // DALL·E 3 makes one image per request; gpt-image models always answer in base64
+            const perRequest = model.startsWith('dall-e-3') ? 1 : count;
+            const payload = {
+                model: model,
+                prompt: prompt,
+                n: perRequest,
+                size: size,
+                ...(model.startsWith('dall-e') ? { response_format: 'b64_json' } : {})
+            };
+            const responses = await Promise.all(Array.from({ length: Math.ceil(count / perRequest) }, () => (
+                axios.post(`${this.baseUrl}/images/generations`, payload, this.requestConfig(signal))
+            )));
+            return responses.flatMap(toImages);
+        } catch (error) {
+            if (axios.isCancel(error)) throw error;
+            throw toProviderError(error, this);
+        }
+    }
+
+    // The variations endpoint takes a square PNG in one of DALL·E 2's sizes
+    async createVariations({ model, size, count, image, signal }) {
+        const sizes = this.getImageSizes(model);
+        const variationSize = sizes.includes(size) ? size : sizes[sizes.length - 1];
+        const [width, height] = variationSize.split('x').map(Number);
+        const square = await sharp(image).resize(width, height, { fit: 'cover' }).png().toBuffer();
+
+        const form = new FormData();
+        form.append('image', new Blob([square], { type: 'image/png' }), 'image.png');
+        form.append('model', model);
+        form.append('n', String(count));
+        form.append('size', variationSize);
+        form.append('response_format', 'b64_json');
+
+        const { headers } = this.requestConfig(signal);
+        delete headers['Content-Type'];
+        const response = await axios.post(`${this.baseUrl}/images/variations`, form, { headers, signal });
+        return toImages(response);
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,243 @@
+// Keeps calls to a provider going through upstream trouble:
+//
+//   - an attempt that gets no answer within timeoutMs (for streams, until they
+//     start) is given up on, and so is a stream that then sends nothing for
+//     idleTimeoutMs
+//   - errors worth another try (rate limits, timeouts, server and network
+//     errors) are retried up to `retries` times, waiting retryBaseDelayMs,
+//     then twice that and so on (with jitter, up to retryMaxDelayMs), or as
+//     long as the upstream's Retry-After asks if that isn't longer
+//   - when a model keeps failing, the models getFallbackModels(request)
+//     returns are tried in order; the model that answered is reported as
+//     result.model (complete) or the stream's model property
+//   - after breakerThreshold calls in a row fail (retries and fallbacks
+//     included) in a way that looks like the upstream being down, the circuit
+//     opens: calls fail at once for breakerCooldownMs, then a single trial
+//     call decides whether it closes
+//
+// Streams are only retried before their first delta; what has been sent to
+// the browser can't be taken back.
+
+const { ProviderError } = require('./errors');
+
+// Tells whether the upstream looks down, rather than busy or given a bad request
+function isOutage(error) {
+    return error instanceof ProviderError && error.retryable && error.status !== 429;
+}
+
+// Helper function to wait, unless the request is cancelled first
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(new DOMException('Aborted', 'AbortError'));
+        if (signal && signal.aborted) {
+            return abort();
+        }
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        const onAbort = () => {
+            clearTimeout(timer);
+            abort();
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// closed: calls go through. open: they fail at once. half-open: the cooldown
+// is over and one call is let through to see if the upstream is back.
+class CircuitBreaker {
+    constructor({ threshold, cooldownMs }) {
+        this.threshold = threshold;
+        this.cooldownMs = cooldownMs;
+        this.failures = 0;
+        this.openedAt = 0;
+        this.trying = false;
+    }
+
+    get state() {
+        if (!(this.threshold > 0) || this.failures < this.threshold) {
+            return 'closed';
+        }
+        return Date.now() - this.openedAt < this.cooldownMs ? 'open' : 'half-open';
+    }
+
+    // Whether a call may go ahead now
+    allow() {
+        const state = this.state;
+        if (state === 'half-open' && !this.trying) {
+            this.trying = true;
+            return true;
+        }
+        return state === 'closed';
+    }
+
+    // Seconds until the circuit lets a call through again
+    retryAfter() {
+        return Math.max(1, Math.ceil((this.openedAt + this.cooldownMs - Date.now()) / 1000));
+    }
+
+    success() {
+        this.failures = 0;
+        this.trying = false;
+    }
+
+    failure() {
+        this.failures += 1;
+        this.trying = false;
+        if (this.threshold > 0 && this.failures >= this.threshold) {
+            this.openedAt = Date.now();
+        }
+    }
+
+    // A call that proved nothing either way (e.g. the user cancelled it)
+    release() {
+        this.trying = false;
+    }
+}
+
+function withResilience(provider, {
+    timeoutMs,
+    idleTimeoutMs,
+    retries,
+    retryBaseDelayMs,
+    retryMaxDelayMs,
+    breakerThreshold,
+    breakerCooldownMs,
+    getFallbackModels = () => []
+}) {
+    const breaker = new CircuitBreaker({ threshold: breakerThreshold, cooldownMs: breakerCooldownMs });
+    const resilient = Object.create(provider);
+    resilient.breaker = breaker;
+
+    // Helper function to pick the wait before another try, or null if the
+    // upstream asked for a longer wait than we're willing to make
+    const getRetryDelay = (tries, retryAfter) => {
+        if (retryAfter !== null && retryAfter !== undefined) {
+            return retryAfter * 1000 <= retryMaxDelayMs ? retryAfter * 1000 : null;
+        }
+        const delay = Math.min(retryMaxDelayMs, retryBaseDelayMs * 2 ** tries);
+        return delay / 2 + Math.random() * delay / 2;
+    };
+
+    // Cuts a stream off if nothing arrives from it for idleTimeoutMs. The
+    // wrapper inherits from the stream, so usage and toolCalls still show.
+    const watchStream = (deltas, controller) => {
+        const watched = Object.create(deltas);
+        watched[Symbol.asyncIterator] = () => {
+            const iterator = deltas[Symbol.asyncIterator]();
+            return {
+                next: async () => {
+                    let timer;
+                    const idle = new Promise((resolve, reject) => {
+                        timer = setTimeout(() => {
+                            controller.abort();
+                            breaker.failure();
+                            reject(new ProviderError(504, `${provider.label} stopped responding. Please try again.`, { retryable: true }));
+                        }, idleTimeoutMs);
+                    });
+                    try {
+                        return await Promise.race([iterator.next(), idle]);
+                    } finally {
+                        clearTimeout(timer);
+                    }
+                },
+                return: (value) => iterator.return(value)
+            };
+        };
+        return watched;
+    };
+
+    // One try, given up on if the upstream doesn't answer within timeoutMs
+    const attempt = async (operation, request) => {
+        const controller = new AbortController();
+        const signal = request.signal ? AbortSignal.any([request.signal, controller.signal]) : controller.signal;
+        let timedOut = false;
+        const timer = timeoutMs > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs)
+            : null;
+        try {
+            const result = await provider[operation]({ ...request, signal: signal });
+            return operation === 'stream' && idleTimeoutMs > 0 ? watchStream(result, controller) : result;
+        } catch (error) {
+            if (timedOut) {
+                throw new ProviderError(504, `${provider.label} took too long to answer. Please try again.`, { cause: error, retryable: true });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    // Tries the model, then the fallbacks, retrying each while that may help
+    const tryModels = async (operation, request) => {
+        const models = [request.model, ...getFallbackModels(request).filter(model => model !== request.model)];
+        let lastError;
+        for (const model of models) {
+            for (let tries = 0; ; tries++) {
+                try {
+                    return { result: await attempt(operation, { ...request, model: model }), model: model };
+                } catch (error) {
+                    if ((request.signal && request.signal.aborted) || !(error instanceof ProviderError) || !error.retryable) {
+                        throw error;
+                    }
+                    lastError = error;
+                    const delay = tries < retries ? getRetryDelay(tries, error.retryAfter) : null;
+                    if (delay === null) {
+                        break;
+                    }
+                    await sleep(delay, request.signal);
+                }
+            }
+        }
+        throw lastError;
+    };
+
+    // One call as the caller sees it, counted by the circuit breaker
+    const call = async (operation, request) => {
+        if (!breaker.allow()) {
+            const retryAfter = breaker.retryAfter();
+            throw new ProviderError(503, `${provider.label} is not responding. Please try again in ${retryAfter} seconds.`, { retryable: true, retryAfter });
+        }
+        try {
+            const answer = await tryModels(operation, request);
+            breaker.success();
+            return answer;
+        } catch (error) {
+            if (request.signal && request.signal.aborted) {
+                breaker.release();
+            } else if (isOutage(error)) {
+                breaker.failure();
+            } else {
+                // e.g. a bad request: the upstream answered, so it isn't down
+                breaker.success();
+            }
+            throw error;
+        }
+    };
+
+    resilient.complete = async (request) => {
+        const { result, model } = await call('complete', request);
+        return { ...result, model: model };
+    };
+
+    resilient.stream = async (request) => {
+        const { result, model } = await call('stream', request);
+        result.model = model;
+        return result;
+    };
+
+    if (provider.generateImages) {
+        resilient.generateImages = async (request) => (await call('generateImages', request)).result;
+    }
+
+    return resilient;
+}
+
+module.exports = {
+    CircuitBreaker,
+    withResilience
+};
@@ -0,0 +1,68 @@
+// Per-user daily request and token quotas. Counters are kept in memory and
+// reset at midnight UTC; a limit of 0 means unlimited.
+
+// Helper function to get today's date as YYYY-MM-DD (UTC)
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+class QuotaTracker {
+    constructor({ dailyRequests, dailyTokens }) {
+        this.defaults = { dailyRequests, dailyTokens };
+        this.usage = new Map();
+        this.day = today();
+    }
+
+    // Counters for a user, starting fresh on a new day
+    getUsage(userId) {
+        const day = today();
+        if (day !== this.day) {
+            this.usage.clear();
+            this.day = day;
+        }
+
+        if (!this.usage.has(userId)) {
+            this.usage.set(userId, { requests: 0, tokens: 0 });
+        }
+        return this.usage.get(userId);
+    }
+
+    getLimits(overrides = {}) {
+        return {
+            dailyRequests: overrides.dailyRequests ?? this.defaults.dailyRequests,
+            dailyTokens: overrides.dailyTokens ?? this.defaults.dailyTokens
+        };
+    }
+
+    // Returns an error message if the user is out of quota, otherwise null
+    check(userId, overrides) {
+        const usage = this.getUsage(userId);
+        const limits = this.getLimits(overrides);
+
+        if (limits.dailyRequests > 0 && usage.requests >= limits.dailyRequests) {
+            return `You've reached your daily limit of ${limits.dailyRequests} messages. Please try again tomorrow.`;
+        }
+        if (limits.dailyTokens > 0 && usage.tokens >= limits.dailyTokens) {
+            return `You've reached your daily limit of ${limits.dailyTokens} tokens. Please try again tomorrow.`;
+        }
+        return null;
+    }
+
+    recordRequest(userId) {
+        this.getUsage(userId).requests += 1;
+    }
+
+    recordTokens(userId, tokens) {
+        this.getUsage(userId).tokens += tokens;
+    }
+
+    // Usage and limits for the session endpoint
+    summary(userId, overrides) {
+        const usage = this.getUsage(userId);
+        return { ...usage, limits: this.getLimits(overrides) };
+    }
+}
+
+module.exports = {
+    QuotaTracker
+};
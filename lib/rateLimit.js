@@ -0,0 +1,178 @@
+// Token-bucket rate limiting for the API, plus a cap on concurrent upstream
+// requests. Buckets live in a store with these async methods:
+//
+//   take(key, { capacity, refillPerSecond, cost }) -> { allowed, retryAfter }
+//   ping() -> resolves if the store can be reached (for /api/health)
+//
+// MemoryStore works for a single instance. RedisStore shares buckets between
+// instances and takes any client with ioredis' eval(script, numKeys, ...args).
+
+const { logger } = require('./logger');
+
+// How often the memory store drops buckets that have refilled. Pruning walks
+// every bucket, so it runs on a timer rather than as part of a request.
+const MEMORY_STORE_PRUNE_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+    constructor({ pruneIntervalMs = MEMORY_STORE_PRUNE_INTERVAL_MS } = {}) {
+        this.buckets = new Map();
+        // unref() so the timer never keeps the process alive on its own
+        this.pruneTimer = setInterval(() => this.prune(Date.now() / 1000), pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    async take(key, { capacity, refillPerSecond, cost = 1 }) {
+        const now = Date.now() / 1000;
+        const bucket = this.buckets.get(key) || { tokens: capacity, updated: now };
+        // Limiters with different settings share the store, so each bucket
+        // keeps its own for prune()
+        bucket.capacity = capacity;
+        bucket.refillPerSecond = refillPerSecond;
+
+        bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updated) * refillPerSecond);
+        bucket.updated = now;
+
+        const allowed = bucket.tokens >= cost;
+        if (allowed) {
+            bucket.tokens -= cost;
+        }
+        this.buckets.set(key, bucket);
+
+        return {
+            allowed,
+            retryAfter: allowed ? 0 : Math.ceil((cost - bucket.tokens) / refillPerSecond)
+        };
+    }
+
+    async ping() {
+        // Always here
+    }
+
+    // Forget buckets that would have refilled completely by now
+    prune(now) {
+        for (const [key, bucket] of this.buckets) {
+            if (bucket.tokens + (now - bucket.updated) * bucket.refillPerSecond >= bucket.capacity) {
+                this.buckets.delete(key);
+            }
+        }
+    }
+}
+
+// Refill and take in one atomic step; returns { allowed, tokens }
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = tonumber(data[1]) or capacity
+local updated = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + (now - updated) * rate)
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', tostring(now))
+redis.call('EXPIRE', KEYS[1], math.ceil(capacity / rate) + 1)
+return { allowed, tostring(tokens) }
+`;
+
+class RedisStore {
+    constructor(client, { prefix = 'unblockedgpt:ratelimit:' } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async take(key, { capacity, refillPerSecond, cost = 1 }) {
+        const [allowed, tokens] = await this.client.eval(
+            TOKEN_BUCKET_SCRIPT, 1, this.prefix + key,
+            capacity, refillPerSecond, Date.now() / 1000, cost
+        );
+        return {
+            allowed: allowed === 1,
+            retryAfter: allowed === 1 ? 0 : Math.ceil((cost - parseFloat(tokens)) / refillPerSecond)
+        };
+    }
+
+    async ping() {
+        await this.client.ping();
+    }
+}
+
+// Use Redis when RATE_LIMIT_REDIS_URL is set (needs the ioredis package)
+function createStore(redisUrl) {
+    if (!redisUrl) {
+        return new MemoryStore();
+    }
+
+    let Redis;
+    try {
+        Redis = require('ioredis');
+    } catch (error) {
+        throw new Error('RATE_LIMIT_REDIS_URL is set but the ioredis package is not installed. Run: npm install ioredis');
+    }
+    return new RedisStore(new Redis(redisUrl));
+}
+
+// Express middleware limiting requests per key (IP address, user, ...).
+// A limit with no capacity or rate is turned off.
+function rateLimit({ store, name, capacity, perMinute, keyFor }) {
+    const refillPerSecond = perMinute / 60;
+
+    return async (req, res, next) => {
+        if (!capacity || !perMinute) {
+            return next();
+        }
+
+        try {
+            const { allowed, retryAfter } = await store.take(`${name}:${keyFor(req)}`, { capacity, refillPerSecond });
+            if (allowed) {
+                return next();
+            }
+
+            res.set('Retry-After', String(retryAfter));
+            res.status(429).json({
+                error: `Too many requests. Please wait ${retryAfter} seconds and try again.`,
+                retryable: true,
+                retryAfter: retryAfter
+            });
+        } catch (error) {
+            // Don't lock everyone out because the store is unreachable
+            (req.log || logger).error('Rate limit store error', { error });
+            next();
+        }
+    };
+}
+
+// Caps how many upstream LLM requests run at once on this instance
+class ConcurrencyLimiter {
+    constructor(max) {
+        this.max = max;
+        this.active = 0;
+    }
+
+    // Returns a release function, or null if every slot is taken
+    tryAcquire() {
+        if (this.max > 0 && this.active >= this.max) {
+            return null;
+        }
+
+        this.active += 1;
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.active -= 1;
+            }
+        };
+    }
+}
+
+module.exports = {
+    ConcurrencyLimiter,
+    MemoryStore,
+    RedisStore,
+    createStore,
+    rateLimit
+};
@@ -0,0 +1,54 @@
+// Gives every request an ID, sent back in the X-Request-Id header so a
+// failure a user reports can be found in the logs, and writes one log line
+// for each request when it ends. req.log adds the ID to anything a route
+// logs, and fields a route puts in res.locals.logFields (e.g. the model)
+// go on the request's line. Requests are also counted for /metrics.
+
+const crypto = require('crypto');
+
+// IDs from a proxy in front of us are kept if they look like IDs
+const INCOMING_ID = /^[\w.:-]{1,128}$/;
+
+function requestLogger({ logger, metrics }) {
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        req.id = incoming && INCOMING_ID.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = logger.child({ requestId: req.id });
+        res.set('X-Request-Id', req.id);
+        res.locals.logFields = {};
+
+        const started = process.hrtime.bigint();
+        let logged = false;
+        const logRequest = () => {
+            if (logged) return;
+            logged = true;
+
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            // Labelled by route rather than path, so there are few of them.
+            // Requests no route answered were static files or not found.
+            const route = req.route ? req.baseUrl + req.route.path : (res.statusCode === 404 ? 'not_found' : 'static');
+            metrics.httpRequests.inc({ method: req.method, route: route, status: String(res.statusCode) });
+            metrics.httpDuration.observe({ method: req.method, route: route }, seconds);
+
+            const level = res.statusCode >= 500 ? 'error' : (req.route ? 'info' : 'debug');
+            req.log[level]('request', {
+                method: req.method,
+                path: req.path,
+                route: route,
+                status: res.statusCode,
+                durationMs: Math.round(seconds * 1000),
+                userId: req.user ? req.user.id : undefined,
+                // The client went away before the response was finished
+                aborted: res.writableFinished ? undefined : true,
+                ...res.locals.logFields
+            });
+        };
+        res.on('finish', logRequest);
+        res.on('close', logRequest);
+        next();
+    };
+}
+
+module.exports = {
+    requestLogger
+};
@@ -0,0 +1,254 @@
+// Read-only snapshots of chats, shared by link. Each share gets a random,
+// unguessable id and a folder under SHARES_DIR holding share.json (the title
+// and messages) and its images, which are checked and re-encoded with
+// lib/images.js so they're served with their real content type. Shares
+// expire (after SHARE_EXPIRY_DAYS by default) and their owner can revoke them.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ImageError, normalizeImage } = require('./images');
+const { logger } = require('./logger');
+
+// 16 random bytes as base64url
+const SHARE_ID_PATTERN = /^[\w-]{22}$/;
+
+// Limits on what a snapshot may hold
+const MAX_TITLE_LENGTH = 200;
+const MAX_MESSAGES = 500;
+const MAX_IMAGES = 40;
+
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ShareError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ShareError';
+        this.status = status;
+    }
+}
+
+class ShareStore {
+    constructor({ dir, expiryDays, maxExpiryDays }, imageOptions) {
+        this.dir = path.resolve(dir);
+        this.expiryDays = expiryDays;
+        this.maxExpiryDays = maxExpiryDays;
+        this.imageOptions = imageOptions;
+        // shareId -> { id, ownerId, title, createdAt, expiresAt }
+        this.index = new Map();
+
+        this.load();
+    }
+
+    // Read the details of every share into the index, dropping expired ones
+    load() {
+        let ids;
+        try {
+            ids = fs.readdirSync(this.dir);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not read shares', { dir: this.dir, error });
+            }
+            return;
+        }
+
+        ids.filter(id => SHARE_ID_PATTERN.test(id)).forEach(id => {
+            try {
+                const share = JSON.parse(fs.readFileSync(path.join(this.dir, id, 'share.json'), 'utf8'));
+                this.index.set(id, this.toSummary(share));
+            } catch (error) {
+                logger.warn('Skipping unreadable share', { shareId: id, error });
+            }
+        });
+        this.purgeExpired();
+    }
+
+    toSummary(share) {
+        return {
+            id: share.id,
+            ownerId: share.ownerId,
+            title: share.title,
+            createdAt: share.createdAt,
+            expiresAt: share.expiresAt
+        };
+    }
+
+    isExpired(summary) {
+        return !!summary.expiresAt && new Date(summary.expiresAt).getTime() <= Date.now();
+    }
+
+    purgeExpired() {
+        this.index.forEach(summary => {
+            if (this.isExpired(summary)) {
+                this.remove(summary.id).catch(error => logger.error('Could not delete expired share', { shareId: summary.id, error }));
+            }
+        });
+    }
+
+    // ==================== SHARING ====================
+
+    // Store a snapshot sent by ownerId:
+    //   { title, expiresInDays, messages: [{ sender, text, partial, files: [{ name, size }], images: [{ name, dataUrl }] }] }
+    // Returns the share's summary. Throws ShareError if the snapshot can't be used.
+    async create(ownerId, snapshot) {
+        if (!snapshot || typeof snapshot !== 'object' || !Array.isArray(snapshot.messages)) {
+            throw new ShareError('Send the chat to share as { title, messages }.');
+        }
+        if (snapshot.messages.length === 0) {
+            throw new ShareError('There are no messages to share yet.');
+        }
+        if (snapshot.messages.length > MAX_MESSAGES) {
+            throw new ShareError(`Only chats of up to ${MAX_MESSAGES} messages can be shared.`);
+        }
+        const imageCount = snapshot.messages.reduce((count, message) => count + (Array.isArray(message && message.images) ? message.images.length : 0), 0);
+        if (imageCount > MAX_IMAGES) {
+            throw new ShareError(`Only chats with up to ${MAX_IMAGES} images can be shared.`);
+        }
+
+        this.purgeExpired();
+        const id = crypto.randomBytes(16).toString('base64url');
+        const shareDir = path.join(this.dir, id);
+        const images = [];
+
+        const messages = [];
+        for (const message of snapshot.messages) {
+            if (!message || typeof message !== 'object') continue;
+
+            const messageImages = [];
+            for (const image of Array.isArray(message.images) ? message.images : []) {
+                const match = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec((image && image.dataUrl) || '');
+                if (!match) continue;
+
+                const name = typeof image.name === 'string' ? image.name : 'image';
+                try {
+                    const result = await normalizeImage(Buffer.from(match[1], 'base64'), name, this.imageOptions);
+                    const file = `${images.length + 1}.${IMAGE_EXTENSIONS[result.mimeType]}`;
+                    images.push({ file, buffer: result.buffer });
+                    messageImages.push({ file: file, name: result.name, type: result.mimeType });
+                } catch (error) {
+                    if (error instanceof ImageError) {
+                        throw new ShareError(error.message);
+                    }
+                    throw error;
+                }
+            }
+
+            messages.push({
+                sender: message.sender === 'assistant' ? 'assistant' : 'user',
+                text: typeof message.text === 'string' ? message.text : '',
+                partial: message.partial === true,
+                images: messageImages,
+                files: (Array.isArray(message.files) ? message.files : [])
+                    .filter(file => file && typeof file.name === 'string')
+                    .map(file => ({ name: file.name, size: Number(file.size) || 0 }))
+            });
+        }
+
+        const createdAt = new Date();
+        const days = this.getExpiryDays(snapshot.expiresInDays);
+        const share = {
+            id: id,
+            ownerId: ownerId,
+            title: (typeof snapshot.title === 'string' && snapshot.title.trim() ? snapshot.title.trim() : 'Shared chat').slice(0, MAX_TITLE_LENGTH),
+            createdAt: createdAt.toISOString(),
+            expiresAt: days > 0 ? new Date(createdAt.getTime() + days * DAY_MS).toISOString() : null,
+            messages: messages
+        };
+
+        await fs.promises.mkdir(path.join(shareDir, 'images'), { recursive: true });
+        for (const image of images) {
+            await fs.promises.writeFile(path.join(shareDir, 'images', image.file), image.buffer);
+        }
+        await fs.promises.writeFile(path.join(shareDir, 'share.json'), JSON.stringify(share));
+
+        const summary = this.toSummary(share);
+        this.index.set(id, summary);
+        return summary;
+    }
+
+    // Days until a new share expires: the requested number, if any, capped
+    // at maxExpiryDays. 0 means never, which needs maxExpiryDays of 0.
+    getExpiryDays(requested) {
+        let days = Number.isInteger(requested) && requested >= 0 ? requested : this.expiryDays;
+        if (this.maxExpiryDays > 0 && (days === 0 || days > this.maxExpiryDays)) {
+            days = this.maxExpiryDays;
+        }
+        return days;
+    }
+
+    // A share that exists and hasn't expired, or null
+    getSummary(shareId) {
+        const summary = SHARE_ID_PATTERN.test(shareId || '') ? this.index.get(shareId) : null;
+        if (!summary) {
+            return null;
+        }
+        if (this.isExpired(summary)) {
+            this.remove(shareId).catch(error => logger.error('Could not delete expired share', { shareId, error }));
+            return null;
+        }
+        return summary;
+    }
+
+    // The snapshot for the read-only page, or null
+    async get(shareId) {
+        if (!this.getSummary(shareId)) {
+            return null;
+        }
+
+        const share = JSON.parse(await fs.promises.readFile(path.join(this.dir, shareId, 'share.json'), 'utf8'));
+        delete share.ownerId;
+        return share;
+    }
+
+    // An image from a share as { buffer, type }, or null
+    async getImage(shareId, file) {
+        const extension = /^\d+\.(\w+)$/.exec(file || '');
+        const type = extension && Object.keys(IMAGE_EXTENSIONS).find(mimeType => IMAGE_EXTENSIONS[mimeType] === extension[1]);
+        if (!type || !this.getSummary(shareId)) {
+            return null;
+        }
+
+        try {
+            return { buffer: await fs.promises.readFile(path.join(this.dir, shareId, 'images', file)), type: type };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    // The user's shares that haven't expired, newest first
+    list(ownerId) {
+        return Array.from(this.index.values())
+            .filter(summary => summary.ownerId === ownerId && !this.isExpired(summary))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Revoke one of ownerId's shares. Returns false if they have no such share.
+    async revoke(ownerId, shareId) {
+        const summary = this.index.get(shareId);
+        if (!summary || summary.ownerId !== ownerId) {
+            return false;
+        }
+        await this.remove(shareId);
+        return true;
+    }
+
+    async remove(shareId) {
+        this.index.delete(shareId);
+        await fs.promises.rm(path.join(this.dir, shareId), { recursive: true, force: true });
+    }
+}
+
+module.exports = {
+    ShareError,
+    ShareStore
+};
@@ -0,0 +1,58 @@
+// Relays a streaming completion to the browser as Server-Sent Events.
+// Each event is a JSON object: { delta } for new text, { done: true } at the
+// end, or { error, retryable } if the upstream stream fails part way through.
+// Anything the stream yields other than text (e.g. tool calls) is sent as it
+// is. An optional first event carries extra data about the request (e.g. the text
+// read from attached documents), and finish(text) can add fields to the
+// done event (e.g. token usage). Failures go to log, the request's logger.
+
+const { logger } = require('./logger');
+
+// Helper function to write a single SSE event
+function sendEvent(res, data) {
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper function to start an SSE response
+function openEventStream(res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+}
+
+// Relay text deltas from a provider stream to res. Resolves with the text
+// sent so far once the stream has finished, failed or been aborted.
+async function relayCompletionStream(deltas, res, signal, { firstEvent = null, finish = null, log = logger } = {}) {
+    openEventStream(res);
+    if (firstEvent) {
+        sendEvent(res, firstEvent);
+    }
+
+    let text = '';
+    try {
+        for await (const delta of deltas) {
+            if (typeof delta !== 'string') {
+                sendEvent(res, delta);
+                continue;
+            }
+            text += delta;
+            sendEvent(res, { delta });
+        }
+        sendEvent(res, { done: true, ...(finish ? finish(text) : {}) });
+    } catch (error) {
+        if (signal.aborted) {
+            return text; // The client stopped the response
+        }
+        log.error('Error while streaming completion', { error });
+        sendEvent(res, { error: 'The response was interrupted. Please try again.', retryable: true });
+    }
+    res.end();
+    return text;
+}
+
+module.exports = {
+    relayCompletionStream
+};
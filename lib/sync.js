@@ -0,0 +1,327 @@
+// Server copies of each signed-in user's chats, so history follows them from
+// one device to another. Chats live in a store with these async methods:
+//
+//   list(userId, since) -> records changed after since (ms), oldest first
+//   get(userId, chatId) -> record or null
+//   put(userId, chatId, chat) -> record
+//   merge(userId, chatId, chat) -> record (chat combined with the stored copy
+//     by mergeChat, read and written in one step so saves from two devices at
+//     once can't overwrite each other)
+//   remove(userId, chatId) -> record (a tombstone, so other devices learn of the delete)
+//   ping() -> resolves if the store can be used (for /api/health)
+//
+// A record is { id, chat, updatedAt, deleted }. updatedAt is the server's
+// clock in ms and always goes up, so a client that remembers the last one it
+// saw gets every later change with list(). JsonFileStore keeps everything in
+// one file and suits a single small instance; SqliteStore uses Node's
+// built-in node:sqlite module.
+
+const fs = require('fs');
+const path = require('path');
+
+// Longest chat id we accept
+const MAX_CHAT_ID_LENGTH = 100;
+
+class SyncError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SyncError';
+        this.status = status;
+    }
+}
+
+// Helper function to get a change time later than the last one handed out
+function nextStamp(last) {
+    return Math.max(Date.now(), last + 1);
+}
+
+class JsonFileStore {
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+        // userId -> Map of chatId -> record
+        this.users = new Map();
+        this.lastStamp = 0;
+        this.writing = Promise.resolve();
+
+        let data = {};
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Could not read chat store ${this.filePath}: ${error.message}`);
+            }
+        }
+        Object.entries(data.users || {}).forEach(([userId, records]) => {
+            this.users.set(userId, new Map(Object.entries(records)));
+            Object.values(records).forEach(record => {
+                this.lastStamp = Math.max(this.lastStamp, record.updatedAt);
+            });
+        });
+    }
+
+    async list(userId, since) {
+        return Array.from((this.users.get(userId) || new Map()).values())
+            .filter(record => record.updatedAt > since)
+            .sort((a, b) => a.updatedAt - b.updatedAt);
+    }
+
+    async get(userId, chatId) {
+        const records = this.users.get(userId);
+        return (records && records.get(chatId)) || null;
+    }
+
+    async put(userId, chatId, chat) {
+        return this.write(userId, { id: chatId, chat: chat, deleted: false });
+    }
+
+    // Nothing waits between reading the stored copy and replacing it (write()
+    // only waits to save the file), so merges can't interleave
+    async merge(userId, chatId, chat) {
+        const records = this.users.get(userId);
+        const stored = records && records.get(chatId);
+        return this.write(userId, { id: chatId, chat: mergeChat(stored && !stored.deleted ? stored.chat : null, chat), deleted: false });
+    }
+
+    async remove(userId, chatId) {
+        return this.write(userId, { id: chatId, chat: null, deleted: true });
+    }
+
+    async write(userId, record) {
+        this.lastStamp = nextStamp(this.lastStamp);
+        record.updatedAt = this.lastStamp;
+        if (!this.users.has(userId)) {
+            this.users.set(userId, new Map());
+        }
+        this.users.get(userId).set(record.id, record);
+
+        await this.save();
+        return record;
+    }
+
+    // Usable unless the last save failed (e.g. the disk is full)
+    async ping() {
+        await this.writing;
+    }
+
+    // Write the whole file, one write at a time, through a temporary file so
+    // a crash never leaves it half written
+    save() {
+        const users = Object.fromEntries(Array.from(this.users, ([userId, records]) => [userId, Object.fromEntries(records)]));
+        const content = JSON.stringify({ users: users });
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(`${this.filePath}.tmp`, content);
+            await fs.promises.rename(`${this.filePath}.tmp`, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+class SqliteStore {
+    constructor(filePath, DatabaseSync) {
+        fs.mkdirSync(path.dirname(path.resolve(filePath)), { recursive: true });
+        this.db = new DatabaseSync(path.resolve(filePath));
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS chats (
+                user_id TEXT NOT NULL,
+                chat_id TEXT NOT NULL,
+                data TEXT,
+                updated_at INTEGER NOT NULL,
+                deleted INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (user_id, chat_id)
+            );
+            CREATE INDEX IF NOT EXISTS chats_by_change ON chats (user_id, updated_at);
+        `);
+
+        this.statements = {
+            list: this.db.prepare('SELECT chat_id, data, updated_at, deleted FROM chats WHERE user_id = ? AND updated_at > ? ORDER BY updated_at'),
+            get: this.db.prepare('SELECT chat_id, data, updated_at, deleted FROM chats WHERE user_id = ? AND chat_id = ?'),
+            write: this.db.prepare(`
+                INSERT INTO chats (user_id, chat_id, data, updated_at, deleted) VALUES (?, ?, ?, ?, ?)
+                ON CONFLICT (user_id, chat_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at, deleted = excluded.deleted
+            `)
+        };
+        this.lastStamp = this.db.prepare('SELECT MAX(updated_at) AS last FROM chats').get().last || 0;
+    }
+
+    toRecord(row) {
+        return {
+            id: row.chat_id,
+            chat: row.data ? JSON.parse(row.data) : null,
+            updatedAt: Number(row.updated_at),
+            deleted: row.deleted === 1
+        };
+    }
+
+    async list(userId, since) {
+        return this.statements.list.all(userId, since).map(row => this.toRecord(row));
+    }
+
+    async get(userId, chatId) {
+        const row = this.statements.get.get(userId, chatId);
+        return row ? this.toRecord(row) : null;
+    }
+
+    async put(userId, chatId, chat) {
+        return this.write(userId, { id: chatId, chat: chat, deleted: false });
+    }
+
+    // In one transaction, so another process using the same file can't write
+    // the chat in between
+    async merge(userId, chatId, chat) {
+        this.db.exec('BEGIN IMMEDIATE');
+        try {
+            const row = this.statements.get.get(userId, chatId);
+            const stored = row ? this.toRecord(row) : null;
+            const record = this.write(userId, { id: chatId, chat: mergeChat(stored && !stored.deleted ? stored.chat : null, chat), deleted: false });
+            this.db.exec('COMMIT');
+            return record;
+        } catch (error) {
+            this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async remove(userId, chatId) {
+        return this.write(userId, { id: chatId, chat: null, deleted: true });
+    }
+
+    async ping() {
+        this.db.prepare('SELECT 1').get();
+    }
+
+    write(userId, record) {
+        this.lastStamp = nextStamp(this.lastStamp);
+        record.updatedAt = this.lastStamp;
+        this.statements.write.run(userId, record.id, record.chat ? JSON.stringify(record.chat) : null, record.updatedAt, record.deleted ? 1 : 0);
+        return record;
+    }
+}
+
+// The store named by CHAT_STORE: json (the default), sqlite, or off (null)
+function createChatStore({ store, file }) {
+    if (store === 'off' || store === 'none') {
+        return null;
+    }
+    if (store === 'json') {
+        return new JsonFileStore(file);
+    }
+    if (store === 'sqlite') {
+        let DatabaseSync;
+        try {
+            ({ DatabaseSync } = require('node:sqlite'));
+        } catch (error) {
+            throw new Error('CHAT_STORE is sqlite but this Node.js has no node:sqlite module. Use Node.js 22.5 or later (with --experimental-sqlite before 22.13), or CHAT_STORE=json.');
+        }
+        return new SqliteStore(file, DatabaseSync);
+    }
+    throw new Error(`Unknown CHAT_STORE "${store}". Use json, sqlite or off.`);
+}
+
+// ==================== CHATS ====================
+
+// Helper function to keep only what describes an attachment. The files and
+// images themselves stay in the browser they were added in (other devices
+// show them as such); the text read from documents is part of the message.
+function toAttachmentRefs(items) {
+    return (Array.isArray(items) ? items : [])
+        .filter(item => item && typeof item === 'object')
+        .map(({ id, name, type, size }) => ({ id, name, type, size }));
+}
+
+// Check a chat sent by a client and drop anything that isn't chat data.
+// Throws SyncError if it can't be stored.
+function parseChat(body, chatId) {
+    if (typeof chatId !== 'string' || !chatId || chatId.length > MAX_CHAT_ID_LENGTH) {
+        throw new SyncError('Invalid chat id.');
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new SyncError('Send the chat as a JSON object.');
+    }
+    if (body.id !== chatId) {
+        throw new SyncError('The chat id does not match the URL.');
+    }
+    if (!Array.isArray(body.messages) || body.messages.some(message => !message || typeof message !== 'object' || typeof message.id !== 'string')) {
+        throw new SyncError('Every message needs an id.');
+    }
+    const tombstones = body.deletedMessages;
+    if (tombstones !== undefined && (!tombstones || typeof tombstones !== 'object' || Array.isArray(tombstones)
+        || Object.values(tombstones).some(time => typeof time !== 'string'))) {
+        throw new SyncError('deletedMessages must map message ids to when they were deleted.');
+    }
+
+    return {
+        ...body,
+        messages: body.messages.map(message => ({
+            ...message,
+            images: toAttachmentRefs(message.images),
+            files: toAttachmentRefs(message.files)
+        }))
+    };
+}
+
+// Helper function to get when a message last changed
+function messageTime(message) {
+    return message.updatedAt || message.timestamp || '';
+}
+
+// Helper function to combine two chats' tombstones (message id -> when it
+// was deleted), keeping the later time for an id in both
+function mergeTombstones(a, b) {
+    const merged = { ...a };
+    Object.entries(b || {}).forEach(([id, time]) => {
+        if (!merged[id] || time > merged[id]) {
+            merged[id] = time;
+        }
+    });
+    return merged;
+}
+
+// Combine the stored copy of a chat with one sent by a client. The chat's own
+// fields (title, settings, folder...) come from whichever copy changed last;
+// messages from both are kept, and where both have the same message the
+// later change wins, with the stored one kept on a tie. Messages deleted on
+// any device are left out for good: their ids stay in deletedMessages, so a
+// copy that still has them can't bring them back.
+function mergeChat(stored, incoming) {
+    if (!stored) {
+        stored = { messages: [] };
+    }
+
+    const incomingIsNewer = (incoming.changedAt || incoming.updatedAt || '') >= (stored.changedAt || stored.updatedAt || '');
+    const [older, newer] = incomingIsNewer ? [stored, incoming] : [incoming, stored];
+
+    const messages = new Map();
+    [...(stored.messages || []), ...incoming.messages].forEach(message => {
+        const current = messages.get(message.id);
+        if (!current || messageTime(message) > messageTime(current)) {
+            messages.set(message.id, message);
+        }
+    });
+
+    const deletedMessages = mergeTombstones(stored.deletedMessages, incoming.deletedMessages);
+    const selectedBranches = { ...older.selectedBranches, ...newer.selectedBranches };
+    Object.keys(deletedMessages).forEach(id => messages.delete(id));
+    Object.keys(selectedBranches).forEach(id => {
+        if (deletedMessages[id] || deletedMessages[selectedBranches[id]]) {
+            delete selectedBranches[id];
+        }
+    });
+
+    return {
+        ...newer,
+        messages: Array.from(messages.values())
+            .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || '')),
+        selectedBranches: selectedBranches,
+        deletedMessages: deletedMessages
+    };
+}
+
+module.exports = {
+    JsonFileStore,
+    SqliteStore,
+    SyncError,
+    createChatStore,
+    mergeChat,
+    parseChat
+};
@@ -0,0 +1,56 @@
+// Chat titles written by the model. After a chat's first exchange the client
+// sends its text (image and file names only, no content) and gets back a
+// short title. TITLE_MODEL picks a cheap model for this; without it the
+// default chat model is used.
+
+// Longest title we return
+const TITLE_MAX_LENGTH = 60;
+
+// Characters of each message included in the prompt
+const EXCERPT_CHARS = 1500;
+
+const TITLE_PROMPT = 'You write titles for chat conversations. Reply with a short title of at most six words '
+    + 'that says what the conversation below is about, in the language of the conversation. '
+    + 'Reply with the title only: no quotes and no punctuation at the end.';
+
+// Build the prompt from the chat's opening messages ({ sender, text, images, files })
+function buildTitleMessages(messages) {
+    const transcript = messages
+        .filter(message => message && typeof message === 'object')
+        .slice(0, 4)
+        .map(message => {
+            const attachments = [...(message.images || []), ...(message.files || [])]
+                .filter(name => typeof name === 'string')
+                .map(name => `[Attached: ${name}]`);
+            const text = typeof message.text === 'string' ? message.text.slice(0, EXCERPT_CHARS) : '';
+            const body = [...attachments, text].filter(Boolean).join('\n');
+            return `${message.sender === 'assistant' ? 'Assistant' : 'User'}: ${body}`;
+        })
+        .join('\n\n');
+
+    return [
+        { role: 'system', content: TITLE_PROMPT },
+        { role: 'user', content: transcript }
+    ];
+}
+
+// Tidy the model's answer into a title, or '' if there's nothing usable
+function cleanTitle(text) {
+    const stripQuotes = (value) => value.replace(/^["'“”‘’*#\s]+|["'“”‘’*\s]+$/g, '');
+    let title = stripQuotes(stripQuotes((text || '').trim().split('\n')[0]).replace(/^title:\s*/i, ''))
+        .replace(/[.!?:;,]+$/, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (title.length > TITLE_MAX_LENGTH) {
+        const cut = title.slice(0, TITLE_MAX_LENGTH);
+        const lastSpace = cut.lastIndexOf(' ');
+        title = `${lastSpace > TITLE_MAX_LENGTH / 2 ? cut.slice(0, lastSpace) : cut}…`;
+    }
+    return title;
+}
+
+module.exports = {
+    buildTitleMessages,
+    cleanTitle
+};
@@ -0,0 +1,196 @@
+// Arithmetic for the model, which is unreliable at it. Expressions are
+// parsed here rather than handed to eval: numbers, + - * / % ^, brackets,
+// the constants pi and e, and a few Math functions.
+
+const { ToolError } = require('./errors');
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E
+};
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    ln: Math.log,
+    log: Math.log10,
+    log2: Math.log2,
+    exp: Math.exp,
+    min: Math.min,
+    max: Math.max,
+    pow: Math.pow
+};
+
+// Longest expression we try to evaluate
+const MAX_EXPRESSION_LENGTH = 500;
+
+// Helper function to split an expression into numbers, names and symbols
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_]\w*)|(\*\*|[-+*/%^(),]))/giy;
+    let position = 0;
+    while (position < expression.length) {
+        // A failed match starts the pattern over, so keep our place
+        pattern.lastIndex = position;
+        const match = pattern.exec(expression);
+        if (!match) {
+            const rest = expression.slice(position).trim();
+            if (!rest) break;
+            throw new ToolError(`Unexpected "${rest[0]}" in the expression.`);
+        }
+        position = pattern.lastIndex;
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: Number(match[1]) });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'name', value: match[2].toLowerCase() });
+        } else {
+            tokens.push({ type: 'symbol', value: match[3] === '**' ? '^' : match[3] });
+        }
+    }
+    return tokens;
+}
+
+// Evaluate an expression by recursive descent:
+//   sum     = product (("+" | "-") product)*
+//   product = unary (("*" | "/" | "%") unary)*
+//   unary   = ("+" | "-") unary | power
+//   power   = atom ("^" unary)?
+//   atom    = number | constant | function "(" sum ("," sum)* ")" | "(" sum ")"
+function evaluate(expression) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const isSymbol = (value) => peek() && peek().type === 'symbol' && peek().value === value;
+    const expect = (value) => {
+        if (!isSymbol(value)) {
+            throw new ToolError(`Expected "${value}" in the expression.`);
+        }
+        position++;
+    };
+
+    const parseAtom = () => {
+        const token = peek();
+        if (!token) {
+            throw new ToolError('The expression ends too early.');
+        }
+        position++;
+
+        if (token.type === 'number') {
+            return token.value;
+        }
+        if (token.type === 'symbol' && token.value === '(') {
+            const value = parseSum();
+            expect(')');
+            return value;
+        }
+        if (token.type === 'name') {
+            if (Object.hasOwn(CONSTANTS, token.value)) {
+                return CONSTANTS[token.value];
+            }
+            if (Object.hasOwn(FUNCTIONS, token.value)) {
+                expect('(');
+                const args = [parseSum()];
+                while (isSymbol(',')) {
+                    position++;
+                    args.push(parseSum());
+                }
+                expect(')');
+                return FUNCTIONS[token.value](...args);
+            }
+            throw new ToolError(`Unknown name "${token.value}". Functions: ${Object.keys(FUNCTIONS).join(', ')}.`);
+        }
+        throw new ToolError(`Unexpected "${token.value}" in the expression.`);
+    };
+
+    const parseUnary = () => {
+        if (isSymbol('-')) {
+            position++;
+            return -parseUnary();
+        }
+        if (isSymbol('+')) {
+            position++;
+            return parseUnary();
+        }
+        return parsePower();
+    };
+
+    const parsePower = () => {
+        const base = parseAtom();
+        if (isSymbol('^')) {
+            position++;
+            return Math.pow(base, parseUnary());
+        }
+        return base;
+    };
+
+    const parseProduct = () => {
+        let value = parseUnary();
+        while (isSymbol('*') || isSymbol('/') || isSymbol('%')) {
+            const operator = peek().value;
+            position++;
+            const right = parseUnary();
+            value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+        }
+        return value;
+    };
+
+    const parseSum = () => {
+        let value = parseProduct();
+        while (isSymbol('+') || isSymbol('-')) {
+            const operator = peek().value;
+            position++;
+            const right = parseProduct();
+            value = operator === '+' ? value + right : value - right;
+        }
+        return value;
+    };
+
+    const value = parseSum();
+    if (position < tokens.length) {
+        throw new ToolError(`Unexpected "${peek().value}" in the expression.`);
+    }
+    return value;
+}
+
+module.exports = {
+    name: 'calculator',
+    description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, brackets, pi, e and the functions '
+        + `${Object.keys(FUNCTIONS).join(', ')} (log is base 10, ln is natural). Use it for any calculation.`,
+    parameters: {
+        type: 'object',
+        properties: {
+            expression: {
+                type: 'string',
+                description: 'The expression, e.g. "(3.5 + 2) * sqrt(16) / 7"'
+            }
+        },
+        required: ['expression']
+    },
+
+    async run({ expression }) {
+        if (typeof expression !== 'string' || !expression.trim()) {
+            throw new ToolError('Give an expression to evaluate.');
+        }
+        if (expression.length > MAX_EXPRESSION_LENGTH) {
+            throw new ToolError(`The expression must be at most ${MAX_EXPRESSION_LENGTH} characters.`);
+        }
+
+        const value = evaluate(expression);
+        if (!Number.isFinite(value)) {
+            throw new ToolError(Number.isNaN(value) ? 'The result is not a number.' : 'The result is infinite.');
+        }
+        // Drop floating point noise such as 0.1 + 0.2 = 0.30000000000000004
+        return String(Number(value.toPrecision(15)));
+    }
+};
@@ -0,0 +1,36 @@
+// The current date and time, which the model can't know on its own.
+
+const { ToolError } = require('./errors');
+
+module.exports = {
+    name: 'current_datetime',
+    description: 'Get the current date and time, optionally in a given IANA time zone (e.g. "Europe/Paris"). '
+        + 'Use it whenever the answer depends on today\'s date or the time.',
+    parameters: {
+        type: 'object',
+        properties: {
+            timeZone: {
+                type: 'string',
+                description: 'IANA time zone name; UTC if omitted'
+            }
+        }
+    },
+
+    async run({ timeZone }) {
+        const zone = typeof timeZone === 'string' && timeZone.trim() ? timeZone.trim() : 'UTC';
+        const now = new Date();
+
+        let formatted;
+        try {
+            formatted = new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                dateStyle: 'full',
+                timeStyle: 'long'
+            }).format(now);
+        } catch (error) {
+            throw new ToolError(`Unknown time zone "${zone}". Use an IANA name such as "America/New_York".`);
+        }
+
+        return `${formatted} (${zone}). ISO 8601 in UTC: ${now.toISOString()}`;
+    }
+};
@@ -0,0 +1,13 @@
+// A tool that can't do what the model asked throws ToolError. Its message is
+// sent back to the model as the tool's result, so the model can try again or
+// explain the problem, and shown in the chat.
+class ToolError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ToolError';
+    }
+}
+
+module.exports = {
+    ToolError
+};
@@ -0,0 +1,147 @@
+// Reads a web page for the model. Only hosts on TOOL_FETCH_ALLOWLIST can be
+// fetched (an entry allows that host and its subdomains), and every redirect
+// is checked against it too, so the model can't be steered at internal
+// addresses. Pages come back as plain text, cut to TOOL_FETCH_MAX_CHARS.
+
+const axios = require('axios');
+const { ToolError } = require('./errors');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_REDIRECTS = 3;
+const MAX_DOWNLOAD_BYTES = 2 * 1024 * 1024;
+
+const TEXT_TYPES = /^(text\/|application\/(json|xml|xhtml\+xml|rss\+xml|atom\+xml|ld\+json))/i;
+
+const ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+};
+
+// Helper function to check a host against the allowlist
+function isAllowedHost(hostname, allowlist) {
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    return allowlist.some(entry => {
+        const allowed = entry.toLowerCase().replace(/^\*\./, '');
+        return host === allowed || host.endsWith(`.${allowed}`);
+    });
+}
+
+// Helper function to turn an HTML page into readable text
+function htmlToText(html) {
+    return html
+        .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+        .replace(/<!--[\s\S]*?-->/g, ' ')
+        .replace(/<(br|\/p|\/div|\/li|\/tr|\/h[1-6]|\/section|\/article|\/header|\/footer)\b[^>]*>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : ' ';
+            }
+            return ENTITIES[code.toLowerCase()] ?? entity;
+        })
+        .replace(/[ \t\f\v\r]+/g, ' ')
+        .replace(/ *\n[\s]*/g, '\n')
+        .trim();
+}
+
+// Helper function to check a URL the model gave, or a redirect's target
+function parseAllowedUrl(value, allowlist) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new ToolError(`"${value}" is not a valid URL.`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw new ToolError('Only http and https URLs can be fetched.');
+    }
+    if (url.username || url.password) {
+        throw new ToolError('URLs with a user name or password can\'t be fetched.');
+    }
+    if (!isAllowedHost(url.hostname, allowlist)) {
+        throw new ToolError(`${url.hostname} is not on this server's list of sites that can be fetched. Allowed: ${allowlist.join(', ')}.`);
+    }
+    return url;
+}
+
+function createFetchTool({ allowlist, maxChars }) {
+    return {
+        name: 'fetch_url',
+        description: `Fetch a web page and read it as plain text (up to ${maxChars} characters). `
+            + `Only these sites (and their subdomains) can be fetched: ${allowlist.join(', ')}.`,
+        parameters: {
+            type: 'object',
+            properties: {
+                url: {
+                    type: 'string',
+                    description: 'The full http or https URL'
+                }
+            },
+            required: ['url']
+        },
+
+        async run({ url }, { signal }) {
+            if (typeof url !== 'string' || !url.trim()) {
+                throw new ToolError('Give the URL to fetch.');
+            }
+
+            let target = parseAllowedUrl(url.trim(), allowlist);
+            for (let redirects = 0; ; redirects++) {
+                let response;
+                try {
+                    response = await axios.get(target.href, {
+                        signal,
+                        timeout: FETCH_TIMEOUT_MS,
+                        maxRedirects: 0,
+                        maxContentLength: MAX_DOWNLOAD_BYTES,
+                        responseType: 'text',
+                        transformResponse: [data => data],
+                        validateStatus: () => true,
+                        headers: { 'Accept': 'text/html, text/plain;q=0.9, application/json;q=0.8, */*;q=0.1' }
+                    });
+                } catch (error) {
+                    if (axios.isCancel(error)) throw error;
+                    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                        throw new ToolError(`${target.hostname} took too long to answer.`);
+                    }
+                    if (error.code === 'ERR_BAD_RESPONSE' || /maxContentLength/.test(error.message)) {
+                        throw new ToolError(`The page is larger than ${MAX_DOWNLOAD_BYTES / (1024 * 1024)}MB.`);
+                    }
+                    throw new ToolError(`Could not reach ${target.hostname}.`);
+                }
+
+                if (response.status >= 300 && response.status < 400 && response.headers.location) {
+                    if (redirects >= MAX_REDIRECTS) {
+                        throw new ToolError('The page redirected too many times.');
+                    }
+                    target = parseAllowedUrl(new URL(response.headers.location, target).href, allowlist);
+                    continue;
+                }
+                if (response.status >= 400) {
+                    throw new ToolError(`${target.href} answered with HTTP ${response.status}.`);
+                }
+
+                const type = String(response.headers['content-type'] || 'text/plain');
+                if (!TEXT_TYPES.test(type)) {
+                    throw new ToolError(`${target.href} is ${type.split(';')[0]}, not a page that can be read as text.`);
+                }
+
+                const body = String(response.data || '');
+                const text = /html/i.test(type) ? htmlToText(body) : body.trim();
+                const cut = text.length > maxChars;
+                return `Content of ${target.href}${cut ? ` (first ${maxChars} characters)` : ''}:\n\n${text.slice(0, maxChars)}`;
+            }
+        }
+    };
+}
+
+module.exports = {
+    createFetchTool,
+    htmlToText,
+    isAllowedHost
+};
@@ -0,0 +1,102 @@
+// Tools the model can call while it answers in /api/chat. A tool is
+//
+//   { name, description, parameters, run(args, context) }
+//
+// where parameters is a JSON schema for the arguments, and run resolves to
+// the text the model gets back (context is { signal, userId, log }, log
+// being the request's logger). A tool that can't do what was asked throws
+// ToolError; its message goes back to the model instead. TOOLS picks which
+// built-in tools are on (all by default); fetch_url also needs
+// TOOL_FETCH_ALLOWLIST.
+
+const { logger } = require('../logger');
+const calculator = require('./calculator');
+const datetime = require('./datetime');
+const { createFetchTool } = require('./fetchUrl');
+const { ToolError } = require('./errors');
+const { runToolLoop } = require('./loop');
+
+const BUILT_IN_TOOLS = {
+    calculator: () => calculator,
+    current_datetime: () => datetime,
+    fetch_url: ({ fetchAllowlist, fetchMaxChars }) => createFetchTool({ allowlist: fetchAllowlist, maxChars: fetchMaxChars })
+};
+
+class ToolRegistry {
+    constructor(tools = []) {
+        this.tools = new Map(tools.map(tool => [tool.name, tool]));
+    }
+
+    get size() {
+        return this.tools.size;
+    }
+
+    // What the model is told about each tool
+    definitions() {
+        return Array.from(this.tools.values(), ({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    // Run a call from the model: { id, name, arguments } with the arguments
+    // as JSON text. Resolves to { content, error }; only an abort rejects.
+    async run(call, context) {
+        const tool = this.tools.get(call.name);
+        if (!tool) {
+            return { content: `There is no tool called "${call.name}".`, error: true };
+        }
+
+        let args;
+        try {
+            args = call.arguments ? JSON.parse(call.arguments) : {};
+        } catch (error) {
+            return { content: 'The arguments were not valid JSON.', error: true };
+        }
+        if (!args || typeof args !== 'object' || Array.isArray(args)) {
+            return { content: 'The arguments must be a JSON object.', error: true };
+        }
+
+        try {
+            return { content: await tool.run(args, context), error: false };
+        } catch (error) {
+            if (error instanceof ToolError) {
+                return { content: error.message, error: true };
+            }
+            if (context.signal && context.signal.aborted) {
+                throw error;
+            }
+            (context.log || logger).error('Tool failed', { tool: call.name, error });
+            return { content: 'The tool failed unexpectedly.', error: true };
+        }
+    }
+}
+
+// The registry for the tools named in TOOLS (null for all, or none/off)
+function createToolRegistry(options) {
+    const { enabled } = options;
+    if (enabled && enabled.length === 1 && (enabled[0] === 'none' || enabled[0] === 'off')) {
+        return new ToolRegistry();
+    }
+
+    const names = enabled || Object.keys(BUILT_IN_TOOLS);
+    const tools = names.filter(name => {
+        if (!BUILT_IN_TOOLS[name]) {
+            throw new Error(`Unknown tool "${name}" in TOOLS. Use any of: ${Object.keys(BUILT_IN_TOOLS).join(', ')}, or none.`);
+        }
+        if (name === 'fetch_url' && options.fetchAllowlist.length === 0) {
+            // Asked for by name without saying which sites: worth a warning
+            if (enabled) {
+                logger.warn('fetch_url is off: set TOOL_FETCH_ALLOWLIST to the sites it may read.');
+            }
+            return false;
+        }
+        return true;
+    });
+
+    return new ToolRegistry(tools.map(name => BUILT_IN_TOOLS[name](options)));
+}
+
+module.exports = {
+    ToolError,
+    ToolRegistry,
+    createToolRegistry,
+    runToolLoop
+};
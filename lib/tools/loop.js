@@ -0,0 +1,89 @@
+// Answering with tools: the model's reply streams as usual, and when it asks
+// for tools instead of (or after) writing text, they're run, their results
+// are added to the messages and the model is asked again, until it answers
+// without calling a tool. After maxIterations rounds of calls the model is
+// told it can't call any more, so it has to answer.
+
+// Helper function to add up the token counts of several completions
+function addUsage(total, usage) {
+    if (!usage) {
+        return total;
+    }
+    if (!total) {
+        return { ...usage };
+    }
+    return {
+        promptTokens: total.promptTokens + usage.promptTokens,
+        completionTokens: total.completionTokens + usage.completionTokens
+    };
+}
+
+// Resolves, once the model has started to answer, to an async iterable like
+// a provider stream's. It yields text deltas, plus these events as objects:
+//   { toolCall: { id, name, arguments } } when the model calls a tool
+//   { toolResult: { id, result, error } } when the tool has finished
+// usage (all rounds together), steps (every call with its result) and model
+// (the one that answered last, which may be a fallback) are filled in as
+// it's read. Errors from the first request reject, as they would from
+// provider.stream(); later ones are thrown while reading.
+async function runToolLoop(provider, request, registry, { maxIterations, context }) {
+    const messages = request.messages.slice();
+    const definitions = registry.definitions();
+    const streamRound = (round) => provider.stream({
+        ...request,
+        messages: messages,
+        tools: definitions,
+        toolChoice: round < maxIterations ? 'auto' : 'none'
+    });
+
+    let deltas = await streamRound(0);
+    const loop = (async function* () {
+        let wroteText = false;
+        for (let round = 0; ; round++) {
+            let text = '';
+            for await (const delta of deltas) {
+                // Keep the text of each round apart
+                if (!text && wroteText) {
+                    yield '\n\n';
+                }
+                text += delta;
+                yield delta;
+            }
+            wroteText = wroteText || !!text;
+            loop.usage = addUsage(loop.usage, deltas.usage);
+            loop.model = deltas.model || loop.model;
+
+            const calls = deltas.toolCalls || [];
+            if (calls.length === 0) {
+                return;
+            }
+            if (round >= maxIterations) {
+                yield `${wroteText ? '\n\n' : ''}(Stopped after ${maxIterations} rounds of tool calls without a final answer.)`;
+                return;
+            }
+
+            messages.push({
+                role: 'assistant',
+                content: text,
+                tool_calls: calls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+            });
+            for (const call of calls) {
+                yield { toolCall: { id: call.id, name: call.name, arguments: call.arguments } };
+                const result = await registry.run(call, context);
+                loop.steps.push({ id: call.id, name: call.name, arguments: call.arguments, result: result.content, error: result.error });
+                yield { toolResult: { id: call.id, result: result.content, error: result.error } };
+                messages.push({ role: 'tool', tool_call_id: call.id, content: result.content });
+            }
+
+            deltas = await streamRound(round + 1);
+        }
+    })();
+    loop.usage = null;
+    loop.steps = [];
+    loop.model = deltas.model || null;
+    return loop;
+}
+
+module.exports = {
+    runToolLoop
+};
@@ -0,0 +1,195 @@
+// Token usage and cost accounting. Every reply is recorded with its model,
+// user and token counts; the cost is estimated from a price table (US dollars
+// per million tokens) that can be replaced in the config file or PRICING_FILE.
+// Totals are kept in memory by day, model and user. With USAGE_LOG_FILE set,
+// each record is also appended to that file as a line of JSON and the totals
+// are rebuilt from it when the server starts.
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Dollars per million input (prompt) and output (completion) tokens
+const DEFAULT_PRICES = {
+    'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4-turbo': { input: 10, output: 30 },
+    'gpt-4': { input: 30, output: 60 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 },
+    'claude-3-opus': { input: 15, output: 75 },
+    'claude-opus-4': { input: 15, output: 75 },
+    // Local and offline models cost nothing per token
+    'mock-': { input: 0, output: 0 }
+};
+
+// Helper function to get a date as YYYY-MM-DD (UTC)
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// Helper function to round a dollar amount without floating point noise
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+class UsageLog {
+    constructor({ logFile, prices }) {
+        this.logFile = logFile ? path.resolve(logFile) : '';
+        this.prices = { ...DEFAULT_PRICES, ...(prices || {}) };
+        // "day|model|userId" -> { day, model, userId, requests, promptTokens, completionTokens, cost }
+        this.totals = new Map();
+
+        if (this.logFile) {
+            this.load();
+        }
+    }
+
+    // Rebuild the totals from the log file, skipping lines that can't be read
+    load() {
+        let content;
+        try {
+            content = fs.readFileSync(this.logFile, 'utf8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error('Could not read usage log', { file: this.logFile, error });
+            }
+            return;
+        }
+
+        content.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                this.add(JSON.parse(line));
+            } catch (error) {
+                // A line cut short by a crash; the rest of the log is still good
+            }
+        });
+    }
+
+    // Price for a model: an exact match, or the longest prefix in the table
+    getPrice(model) {
+        if (this.prices[model]) {
+            return this.prices[model];
+        }
+        const prefix = Object.keys(this.prices)
+            .filter(key => model.startsWith(key))
+            .sort((a, b) => b.length - a.length)[0];
+        return prefix ? this.prices[prefix] : null;
+    }
+
+    // Estimated cost in dollars, or null if the model isn't in the price table
+    getCost(model, promptTokens, completionTokens) {
+        const price = this.getPrice(model);
+        if (!price) {
+            return null;
+        }
+        return roundCost((promptTokens * price.input + completionTokens * price.output) / 1e6);
+    }
+
+    // Record one reply. estimated is true when the token counts are our own
+    // estimate because the API didn't report them. Returns the usage to send
+    // back to the client.
+    record({ userId, model, promptTokens, completionTokens, estimated = false }) {
+        const entry = {
+            time: new Date().toISOString(),
+            userId: userId,
+            model: model,
+            promptTokens: promptTokens,
+            completionTokens: completionTokens,
+            cost: this.getCost(model, promptTokens, completionTokens),
+            estimated: estimated
+        };
+
+        this.add(entry);
+        if (this.logFile) {
+            fs.appendFile(this.logFile, JSON.stringify(entry) + '\n', (error) => {
+                if (error) {
+                    logger.error('Could not write usage log', { file: this.logFile, error });
+                }
+            });
+        }
+
+        return {
+            model: entry.model,
+            promptTokens: entry.promptTokens,
+            completionTokens: entry.completionTokens,
+            cost: entry.cost,
+            estimated: entry.estimated
+        };
+    }
+
+    add(entry) {
+        const day = toDay(new Date(entry.time));
+        const key = `${day}|${entry.model}|${entry.userId}`;
+        if (!this.totals.has(key)) {
+            this.totals.set(key, {
+                day: day,
+                model: entry.model,
+                userId: entry.userId,
+                requests: 0,
+                promptTokens: 0,
+                completionTokens: 0,
+                cost: 0
+            });
+        }
+
+        const totals = this.totals.get(key);
+        totals.requests += 1;
+        totals.promptTokens += entry.promptTokens || 0;
+        totals.completionTokens += entry.completionTokens || 0;
+        totals.cost = roundCost(totals.cost + (entry.cost || 0));
+    }
+
+    // Totals over the last `days` days (today included), overall and grouped
+    // by day, model and user. Pass userId to see a single user's usage.
+    summary({ days = 30, userId = null } = {}) {
+        const since = toDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+        const groups = { byDay: new Map(), byModel: new Map(), byUser: new Map() };
+        const totals = { requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+
+        const addTo = (group, key, row) => {
+            if (!group.has(key)) {
+                group.set(key, { key: key, requests: 0, promptTokens: 0, completionTokens: 0, cost: 0 });
+            }
+            const sum = group.get(key);
+            sum.requests += row.requests;
+            sum.promptTokens += row.promptTokens;
+            sum.completionTokens += row.completionTokens;
+            sum.cost = roundCost(sum.cost + row.cost);
+        };
+
+        this.totals.forEach(row => {
+            if (row.day < since || (userId && row.userId !== userId)) return;
+
+            addTo(groups.byDay, row.day, row);
+            addTo(groups.byModel, row.model, row);
+            addTo(groups.byUser, row.userId, row);
+            totals.requests += row.requests;
+            totals.promptTokens += row.promptTokens;
+            totals.completionTokens += row.completionTokens;
+            totals.cost = roundCost(totals.cost + row.cost);
+        });
+
+        const byCost = (a, b) => b.cost - a.cost || (b.promptTokens + b.completionTokens) - (a.promptTokens + a.completionTokens);
+        return {
+            since: since,
+            totals: totals,
+            byDay: Array.from(groups.byDay.values()).sort((a, b) => b.key.localeCompare(a.key)),
+            byModel: Array.from(groups.byModel.values()).sort(byCost),
+            byUser: Array.from(groups.byUser.values()).sort(byCost)
+        };
+    }
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    UsageLog
+};
@@ -0,0 +1,387 @@
+// Renders assistant replies as Markdown. Everything is built with DOM nodes
+// and textContent, never innerHTML, so HTML or scripts in a reply (or in a
+// stored chat) can't run. Raw HTML tags are stripped from the text.
+// Code blocks are highlighted with highlight.js and math with KaTeX when
+// those libraries have loaded; otherwise they fall back to plain text.
+
+const FENCE_PATTERN = /^\s*(```+|~~~+)\s*([\w+#.-]*)\s*$/;
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// Escapes, code, math, links, emphasis and bare URLs, in that priority order
+const INLINE_PATTERN = new RegExp([
+    '\\\\([\\\\`*_{}\\[\\]()#+\\-.!$~|>])',
+    '(`+)([\\s\\S]*?[^`])\\2(?!`)',
+    '\\\\\\(([\\s\\S]+?)\\\\\\)',
+    '\\$(?![\\s$])([^$\\n]+?)(?<!\\s)\\$(?!\\d)',
+    '!?\\[([^\\]]+)\\]\\(([^)\\s]+)(?:\\s+"[^"]*")?\\)',
+    '\\*\\*([\\s\\S]+?)\\*\\*',
+    '(?<![\\w])__([\\s\\S]+?)__(?![\\w])',
+    '~~([\\s\\S]+?)~~',
+    '\\*(?![\\s*])([\\s\\S]+?)(?<!\\s)\\*',
+    '(?<![\\w])_(?![\\s_])([\\s\\S]+?)(?<!\\s)_(?![\\w])',
+    '(https?:\\/\\/[^\\s<]+[^\\s<.,:;"\')\\]])',
+    '( {2,}|\\\\)?\\n'
+].join('|'), 'g');
+
+const SAFE_URL_PATTERN = /^(https?:|mailto:)/i;
+
+class MarkdownRenderer {
+    // Render markdown text into a new element
+    render(text) {
+        const container = document.createElement('div');
+        container.className = 'markdown-body';
+        this.renderBlocks(text.replace(/\r\n?/g, '\n').split('\n'), container);
+        return container;
+    }
+
+    // ==================== BLOCKS ====================
+
+    renderBlocks(lines, parent) {
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // Fenced code block (may be unterminated while streaming)
+            const fence = line.match(FENCE_PATTERN);
+            if (fence) {
+                const codeLines = [];
+                i++;
+                while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                    codeLines.push(lines[i]);
+                    i++;
+                }
+                i++;
+                parent.appendChild(this.renderCodeBlock(codeLines.join('\n'), fence[2]));
+                continue;
+            }
+
+            // Display math: $$ ... $$ or \[ ... \]
+            const trimmed = line.trim();
+            if (trimmed.startsWith('$$') || trimmed.startsWith('\\[')) {
+                const close = trimmed.startsWith('$$') ? '$$' : '\\]';
+                const mathLines = [trimmed.slice(2)];
+                while (!mathLines[mathLines.length - 1].trimEnd().endsWith(close) && i + 1 < lines.length) {
+                    i++;
+                    mathLines.push(lines[i]);
+                }
+                i++;
+                const tex = mathLines.join('\n').trimEnd();
+                parent.appendChild(this.renderMath(tex.endsWith(close) ? tex.slice(0, -2) : tex, true));
+                continue;
+            }
+
+            const heading = line.match(HEADING_PATTERN);
+            if (heading) {
+                const element = document.createElement(`h${heading[1].length}`);
+                this.renderInline(heading[2], element);
+                parent.appendChild(element);
+                i++;
+                continue;
+            }
+
+            if (RULE_PATTERN.test(line)) {
+                parent.appendChild(document.createElement('hr'));
+                i++;
+                continue;
+            }
+
+            if (trimmed.startsWith('>')) {
+                const quoteLines = [];
+                while (i < lines.length && lines[i].trim().startsWith('>')) {
+                    quoteLines.push(lines[i].trim().replace(/^>\s?/, ''));
+                    i++;
+                }
+                const quote = document.createElement('blockquote');
+                this.renderBlocks(quoteLines, quote);
+                parent.appendChild(quote);
+                continue;
+            }
+
+            if (this.startsTable(lines, i)) {
+                const tableLines = [line];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+                    tableLines.push(lines[i]);
+                    i++;
+                }
+                parent.appendChild(this.renderTable(tableLines));
+                continue;
+            }
+
+            if (LIST_ITEM_PATTERN.test(line)) {
+                i = this.renderList(lines, i, parent);
+                continue;
+            }
+
+            // Paragraph: runs until a blank line or the start of another block
+            const paragraphLines = [];
+            while (i < lines.length && lines[i].trim() && !this.startsBlock(lines, i)) {
+                paragraphLines.push(lines[i]);
+                i++;
+            }
+            if (paragraphLines.length === 0) {
+                paragraphLines.push(lines[i]);
+                i++;
+            }
+            const paragraph = document.createElement('p');
+            this.renderInline(paragraphLines.join('\n'), paragraph);
+            parent.appendChild(paragraph);
+        }
+    }
+
+    startsTable(lines, i) {
+        const divider = lines[i + 1];
+        return lines[i].includes('|') && divider !== undefined && divider.includes('-') && TABLE_DIVIDER_PATTERN.test(divider);
+    }
+
+    startsBlock(lines, i) {
+        const line = lines[i];
+        const trimmed = line.trim();
+        return FENCE_PATTERN.test(line)
+            || HEADING_PATTERN.test(line)
+            || RULE_PATTERN.test(line)
+            || LIST_ITEM_PATTERN.test(line)
+            || trimmed.startsWith('>')
+            || trimmed.startsWith('$$')
+            || trimmed.startsWith('\\[')
+            || this.startsTable(lines, i);
+    }
+
+    // Render the list starting at lines[start]; returns the index after it
+    renderList(lines, start, parent) {
+        const first = lines[start].match(LIST_ITEM_PATTERN);
+        const indent = first[1].length;
+        const ordered = /\d/.test(first[2]);
+        const list = document.createElement(ordered ? 'ol' : 'ul');
+        if (ordered && parseInt(first[2], 10) !== 1) {
+            list.start = parseInt(first[2], 10);
+        }
+
+        let i = start;
+        while (i < lines.length) {
+            const item = lines[i].match(LIST_ITEM_PATTERN);
+            if (!item || item[1].length !== indent || /\d/.test(item[2]) !== ordered) {
+                break;
+            }
+
+            // Collect the item's own text plus any indented continuation lines
+            const itemLines = [item[3]];
+            i++;
+            while (i < lines.length) {
+                const next = lines[i];
+                const nextIndent = next.search(/\S/);
+                if (!next.trim()) {
+                    // A blank line only continues the item if indented content follows
+                    const following = lines[i + 1];
+                    if (!following || following.search(/\S/) <= indent) break;
+                } else if (nextIndent <= indent && this.startsBlock(lines, i)) {
+                    break;
+                }
+                itemLines.push(next.trim() ? next.slice(Math.min(nextIndent, indent + 2)) : '');
+                i++;
+            }
+
+            const listItem = document.createElement('li');
+            const hasBlocks = itemLines.slice(1).some(itemLine => !itemLine.trim() || this.startsBlock([itemLine], 0));
+            if (hasBlocks) {
+                this.renderBlocks(itemLines, listItem);
+            } else {
+                this.renderInline(itemLines.join('\n'), listItem);
+            }
+            list.appendChild(listItem);
+
+            while (i < lines.length && !lines[i].trim() && lines[i + 1] && LIST_ITEM_PATTERN.test(lines[i + 1])) {
+                i++; // Loose lists: blank lines between items
+            }
+        }
+
+        parent.appendChild(list);
+        return i;
+    }
+
+    renderTable(tableLines) {
+        const splitRow = (row) => row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+        const table = document.createElement('table');
+        const thead = document.createElement('thead');
+        const headerRow = document.createElement('tr');
+        splitRow(tableLines[0]).forEach(cell => {
+            const th = document.createElement('th');
+            this.renderInline(cell, th);
+            headerRow.appendChild(th);
+        });
+        thead.appendChild(headerRow);
+        table.appendChild(thead);
+
+        const tbody = document.createElement('tbody');
+        tableLines.slice(1).forEach(row => {
+            const tr = document.createElement('tr');
+            splitRow(row).forEach(cell => {
+                const td = document.createElement('td');
+                this.renderInline(cell, td);
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-wrapper';
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    renderCodeBlock(code, language) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'code-block';
+
+        const header = document.createElement('div');
+        header.className = 'code-header';
+
+        const label = document.createElement('span');
+        label.textContent = language || 'code';
+
+        const copyBtn = document.createElement('button');
+        copyBtn.className = 'copy-code';
+        copyBtn.textContent = 'Copy';
+        copyBtn.onclick = () => this.copyToClipboard(code, copyBtn);
+
+        header.appendChild(label);
+        header.appendChild(copyBtn);
+
+        const pre = document.createElement('pre');
+        const codeElement = document.createElement('code');
+        this.highlight(code, language, codeElement);
+        pre.appendChild(codeElement);
+
+        wrapper.appendChild(header);
+        wrapper.appendChild(pre);
+        return wrapper;
+    }
+
+    highlight(code, language, codeElement) {
+        const hljs = window.hljs;
+        if (hljs && language && hljs.getLanguage(language)) {
+            // highlight.js escapes the code itself; its output only contains spans
+            codeElement.innerHTML = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+            codeElement.className = `hljs language-${language}`;
+        } else {
+            codeElement.textContent = code;
+            codeElement.className = 'hljs';
+        }
+    }
+
+    async copyToClipboard(text, button) {
+        try {
+            await navigator.clipboard.writeText(text);
+            button.textContent = 'Copied!';
+        } catch (error) {
+            console.error('Failed to copy code:', error);
+            button.textContent = 'Copy failed';
+        }
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
+    }
+
+    renderMath(tex, displayMode) {
+        const element = document.createElement(displayMode ? 'div' : 'span');
+        element.className = displayMode ? 'math-display' : 'math-inline';
+
+        if (window.katex) {
+            // trust: false keeps \href, \url and friends from emitting links or HTML
+            window.katex.render(tex.trim(), element, { displayMode, throwOnError: false, trust: false });
+        } else {
+            element.textContent = tex.trim();
+            element.classList.add('math-fallback');
+        }
+        return element;
+    }
+
+    // ==================== INLINE ====================
+
+    renderInline(text, parent) {
+        let lastIndex = 0;
+        const matches = Array.from(text.matchAll(INLINE_PATTERN));
+
+        matches.forEach(match => {
+            if (match.index < lastIndex) return;
+
+            this.appendText(text.slice(lastIndex, match.index), parent);
+            lastIndex = match.index + match[0].length;
+
+            const [, escaped, , code, parenMath, dollarMath, linkText, linkUrl, bold, underscoreBold, strike, italic, underscoreItalic, url] = match;
+
+            if (escaped !== undefined) {
+                parent.appendChild(document.createTextNode(escaped));
+            } else if (code !== undefined) {
+                const element = document.createElement('code');
+                element.textContent = code.trim() ? code.replace(/^ (.*) $/, '$1') : code;
+                parent.appendChild(element);
+            } else if (parenMath !== undefined || dollarMath !== undefined) {
+                parent.appendChild(this.renderMath(parenMath ?? dollarMath, false));
+            } else if (linkText !== undefined) {
+                parent.appendChild(this.renderLink(linkUrl, linkText));
+            } else if (bold !== undefined || underscoreBold !== undefined) {
+                const element = document.createElement('strong');
+                this.renderInline(bold ?? underscoreBold, element);
+                parent.appendChild(element);
+            } else if (strike !== undefined) {
+                const element = document.createElement('del');
+                this.renderInline(strike, element);
+                parent.appendChild(element);
+            } else if (italic !== undefined || underscoreItalic !== undefined) {
+                const element = document.createElement('em');
+                this.renderInline(italic ?? underscoreItalic, element);
+                parent.appendChild(element);
+            } else if (url !== undefined) {
+                parent.appendChild(this.renderLink(url));
+            } else {
+                parent.appendChild(document.createElement('br'));
+            }
+        });
+
+        this.appendText(text.slice(lastIndex), parent);
+    }
+
+    // Bare URLs have no label and are shown as-is
+    renderLink(url, label) {
+        let element;
+        if (SAFE_URL_PATTERN.test(url)) {
+            element = document.createElement('a');
+            element.href = url;
+            element.target = '_blank';
+            element.rel = 'noopener noreferrer nofollow';
+        } else {
+            // javascript:, data: and other schemes are shown as plain text
+            element = document.createElement('span');
+        }
+
+        if (label === undefined) {
+            element.textContent = url;
+        } else {
+            this.renderInline(label, element);
+        }
+        return element;
+    }
+
+    appendText(text, parent) {
+        const stripped = text
+            .replace(/<(script|style|iframe|object)\b[\s\S]*?(<\/\1\s*>|$)/gi, '')
+            .replace(/<\/?[a-zA-Z][^<>]*>/g, '')
+            .replace(/<!--[\s\S]*?-->/g, '');
+
+        if (stripped) {
+            parent.appendChild(document.createTextNode(stripped));
+        }
+    }
+}
@@ -0,0 +1,286 @@
+// Builds the elements for chat messages: images, attached file chips and the
+// text (Markdown for the assistant, plain text for the user). Used by the
+// chat itself and by the read-only page for shared chats, so both look the same.
+
+class MessageView {
+    constructor(markdown) {
+        this.markdown = markdown;
+    }
+
+    // imageActions adds buttons under each image: [{ label, title, onClick(imageData) }]
+    // policy is the server's notice when the content policy blocked or changed the message
+    createMessage(text, sender, images = [], { partial = false, pending = false, files = [], toolSteps = [], imageRequest = null, imageActions = [], policy = null } = {}) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${sender}-message`;
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content';
+
+        // What the user asked to be drawn, above the prompt
+        if (imageRequest) {
+            contentDiv.appendChild(this.createImageRequestTag(imageRequest, images && images.length > 0));
+        }
+
+        // Add images if present
+        if (images && images.length > 0) {
+            images.forEach(imageData => {
+                // Synced from another device, which keeps the image itself
+                if (!imageData.url) {
+                    contentDiv.appendChild(this.createMissingImage(imageData.name));
+                    return;
+                }
+
+                const img = document.createElement('img');
+                img.className = 'message-image';
+                img.src = imageData.url;
+                img.alt = imageData.name;
+                img.onclick = () => this.openImageModal(imageData.url);
+                if (imageActions.length === 0) {
+                    contentDiv.appendChild(img);
+                    return;
+                }
+
+                const frame = document.createElement('div');
+                frame.className = 'message-image-frame';
+                frame.appendChild(img);
+                const actionsDiv = document.createElement('div');
+                actionsDiv.className = 'message-image-actions';
+                imageActions.forEach(action => {
+                    const button = document.createElement('button');
+                    button.className = 'message-image-action';
+                    button.textContent = action.label;
+                    button.title = action.title || action.label;
+                    button.addEventListener('click', () => action.onClick(imageData));
+                    actionsDiv.appendChild(button);
+                });
+                frame.appendChild(actionsDiv);
+                contentDiv.appendChild(frame);
+            });
+        }
+
+        // Add attached documents if present
+        if (files && files.length > 0) {
+            const filesDiv = document.createElement('div');
+            filesDiv.className = 'message-files';
+            files.forEach(fileData => {
+                filesDiv.appendChild(this.createFileChip(fileData.name, fileData.size));
+            });
+            contentDiv.appendChild(filesDiv);
+        }
+
+        // Tools the model called on the way to its answer
+        if (toolSteps && toolSteps.length > 0) {
+            contentDiv.appendChild(this.createToolSteps(toolSteps));
+        }
+
+        // Add text if present
+        if (text) {
+            contentDiv.appendChild(this.createMessageText(text, sender));
+        }
+
+        messageDiv.appendChild(contentDiv);
+
+        if (partial) {
+            this.markMessagePartial(messageDiv);
+        }
+        if (pending) {
+            this.markMessagePending(messageDiv);
+        }
+        if (policy) {
+            this.markMessagePolicy(messageDiv, policy);
+        }
+
+        return messageDiv;
+    }
+
+    createMessageText(text, sender) {
+        // Assistant replies are rendered as sanitized Markdown; user text stays plain
+        if (sender === 'assistant') {
+            const textDiv = this.markdown.render(text);
+            textDiv.classList.add('message-text');
+            return textDiv;
+        }
+
+        const textDiv = document.createElement('div');
+        textDiv.className = 'message-text';
+        textDiv.textContent = text;
+        return textDiv;
+    }
+
+    // One collapsible step per tool call: what was asked and what came back.
+    // Steps without a result yet are still running.
+    createToolSteps(steps) {
+        const stepsDiv = document.createElement('div');
+        stepsDiv.className = 'tool-steps';
+
+        steps.forEach(step => {
+            const running = step.result === null || step.result === undefined;
+            const details = document.createElement('details');
+            details.className = `tool-step${running ? ' running' : ''}${step.error ? ' failed' : ''}`;
+
+            const summary = document.createElement('summary');
+            summary.textContent = running
+                ? `Using ${step.name}…`
+                : (step.error ? `${step.name} failed` : `Used ${step.name}`);
+            details.appendChild(summary);
+
+            details.appendChild(this.createToolStepSection('Input', this.formatToolArguments(step.arguments)));
+            if (!running) {
+                details.appendChild(this.createToolStepSection(step.error ? 'Error' : 'Result', step.result));
+            }
+            stepsDiv.appendChild(details);
+        });
+
+        return stepsDiv;
+    }
+
+    createToolStepSection(label, text) {
+        const section = document.createElement('div');
+        section.className = 'tool-step-section';
+
+        const heading = document.createElement('div');
+        heading.className = 'tool-step-label';
+        heading.textContent = label;
+
+        const body = document.createElement('pre');
+        body.textContent = text;
+
+        section.append(heading, body);
+        return section;
+    }
+
+    // Helper function to show a call's JSON arguments readably
+    formatToolArguments(text) {
+        try {
+            return JSON.stringify(JSON.parse(text || '{}'), null, 2);
+        } catch (error) {
+            return text;
+        }
+    }
+
+    // Show the steps so far at the top of a message, keeping any the user opened
+    renderToolSteps(messageDiv, steps) {
+        const contentDiv = messageDiv.querySelector('.message-content');
+        const existing = contentDiv.querySelector('.tool-steps');
+        const stepsDiv = this.createToolSteps(steps);
+
+        if (existing) {
+            existing.querySelectorAll('details').forEach((details, index) => {
+                if (details.open && stepsDiv.children[index]) {
+                    stepsDiv.children[index].open = true;
+                }
+            });
+            contentDiv.replaceChild(stepsDiv, existing);
+        } else {
+            contentDiv.prepend(stepsDiv);
+        }
+    }
+
+    // Stands in for an image that's only stored on the device it was added on
+    createMissingImage(name) {
+        const placeholder = document.createElement('div');
+        placeholder.className = 'message-image-missing';
+        placeholder.textContent = `🖼️ ${name || 'Image'}`;
+        placeholder.title = 'This image is only on the device it was added on';
+        return placeholder;
+    }
+
+    // e.g. "🎨 Variations · 1024x1024 · 2 images"
+    createImageRequestTag({ size, count }, variations) {
+        const tag = document.createElement('div');
+        tag.className = 'image-request-tag';
+        tag.textContent = [
+            variations ? '🎨 Variations' : '🎨 Image',
+            size,
+            `${count} image${count === 1 ? '' : 's'}`
+        ].join(' · ');
+        return tag;
+    }
+
+    createFileChip(name, size) {
+        const chip = document.createElement('div');
+        chip.className = 'file-chip';
+        chip.title = name;
+
+        const label = document.createElement('span');
+        label.className = 'file-chip-name';
+        label.textContent = `📄 ${name}`;
+        chip.appendChild(label);
+
+        if (size) {
+            const sizeLabel = document.createElement('span');
+            sizeLabel.className = 'file-chip-size';
+            sizeLabel.textContent = size < 1024 * 1024
+                ? `${Math.max(1, Math.round(size / 1024))} KB`
+                : `${(size / (1024 * 1024)).toFixed(1)} MB`;
+            chip.appendChild(sizeLabel);
+        }
+
+        return chip;
+    }
+
+    markMessagePartial(messageDiv) {
+        if (!messageDiv || messageDiv.querySelector('.partial-note')) return;
+
+        const note = document.createElement('div');
+        note.className = 'partial-note';
+        note.textContent = 'Response stopped';
+        messageDiv.querySelector('.message-content').appendChild(note);
+    }
+
+    // A message sent while offline, waiting to go to the server
+    markMessagePending(messageDiv) {
+        messageDiv.classList.add('pending-message');
+
+        const note = document.createElement('div');
+        note.className = 'pending-note';
+        note.textContent = 'Waiting for connection. This will be sent when you\'re back online.';
+        messageDiv.querySelector('.message-content').appendChild(note);
+    }
+
+    // e.g. "🛡️ This message wasn't sent because it goes against the usage policy."
+    markMessagePolicy(messageDiv, policy) {
+        if (!messageDiv || !policy) return;
+        const oldNote = messageDiv.querySelector('.policy-note');
+        if (oldNote) {
+            oldNote.remove();
+        }
+        messageDiv.classList.toggle('policy-blocked', policy.action === 'block');
+
+        const note = document.createElement('div');
+        note.className = 'policy-note';
+        note.textContent = `🛡️ ${policy.message}`;
+        messageDiv.querySelector('.message-content').appendChild(note);
+    }
+
+    openImageModal(imageSrc) {
+        // Simple modal to view full-size image
+        const modal = document.createElement('div');
+        modal.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background: rgba(0, 0, 0, 0.8);
+            display: flex;
+            justify-content: center;
+            align-items: center;
+            z-index: 1000;
+            cursor: pointer;
+        `;
+
+        const img = document.createElement('img');
+        img.src = imageSrc;
+        img.style.cssText = `
+            max-width: 90%;
+            max-height: 90%;
+            border-radius: 10px;
+            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
+        `;
+
+        modal.appendChild(img);
+        modal.onclick = () => document.body.removeChild(modal);
+        document.body.appendChild(modal);
+    }
+}
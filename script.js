@@ -1,531 +1,3361 @@
-class ChatApp {
-    constructor() {
-        // DOM elements
-        this.chatHistory = document.getElementById('chat-history');
-        this.userInput = document.getElementById('user-input');
-        this.sendButton = document.getElementById('send-button');
-        this.loadingElement = document.getElementById('loading');
-        this.imageInput = document.getElementById('image-input');
-        this.imageButton = document.getElementById('image-button');
-        this.imagePreviewContainer = document.getElementById('image-preview-container');
-        
-        // Sidebar elements
-        this.sidebar = document.getElementById('sidebar');
-        this.sidebarOverlay = document.getElementById('sidebar-overlay');
-        this.menuBtn = document.getElementById('menu-btn');
-        this.sidebarToggle = document.getElementById('sidebar-toggle');
-        this.newChatBtn = document.getElementById('new-chat-btn');
-        this.chatList = document.getElementById('chat-list');
-        this.mainContent = document.querySelector('.main-content');
-        
-        // App state
-        this.selectedImages = [];
-        this.chats = new Map();
-        this.currentChatId = null;
-        this.isMobile = window.innerWidth <= 768;
-        
-        this.initializeApp();
-    }
-    
-    initializeApp() {
-        this.loadChatsFromStorage();
-        this.initializeEventListeners();
-        this.handleResize();
-        
-        // Create first chat if none exist
-        if (this.chats.size === 0) {
-            this.createNewChat();
-        } else {
-            // Load the most recent chat
-            const chatIds = Array.from(this.chats.keys());
-            this.switchToChat(chatIds[chatIds.length - 1]);
-        }
-    }
-    
-    initializeEventListeners() {
-        // Message sending
-        this.sendButton.addEventListener('click', () => this.sendMessage());
-        
-        this.userInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' && !e.shiftKey) {
-                e.preventDefault();
-                this.sendMessage();
-            }
-        });
-        
-        this.userInput.addEventListener('input', () => {
-            this.adjustTextareaHeight();
-        });
-        
-        // Image handling
-        this.imageButton.addEventListener('click', () => {
-            this.imageInput.click();
-        });
-        
-        this.imageInput.addEventListener('change', (e) => {
-            this.handleImageSelect(e);
-        });
-        
-        // Sidebar controls
-        this.menuBtn.addEventListener('click', () => this.toggleSidebar());
-        this.sidebarToggle.addEventListener('click', () => this.toggleSidebar());
-        this.sidebarOverlay.addEventListener('click', () => this.closeSidebar());
-        this.newChatBtn.addEventListener('click', () => this.createNewChat());
-        
-        // Window resize
-        window.addEventListener('resize', () => this.handleResize());
-    }
-    
-    // ==================== CHAT MANAGEMENT ====================
-    
-    createNewChat() {
-        const chatId = 'chat_' + Date.now();
-        const chat = {
-            id: chatId,
-            title: 'New Chat',
-            messages: [],
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-        
-        this.chats.set(chatId, chat);
-        this.currentChatId = chatId;
-        this.saveChatsToStorage();
-        this.renderChatList();
-        this.clearChatHistory();
-        this.focusInput();
-        
-        if (this.isMobile) {
-            this.closeSidebar();
-        }
-    }
-    
-    switchToChat(chatId) {
-        if (!this.chats.has(chatId)) return;
-        
-        this.currentChatId = chatId;
-        const chat = this.chats.get(chatId);
-        this.renderChatHistory(chat.messages);
-        this.renderChatList();
-        
-        if (this.isMobile) {
-            this.closeSidebar();
-        }
-        
-        this.focusInput();
-    }
-    
-    deleteChat(chatId, event) {
-        event.stopPropagation();
-        
-        if (this.chats.size <= 1) {
-            return; // Don't delete the last chat
-        }
-        
-        this.chats.delete(chatId);
-        
-        if (this.currentChatId === chatId) {
-            // Switch to another chat
-            const remainingChats = Array.from(this.chats.keys());
-            this.switchToChat(remainingChats[remainingChats.length - 1]);
-        }
-        
-        this.saveChatsToStorage();
-        this.renderChatList();
-    }
-    
-    updateChatTitle(chatId, newTitle) {
-        if (!this.chats.has(chatId)) return;
-        
-        const chat = this.chats.get(chatId);
-        chat.title = newTitle;
-        chat.updatedAt = new Date().toISOString();
-        this.chats.set(chatId, chat);
-        this.saveChatsToStorage();
-        this.renderChatList();
-    }
-    
-    getCurrentChat() {
-        return this.chats.get(this.currentChatId);
-    }
-    
-    // ==================== SIDEBAR MANAGEMENT ====================
-    
-    toggleSidebar() {
-        if (this.isMobile) {
-            this.sidebar.classList.toggle('open');
-            this.sidebarOverlay.classList.toggle('show');
-        } else {
-            this.sidebar.classList.toggle('closed');
-            this.mainContent.classList.toggle('sidebar-closed');
-        }
-    }
-    
-    closeSidebar() {
-        if (this.isMobile) {
-            this.sidebar.classList.remove('open');
-            this.sidebarOverlay.classList.remove('show');
-        }
-    }
-    
-    handleResize() {
-        const wasMobile = this.isMobile;
-        this.isMobile = window.innerWidth <= 768;
-        
-        if (wasMobile !== this.isMobile) {
-            // Reset sidebar state when switching between mobile/desktop
-            this.sidebar.classList.remove('open', 'closed');
-            this.sidebarOverlay.classList.remove('show');
-            this.mainContent.classList.remove('sidebar-closed');
-        }
-    }
-    
-    renderChatList() {
-        this.chatList.innerHTML = '';
-        
-        const sortedChats = Array.from(this.chats.values())
-            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-        
-        sortedChats.forEach(chat => {
-            const chatItem = document.createElement('div');
-            chatItem.className = `chat-item ${chat.id === this.currentChatId ? 'active' : ''}`;
-            
-            const title = document.createElement('div');
-            title.className = 'chat-title';
-            title.textContent = chat.title;
-            
-            const deleteBtn = document.createElement('button');
-            deleteBtn.className = 'chat-delete';
-            deleteBtn.innerHTML = '✕';
-            deleteBtn.onclick = (e) => this.deleteChat(chat.id, e);
-            
-            chatItem.appendChild(title);
-            if (this.chats.size > 1) {
-                chatItem.appendChild(deleteBtn);
-            }
-            
-            chatItem.onclick = () => this.switchToChat(chat.id);
-            this.chatList.appendChild(chatItem);
-        });
-    }
-    
-    // ==================== STORAGE MANAGEMENT ====================
-    
-    saveChatsToStorage() {
-        try {
-            const chatsData = Array.from(this.chats.entries());
-            localStorage.setItem('unblockedgpt_chats', JSON.stringify(chatsData));
-            localStorage.setItem('unblockedgpt_current_chat', this.currentChatId);
-        } catch (error) {
-            console.error('Failed to save chats:', error);
-        }
-    }
-    
-    loadChatsFromStorage() {
-        try {
-            const chatsData = localStorage.getItem('unblockedgpt_chats');
-            const currentChatId = localStorage.getItem('unblockedgpt_current_chat');
-            
-            if (chatsData) {
-                const parsedData = JSON.parse(chatsData);
-                this.chats = new Map(parsedData);
-                this.currentChatId = currentChatId;
-            }
-        } catch (error) {
-            console.error('Failed to load chats:', error);
-            this.chats = new Map();
-        }
-    }
-    
-    // ==================== UI HELPERS ====================
-    
-    adjustTextareaHeight() {
-        this.userInput.style.height = 'auto';
-        this.userInput.style.height = Math.min(this.userInput.scrollHeight, 120) + 'px';
-    }
-    
-    focusInput() {
-        setTimeout(() => {
-            this.userInput.focus();
-        }, 100);
-    }
-    
-    clearChatHistory() {
-        this.chatHistory.innerHTML = '';
-    }
-    
-    renderChatHistory(messages) {
-        this.clearChatHistory();
-        messages.forEach(message => {
-            this.addMessage(message.text, message.sender, message.images);
-        });
-    }
-    
-    // ==================== IMAGE HANDLING ====================
-    
-    handleImageSelect(e) {
-        const files = Array.from(e.target.files);
-        
-        files.forEach(file => {
-            if (file.type.startsWith('image/')) {
-                this.addImagePreview(file);
-            }
-        });
-        
-        // Clear the input so the same file can be selected again
-        e.target.value = '';
-    }
-    
-    addImagePreview(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const imageData = {
-                file: file,
-                dataUrl: e.target.result,
-                name: file.name
-            };
-            
-            this.selectedImages.push(imageData);
-            this.renderImagePreviews();
-        };
-        reader.readAsDataURL(file);
-    }
-    
-    renderImagePreviews() {
-        if (this.selectedImages.length === 0) {
-            this.imagePreviewContainer.style.display = 'none';
-            return;
-        }
-        
-        this.imagePreviewContainer.style.display = 'flex';
-        this.imagePreviewContainer.innerHTML = '';
-        
-        this.selectedImages.forEach((imageData, index) => {
-            const previewDiv = document.createElement('div');
-            previewDiv.className = 'image-preview';
-            
-            const img = document.createElement('img');
-            img.src = imageData.dataUrl;
-            img.alt = imageData.name;
-            
-            const removeBtn = document.createElement('button');
-            removeBtn.className = 'remove-image';
-            removeBtn.innerHTML = '×';
-            removeBtn.onclick = () => this.removeImage(index);
-            
-            previewDiv.appendChild(img);
-            previewDiv.appendChild(removeBtn);
-            this.imagePreviewContainer.appendChild(previewDiv);
-        });
-    }
-    
-    removeImage(index) {
-        this.selectedImages.splice(index, 1);
-        this.renderImagePreviews();
-    }
-    
-    async sendMessage() {
-        const message = this.userInput.value.trim();
-        
-        if (!message && this.selectedImages.length === 0) {
-            return;
-        }
-        
-        const currentChat = this.getCurrentChat();
-        if (!currentChat) return;
-        
-        // Disable input while processing
-        this.setInputState(false);
-        
-        // Save current images before clearing
-        const messagImages = [...this.selectedImages];
-        
-        // Add user message to chat
-        const userMessage = {
-            text: message,
-            sender: 'user',
-            images: messagImages,
-            timestamp: new Date().toISOString()
-        };
-        
-        currentChat.messages.push(userMessage);
-        this.addMessage(message, 'user', messagImages);
-        
-        // Update chat title if this is the first message
-        if (currentChat.messages.length === 1 && message) {
-            const title = message.length > 30 ? message.substring(0, 30) + '...' : message;
-            this.updateChatTitle(currentChat.id, title);
-        }
-        
-        // Clear input and images
-        this.userInput.value = '';
-        this.adjustTextareaHeight();
-        this.selectedImages = [];
-        this.renderImagePreviews();
-        
-        // Show loading indicator
-        this.showLoading(true);
-        
-        try {
-            let requestBody;
-            let headers = {};
-            
-            // Get conversation history (exclude current message)
-            const conversationHistory = currentChat.messages.slice(0, -1);
-            
-            if (messagImages.length > 0) {
-                // Use FormData for image uploads
-                const formData = new FormData();
-                formData.append('message', message);
-                formData.append('conversation', JSON.stringify(conversationHistory));
-                
-                messagImages.forEach((imageData) => {
-                    formData.append(`images`, imageData.file);
-                });
-                
-                requestBody = formData;
-            } else {
-                // Use JSON for text-only messages
-                headers['Content-Type'] = 'application/json';
-                requestBody = JSON.stringify({ 
-                    message: message,
-                    conversation: conversationHistory
-                });
-            }
-            
-            // Send request to backend
-            const response = await fetch('/api/chat', {
-                method: 'POST',
-                headers: headers,
-                body: requestBody
-            });
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            
-            if (data.error) {
-                throw new Error(data.error);
-            }
-            
-            // Add assistant response to chat
-            const assistantMessage = {
-                text: data.response,
-                sender: 'assistant',
-                images: [],
-                timestamp: new Date().toISOString()
-            };
-            
-            currentChat.messages.push(assistantMessage);
-            currentChat.updatedAt = new Date().toISOString();
-            this.saveChatsToStorage();
-            this.renderChatList();
-            
-            this.addMessage(data.response, 'assistant');
-            
-        } catch (error) {
-            console.error('Error:', error);
-            this.addErrorMessage(`Error: ${error.message}`);
-        } finally {
-            // Re-enable input and hide loading
-            this.setInputState(true);
-            this.showLoading(false);
-            this.focusInput();
-        }
-    }
-    
-    addMessage(text, sender, images = []) {
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${sender}-message`;
-        
-        const contentDiv = document.createElement('div');
-        contentDiv.className = 'message-content';
-        
-        // Add images if present
-        if (images && images.length > 0) {
-            images.forEach(imageData => {
-                const img = document.createElement('img');
-                img.className = 'message-image';
-                img.src = imageData.dataUrl;
-                img.alt = imageData.name;
-                img.onclick = () => this.openImageModal(imageData.dataUrl);
-                contentDiv.appendChild(img);
-            });
-        }
-        
-        // Add text if present
-        if (text) {
-            const textDiv = document.createElement('div');
-            textDiv.textContent = text;
-            contentDiv.appendChild(textDiv);
-        }
-        
-        messageDiv.appendChild(contentDiv);
-        this.chatHistory.appendChild(messageDiv);
-        this.scrollToBottom();
-    }
-    
-    openImageModal(imageSrc) {
-        // Simple modal to view full-size image
-        const modal = document.createElement('div');
-        modal.style.cssText = `
-            position: fixed;
-            top: 0;
-            left: 0;
-            width: 100%;
-            height: 100%;
-            background: rgba(0, 0, 0, 0.8);
-            display: flex;
-            justify-content: center;
-            align-items: center;
-            z-index: 1000;
-            cursor: pointer;
-        `;
-        
-        const img = document.createElement('img');
-        img.src = imageSrc;
-        img.style.cssText = `
-            max-width: 90%;
-            max-height: 90%;
-            border-radius: 10px;
-            box-shadow: 0 4px 20px rgba(0, 0, 0, 0.5);
-        `;
-        
-        modal.appendChild(img);
-        modal.onclick = () => document.body.removeChild(modal);
-        document.body.appendChild(modal);
-    }
-    
-    addErrorMessage(text) {
-        const errorDiv = document.createElement('div');
-        errorDiv.className = 'error-message';
-        errorDiv.textContent = text;
-        
-        this.chatHistory.appendChild(errorDiv);
-        this.scrollToBottom();
-    }
-    
-    setInputState(enabled) {
-        this.userInput.disabled = !enabled;
-        this.sendButton.disabled = !enabled;
-    }
-    
-    showLoading(show) {
-        if (show) {
-            this.loadingElement.classList.remove('hidden');
-        } else {
-            this.loadingElement.classList.add('hidden');
-        }
-    }
-    
-    scrollToBottom() {
-        this.chatHistory.scrollTop = this.chatHistory.scrollHeight;
-    }
-}
-
-// Initialize the app when the DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new ChatApp();
+// Chats in the trash are deleted for good after this many days
+const TRASH_RETENTION_DAYS = 30;
+
+// Sidebar sections that start collapsed
+const DEFAULT_COLLAPSED_SECTIONS = ['archived', 'trash'];
+
+class ChatApp {
+    constructor() {
+        // DOM elements
+        this.chatHistory = document.getElementById('chat-history');
+        this.userInput = document.getElementById('user-input');
+        this.sendButton = document.getElementById('send-button');
+        this.stopButton = document.getElementById('stop-button');
+        this.loadingElement = document.getElementById('loading');
+        this.imageInput = document.getElementById('image-input');
+        this.imageButton = document.getElementById('image-button');
+        this.fileInput = document.getElementById('file-input');
+        this.fileButton = document.getElementById('file-button');
+        this.imagineButton = document.getElementById('imagine-button');
+        this.imageOptions = document.getElementById('image-options');
+        this.imageSize = document.getElementById('image-size');
+        this.imageCount = document.getElementById('image-count');
+        this.imageModeOff = document.getElementById('image-mode-off');
+        this.imagePreviewContainer = document.getElementById('image-preview-container');
+        this.storageWarning = document.getElementById('storage-warning');
+        this.updateBanner = document.getElementById('update-banner');
+        
+        // Sidebar elements
+        this.sidebar = document.getElementById('sidebar');
+        this.sidebarOverlay = document.getElementById('sidebar-overlay');
+        this.menuBtn = document.getElementById('menu-btn');
+        this.sidebarToggle = document.getElementById('sidebar-toggle');
+        this.newChatBtn = document.getElementById('new-chat-btn');
+        this.chatList = document.getElementById('chat-list');
+        this.chatSearch = document.getElementById('chat-search');
+        this.newFolderBtn = document.getElementById('new-folder-btn');
+        this.mainContent = document.querySelector('.main-content');
+        this.chatContainer = document.querySelector('.chat-container');
+        
+        // Settings panel elements
+        this.settingsBtn = document.getElementById('settings-btn');
+        this.settingsPanel = document.getElementById('settings-panel');
+        this.settingsModel = document.getElementById('settings-model');
+        this.settingsTemperature = document.getElementById('settings-temperature');
+        this.settingsTemperatureValue = document.getElementById('settings-temperature-value');
+        this.settingsMaxTokens = document.getElementById('settings-max-tokens');
+        this.settingsSystemPrompt = document.getElementById('settings-system-prompt');
+        this.settingsToolsRow = document.getElementById('settings-tools-row');
+        this.settingsTools = document.getElementById('settings-tools');
+        this.settingsToolsList = document.getElementById('settings-tools-list');
+        this.settingsSave = document.getElementById('settings-save');
+        this.settingsCancel = document.getElementById('settings-cancel');
+        
+        // Sign-in elements
+        this.loginPanel = document.getElementById('login-panel');
+        this.loginForm = document.getElementById('login-form');
+        this.loginUsername = document.getElementById('login-username');
+        this.loginUsernameLabel = document.getElementById('login-username-label');
+        this.loginPassword = document.getElementById('login-password');
+        this.loginPasswordLabel = document.getElementById('login-password-label');
+        this.loginError = document.getElementById('login-error');
+        this.sidebarFooter = document.getElementById('sidebar-footer');
+        this.sessionUser = document.getElementById('session-user');
+        this.sessionUsage = document.getElementById('session-usage');
+        this.logoutBtn = document.getElementById('logout-btn');
+        this.usageLink = document.getElementById('usage-link');
+        this.chatUsage = document.getElementById('chat-usage');
+        
+        // Export and import elements
+        this.exportBtn = document.getElementById('export-btn');
+        this.exportPanel = document.getElementById('export-panel');
+        this.exportCancel = document.getElementById('export-cancel');
+        this.exportAllBtn = document.getElementById('export-all-btn');
+        this.importBtn = document.getElementById('import-btn');
+        this.importInput = document.getElementById('import-input');
+        
+        // Share elements
+        this.sharePanel = document.getElementById('share-panel');
+        this.sharePanelTitle = document.getElementById('share-panel-title');
+        this.shareCreateSection = document.getElementById('share-create-section');
+        this.shareExpiry = document.getElementById('share-expiry');
+        this.shareResult = document.getElementById('share-result');
+        this.shareUrl = document.getElementById('share-url');
+        this.shareError = document.getElementById('share-error');
+        this.shareList = document.getElementById('share-list');
+        this.shareCreateBtn = document.getElementById('share-create');
+        
+        // Prompt library elements
+        this.slashMenuElement = document.getElementById('slash-menu');
+        this.promptsBtn = document.getElementById('prompts-btn');
+        this.promptsPanel = document.getElementById('prompts-panel');
+        this.promptsList = document.getElementById('prompts-list');
+        this.promptEditor = document.getElementById('prompt-editor');
+        this.promptName = document.getElementById('prompt-name');
+        this.promptCommand = document.getElementById('prompt-command');
+        this.promptText = document.getElementById('prompt-text');
+        this.promptSystem = document.getElementById('prompt-system');
+        this.promptError = document.getElementById('prompt-error');
+        this.promptsImportInput = document.getElementById('prompts-import-input');
+        this.templatePanel = document.getElementById('template-panel');
+        this.templateForm = document.getElementById('template-form');
+        this.templateFormTitle = document.getElementById('template-form-title');
+        this.templateFields = document.getElementById('template-fields');
+        
+        // App state
+        this.selectedImages = [];
+        this.selectedFiles = [];
+        this.chats = new Map();
+        this.folders = [];
+        this.collapsedSections = new Set(DEFAULT_COLLAPSED_SECTIONS);
+        this.draggedChatId = null;
+        this.currentChatId = null;
+        this.isMobile = window.innerWidth <= 768;
+        this.abortController = null;
+        this.modelConfig = null;
+        this.session = null;
+        this.cooldownUntil = 0;
+        this.cooldownTimer = null;
+        this.markdown = new MarkdownRenderer();
+        this.messageView = new MessageView(this.markdown);
+        this.storage = new ChatStorage();
+        this.transfer = new ChatTransfer(this.markdown);
+        this.searchIndex = new ChatSearchIndex();
+        this.searchTimer = null;
+        this.prompts = new PromptLibrary();
+        this.slashMenu = null;
+        this.editingTemplateId = null;
+        this.templateResolve = null;
+        this.templateValues = {};
+        this.sharingChat = null;
+        this.sync = new ChatSync(this.storage);
+        this.syncTimer = null;
+        this.syncInterval = null;
+        this.syncing = false;
+        this.syncAgain = false;
+        this.workerRegistration = null;
+        this.reloadingForUpdate = false;
+        this.sendingPending = false;
+        this.imageMode = false;
+        
+        this.initializeApp();
+    }
+    
+    async initializeApp() {
+        this.initializeEventListeners();
+        this.handleResize();
+        this.registerServiceWorker();
+        this.chatsReady = this.loadChats();
+        this.checkSession();
+        await this.chatsReady;
+        
+        // Load the most recent chat, or create the first one
+        const recentChatId = this.getMostRecentChatId();
+        if (recentChatId) {
+            this.switchToChat(recentChatId);
+        } else {
+            this.createNewChat();
+        }
+        
+        // Messages queued while offline, if the page was closed before they went
+        this.sendPendingMessages();
+    }
+    
+    initializeEventListeners() {
+        // Message sending
+        this.sendButton.addEventListener('click', () => this.sendMessage());
+        this.stopButton.addEventListener('click', () => this.stopGenerating());
+        
+        this.userInput.addEventListener('keydown', (e) => {
+            if (this.handleSlashMenuKey(e)) {
+                return;
+            }
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendMessage();
+            }
+        });
+        
+        this.userInput.addEventListener('input', () => {
+            this.adjustTextareaHeight();
+            this.updateSlashMenu();
+        });
+        this.userInput.addEventListener('blur', () => this.closeSlashMenu());
+        
+        // Image handling
+        this.imageButton.addEventListener('click', () => {
+            this.imageInput.click();
+        });
+        
+        this.imageInput.addEventListener('change', (e) => {
+            this.handleImageSelect(e);
+        });
+        
+        // Document attachments
+        this.fileButton.addEventListener('click', () => {
+            this.fileInput.click();
+        });
+        
+        this.fileInput.addEventListener('change', (e) => {
+            this.handleFileSelect(e);
+        });
+        
+        // Image generation mode
+        this.imagineButton.addEventListener('click', () => {
+            this.setImageMode(!this.imageMode);
+            this.focusInput();
+        });
+        this.imageModeOff.addEventListener('click', () => {
+            this.setImageMode(false);
+            this.focusInput();
+        });
+        
+        // Pasted screenshots and files
+        this.userInput.addEventListener('paste', (e) => {
+            const files = Array.from(e.clipboardData ? e.clipboardData.files : []);
+            if (files.length > 0) {
+                e.preventDefault();
+                this.addAttachments(files);
+            }
+        });
+        
+        // Drag and drop onto the chat
+        this.chatContainer.addEventListener('dragover', (e) => {
+            if (e.dataTransfer && e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                this.chatContainer.classList.add('drag-over');
+            }
+        });
+        this.chatContainer.addEventListener('dragleave', (e) => {
+            if (!this.chatContainer.contains(e.relatedTarget)) {
+                this.chatContainer.classList.remove('drag-over');
+            }
+        });
+        this.chatContainer.addEventListener('drop', (e) => {
+            e.preventDefault();
+            this.chatContainer.classList.remove('drag-over');
+            this.addAttachments(Array.from(e.dataTransfer.files));
+        });
+        
+        // Sidebar controls
+        this.menuBtn.addEventListener('click', () => this.toggleSidebar());
+        this.sidebarToggle.addEventListener('click', () => this.toggleSidebar());
+        this.sidebarOverlay.addEventListener('click', () => this.closeSidebar());
+        this.newChatBtn.addEventListener('click', () => this.createNewChat());
+        this.newFolderBtn.addEventListener('click', () => this.createFolder());
+        document.addEventListener('click', () => this.closeChatMenus());
+        
+        // Search
+        this.chatSearch.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.renderChatList(), 150);
+        });
+        this.chatSearch.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.chatSearch.value = '';
+                this.renderChatList();
+            }
+        });
+        
+        // Chat settings
+        this.settingsBtn.addEventListener('click', () => this.openSettings());
+        this.settingsCancel.addEventListener('click', () => this.closeSettings());
+        this.settingsSave.addEventListener('click', () => this.saveSettings());
+        this.settingsTemperature.addEventListener('input', () => {
+            this.settingsTemperatureValue.textContent = this.settingsTemperature.value;
+        });
+        this.settingsPanel.addEventListener('click', (e) => {
+            if (e.target === this.settingsPanel) {
+                this.closeSettings();
+            }
+        });
+        
+        // Sign-in
+        this.loginForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login();
+        });
+        this.logoutBtn.addEventListener('click', () => this.logout());
+        
+        // Export and import
+        this.exportBtn.addEventListener('click', () => this.openExport());
+        this.exportCancel.addEventListener('click', () => this.closeExport());
+        this.exportPanel.querySelectorAll('.export-option').forEach(button => {
+            button.addEventListener('click', () => this.exportChat(button.dataset.format));
+        });
+        this.exportPanel.addEventListener('click', (e) => {
+            if (e.target === this.exportPanel) {
+                this.closeExport();
+            }
+        });
+        this.exportAllBtn.addEventListener('click', () => this.exportAllChats());
+        
+        // Shared links
+        document.getElementById('shared-links-btn').addEventListener('click', () => this.openSharePanel(null));
+        document.getElementById('share-close').addEventListener('click', () => this.closeSharePanel());
+        document.getElementById('share-copy').addEventListener('click', (e) => this.markdown.copyToClipboard(this.shareUrl.value, e.target));
+        this.shareCreateBtn.addEventListener('click', () => this.createShare());
+        this.sharePanel.addEventListener('click', (e) => {
+            if (e.target === this.sharePanel) {
+                this.closeSharePanel();
+            }
+        });
+        
+        // Prompt library
+        this.promptsBtn.addEventListener('click', () => this.openPrompts());
+        document.getElementById('prompts-close').addEventListener('click', () => this.closePrompts());
+        document.getElementById('prompt-new').addEventListener('click', () => this.editPrompt(null));
+        document.getElementById('prompt-editor-cancel').addEventListener('click', () => this.closePromptEditor());
+        document.getElementById('prompts-export').addEventListener('click', () => this.exportPrompts());
+        document.getElementById('prompts-import').addEventListener('click', () => this.promptsImportInput.click());
+        this.promptsImportInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importPrompts(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        this.promptEditor.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePromptEditor();
+        });
+        this.promptsPanel.addEventListener('click', (e) => {
+            if (e.target === this.promptsPanel) {
+                this.closePrompts();
+            }
+        });
+        this.templateForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = {};
+            this.templateFields.querySelectorAll('input').forEach(input => {
+                values[input.name] = input.value;
+            });
+            this.finishTemplateForm(values);
+        });
+        document.getElementById('template-cancel').addEventListener('click', () => this.finishTemplateForm(null));
+        this.templatePanel.addEventListener('click', (e) => {
+            if (e.target === this.templatePanel) {
+                this.finishTemplateForm(null);
+            }
+        });
+        this.importBtn.addEventListener('click', () => this.importInput.click());
+        this.importInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importChats(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+        
+        // Window resize
+        window.addEventListener('resize', () => this.handleResize());
+        
+        // New version of the app
+        document.getElementById('update-reload').addEventListener('click', () => this.applyUpdate());
+        
+        // Send queued messages and changes once we're back online, and pick up
+        // changes from other devices (or a new version of the app) when the
+        // user comes back to this tab
+        window.addEventListener('online', () => {
+            this.sendPendingMessages();
+            this.syncChats();
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') {
+                this.syncChats();
+                this.checkForUpdate();
+            }
+        });
+    }
+    
+    // ==================== CHAT MANAGEMENT ====================
+    
+    createNewChat() {
+        const chatId = 'chat_' + Date.now();
+        const chat = {
+            id: chatId,
+            title: 'New Chat',
+            messages: [],
+            selectedBranches: {},
+            settings: this.getDefaultSettings(),
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+        
+        this.chats.set(chatId, chat);
+        this.currentChatId = chatId;
+        this.saveChat(chat);
+        this.saveCurrentChatId();
+        this.renderChatList();
+        this.clearChatHistory();
+        this.renderChatUsage(chat);
+        this.focusInput();
+        
+        if (this.isMobile) {
+            this.closeSidebar();
+        }
+    }
+    
+    switchToChat(chatId) {
+        if (!this.chats.has(chatId)) return;
+        
+        this.currentChatId = chatId;
+        this.saveCurrentChatId();
+        const chat = this.chats.get(chatId);
+        this.renderChatHistory(chat);
+        this.renderChatUsage(chat);
+        this.renderChatList();
+        
+        if (this.isMobile) {
+            this.closeSidebar();
+        }
+        
+        this.focusInput();
+    }
+    
+    // Move a chat to the trash; it can be restored until it expires
+    deleteChat(chatId, event) {
+        if (event) {
+            event.stopPropagation();
+        }
+        
+        const chat = this.chats.get(chatId);
+        if (!chat) return;
+        
+        this.moveChat(chat, { deletedAt: new Date().toISOString(), pinned: false });
+    }
+    
+    restoreChat(chat) {
+        this.moveChat(chat, { deletedAt: null });
+    }
+    
+    // Delete a chat and its images for good, here and on the server
+    deleteChatForever(chatId) {
+        this.forgetChat(chatId);
+        this.sync.markDeleted(chatId);
+        this.scheduleSync();
+    }
+    
+    // Remove a chat from this browser
+    forgetChat(chatId) {
+        this.chats.delete(chatId);
+        this.searchIndex.removeChat(chatId);
+        this.storage.deleteChat(chatId).catch(error => this.handleStorageError(error));
+        
+        if (this.currentChatId === chatId) {
+            this.openRecentChat();
+        }
+        this.renderChatList();
+    }
+    
+    emptyTrash() {
+        const trashed = Array.from(this.chats.values()).filter(chat => chat.deletedAt);
+        if (trashed.length === 0) return;
+        if (!confirm(`Delete ${trashed.length} chat${trashed.length === 1 ? '' : 's'} in the trash for good?`)) return;
+        
+        trashed.forEach(chat => this.deleteChatForever(chat.id));
+    }
+    
+    // Delete trashed chats older than TRASH_RETENTION_DAYS
+    purgeExpiredTrash() {
+        const cutoff = Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        this.chats.forEach(chat => {
+            if (chat.deletedAt && new Date(chat.deletedAt).getTime() < cutoff) {
+                this.chats.delete(chat.id);
+                this.searchIndex.removeChat(chat.id);
+                this.storage.deleteChat(chat.id).catch(error => this.handleStorageError(error));
+                this.sync.markDeleted(chat.id);
+            }
+        });
+    }
+    
+    // The chat to open when there's no other choice: the latest one not in the
+    // archive or trash, else the latest archived one
+    getMostRecentChatId() {
+        const byRecent = Array.from(this.chats.values())
+            .filter(chat => !chat.deletedAt)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        const chat = byRecent.find(candidate => !candidate.archived) || byRecent[0];
+        return chat ? chat.id : null;
+    }
+    
+    openRecentChat() {
+        const chatId = this.getMostRecentChatId();
+        if (chatId) {
+            this.switchToChat(chatId);
+        } else {
+            this.createNewChat();
+        }
+    }
+    
+    updateChatTitle(chatId, newTitle) {
+        if (!this.chats.has(chatId)) return;
+        
+        const chat = this.chats.get(chatId);
+        chat.title = newTitle;
+        chat.updatedAt = new Date().toISOString();
+        this.chats.set(chatId, chat);
+        this.saveChat(chat);
+        this.renderChatList();
+    }
+    
+    // Swap the title in the chat list for a text box; Enter or leaving it saves, Escape cancels
+    startRenaming(chat, titleDiv) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chat-rename-input';
+        input.value = chat.title;
+        input.maxLength = 100;
+        
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            
+            const newTitle = input.value.trim();
+            if (save && newTitle && newTitle !== chat.title) {
+                // Titles the user chose are never replaced by generated ones
+                chat.titleSource = 'user';
+                this.updateChatTitle(chat.id, newTitle);
+            } else {
+                this.renderChatList();
+            }
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+        
+        titleDiv.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+    
+    // Ask the model for a short title based on the chat's first exchange.
+    // Runs in the background after the first reply; manual is true when the
+    // user asked for a new title, so failures are reported to them.
+    async generateTitle(chat, { manual = false } = {}) {
+        const opening = this.getActivePath(chat).slice(0, 2);
+        if (opening.length === 0) return;
+        
+        try {
+            const response = await fetch('/api/title', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    messages: opening.map(message => ({
+                        sender: message.sender,
+                        text: message.text,
+                        images: (message.images || []).map(image => image.name),
+                        files: (message.files || []).map(file => file.name)
+                    }))
+                })
+            });
+            
+            if (!response.ok) {
+                throw await this.createResponseError(response);
+            }
+            
+            const { title } = await response.json();
+            // The user may have renamed the chat while we waited
+            if (!this.chats.has(chat.id) || (!manual && chat.titleSource === 'user')) return;
+            
+            chat.titleSource = 'generated';
+            this.updateChatTitle(chat.id, title);
+        } catch (error) {
+            console.error('Failed to generate a title:', error);
+            if (manual && chat.id === this.currentChatId) {
+                this.addErrorMessage(`Couldn't generate a title: ${error.message}`, error.requestId);
+            }
+        }
+    }
+    
+    getCurrentChat() {
+        return this.chats.get(this.currentChatId);
+    }
+    
+    // ==================== FOLDERS, PINS & ARCHIVE ====================
+    
+    // Change where a chat is filed (pinned, folderId, archived, deletedAt).
+    // Doesn't touch updatedAt, so the chat keeps its place in the list.
+    moveChat(chat, changes) {
+        Object.assign(chat, changes);
+        this.saveChat(chat);
+        
+        // Don't leave a trashed chat open
+        if (chat.deletedAt && chat.id === this.currentChatId) {
+            this.openRecentChat();
+        }
+        this.renderChatList();
+    }
+    
+    togglePinned(chat) {
+        this.moveChat(chat, { pinned: !chat.pinned, archived: false });
+    }
+    
+    toggleArchived(chat) {
+        this.moveChat(chat, { archived: !chat.archived, pinned: false });
+    }
+    
+    moveToFolder(chat, folderId) {
+        this.moveChat(chat, { folderId: folderId, pinned: false, archived: false, deletedAt: null });
+    }
+    
+    getFolder(folderId) {
+        return this.folders.find(folder => folder.id === folderId) || null;
+    }
+    
+    createFolder() {
+        const folder = { id: 'folder_' + Date.now(), name: 'New folder' };
+        this.folders.push(folder);
+        this.saveFolders();
+        this.collapsedSections.delete(`folder:${folder.id}`);
+        this.renderChatList();
+        
+        const header = this.chatList.querySelector(`[data-section="folder:${folder.id}"] .chat-section-title`);
+        if (header) {
+            this.startRenamingFolder(folder, header);
+        }
+    }
+    
+    // Find a folder by name (for imports), creating it if there isn't one
+    findOrCreateFolder(name) {
+        let folder = this.folders.find(candidate => candidate.name === name);
+        if (!folder) {
+            folder = { id: `folder_${Date.now()}_${this.folders.length}`, name: name };
+            this.folders.push(folder);
+            this.saveFolders();
+        }
+        return folder;
+    }
+    
+    startRenamingFolder(folder, titleSpan) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'chat-rename-input';
+        input.value = folder.name;
+        input.maxLength = 60;
+        
+        let finished = false;
+        const finish = (save) => {
+            if (finished) return;
+            finished = true;
+            
+            const name = input.value.trim();
+            if (save && name) {
+                folder.name = name;
+                this.saveFolders();
+            }
+            this.renderChatList();
+        };
+        
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+        input.addEventListener('click', (e) => e.stopPropagation());
+        
+        titleSpan.replaceWith(input);
+        input.focus();
+        input.select();
+    }
+    
+    // Remove a folder; its chats go back to the main list
+    deleteFolder(folder) {
+        this.folders = this.folders.filter(candidate => candidate !== folder);
+        this.saveFolders();
+        this.collapsedSections.delete(`folder:${folder.id}`);
+        this.saveCollapsedSections();
+        
+        this.chats.forEach(chat => {
+            if (chat.folderId === folder.id) {
+                chat.folderId = null;
+                this.saveChat(chat);
+            }
+        });
+        this.renderChatList();
+    }
+    
+    toggleSection(key) {
+        if (this.collapsedSections.has(key)) {
+            this.collapsedSections.delete(key);
+        } else {
+            this.collapsedSections.add(key);
+        }
+        this.saveCollapsedSections();
+        this.renderChatList();
+    }
+    
+    saveFolders() {
+        if (!this.storage.db) return;
+        
+        this.storage.setFolders(this.folders)
+            .catch(error => this.handleStorageError(error));
+    }
+    
+    saveCollapsedSections() {
+        if (!this.storage.db) return;
+        
+        this.storage.setCollapsedSections(Array.from(this.collapsedSections))
+            .catch(error => this.handleStorageError(error));
+    }
+    
+    // ==================== SIGN-IN ====================
+    
+    async checkSession() {
+        try {
+            const response = await fetch('/api/auth/session');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.session = await response.json();
+        } catch (error) {
+            console.error('Failed to check session:', error);
+            if (!this.modelConfig) {
+                this.loadModels();
+            }
+            return;
+        }
+        
+        if (this.session.authenticated) {
+            if (!this.modelConfig) {
+                this.loadModels();
+            }
+            this.startSync();
+        } else {
+            this.sync.stop();
+            this.showLogin();
+        }
+        this.renderSessionInfo();
+    }
+    
+    showLogin() {
+        const accounts = this.session && this.session.mode === 'accounts';
+        this.loginUsername.classList.toggle('hidden', !accounts);
+        this.loginUsernameLabel.classList.toggle('hidden', !accounts);
+        this.loginPasswordLabel.textContent = accounts ? 'Password' : 'Passcode';
+        this.loginPassword.value = '';
+        this.loginPanel.classList.remove('hidden');
+        
+        setTimeout(() => {
+            (accounts ? this.loginUsername : this.loginPassword).focus();
+        }, 100);
+    }
+    
+    async login() {
+        this.loginError.classList.add('hidden');
+        
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: this.loginUsername.value,
+                    password: this.loginPassword.value
+                })
+            });
+            
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+            
+            this.loginPanel.classList.add('hidden');
+            this.loginPassword.value = '';
+            await this.checkSession();
+            this.focusInput();
+        } catch (error) {
+            this.loginError.textContent = error.message;
+            this.loginError.classList.remove('hidden');
+        }
+    }
+    
+    async logout() {
+        try {
+            await fetch('/api/auth/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Failed to sign out:', error);
+        }
+        this.modelConfig = null;
+        await this.checkSession();
+    }
+    
+    renderSessionInfo() {
+        const session = this.session;
+        if (!session || !session.authEnabled || !session.authenticated) {
+            this.sidebarFooter.classList.add('hidden');
+            return;
+        }
+        
+        this.sidebarFooter.classList.remove('hidden');
+        this.sessionUser.textContent = session.user.name;
+        this.usageLink.classList.toggle('hidden', !session.isAdmin);
+        
+        const { usage } = session;
+        const limit = usage.limits.dailyRequests;
+        this.sessionUsage.textContent = limit > 0
+            ? `${usage.requests} / ${limit} messages today`
+            : `${usage.requests} messages today`;
+    }
+    
+    // ==================== CHAT SETTINGS ====================
+    
+    async loadModels() {
+        try {
+            const response = await fetch('/api/models');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            this.modelConfig = await response.json();
+            this.renderImageOptions();
+        } catch (error) {
+            console.error('Failed to load models:', error);
+        }
+    }
+    
+    getDefaultSettings() {
+        const defaults = this.modelConfig ? this.modelConfig.defaults : {};
+        return {
+            model: '', // Empty means the server picks based on the message
+            temperature: defaults.temperature ?? 0.7,
+            maxTokens: defaults.maxTokens ?? 1000,
+            systemPrompt: defaults.systemPrompt ?? '',
+            tools: true
+        };
+    }
+    
+    openSettings() {
+        const chat = this.getCurrentChat();
+        if (!chat) return;
+        
+        const settings = chat.settings;
+        
+        // Populate the model list from the server's allowlist
+        this.settingsModel.innerHTML = '';
+        const autoOption = document.createElement('option');
+        autoOption.value = '';
+        autoOption.textContent = 'Auto';
+        this.settingsModel.appendChild(autoOption);
+        
+        const models = this.modelConfig ? this.modelConfig.models : [];
+        models.forEach(model => {
+            const option = document.createElement('option');
+            option.value = model.id;
+            option.textContent = model.vision ? `${model.id} (images)` : model.id;
+            this.settingsModel.appendChild(option);
+        });
+        
+        this.settingsModel.value = models.some(model => model.id === settings.model) ? settings.model : '';
+        this.settingsTemperature.value = settings.temperature;
+        this.settingsTemperatureValue.textContent = settings.temperature;
+        this.settingsMaxTokens.value = settings.maxTokens;
+        if (this.modelConfig) {
+            this.settingsMaxTokens.max = this.modelConfig.limits.maxTokens;
+            this.settingsSystemPrompt.maxLength = this.modelConfig.limits.systemPromptLength;
+        }
+        this.settingsSystemPrompt.value = settings.systemPrompt;
+        
+        // Only offered when the server has tools; models that can't call them answer without
+        const tools = this.modelConfig && this.modelConfig.tools ? this.modelConfig.tools : [];
+        this.settingsToolsRow.classList.toggle('hidden', tools.length === 0);
+        this.settingsTools.checked = settings.tools !== false;
+        this.settingsToolsList.textContent = tools.map(tool => tool.name.replace(/_/g, ' ')).join(', ');
+        
+        this.settingsPanel.classList.remove('hidden');
+    }
+    
+    closeSettings() {
+        this.settingsPanel.classList.add('hidden');
+        this.focusInput();
+    }
+    
+    saveSettings() {
+        const chat = this.getCurrentChat();
+        if (!chat) return;
+        
+        const maxTokens = parseInt(this.settingsMaxTokens.value, 10);
+        
+        chat.settings = {
+            model: this.settingsModel.value,
+            temperature: parseFloat(this.settingsTemperature.value),
+            maxTokens: Number.isInteger(maxTokens) && maxTokens > 0 ? maxTokens : this.getDefaultSettings().maxTokens,
+            systemPrompt: this.settingsSystemPrompt.value.trim(),
+            tools: this.settingsTools.checked
+        };
+        chat.updatedAt = new Date().toISOString();
+        this.saveChat(chat);
+        this.closeSettings();
+    }
+    
+    // ==================== PROMPT TEMPLATES ====================
+    
+    // Show the / menu while the word before the caret starts with a slash
+    updateSlashMenu() {
+        const caret = this.userInput.selectionStart;
+        const match = /(^|\s)\/([\w-]*)$/.exec(this.userInput.value.slice(0, caret));
+        if (!match || this.userInput.selectionEnd !== caret) {
+            this.closeSlashMenu();
+            return;
+        }
+        
+        this.slashMenu = {
+            start: caret - match[2].length - 1,
+            end: caret,
+            items: this.prompts.match(match[2]),
+            // The built-in /imagine, after the templates
+            imagine: this.canGenerateImages() && 'imagine'.startsWith(match[2].toLowerCase()),
+            index: 0
+        };
+        this.renderSlashMenu();
+    }
+    
+    renderSlashMenu() {
+        const { items, imagine, index } = this.slashMenu;
+        this.slashMenuElement.innerHTML = '';
+        
+        const addItem = (position, command, name, preview) => {
+            const item = document.createElement('div');
+            item.className = `slash-item ${position === index ? 'selected' : ''}`;
+            item.setAttribute('role', 'option');
+            
+            const commandSpan = document.createElement('span');
+            commandSpan.className = 'slash-command';
+            commandSpan.textContent = command;
+            const nameSpan = document.createElement('span');
+            nameSpan.className = 'slash-name';
+            nameSpan.textContent = name;
+            const previewSpan = document.createElement('span');
+            previewSpan.className = 'slash-preview';
+            previewSpan.textContent = preview;
+            item.append(commandSpan, nameSpan, previewSpan);
+            
+            // mousedown so the message box keeps focus
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                this.chooseSlashItem(position);
+            });
+            this.slashMenuElement.appendChild(item);
+        };
+        
+        items.forEach((template, position) => {
+            const preview = template.text ? template.text.split('\n')[0] : 'Sets the system prompt';
+            addItem(position, `/${template.command}`, template.name, preview);
+        });
+        if (imagine) {
+            addItem(items.length, '/imagine', 'Generate images', 'Turns on Image mode');
+        }
+        addItem(items.length + (imagine ? 1 : 0), '', 'Manage prompts…', '');
+        
+        this.slashMenuElement.classList.remove('hidden');
+        const selected = this.slashMenuElement.querySelector('.slash-item.selected');
+        if (selected) {
+            selected.scrollIntoView({ block: 'nearest' });
+        }
+    }
+    
+    // Arrow keys move through the / menu, Enter or Tab picks, Escape closes.
+    // Returns true if the key was used by the menu.
+    handleSlashMenuKey(e) {
+        if (!this.slashMenu) {
+            return false;
+        }
+        
+        const count = this.slashMenu.items.length + (this.slashMenu.imagine ? 1 : 0) + 1;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.slashMenu.index = (this.slashMenu.index + step + count) % count;
+            this.renderSlashMenu();
+        } else if (e.key === 'Enter' || e.key === 'Tab') {
+            this.chooseSlashItem(this.slashMenu.index);
+        } else if (e.key === 'Escape') {
+            this.closeSlashMenu();
+        } else {
+            return false;
+        }
+        
+        e.preventDefault();
+        return true;
+    }
+    
+    chooseSlashItem(index) {
+        const { start, end, items, imagine } = this.slashMenu;
+        this.closeSlashMenu();
+        
+        // Take the /command out of the message box
+        const value = this.userInput.value;
+        this.userInput.value = value.slice(0, start) + value.slice(end);
+        this.userInput.setSelectionRange(start, start);
+        
+        if (index < items.length) {
+            this.useTemplate(items[index]);
+        } else if (imagine && index === items.length) {
+            this.setImageMode(true);
+        } else {
+            this.openPrompts();
+        }
+    }
+    
+    closeSlashMenu() {
+        this.slashMenu = null;
+        this.slashMenuElement.classList.add('hidden');
+    }
+    
+    // Fill in a template and put it in the message box. {{selection}} takes
+    // the selected text, or everything typed so far if nothing is selected.
+    async useTemplate(template) {
+        const input = this.userInput;
+        const selectionStart = input.selectionStart;
+        const selectionEnd = input.selectionEnd;
+        const hasSelection = selectionStart !== selectionEnd;
+        
+        const values = await this.askTemplateVariables(template);
+        if (!values) {
+            this.focusInput();
+            return;
+        }
+        values.selection = (hasSelection ? input.value.slice(selectionStart, selectionEnd) : input.value).trim();
+        
+        const chat = this.getCurrentChat();
+        if (template.systemPrompt && chat) {
+            chat.settings.systemPrompt = this.prompts.fill(template.systemPrompt, values);
+            chat.updatedAt = new Date().toISOString();
+            this.saveChat(chat);
+            this.showToast(`"${template.name}" set this chat's system prompt`);
+        }
+        
+        if (template.text) {
+            const text = this.prompts.fill(template.text, values);
+            if (/\{\{\s*selection\s*\}\}/.test(template.text)) {
+                // The text went into the template, so the template replaces it
+                input.value = hasSelection
+                    ? input.value.slice(0, selectionStart) + text + input.value.slice(selectionEnd)
+                    : text;
+            } else {
+                input.value = input.value.slice(0, selectionStart) + text + input.value.slice(selectionEnd);
+            }
+        }
+        
+        this.adjustTextareaHeight();
+        this.focusInput();
+    }
+    
+    // Ask for the template's variables. Resolves with { name: value }, or
+    // null if the user cancels.
+    askTemplateVariables(template) {
+        const variables = this.prompts.getVariables(template);
+        if (variables.length === 0) {
+            return Promise.resolve({});
+        }
+        
+        this.templateFormTitle.textContent = template.name;
+        this.templateFields.innerHTML = '';
+        variables.forEach(name => {
+            const label = document.createElement('label');
+            label.htmlFor = `template-field-${name}`;
+            label.textContent = name.charAt(0).toUpperCase() + name.slice(1).replace(/[_-]+/g, ' ');
+            
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.id = `template-field-${name}`;
+            input.name = name;
+            // Remember answers for this visit, e.g. the language to translate into
+            input.value = this.templateValues[name] || '';
+            
+            this.templateFields.append(label, input);
+        });
+        this.templatePanel.classList.remove('hidden');
+        setTimeout(() => this.templateFields.querySelector('input').focus(), 100);
+        
+        return new Promise(resolve => {
+            this.templateResolve = resolve;
+        });
+    }
+    
+    finishTemplateForm(values) {
+        this.templatePanel.classList.add('hidden');
+        if (values) {
+            Object.assign(this.templateValues, values);
+        }
+        if (this.templateResolve) {
+            this.templateResolve(values);
+            this.templateResolve = null;
+        }
+    }
+    
+    openPrompts() {
+        this.closePromptEditor();
+        this.renderPromptsList();
+        this.promptsPanel.classList.remove('hidden');
+    }
+    
+    closePrompts() {
+        this.promptsPanel.classList.add('hidden');
+        this.focusInput();
+    }
+    
+    renderPromptsList() {
+        this.promptsList.innerHTML = '';
+        
+        if (this.prompts.templates.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'export-note';
+            empty.textContent = 'No saved prompts yet.';
+            this.promptsList.appendChild(empty);
+            return;
+        }
+        
+        this.prompts.templates.forEach(template => {
+            const row = document.createElement('div');
+            row.className = 'prompt-row';
+            
+            const info = document.createElement('div');
+            info.className = 'prompt-info';
+            const name = document.createElement('span');
+            name.className = 'prompt-row-name';
+            name.textContent = template.name;
+            const command = document.createElement('span');
+            command.className = 'slash-command';
+            command.textContent = `/${template.command}`;
+            info.append(name, command);
+            
+            const useBtn = document.createElement('button');
+            useBtn.className = 'prompt-action';
+            useBtn.textContent = 'Use';
+            useBtn.onclick = () => {
+                this.closePrompts();
+                this.useTemplate(template);
+            };
+            const editBtn = document.createElement('button');
+            editBtn.className = 'prompt-action';
+            editBtn.textContent = 'Edit';
+            editBtn.onclick = () => this.editPrompt(template);
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'prompt-action';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => {
+                this.prompts.remove(template.id);
+                this.saveTemplates();
+                this.renderPromptsList();
+            };
+            
+            row.append(info, useBtn, editBtn, deleteBtn);
+            this.promptsList.appendChild(row);
+        });
+    }
+    
+    // Open the editor for a template, or for a new one if template is null
+    editPrompt(template) {
+        this.editingTemplateId = template ? template.id : null;
+        this.promptName.value = template ? template.name : '';
+        this.promptCommand.value = template ? template.command : '';
+        this.promptText.value = template ? template.text : '';
+        this.promptSystem.value = template ? template.systemPrompt : '';
+        this.promptError.classList.add('hidden');
+        this.promptEditor.classList.remove('hidden');
+        this.promptsList.classList.add('hidden');
+        this.promptName.focus();
+    }
+    
+    closePromptEditor() {
+        this.editingTemplateId = null;
+        this.promptEditor.classList.add('hidden');
+        this.promptsList.classList.remove('hidden');
+        this.promptError.classList.add('hidden');
+    }
+    
+    savePromptEditor() {
+        const error = this.prompts.save({
+            id: this.editingTemplateId,
+            name: this.promptName.value,
+            command: this.promptCommand.value,
+            text: this.promptText.value,
+            systemPrompt: this.promptSystem.value
+        });
+        if (error) {
+            this.showPromptError(error);
+            return;
+        }
+        
+        this.saveTemplates();
+        this.closePromptEditor();
+        this.renderPromptsList();
+    }
+    
+    showPromptError(text) {
+        this.promptError.textContent = text;
+        this.promptError.classList.remove('hidden');
+    }
+    
+    exportPrompts() {
+        this.downloadFile('unblockedgpt-prompts.json', this.prompts.toJson(), 'application/json');
+    }
+    
+    async importPrompts(file) {
+        try {
+            const count = this.prompts.importJson(await file.text());
+            this.saveTemplates();
+            this.closePromptEditor();
+            this.renderPromptsList();
+            this.showToast(`Imported ${count} prompt${count === 1 ? '' : 's'}`);
+        } catch (error) {
+            console.error('Prompt import failed:', error);
+            this.showPromptError(`Import failed: ${error.message}`);
+        }
+    }
+    
+    saveTemplates() {
+        if (!this.storage.db) return;
+        
+        this.storage.setTemplates(this.prompts.templates)
+            .catch(error => this.handleStorageError(error));
+    }
+    
+    // A short note at the bottom of the screen that fades away
+    showToast(text) {
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.textContent = text;
+        document.body.appendChild(toast);
+        setTimeout(() => toast.remove(), 3000);
+    }
+    
+    // ==================== SHARING ====================
+    
+    // Open the share dialog for a chat, or just the list of links if chat is null
+    openSharePanel(chat) {
+        this.sharingChat = chat;
+        this.sharePanelTitle.textContent = chat ? `Share "${chat.title}"` : 'Shared Links';
+        this.shareCreateSection.classList.toggle('hidden', !chat);
+        this.shareCreateBtn.classList.toggle('hidden', !chat);
+        this.shareCreateBtn.disabled = false;
+        this.shareResult.classList.add('hidden');
+        this.shareError.classList.add('hidden');
+        this.shareExpiry.innerHTML = '';
+        this.sharePanel.classList.remove('hidden');
+        this.loadShares();
+    }
+    
+    closeSharePanel() {
+        this.sharePanel.classList.add('hidden');
+        this.sharingChat = null;
+    }
+    
+    showShareError(text) {
+        this.shareError.textContent = text;
+        this.shareError.classList.remove('hidden');
+    }
+    
+    async loadShares() {
+        try {
+            const response = await fetch('/api/shares');
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+            const data = await response.json();
+            this.renderShareExpiryOptions(data.expiryDays, data.maxExpiryDays);
+            this.renderShareList(data.shares);
+        } catch (error) {
+            console.error('Failed to load shared links:', error);
+            this.showShareError(`Couldn't load your shared links: ${error.message}`);
+        }
+    }
+    
+    // Expiry choices up to the server's maximum, with its default selected
+    // unless the user already picked one
+    renderShareExpiryOptions(defaultDays, maxDays) {
+        const selected = this.shareExpiry.value === '' ? defaultDays : parseInt(this.shareExpiry.value, 10);
+        const choices = [1, 7, 30, 90, 365, 0]
+            .filter(days => maxDays === 0 || (days > 0 && days <= maxDays));
+        if (!choices.includes(defaultDays)) {
+            choices.push(defaultDays);
+            choices.sort((a, b) => (a || Infinity) - (b || Infinity));
+        }
+        
+        this.shareExpiry.innerHTML = '';
+        choices.forEach(days => {
+            const option = document.createElement('option');
+            option.value = days;
+            option.textContent = days === 0 ? 'Never' : `${days} day${days === 1 ? '' : 's'}`;
+            option.selected = days === selected;
+            this.shareExpiry.appendChild(option);
+        });
+    }
+    
+    renderShareList(shares) {
+        this.shareList.innerHTML = '';
+        
+        if (shares.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'export-note';
+            empty.textContent = 'You haven\'t shared any chats.';
+            this.shareList.appendChild(empty);
+            return;
+        }
+        
+        shares.forEach(share => {
+            const row = document.createElement('div');
+            row.className = 'prompt-row';
+            
+            const info = document.createElement('div');
+            info.className = 'prompt-info';
+            const title = document.createElement('a');
+            title.className = 'prompt-row-name';
+            title.href = share.url;
+            title.target = '_blank';
+            title.textContent = share.title;
+            const expiry = document.createElement('span');
+            expiry.className = 'share-expiry-note';
+            expiry.textContent = share.expiresAt
+                ? `Expires ${new Date(share.expiresAt).toLocaleDateString()}`
+                : 'Never expires';
+            info.append(title, expiry);
+            
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'prompt-action';
+            copyBtn.textContent = 'Copy';
+            copyBtn.onclick = () => this.markdown.copyToClipboard(new URL(share.url, location.origin).href, copyBtn);
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'prompt-action';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.onclick = () => this.revokeShare(share);
+            
+            row.append(info, copyBtn, revokeBtn);
+            this.shareList.appendChild(row);
+        });
+    }
+    
+    // Upload what the chat currently shows and display the new link
+    async createShare() {
+        const chat = this.sharingChat;
+        if (!chat) return;
+        
+        this.shareCreateBtn.disabled = true;
+        this.shareError.classList.add('hidden');
+        
+        try {
+            // Messages the content policy blocked aren't shared
+            const shared = this.getActivePath(chat).filter(message => !message.policy || message.policy.action !== 'block');
+            const messages = await Promise.all(shared.map(async message => ({
+                sender: message.sender,
+                text: message.text,
+                partial: !!message.partial,
+                files: (message.files || []).map(file => ({ name: file.name, size: file.size })),
+                images: await Promise.all((message.images || [])
+                    .filter(image => image.blob)
+                    .map(async image => ({ name: image.name, dataUrl: await this.readAsDataUrl(image.blob) })))
+            })));
+            
+            const response = await fetch('/api/shares', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    title: chat.title,
+                    expiresInDays: parseInt(this.shareExpiry.value, 10),
+                    messages: messages
+                })
+            });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+            
+            const { share } = await response.json();
+            this.shareUrl.value = new URL(share.url, location.origin).href;
+            this.shareResult.classList.remove('hidden');
+            this.shareUrl.select();
+            this.loadShares();
+        } catch (error) {
+            console.error('Failed to share chat:', error);
+            this.showShareError(`Couldn't create the link: ${error.message}`);
+        } finally {
+            this.shareCreateBtn.disabled = false;
+        }
+    }
+    
+    async revokeShare(share) {
+        if (!confirm(`Revoke the link to "${share.title}"? Anyone who has it will no longer be able to open it.`)) return;
+        
+        try {
+            const response = await fetch(`/api/shares/${encodeURIComponent(share.id)}`, { method: 'DELETE' });
+            if (!response.ok) {
+                throw new Error(await this.getResponseError(response));
+            }
+            if (this.shareUrl.value.endsWith(share.url)) {
+                this.shareResult.classList.add('hidden');
+            }
+            this.loadShares();
+        } catch (error) {
+            console.error('Failed to revoke link:', error);
+            this.showShareError(`Couldn't revoke the link: ${error.message}`);
+        }
+    }
+    
+    // ==================== EXPORT & IMPORT ====================
+    
+    openExport() {
+        if (!this.getCurrentChat()) return;
+        this.exportPanel.classList.remove('hidden');
+    }
+    
+    closeExport() {
+        this.exportPanel.classList.add('hidden');
+    }
+    
+    async exportChat(format) {
+        const chat = this.getCurrentChat();
+        if (!chat) return;
+        
+        const fileName = this.getExportFileName(chat.title);
+        const messages = this.getActivePath(chat);
+        
+        try {
+            if (format === 'markdown') {
+                this.downloadFile(`${fileName}.md`, this.transfer.toMarkdown(chat, messages), 'text/markdown');
+            } else if (format === 'html') {
+                this.downloadFile(`${fileName}.html`, await this.transfer.toHtml(chat, messages), 'text/html');
+            } else {
+                this.downloadFile(`${fileName}.json`, await this.transfer.toJson([chat], this.folders), 'application/json');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.addErrorMessage(`Export failed: ${error.message}`);
+        }
+        
+        this.closeExport();
+    }
+    
+    async exportAllChats() {
+        try {
+            // Chats in the trash are on their way out, so they aren't backed up
+            const chats = Array.from(this.chats.values()).filter(chat => !chat.deletedAt);
+            const backup = await this.transfer.toJson(chats, this.folders);
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`unblockedgpt-backup-${date}.json`, backup, 'application/json');
+        } catch (error) {
+            console.error('Export failed:', error);
+            this.addErrorMessage(`Export failed: ${error.message}`);
+        }
+    }
+    
+    // Merge chats from an export file. Existing chats are never overwritten:
+    // an imported chat whose id is taken gets a new one.
+    async importChats(file) {
+        try {
+            const imported = await this.transfer.parse(await file.text());
+            if (imported.length === 0) {
+                throw new Error('The file has no chats.');
+            }
+            
+            const importTime = Date.now();
+            imported.forEach((chat, chatIndex) => {
+                if (!chat.id || this.chats.has(chat.id)) {
+                    chat.id = `chat_${importTime}_${chatIndex}`;
+                }
+                
+                // Image ids are shared by every chat in storage, so always use fresh ones
+                chat.messages.forEach((message, messageIndex) => {
+                    message.images.forEach((image, imageIndex) => {
+                        image.id = `img_import_${importTime}_${chatIndex}_${messageIndex}_${imageIndex}`;
+                        image.url = URL.createObjectURL(image.blob);
+                    });
+                });
+                
+                chat.settings = { ...this.getDefaultSettings(), ...chat.settings };
+                if (chat.folder) {
+                    chat.folderId = this.findOrCreateFolder(chat.folder).id;
+                }
+                delete chat.folder;
+                this.normalizeMessages(chat);
+                this.searchIndex.indexChat(chat);
+                this.chats.set(chat.id, chat);
+                this.saveChat(chat);
+            });
+            
+            this.switchToChat(imported[0].id);
+        } catch (error) {
+            console.error('Import failed:', error);
+            this.addErrorMessage(`Import failed: ${error.message}`);
+        }
+    }
+    
+    // Helper function to turn a chat title into a safe file name
+    getExportFileName(title) {
+        const name = title.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').slice(0, 50);
+        return name || 'chat';
+    }
+    
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    // ==================== SIDEBAR MANAGEMENT ====================
+    
+    toggleSidebar() {
+        if (this.isMobile) {
+            this.sidebar.classList.toggle('open');
+            this.sidebarOverlay.classList.toggle('show');
+        } else {
+            this.sidebar.classList.toggle('closed');
+            this.mainContent.classList.toggle('sidebar-closed');
+        }
+    }
+    
+    closeSidebar() {
+        if (this.isMobile) {
+            this.sidebar.classList.remove('open');
+            this.sidebarOverlay.classList.remove('show');
+        }
+    }
+    
+    handleResize() {
+        const wasMobile = this.isMobile;
+        this.isMobile = window.innerWidth <= 768;
+        
+        if (wasMobile !== this.isMobile) {
+            // Reset sidebar state when switching between mobile/desktop
+            this.sidebar.classList.remove('open', 'closed');
+            this.sidebarOverlay.classList.remove('show');
+            this.mainContent.classList.remove('sidebar-closed');
+        }
+    }
+    
+    renderChatList() {
+        this.chatList.innerHTML = '';
+        
+        const query = this.chatSearch.value.trim();
+        if (query) {
+            this.renderSearchResults(query);
+            return;
+        }
+        
+        const sortedChats = Array.from(this.chats.values())
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        const listed = sortedChats.filter(chat => !chat.deletedAt && !chat.archived);
+        const pinned = listed.filter(chat => chat.pinned);
+        const archived = sortedChats.filter(chat => !chat.deletedAt && chat.archived);
+        const trashed = sortedChats.filter(chat => chat.deletedAt);
+        
+        // Each section says what dropping a chat on it does
+        const sections = [];
+        if (pinned.length > 0) {
+            sections.push({
+                key: 'pinned',
+                title: 'Pinned',
+                chats: pinned,
+                onDrop: (chat) => this.moveChat(chat, { pinned: true, archived: false, deletedAt: null })
+            });
+        }
+        this.folders.forEach(folder => {
+            sections.push({
+                key: `folder:${folder.id}`,
+                title: folder.name,
+                folder: folder,
+                chats: listed.filter(chat => !chat.pinned && chat.folderId === folder.id),
+                emptyText: 'Drag chats here',
+                onDrop: (chat) => this.moveToFolder(chat, folder.id)
+            });
+        });
+        sections.push({
+            key: 'chats',
+            title: 'Chats',
+            chats: listed.filter(chat => !chat.pinned && !this.getFolder(chat.folderId)),
+            emptyText: 'No chats',
+            onDrop: (chat) => this.moveToFolder(chat, null)
+        });
+        if (archived.length > 0) {
+            sections.push({
+                key: 'archived',
+                title: 'Archived',
+                chats: archived,
+                onDrop: (chat) => this.moveChat(chat, { archived: true, pinned: false, deletedAt: null })
+            });
+        }
+        if (trashed.length > 0) {
+            sections.push({
+                key: 'trash',
+                title: 'Trash',
+                chats: trashed,
+                note: `Deleted chats are kept for ${TRASH_RETENTION_DAYS} days.`,
+                onDrop: (chat) => this.deleteChat(chat.id)
+            });
+        }
+        
+        sections.forEach(section => this.chatList.appendChild(this.createChatSection(section)));
+    }
+    
+    // A collapsible group of chats that other chats can be dragged onto
+    createChatSection(section) {
+        const collapsed = this.collapsedSections.has(section.key);
+        const sectionDiv = document.createElement('div');
+        sectionDiv.className = `chat-section ${collapsed ? 'collapsed' : ''}`;
+        sectionDiv.dataset.section = section.key;
+        
+        const header = document.createElement('div');
+        header.className = 'chat-section-header';
+        header.onclick = () => this.toggleSection(section.key);
+        
+        const caret = document.createElement('span');
+        caret.className = 'chat-section-caret';
+        caret.textContent = collapsed ? '▸' : '▾';
+        
+        const title = document.createElement('span');
+        title.className = 'chat-section-title';
+        title.textContent = section.title;
+        
+        const count = document.createElement('span');
+        count.className = 'chat-section-count';
+        count.textContent = section.chats.length;
+        
+        header.append(caret, title, count);
+        
+        if (section.folder) {
+            title.title = 'Double-click to rename';
+            title.ondblclick = (e) => {
+                e.stopPropagation();
+                this.startRenamingFolder(section.folder, title);
+            };
+            header.appendChild(this.createSectionButton('✕', 'Delete folder (its chats are kept)', () => this.deleteFolder(section.folder)));
+        }
+        if (section.key === 'trash') {
+            header.appendChild(this.createSectionButton('Empty', 'Delete everything in the trash for good', () => this.emptyTrash()));
+        }
+        sectionDiv.appendChild(header);
+        
+        if (!collapsed) {
+            const body = document.createElement('div');
+            body.className = 'chat-section-body';
+            
+            if (section.note) {
+                const note = document.createElement('div');
+                note.className = 'chat-section-note';
+                note.textContent = section.note;
+                body.appendChild(note);
+            }
+            if (section.chats.length === 0 && section.emptyText) {
+                const empty = document.createElement('div');
+                empty.className = 'chat-section-note';
+                empty.textContent = section.emptyText;
+                body.appendChild(empty);
+            }
+            section.chats.forEach(chat => body.appendChild(this.createChatItem(chat)));
+            sectionDiv.appendChild(body);
+        }
+        
+        // Drop a dragged chat anywhere on the section, header included
+        sectionDiv.addEventListener('dragover', (e) => {
+            if (!this.draggedChatId) return;
+            e.preventDefault();
+            sectionDiv.classList.add('drop-target');
+        });
+        sectionDiv.addEventListener('dragleave', (e) => {
+            if (!sectionDiv.contains(e.relatedTarget)) {
+                sectionDiv.classList.remove('drop-target');
+            }
+        });
+        sectionDiv.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const chat = this.chats.get(this.draggedChatId);
+            this.draggedChatId = null;
+            if (chat) {
+                section.onDrop(chat);
+            }
+        });
+        
+        return sectionDiv;
+    }
+    
+    createSectionButton(label, tooltip, onClick) {
+        const button = document.createElement('button');
+        button.className = 'chat-section-action';
+        button.textContent = label;
+        button.title = tooltip;
+        button.onclick = (e) => {
+            e.stopPropagation();
+            onClick();
+        };
+        return button;
+    }
+    
+    createChatItem(chat) {
+        const chatItem = document.createElement('div');
+        chatItem.className = `chat-item ${chat.id === this.currentChatId ? 'active' : ''}`;
+        
+        const title = document.createElement('div');
+        title.className = 'chat-title';
+        title.textContent = chat.title;
+        chatItem.appendChild(title);
+        
+        // Trashed chats can only be restored or deleted for good
+        if (chat.deletedAt) {
+            chatItem.classList.add('trashed');
+            const daysLeft = Math.max(0, Math.ceil(TRASH_RETENTION_DAYS - (Date.now() - new Date(chat.deletedAt)) / (24 * 60 * 60 * 1000)));
+            title.title = `Deleted for good in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`;
+            
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'chat-action';
+            restoreBtn.innerHTML = '↺';
+            restoreBtn.title = 'Restore';
+            restoreBtn.onclick = (e) => {
+                e.stopPropagation();
+                this.restoreChat(chat);
+            };
+            
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'chat-delete';
+            deleteBtn.innerHTML = '✕';
+            deleteBtn.title = 'Delete for good';
+            deleteBtn.onclick = (e) => {
+                e.stopPropagation();
+                if (confirm(`Delete "${chat.title}" for good?`)) {
+                    this.deleteChatForever(chat.id);
+                }
+            };
+            
+            chatItem.append(restoreBtn, deleteBtn);
+            return chatItem;
+        }
+        
+        title.title = 'Double-click to rename';
+        title.ondblclick = (e) => {
+            e.stopPropagation();
+            this.startRenaming(chat, title);
+        };
+        
+        const menuBtn = document.createElement('button');
+        menuBtn.className = 'chat-action';
+        menuBtn.innerHTML = '⋯';
+        menuBtn.title = 'More';
+        menuBtn.onclick = (e) => {
+            e.stopPropagation();
+            this.openChatMenu(chat, chatItem, title);
+        };
+        
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'chat-delete';
+        deleteBtn.innerHTML = '✕';
+        deleteBtn.title = 'Move to trash';
+        deleteBtn.onclick = (e) => this.deleteChat(chat.id, e);
+        
+        chatItem.append(menuBtn, deleteBtn);
+        
+        chatItem.draggable = true;
+        chatItem.addEventListener('dragstart', (e) => {
+            this.draggedChatId = chat.id;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', chat.title);
+        });
+        chatItem.addEventListener('dragend', () => {
+            this.draggedChatId = null;
+            this.chatList.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+        });
+        
+        chatItem.onclick = () => this.switchToChat(chat.id);
+        return chatItem;
+    }
+    
+    // Actions for a chat: pin, rename, retitle, move to a folder, archive
+    openChatMenu(chat, chatItem, titleDiv) {
+        const wasOpen = !!chatItem.querySelector('.chat-menu');
+        this.closeChatMenus();
+        if (wasOpen) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'chat-menu';
+        menu.onclick = (e) => e.stopPropagation();
+        
+        const addItem = (label, onClick, { disabled = false, active = false } = {}) => {
+            const item = document.createElement('button');
+            item.className = `chat-menu-item ${active ? 'active' : ''}`;
+            item.textContent = label;
+            item.disabled = disabled;
+            item.onclick = () => {
+                this.closeChatMenus();
+                onClick();
+            };
+            menu.appendChild(item);
+        };
+        
+        addItem(chat.pinned ? 'Unpin' : 'Pin to top', () => this.togglePinned(chat));
+        addItem('Rename', () => this.startRenaming(chat, titleDiv));
+        addItem('Generate new title', () => this.generateTitle(chat, { manual: true }), { disabled: chat.messages.length === 0 });
+        addItem('Share link…', () => this.openSharePanel(chat), { disabled: chat.messages.length === 0 });
+        addItem(chat.archived ? 'Unarchive' : 'Archive', () => this.toggleArchived(chat));
+        
+        const folderLabel = document.createElement('div');
+        folderLabel.className = 'chat-menu-label';
+        folderLabel.textContent = 'Move to folder';
+        menu.appendChild(folderLabel);
+        addItem('No folder', () => this.moveToFolder(chat, null), { active: !this.getFolder(chat.folderId) });
+        this.folders.forEach(folder => {
+            addItem(folder.name, () => this.moveToFolder(chat, folder.id), { active: chat.folderId === folder.id });
+        });
+        
+        chatItem.appendChild(menu);
+    }
+    
+    closeChatMenus() {
+        this.chatList.querySelectorAll('.chat-menu').forEach(menu => menu.remove());
+    }
+    
+    // ==================== SEARCH ====================
+    
+    renderSearchResults(query) {
+        const results = this.searchIndex.search(query);
+        
+        if (results.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'search-empty';
+            empty.textContent = 'No messages found';
+            this.chatList.appendChild(empty);
+            return;
+        }
+        
+        results.forEach(result => {
+            const chat = this.chats.get(result.chatId);
+            const message = chat && !chat.deletedAt && chat.messages.find(candidate => candidate.id === result.messageId);
+            if (!message) return;
+            
+            const resultItem = document.createElement('div');
+            resultItem.className = 'chat-item search-result';
+            
+            const title = document.createElement('div');
+            title.className = 'search-result-title';
+            title.textContent = `${chat.title} · ${message.sender === 'user' ? 'You' : 'Assistant'}`;
+            
+            resultItem.appendChild(title);
+            resultItem.appendChild(this.searchIndex.renderSnippet(message.text, query));
+            resultItem.onclick = () => this.openSearchResult(chat, message);
+            this.chatList.appendChild(resultItem);
+        });
+    }
+    
+    // Open the chat on the branch holding the message and scroll to it
+    openSearchResult(chat, message) {
+        // Don't switch branches under a reply that's still streaming
+        if (!this.abortController) {
+            let node = message;
+            while (node) {
+                chat.selectedBranches[node.parentId || 'root'] = node.id;
+                node = chat.messages.find(candidate => candidate.id === node.parentId);
+            }
+            this.saveChat(chat);
+        }
+        
+        this.switchToChat(chat.id);
+        
+        const messageDiv = Array.from(this.chatHistory.querySelectorAll('.message'))
+            .find(element => element.dataset.messageId === message.id);
+        if (messageDiv) {
+            messageDiv.scrollIntoView({ block: 'center' });
+            messageDiv.classList.add('search-hit');
+            setTimeout(() => messageDiv.classList.remove('search-hit'), 2000);
+        }
+    }
+    
+    // ==================== STORAGE MANAGEMENT ====================
+    
+    async loadChats() {
+        try {
+            await this.storage.open();
+            
+            // Chats saved by older versions live in localStorage
+            await this.storage.migrateFromLocalStorage();
+            
+            this.chats = await this.storage.loadChats();
+            this.currentChatId = await this.storage.getCurrentChatId();
+            this.folders = await this.storage.getFolders();
+            const templates = await this.storage.getTemplates();
+            if (templates) {
+                this.prompts.templates = templates;
+            }
+            const collapsedSections = await this.storage.getCollapsedSections();
+            if (collapsedSections) {
+                this.collapsedSections = new Set(collapsedSections);
+            }
+            
+            // Chats saved before per-chat settings or branching existed
+            this.chats.forEach(chat => {
+                if (!chat.settings) {
+                    chat.settings = this.getDefaultSettings();
+                }
+                this.normalizeMessages(chat);
+                this.searchIndex.indexChat(chat);
+            });
+            this.purgeExpiredTrash();
+        } catch (error) {
+            console.error('Failed to load chats:', error);
+            this.chats = new Map();
+            this.showStorageWarning('Chat history could not be loaded. New messages may not be saved in this browser.');
+        }
+        
+        this.checkStorageQuota();
+    }
+    
+    saveChat(chat) {
+        if (!this.storage.db) return;
+        
+        // Any change counts for sync, including ones that leave updatedAt alone
+        chat.changedAt = new Date().toISOString();
+        this.storage.saveChat(chat)
+            .then(() => this.checkStorageQuota())
+            .catch(error => this.handleStorageError(error));
+        this.sync.markChanged(chat.id);
+        this.scheduleSync();
+    }
+    
+    saveCurrentChatId() {
+        if (!this.storage.db) return;
+        
+        this.storage.setCurrentChatId(this.currentChatId)
+            .catch(error => this.handleStorageError(error));
+    }
+    
+    handleStorageError(error) {
+        console.error('Failed to save chats:', error);
+        
+        if (error && error.name === 'QuotaExceededError') {
+            this.showStorageWarning('Browser storage is full, so this chat was not saved. Delete old chats (especially ones with images) to free up space.');
+        } else {
+            this.showStorageWarning('This chat could not be saved. It will be lost when you close the page.');
+        }
+    }
+    
+    async checkStorageQuota() {
+        try {
+            const quota = await this.storage.checkQuota();
+            if (quota && quota.nearlyFull) {
+                const usedMb = (quota.usage / (1024 * 1024)).toFixed(1);
+                const quotaMb = (quota.quota / (1024 * 1024)).toFixed(1);
+                this.showStorageWarning(`Browser storage is nearly full (${usedMb} MB of ${quotaMb} MB). Delete old chats to keep saving new ones.`);
+            }
+        } catch (error) {
+            console.error('Failed to check storage quota:', error);
+        }
+    }
+    
+    showStorageWarning(text) {
+        this.storageWarning.textContent = text;
+        this.storageWarning.classList.remove('hidden');
+    }
+    
+    // ==================== UI HELPERS ====================
+    
+    adjustTextareaHeight() {
+        this.userInput.style.height = 'auto';
+        this.userInput.style.height = Math.min(this.userInput.scrollHeight, 120) + 'px';
+    }
+    
+    focusInput() {
+        setTimeout(() => {
+            this.userInput.focus();
+        }, 100);
+    }
+    
+    clearChatHistory() {
+        this.chatHistory.innerHTML = '';
+    }
+    
+    renderChatHistory(chat, path = this.getActivePath(chat)) {
+        this.clearChatHistory();
+        path.forEach(message => this.renderMessage(chat, message));
+    }
+    
+    renderMessage(chat, message) {
+        const messageDiv = this.addMessage(message.text, message.sender, message.images, {
+            partial: message.partial,
+            pending: message.pending,
+            files: message.files,
+            toolSteps: message.toolSteps,
+            imageRequest: message.imageRequest,
+            imageActions: message.generated ? this.getGeneratedImageActions(chat) : [],
+            policy: message.policy
+        });
+        messageDiv.dataset.messageId = message.id;
+        messageDiv.appendChild(this.createMessageActions(chat, message, messageDiv));
+        return messageDiv;
+    }
+    
+    // Version switcher plus Edit (user) or Regenerate (assistant), and Delete
+    createMessageActions(chat, message, messageDiv) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        
+        const siblings = this.getChildren(chat, message.parentId);
+        if (siblings.length > 1) {
+            const index = siblings.indexOf(message);
+            const nav = document.createElement('div');
+            nav.className = 'branch-nav';
+            
+            const prevButton = document.createElement('button');
+            prevButton.textContent = '<';
+            prevButton.title = 'Previous version';
+            prevButton.disabled = index === 0;
+            prevButton.addEventListener('click', () => this.selectBranch(chat, siblings[index - 1]));
+            
+            const counter = document.createElement('span');
+            counter.textContent = `${index + 1} / ${siblings.length}`;
+            
+            const nextButton = document.createElement('button');
+            nextButton.textContent = '>';
+            nextButton.title = 'Next version';
+            nextButton.disabled = index === siblings.length - 1;
+            nextButton.addEventListener('click', () => this.selectBranch(chat, siblings[index + 1]));
+            
+            nav.append(prevButton, counter, nextButton);
+            actions.appendChild(nav);
+        }
+        
+        const actionButton = document.createElement('button');
+        actionButton.className = 'message-action-btn';
+        if (message.sender === 'user') {
+            actionButton.textContent = 'Edit';
+            actionButton.addEventListener('click', () => this.startEditing(chat, message, messageDiv));
+        } else {
+            actionButton.textContent = 'Regenerate';
+            actionButton.addEventListener('click', () => this.regenerateReply(chat, message));
+        }
+        actions.appendChild(actionButton);
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'message-action-btn';
+        deleteButton.textContent = 'Delete';
+        deleteButton.title = 'Delete this message and everything after it';
+        deleteButton.addEventListener('click', () => this.deleteMessage(chat, message));
+        actions.appendChild(deleteButton);
+        
+        return actions;
+    }
+    
+    // ==================== SYNC ====================
+    
+    // Keep chats on the server for signed-in accounts, if the server offers it
+    async startSync() {
+        if (!this.session.sync) return;
+        
+        await this.chatsReady;
+        if (!this.storage.db) return;
+        
+        await this.sync.start(this.session.user.id, Array.from(this.chats.keys()));
+        if (!this.syncInterval) {
+            this.syncInterval = setInterval(() => {
+                if (document.visibilityState === 'visible') {
+                    this.syncChats();
+                }
+            }, SYNC_INTERVAL_MS);
+        }
+        this.syncChats();
+    }
+    
+    scheduleSync() {
+        if (!this.sync.userId) return;
+        
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => this.syncChats(), SYNC_DELAY_MS);
+    }
+    
+    // Fetch changes made on other devices, then send the ones made here.
+    // Chats with changes still to send keep their local copy for now: the
+    // server merges them when they're sent and returns the result.
+    async syncChats() {
+        if (!this.sync.userId) return;
+        if (this.syncing) {
+            this.syncAgain = true;
+            return;
+        }
+        
+        this.syncing = true;
+        let changed = false;
+        try {
+            const { chats, deleted, cursor } = await this.sync.pull();
+            chats.forEach(chat => {
+                if (!this.sync.isQueued(chat.id)) {
+                    changed = this.applyRemoteChat(chat) || changed;
+                }
+            });
+            deleted.forEach(chatId => {
+                if (!this.sync.isQueued(chatId) && this.chats.has(chatId)) {
+                    this.forgetChat(chatId);
+                    changed = true;
+                }
+            });
+            await this.sync.setCursor(cursor);
+            
+            for (const [chatId, change] of this.sync.getQueue()) {
+                const chat = this.chats.get(chatId);
+                // Every browser starts with an empty chat; don't fill the account with them
+                if (change.action === 'put' && (!chat || chat.messages.length === 0)) {
+                    this.sync.finish(chatId, change);
+                    continue;
+                }
+                
+                const folder = chat ? this.getFolder(chat.folderId) : null;
+                const record = chat ? this.sync.toRecord(chat, folder && folder.name) : null;
+                const merged = await this.sync.push(chatId, change, record);
+                if (this.sync.finish(chatId, change) && merged) {
+                    changed = this.applyRemoteChat(merged) || changed;
+                }
+            }
+        } catch (error) {
+            // Offline or the server can't be reached: everything still works
+            // locally and the changes stay queued for the next try
+            console.error('Chat sync failed:', error);
+        } finally {
+            this.syncing = false;
+        }
+        
+        if (changed) {
+            this.renderChatList();
+        }
+        if (this.syncAgain) {
+            this.syncAgain = false;
+            this.scheduleSync();
+        }
+    }
+    
+    // Store a chat from the server in place of the local copy. Images and
+    // file contents only exist in the browser they were added in, so messages
+    // keep the local ones; images added elsewhere stay as references and show
+    // as such. Returns false if the chat was left alone.
+    applyRemoteChat(remote) {
+        // A reply is streaming into this chat; it's sent (and merged) when it ends
+        if (remote.id === this.currentChatId && this.abortController) {
+            return false;
+        }
+        
+        const local = this.chats.get(remote.id);
+        // Helper to tell whether the messages shown would change
+        const shownKey = (chat) => this.getActivePath(chat).map(message => `${message.id}@${message.updatedAt || ''}`).join();
+        const shownBefore = local ? shownKey(local) : '';
+        const localMessages = new Map((local ? local.messages : []).map(message => [message.id, message]));
+        remote.messages.forEach(message => {
+            const localMessage = localMessages.get(message.id);
+            message.images = localMessage ? localMessage.images : (message.images || []);
+            message.files = localMessage ? localMessage.files : (message.files || []);
+            // Only this browser sends the messages it queued while offline
+            if (localMessage && localMessage.pending) {
+                message.pending = true;
+            }
+        });
+        
+        remote.settings = { ...this.getDefaultSettings(), ...remote.settings };
+        remote.folderId = remote.folder ? this.findOrCreateFolder(remote.folder).id : null;
+        delete remote.folder;
+        this.normalizeMessages(remote);
+        
+        this.chats.set(remote.id, remote);
+        this.searchIndex.indexChat(remote);
+        this.storage.saveChat(remote).catch(error => this.handleStorageError(error));
+        
+        if (remote.id === this.currentChatId) {
+            if (remote.deletedAt) {
+                this.openRecentChat();
+            } else if (shownKey(remote) !== shownBefore) {
+                this.renderChatHistory(remote);
+                this.renderChatUsage(remote);
+            }
+        }
+        return true;
+    }
+    
+    // ==================== BRANCHING ====================
+    
+    // A chat's messages form a tree: each message keeps the id of the one it
+    // follows (parentId, null for the first), and editing or regenerating adds
+    // a sibling instead of overwriting. chat.selectedBranches maps a parent id
+    // ('root' for the top) to the child currently shown.
+    normalizeMessages(chat) {
+        // Chats saved before branching hold a plain list: chain it into a single branch
+        chat.messages.forEach((message, index) => {
+            if (!message.id) {
+                message.id = `msg_${chat.id}_${index}`;
+                message.parentId = index > 0 ? chat.messages[index - 1].id : null;
+            }
+        });
+        
+        if (!chat.selectedBranches) {
+            chat.selectedBranches = {};
+        }
+    }
+    
+    getChildren(chat, parentId) {
+        return chat.messages.filter(message => message.parentId === parentId);
+    }
+    
+    // The messages shown for a chat, following the selected version at each step
+    getActivePath(chat) {
+        const path = [];
+        let children = this.getChildren(chat, null);
+        
+        while (children.length > 0) {
+            const selectedId = chat.selectedBranches[path.length ? path[path.length - 1].id : 'root'];
+            const message = children.find(child => child.id === selectedId) || children[children.length - 1];
+            path.push(message);
+            children = this.getChildren(chat, message.id);
+        }
+        
+        return path;
+    }
+    
+    // Add a message under parentId and make it the version shown
+    addMessageNode(chat, message, parentId) {
+        const node = {
+            id: `msg_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            parentId: parentId,
+            ...message
+        };
+        
+        chat.messages.push(node);
+        chat.selectedBranches[parentId || 'root'] = node.id;
+        this.searchIndex.addMessage(chat.id, node);
+        return node;
+    }
+    
+    selectBranch(chat, message) {
+        if (this.abortController) return;
+        
+        chat.selectedBranches[message.parentId || 'root'] = message.id;
+        this.saveChat(chat);
+        this.renderChatHistory(chat);
+    }
+    
+    // Remove a message and every message after it, in all versions. Their ids
+    // are kept in chat.deletedMessages so sync doesn't bring them back from
+    // another device.
+    deleteMessage(chat, message) {
+        if (this.abortController) return;
+        if (!confirm('Delete this message and everything after it?')) return;
+        
+        const deleted = new Set();
+        const collect = (node) => {
+            deleted.add(node.id);
+            this.getChildren(chat, node.id).forEach(collect);
+        };
+        collect(message);
+        
+        const deletedAt = new Date().toISOString();
+        chat.deletedMessages = chat.deletedMessages || {};
+        deleted.forEach(id => {
+            chat.deletedMessages[id] = deletedAt;
+        });
+        chat.messages = chat.messages.filter(other => !deleted.has(other.id));
+        Object.keys(chat.selectedBranches).forEach(parentId => {
+            if (deleted.has(parentId) || deleted.has(chat.selectedBranches[parentId])) {
+                delete chat.selectedBranches[parentId];
+            }
+        });
+        
+        this.searchIndex.indexChat(chat);
+        this.saveChat(chat);
+        this.renderChatHistory(chat);
+        this.renderChatUsage(chat);
+    }
+    
+    canRequestReply() {
+        return !this.abortController && Date.now() >= this.cooldownUntil;
+    }
+    
+    // Swap a user bubble's text for an editor; saving sends the edit as a new version
+    startEditing(chat, message, messageDiv) {
+        if (!this.canRequestReply() || messageDiv.querySelector('.message-editor')) return;
+        
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+        
+        const textarea = document.createElement('textarea');
+        textarea.value = message.text;
+        textarea.rows = Math.min(10, Math.max(2, message.text.split('\n').length));
+        
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-buttons';
+        
+        const cancelButton = document.createElement('button');
+        cancelButton.textContent = 'Cancel';
+        cancelButton.addEventListener('click', () => this.renderChatHistory(chat));
+        
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'Save & Submit';
+        saveButton.className = 'primary';
+        saveButton.addEventListener('click', () => this.submitEdit(chat, message, textarea.value.trim()));
+        
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                saveButton.click();
+            } else if (e.key === 'Escape') {
+                cancelButton.click();
+            }
+        });
+        
+        buttons.append(cancelButton, saveButton);
+        editor.append(textarea, buttons);
+        
+        messageDiv.querySelector('.message-content').classList.add('hidden');
+        messageDiv.querySelector('.message-actions').classList.add('hidden');
+        messageDiv.appendChild(editor);
+        textarea.focus();
+    }
+    
+    async submitEdit(chat, message, text) {
+        if (!this.canRequestReply()) return;
+        if (!text && (!message.images || message.images.length === 0) && (!message.files || message.files.length === 0)) return;
+        
+        // The edit keeps the original's attachments and sits beside it as a sibling
+        const editedMessage = this.addMessageNode(chat, {
+            text: text,
+            sender: 'user',
+            images: message.images || [],
+            files: message.files || [],
+            documents: message.documents,
+            timestamp: new Date().toISOString()
+        }, message.parentId);
+        if (message.imageRequest) {
+            editedMessage.imageRequest = message.imageRequest;
+        }
+        
+        // An edit of a message still waiting to be sent goes instead of it
+        if (message.pending) {
+            delete message.pending;
+            message.updatedAt = editedMessage.timestamp;
+        }
+        
+        this.renderChatHistory(chat);
+        await this.sendOrQueue(chat, editedMessage);
+    }
+    
+    // Ask again for the reply to userMessage after a failure that may pass,
+    // without adding the message a second time
+    async retryReply(chat, userMessage) {
+        if (!this.canRequestReply() || chat.id !== this.currentChatId) return;
+        
+        const path = this.getActivePath(chat);
+        const index = path.indexOf(userMessage);
+        if (index === -1) return;
+        
+        // Drop the error (and any cut-off reply) while the new one streams in
+        this.renderChatHistory(chat, path.slice(0, index + 1));
+        await this.sendOrQueue(chat, userMessage);
+    }
+    
+    async regenerateReply(chat, message) {
+        if (!this.canRequestReply()) return;
+        
+        const userMessage = chat.messages.find(candidate => candidate.id === message.parentId);
+        if (!userMessage) return;
+        
+        // Show the conversation up to the question while the new version streams in
+        const path = this.getActivePath(chat);
+        this.renderChatHistory(chat, path.slice(0, path.indexOf(userMessage) + 1));
+        await this.requestAssistantReply(chat, userMessage);
+    }
+    
+    
+    // ==================== IMAGE HANDLING ====================
+    
+    handleImageSelect(e) {
+        const files = Array.from(e.target.files);
+        
+        files.forEach(file => {
+            if (this.isImageFile(file)) {
+                this.addImagePreview(file);
+            }
+        });
+        
+        // Clear the input so the same file can be selected again
+        e.target.value = '';
+    }
+    
+    // Documents are sent to the server, which reads their text into the prompt
+    handleFileSelect(e) {
+        this.addAttachments(Array.from(e.target.files));
+        e.target.value = '';
+    }
+    
+    // Files from the pickers, the clipboard or a drop: images get previews, the rest are documents
+    addAttachments(files) {
+        files.forEach(file => {
+            if (this.isImageFile(file)) {
+                this.addImagePreview(file);
+            } else {
+                this.selectedFiles.push({ file: file, name: file.name });
+            }
+        });
+        
+        this.renderImagePreviews();
+    }
+    
+    // Browsers often leave the type of HEIC (and sometimes TIFF or BMP) files empty
+    isImageFile(file) {
+        return file.type.startsWith('image/') || /\.(hei[cf]|tiff?|bmp)$/i.test(file.name);
+    }
+    
+    // Swap a message's images for the server's converted, resized copies
+    async applyProcessedImages(chat, message, processed) {
+        try {
+            message.images = await Promise.all(processed.map(async (image, index) => {
+                const blob = await (await fetch(image.dataUrl)).blob();
+                return {
+                    id: `${message.images[index].id}_processed`,
+                    name: image.name,
+                    type: blob.type,
+                    blob: blob,
+                    url: URL.createObjectURL(blob)
+                };
+            }));
+            message.updatedAt = new Date().toISOString();
+            this.saveChat(chat);
+        } catch (error) {
+            console.error('Failed to store processed images:', error);
+        }
+    }
+    
+    addImagePreview(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const imageData = {
+                file: file,
+                dataUrl: e.target.result,
+                name: file.name
+            };
+            
+            this.selectedImages.push(imageData);
+            this.renderImagePreviews();
+        };
+        reader.readAsDataURL(file);
+    }
+    
+    // Image thumbnails and document chips share the preview area
+    renderImagePreviews() {
+        if (this.selectedImages.length === 0 && this.selectedFiles.length === 0) {
+            this.imagePreviewContainer.style.display = 'none';
+            return;
+        }
+        
+        this.imagePreviewContainer.style.display = 'flex';
+        this.imagePreviewContainer.innerHTML = '';
+        
+        this.selectedImages.forEach((imageData, index) => {
+            const previewDiv = document.createElement('div');
+            previewDiv.className = 'image-preview';
+            
+            const img = document.createElement('img');
+            img.src = imageData.dataUrl;
+            img.alt = imageData.name;
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-image';
+            removeBtn.innerHTML = '×';
+            removeBtn.onclick = () => this.removeImage(index);
+            
+            previewDiv.appendChild(img);
+            previewDiv.appendChild(removeBtn);
+            this.imagePreviewContainer.appendChild(previewDiv);
+        });
+        
+        this.selectedFiles.forEach((fileData, index) => {
+            const chip = this.messageView.createFileChip(fileData.name, fileData.file.size);
+            
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'remove-file';
+            removeBtn.innerHTML = '×';
+            removeBtn.title = 'Remove file';
+            removeBtn.onclick = () => this.removeFile(index);
+            
+            chip.appendChild(removeBtn);
+            this.imagePreviewContainer.appendChild(chip);
+        });
+    }
+    
+    readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+    
+    // Stored images are Blobs; the server expects them as data URLs.
+    // Documents go back as the text the server read from them. Messages the
+    // content policy blocked are left out.
+    async serializeHistory(messages) {
+        const allowed = messages.filter(message => !message.policy || message.policy.action !== 'block');
+        return Promise.all(allowed.map(async message => {
+            // Generated images stay here; the model is told they were made
+            if (message.generated) {
+                const count = (message.images || []).length;
+                return { text: `[Generated ${count} image${count === 1 ? '' : 's'}]`, sender: message.sender, images: [], documents: [] };
+            }
+            return {
+                text: message.text,
+                sender: message.sender,
+                images: await Promise.all((message.images || []).filter(image => image.blob).map(async image => ({
+                    name: image.name,
+                    dataUrl: await this.readAsDataUrl(image.blob)
+                }))),
+                documents: message.documents || []
+            };
+        }));
+    }
+    
+    removeImage(index) {
+        this.selectedImages.splice(index, 1);
+        this.renderImagePreviews();
+    }
+    
+    removeFile(index) {
+        this.selectedFiles.splice(index, 1);
+        this.renderImagePreviews();
+    }
+    
+    async sendMessage() {
+        let message = this.userInput.value.trim();
+        
+        if (!message && this.selectedImages.length === 0 && this.selectedFiles.length === 0) {
+            return;
+        }
+        
+        // Still waiting out a Retry-After from the server
+        if (Date.now() < this.cooldownUntil) {
+            return;
+        }
+        
+        const currentChat = this.getCurrentChat();
+        if (!currentChat) return;
+        
+        // Image mode, or /imagine at the start, asks for images instead of a reply
+        const command = /^\/imagine(?=\s|$)/i.exec(message);
+        const imageRequest = (this.imageMode || command) && this.canGenerateImages() ? this.getImageRequest() : null;
+        if (imageRequest) {
+            if (command) {
+                message = message.slice(command[0].length).trim();
+            }
+            if (this.selectedFiles.length > 0) {
+                this.showToast('Documents can\'t be used to make images. Remove them or turn off Image mode.');
+                return;
+            }
+            if (this.selectedImages.length > 1) {
+                this.showToast('Attach one image to make variations of it.');
+                return;
+            }
+            if (!message && this.selectedImages.length === 0) {
+                return;
+            }
+        }
+        
+        // Save current images before clearing
+        const messagImages = this.selectedImages.map((imageData, index) => ({
+            id: `img_${Date.now()}_${index}`,
+            name: imageData.name,
+            type: imageData.file.type,
+            blob: imageData.file,
+            url: imageData.dataUrl
+        }));
+        const messageFiles = this.selectedFiles.map((fileData, index) => ({
+            id: `file_${Date.now()}_${index}`,
+            name: fileData.name,
+            type: fileData.file.type,
+            size: fileData.file.size,
+            blob: fileData.file
+        }));
+        
+        // Add user message to chat, replying to the last message shown
+        const path = this.getActivePath(currentChat);
+        const parent = path[path.length - 1];
+        const userMessage = this.addMessageNode(currentChat, {
+            text: message,
+            sender: 'user',
+            images: messagImages,
+            files: messageFiles,
+            timestamp: new Date().toISOString()
+        }, parent ? parent.id : null);
+        if (imageRequest) {
+            userMessage.imageRequest = imageRequest;
+        }
+        
+        this.renderMessage(currentChat, userMessage);
+        
+        // Use the start of the first message as the title until a better one is generated
+        if (!parent && message && !currentChat.titleSource) {
+            const title = message.length > 30 ? message.substring(0, 30) + '...' : message;
+            this.updateChatTitle(currentChat.id, title);
+        }
+        
+        // Clear input and images
+        this.userInput.value = '';
+        this.adjustTextareaHeight();
+        this.selectedImages = [];
+        this.selectedFiles = [];
+        this.renderImagePreviews();
+        
+        await this.sendOrQueue(currentChat, userMessage);
+    }
+    
+    // Ask the server for a reply to userMessage, using the messages above it
+    // on the current branch as history. The reply is added as a new child of
+    // userMessage, so earlier replies stay available as other versions.
+    async requestAssistantReply(chat, userMessage) {
+        if (userMessage.imageRequest) {
+            return this.requestImages(chat, userMessage);
+        }
+        
+        // Disable input while processing
+        this.setInputState(false);
+        
+        // Show loading indicator
+        this.showLoading(true);
+        
+        let response = null;
+        let streamedText = '';
+        let streamingMessage = null;
+        let usage = null;
+        let replyPolicy = null;
+        // Tools the model calls while answering: { id, name, arguments, result, error }
+        const toolSteps = [];
+        const showToolSteps = () => {
+            if (chat.id !== this.currentChatId) return;
+            if (!streamingMessage) {
+                this.showLoading(false);
+                streamingMessage = this.addMessage('', 'assistant');
+            }
+            this.messageView.renderToolSteps(streamingMessage, toolSteps);
+            this.scrollToBottom();
+        };
+        
+        try {
+            let requestBody;
+            let headers = {};
+            
+            // Get conversation history (exclude current message)
+            const path = this.getActivePath(chat);
+            const conversationHistory = await this.serializeHistory(path.slice(0, path.indexOf(userMessage)));
+            const settings = chat.settings;
+            const message = userMessage.text;
+            const messagImages = userMessage.images || [];
+            // Files imported from an export have no content to send again
+            const messageFiles = (userMessage.files || []).filter(fileData => fileData.blob);
+            
+            if (messagImages.length > 0 || messageFiles.length > 0) {
+                // Use FormData for image and document uploads
+                const formData = new FormData();
+                formData.append('message', message);
+                formData.append('conversation', JSON.stringify(conversationHistory));
+                formData.append('stream', 'true');
+                formData.append('model', settings.model);
+                formData.append('temperature', settings.temperature);
+                formData.append('maxTokens', settings.maxTokens);
+                formData.append('systemPrompt', settings.systemPrompt);
+                formData.append('tools', settings.tools !== false);
+                
+                messagImages.forEach((imageData) => {
+                    formData.append(`images`, imageData.blob, imageData.name);
+                });
+                messageFiles.forEach((fileData) => {
+                    formData.append('files', fileData.blob, fileData.name);
+                });
+                
+                requestBody = formData;
+            } else {
+                // Use JSON for text-only messages
+                headers['Content-Type'] = 'application/json';
+                requestBody = JSON.stringify({ 
+                    message: message,
+                    conversation: conversationHistory,
+                    stream: true,
+                    model: settings.model,
+                    temperature: settings.temperature,
+                    maxTokens: settings.maxTokens,
+                    systemPrompt: settings.systemPrompt,
+                    tools: settings.tools !== false
+                });
+            }
+            
+            // Send request to backend
+            this.abortController = new AbortController();
+            this.setGenerating(true);
+            
+            response = await fetch('/api/chat', {
+                method: 'POST',
+                headers: headers,
+                body: requestBody,
+                signal: this.abortController.signal
+            });
+            
+            if (!response.ok) {
+                this.handleRetryAfter(response);
+                throw await this.createResponseError(response);
+            }
+            
+            // Render the assistant bubble as tokens arrive
+            await this.readEventStream(response, (delta) => {
+                streamedText += delta;
+                // Replies to messages queued offline can arrive while another chat is open
+                if (chat.id !== this.currentChatId) return;
+                if (!streamingMessage) {
+                    this.showLoading(false);
+                    streamingMessage = this.addMessage('', 'assistant');
+                }
+                this.updateMessageText(streamingMessage, streamedText);
+            }, (data) => {
+                // Text read from attached documents, sent back with later messages
+                if (data.documents) {
+                    userMessage.documents = data.documents;
+                    userMessage.updatedAt = new Date().toISOString();
+                }
+                if (data.images && data.images.length === messagImages.length) {
+                    this.applyProcessedImages(chat, userMessage, data.images);
+                }
+                // Tokens and estimated cost of the reply, sent with the done event
+                if (data.usage) {
+                    usage = data.usage;
+                }
+                // The content policy changed the message, or cut the reply off
+                if (data.policy && data.policy.stage === 'input') {
+                    this.applyMessagePolicy(chat, userMessage, data.policy);
+                } else if (data.policy) {
+                    replyPolicy = data.policy;
+                    if (replyPolicy.action === 'block') {
+                        streamedText = '';
+                    }
+                }
+                if (data.toolCall) {
+                    toolSteps.push({ ...data.toolCall, result: null, error: false });
+                    showToolSteps();
+                }
+                if (data.toolResult) {
+                    const step = toolSteps.find(candidate => candidate.id === data.toolResult.id);
+                    if (step) {
+                        step.result = data.toolResult.result;
+                        step.error = data.toolResult.error;
+                    }
+                    showToolSteps();
+                }
+            });
+            
+            this.saveAssistantMessage(chat, userMessage.id, streamedText, { usage, toolSteps, policy: replyPolicy });
+            
+            // Name the chat after its first exchange, unless the user already has
+            if (!userMessage.parentId && !chat.titleSource) {
+                this.generateTitle(chat);
+            }
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // Keep whatever arrived before Stop was pressed
+                if (streamedText || toolSteps.length > 0) {
+                    this.saveAssistantMessage(chat, userMessage.id, streamedText, { partial: true, toolSteps });
+                } else {
+                    this.saveChat(chat);
+                }
+            } else if (error.policy) {
+                this.applyMessagePolicy(chat, userMessage, error.policy);
+            } else if (!response && !navigator.onLine) {
+                // The connection dropped before the message got through: send it later
+                this.queueMessage(chat, userMessage);
+            } else {
+                console.error('Error:', error);
+                if (streamedText || toolSteps.length > 0) {
+                    this.saveAssistantMessage(chat, userMessage.id, streamedText, { partial: true, toolSteps });
+                }
+                // Errors that may pass (a timeout, a busy or down upstream, a dropped connection) can be retried
+                const retry = error.retryable || !response ? () => this.retryReply(chat, userMessage) : null;
+                this.addErrorMessage(`Error: ${error.message}`, response && response.headers.get('X-Request-Id'), retry);
+            }
+        } finally {
+            // Re-enable input and hide loading
+            this.abortController = null;
+            this.checkSession();
+            this.setGenerating(false);
+            this.setInputState(true);
+            this.showLoading(false);
+            this.focusInput();
+        }
+        
+        // Anything queued while this reply was streaming
+        this.sendPendingMessages();
+    }
+    
+    // ==================== IMAGE GENERATION ====================
+    
+    canGenerateImages() {
+        return !!(this.modelConfig && this.modelConfig.imageGeneration);
+    }
+    
+    // Offer Image mode when the server can make images, with its sizes and counts
+    renderImageOptions() {
+        const options = this.canGenerateImages() ? this.modelConfig.imageGeneration : null;
+        this.imagineButton.classList.toggle('hidden', !options);
+        if (!options) {
+            this.setImageMode(false);
+            return;
+        }
+        
+        // Keep what was chosen before the models were loaded again
+        const size = this.imageSize.value;
+        const count = parseInt(this.imageCount.value, 10);
+        
+        this.imageSize.innerHTML = '';
+        options.sizes.forEach(value => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            this.imageSize.appendChild(option);
+        });
+        this.imageCount.innerHTML = '';
+        for (let value = 1; value <= options.maxCount; value++) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = value;
+            this.imageCount.appendChild(option);
+        }
+        
+        if (options.sizes.includes(size)) {
+            this.imageSize.value = size;
+        }
+        if (count <= options.maxCount) {
+            this.imageCount.value = count;
+        }
+    }
+    
+    setImageMode(enabled) {
+        this.imageMode = enabled;
+        this.imagineButton.classList.toggle('active', enabled);
+        this.imagineButton.setAttribute('aria-pressed', String(enabled));
+        this.imageOptions.classList.toggle('hidden', !enabled);
+        this.userInput.placeholder = enabled ? 'Describe the image you want...' : 'Type your message here...';
+    }
+    
+    getImageRequest() {
+        return {
+            size: this.imageSize.value,
+            count: parseInt(this.imageCount.value, 10) || 1
+        };
+    }
+    
+    // Buttons under each generated image
+    getGeneratedImageActions(chat) {
+        return [
+            { label: 'Variations', title: 'Make variations of this image', onClick: (image) => this.makeVariations(chat, image) },
+            { label: 'Download', title: 'Save this image', onClick: (image) => this.downloadFile(image.name, image.blob, image.type) }
+        ];
+    }
+    
+    // Ask for variations of an image, as a new message at the end of the chat
+    async makeVariations(chat, image) {
+        if (!this.canRequestReply() || !this.canGenerateImages() || !image.blob) return;
+        
+        const path = this.getActivePath(chat);
+        const parent = path[path.length - 1];
+        const userMessage = this.addMessageNode(chat, {
+            text: '',
+            sender: 'user',
+            images: [{
+                id: `img_${Date.now()}_0`,
+                name: image.name,
+                type: image.type,
+                blob: image.blob,
+                url: URL.createObjectURL(image.blob)
+            }],
+            files: [],
+            imageRequest: this.getImageRequest(),
+            timestamp: new Date().toISOString()
+        }, parent ? parent.id : null);
+        
+        this.renderMessage(chat, userMessage);
+        await this.sendOrQueue(chat, userMessage);
+    }
+    
+    // Ask the server for the images userMessage describes, or variations of
+    // the image attached to it, and keep them with the chat as the reply
+    async requestImages(chat, userMessage) {
+        this.setInputState(false);
+        this.showLoading(true);
+        
+        let response = null;
+        try {
+            const source = (userMessage.images || [])[0];
+            if (source && !source.blob) {
+                throw new Error('The image to make variations of isn\'t stored on this device.');
+            }
+            
+            this.abortController = new AbortController();
+            this.setGenerating(true);
+            
+            response = await fetch('/api/images', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    prompt: userMessage.text,
+                    size: userMessage.imageRequest.size,
+                    count: userMessage.imageRequest.count,
+                    image: source && source.blob ? await this.readAsDataUrl(source.blob) : undefined
+                }),
+                signal: this.abortController.signal
+            });
+            
+            if (!response.ok) {
+                this.handleRetryAfter(response);
+                throw await this.createResponseError(response);
+            }
+            
+            // Stored like uploaded images, so they stay with the chat
+            const data = await response.json();
+            const images = await Promise.all(data.images.map(async (image, index) => {
+                const blob = await (await fetch(image.dataUrl)).blob();
+                return {
+                    id: `img_${Date.now()}_${index}`,
+                    name: image.name,
+                    type: blob.type,
+                    blob: blob,
+                    url: URL.createObjectURL(blob)
+                };
+            }));
+            if (data.policy) {
+                this.applyMessagePolicy(chat, userMessage, data.policy);
+            }
+            this.saveAssistantMessage(chat, userMessage.id, '', { images, generated: { model: data.model } });
+            
+            if (!userMessage.parentId && !chat.titleSource) {
+                this.generateTitle(chat);
+            }
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.saveChat(chat);
+            } else if (error.policy) {
+                this.applyMessagePolicy(chat, userMessage, error.policy);
+            } else if (!response && !navigator.onLine) {
+                this.queueMessage(chat, userMessage);
+            } else {
+                console.error('Error:', error);
+                const retry = error.retryable || !response ? () => this.retryReply(chat, userMessage) : null;
+                this.addErrorMessage(`Error: ${error.message}`, response && response.headers.get('X-Request-Id'), retry);
+            }
+        } finally {
+            this.abortController = null;
+            this.checkSession();
+            this.setGenerating(false);
+            this.setInputState(true);
+            this.showLoading(false);
+            this.focusInput();
+        }
+        
+        this.sendPendingMessages();
+    }
+    
+    // ==================== OFFLINE ====================
+    
+    // Ask for a reply now, or keep the message until we're back online
+    async sendOrQueue(chat, userMessage) {
+        if (!navigator.onLine) {
+            this.queueMessage(chat, userMessage);
+            return;
+        }
+        await this.requestAssistantReply(chat, userMessage);
+    }
+    
+    // Mark a message as waiting for the connection and save it, so it's sent
+    // even if the page is closed and opened again
+    queueMessage(chat, message) {
+        message.pending = true;
+        message.updatedAt = new Date().toISOString();
+        chat.updatedAt = message.updatedAt;
+        this.saveChat(chat);
+        this.renderChatList();
+        
+        if (chat.id === this.currentChatId) {
+            this.renderChatHistory(chat);
+        }
+    }
+    
+    // Send the messages queued while offline, oldest first. A message that
+    // another one follows gets no reply of its own: the later message is
+    // answered with it as history. Chats in the trash wait until restored.
+    async sendPendingMessages() {
+        if (this.sendingPending || !navigator.onLine) return;
+        
+        this.sendingPending = true;
+        try {
+            await this.chatsReady;
+            const pending = [];
+            this.chats.forEach(chat => {
+                chat.messages.forEach(message => {
+                    if (message.pending && !chat.deletedAt) {
+                        pending.push({ chatId: chat.id, messageId: message.id, timestamp: message.timestamp });
+                    }
+                });
+            });
+            pending.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+            
+            for (const { chatId, messageId } of pending) {
+                // Still busy with another reply; this runs again when it ends
+                if (!navigator.onLine || !this.canRequestReply()) break;
+                
+                // Sync may have swapped the chat for the server's copy meanwhile
+                const chat = this.chats.get(chatId);
+                const message = chat && chat.messages.find(candidate => candidate.id === messageId && candidate.pending);
+                if (!message) continue;
+                
+                delete message.pending;
+                message.updatedAt = new Date().toISOString();
+                this.selectPathTo(chat, message);
+                if (chat.id === this.currentChatId) {
+                    this.renderChatHistory(chat);
+                }
+                
+                if (this.getChildren(chat, message.id).some(child => child.sender === 'user')) {
+                    this.saveChat(chat);
+                    continue;
+                }
+                await this.requestAssistantReply(chat, message);
+            }
+        } finally {
+            this.sendingPending = false;
+        }
+    }
+    
+    // Show the versions leading to message, so it's on its chat's active path
+    selectPathTo(chat, message) {
+        let node = message;
+        while (node) {
+            chat.selectedBranches[node.parentId || 'root'] = node.id;
+            node = chat.messages.find(candidate => candidate.id === node.parentId);
+        }
+    }
+    
+    // Cache the app so it opens offline, and offer to reload when a new
+    // version has been deployed
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // The first install takes over quietly; reload only when asked to
+            if (this.reloadingForUpdate) {
+                window.location.reload();
+            }
+        });
+        
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('/sw.js');
+        } catch (error) {
+            console.error('Service worker registration failed:', error);
+            return;
+        }
+        this.workerRegistration = registration;
+        
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.updateBanner.classList.remove('hidden');
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.updateBanner.classList.remove('hidden');
+                }
+            });
+        });
+    }
+    
+    checkForUpdate() {
+        if (this.workerRegistration) {
+            this.workerRegistration.update().catch(error => console.error('Update check failed:', error));
+        }
+    }
+    
+    // Let the waiting worker take over; the page reloads once it has
+    applyUpdate() {
+        const waiting = this.workerRegistration && this.workerRegistration.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        this.reloadingForUpdate = true;
+        waiting.postMessage('skipWaiting');
+    }
+    
+    // ==================== STREAMING ====================
+    
+    // onData receives any other fields of an event (e.g. document text, or
+    // token usage on the done event). A stream that ends without its done
+    // event (a proxy cut it, the server went down) throws, so the text so far
+    // is kept as a cut-off reply rather than a finished one.
+    async readEventStream(response, onDelta, onData = () => {}) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            
+            for (const event of events) {
+                const dataLine = event.split('\n').find(line => line.startsWith('data: '));
+                if (!dataLine) continue;
+                
+                const data = JSON.parse(dataLine.slice(6));
+                if (data.error) {
+                    const error = new Error(data.error);
+                    error.retryable = !!data.retryable;
+                    throw error;
+                }
+                if (data.delta) {
+                    onDelta(data.delta);
+                } else {
+                    onData(data);
+                }
+                if (data.done) {
+                    return;
+                }
+            }
+        }
+        
+        const error = new Error('The response was cut off before it finished. Please try again.');
+        error.retryable = true;
+        throw error;
+    }
+    
+    async getResponseError(response) {
+        return (await this.readResponseError(response)).message;
+    }
+    
+    // An Error for a failed request, with the server's request ID and whether
+    // trying again may work; one the content policy blocked carries its notice
+    async createResponseError(response) {
+        const { message, policy, retryable, retryAfter } = await this.readResponseError(response);
+        const error = new Error(message);
+        error.policy = policy;
+        error.retryable = retryable;
+        error.retryAfter = retryAfter;
+        error.requestId = response.headers.get('X-Request-Id');
+        return error;
+    }
+    
+    async readResponseError(response) {
+        // Prefer the server's explanation (e.g. a model that isn't allowed)
+        try {
+            const data = await response.json();
+            if (data.authRequired) {
+                this.showLogin();
+            }
+            if (data.error) {
+                return {
+                    message: data.error,
+                    policy: data.policy || null,
+                    retryable: !!data.retryable,
+                    retryAfter: data.retryAfter || null
+                };
+            }
+        } catch (parseError) {
+            // Not JSON; fall back to the status code
+        }
+        // e.g. a proxy in front of the server timing out
+        return { message: `HTTP error! status: ${response.status}`, policy: null, retryable: response.status >= 500, retryAfter: null };
+    }
+    
+    // Keep the content policy's notice with a message the server blocked or changed
+    applyMessagePolicy(chat, message, policy) {
+        message.policy = policy;
+        message.updatedAt = new Date().toISOString();
+        this.saveChat(chat);
+        
+        if (chat.id !== this.currentChatId) return;
+        const messageDiv = Array.from(this.chatHistory.querySelectorAll('.message'))
+            .find(element => element.dataset.messageId === message.id);
+        this.messageView.markMessagePolicy(messageDiv, policy);
+    }
+    
+    // Throttled requests (429/503) say how long to wait; hold off sending until then
+    handleRetryAfter(response) {
+        const seconds = parseInt(response.headers.get('Retry-After'), 10);
+        if (seconds > 0) {
+            this.startCooldown(seconds);
+        }
+    }
+    
+    startCooldown(seconds) {
+        this.cooldownUntil = Date.now() + seconds * 1000;
+        clearInterval(this.cooldownTimer);
+        
+        const tick = () => {
+            const remaining = Math.ceil((this.cooldownUntil - Date.now()) / 1000);
+            if (remaining <= 0) {
+                clearInterval(this.cooldownTimer);
+                this.cooldownTimer = null;
+                this.sendButton.textContent = 'Send';
+                this.sendButton.disabled = this.userInput.disabled;
+                return;
+            }
+            this.sendButton.textContent = `Wait ${remaining}s`;
+            this.sendButton.disabled = true;
+        };
+        
+        tick();
+        this.cooldownTimer = setInterval(tick, 1000);
+    }
+    
+    stopGenerating() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+    
+    setGenerating(generating) {
+        this.stopButton.classList.toggle('hidden', !generating);
+        this.sendButton.classList.toggle('hidden', generating);
+    }
+    
+    saveAssistantMessage(chat, parentId, text, { partial = false, usage = null, toolSteps = [], images = [], generated = null, policy = null } = {}) {
+        const assistantMessage = {
+            text: text,
+            sender: 'assistant',
+            images: images,
+            timestamp: new Date().toISOString()
+        };
+        
+        if (generated) {
+            assistantMessage.generated = generated;
+        }
+        if (partial) {
+            assistantMessage.partial = true;
+        }
+        if (usage) {
+            assistantMessage.usage = usage;
+        }
+        if (policy) {
+            assistantMessage.policy = policy;
+        }
+        if (toolSteps.length > 0) {
+            // A tool still running when the reply stopped never finished
+            assistantMessage.toolSteps = toolSteps.map(step => (step.result === null
+                ? { ...step, result: 'Stopped before the tool finished.', error: true }
+                : step));
+        }
+        
+        this.addMessageNode(chat, assistantMessage, parentId);
+        chat.updatedAt = new Date().toISOString();
+        this.saveChat(chat);
+        this.renderChatList();
+        
+        // Swap the streamed bubble for one with its version controls
+        if (chat.id === this.currentChatId) {
+            this.renderChatHistory(chat);
+            this.renderChatUsage(chat);
+        }
+    }
+    
+    // Tokens and estimated cost of every reply in the chat, including other versions
+    renderChatUsage(chat) {
+        let tokens = 0;
+        let cost = 0;
+        let estimated = false;
+        
+        chat.messages.forEach(message => {
+            if (!message.usage) return;
+            tokens += message.usage.promptTokens + message.usage.completionTokens;
+            cost += message.usage.cost || 0;
+            estimated = estimated || message.usage.estimated;
+        });
+        
+        this.chatUsage.classList.toggle('hidden', tokens === 0);
+        this.chatUsage.textContent = `${estimated ? '~' : ''}${tokens.toLocaleString()} tokens`
+            + (cost > 0 ? ` · $${cost < 0.01 ? cost.toFixed(6) : cost.toFixed(2)}` : '');
+    }
+    
+    updateMessageText(messageDiv, text) {
+        const contentDiv = messageDiv.querySelector('.message-content');
+        const textDiv = this.messageView.createMessageText(text, 'assistant');
+        const existing = contentDiv.querySelector('.message-text');
+        
+        if (existing) {
+            contentDiv.replaceChild(textDiv, existing);
+        } else {
+            contentDiv.appendChild(textDiv);
+        }
+        
+        this.scrollToBottom();
+    }
+    
+    addMessage(text, sender, images = [], { partial = false, pending = false, files = [], toolSteps = [], imageRequest = null, imageActions = [], policy = null } = {}) {
+        const messageDiv = this.messageView.createMessage(text, sender, images, { partial, pending, files, toolSteps, imageRequest, imageActions, policy });
+        this.chatHistory.appendChild(messageDiv);
+        this.scrollToBottom();
+        return messageDiv;
+    }
+    
+    // requestId is the server's X-Request-Id, for the user to quote when reporting
+    // the problem. With onRetry, a Retry button calls it (once any Retry-After has passed).
+    addErrorMessage(text, requestId = null, onRetry = null) {
+        const errorDiv = document.createElement('div');
+        errorDiv.className = 'error-message';
+        errorDiv.textContent = text;
+        
+        if (requestId) {
+            const requestIdDiv = document.createElement('div');
+            requestIdDiv.className = 'error-request-id';
+            requestIdDiv.textContent = `Request ID: ${requestId}`;
+            errorDiv.appendChild(requestIdDiv);
+        }
+        
+        if (onRetry) {
+            const retryButton = document.createElement('button');
+            retryButton.type = 'button';
+            retryButton.className = 'error-retry';
+            retryButton.textContent = 'Retry';
+            retryButton.addEventListener('click', onRetry);
+            // Wait out the server's Retry-After, like the send button
+            const wait = this.cooldownUntil - Date.now();
+            if (wait > 0) {
+                retryButton.disabled = true;
+                setTimeout(() => {
+                    retryButton.disabled = false;
+                }, wait);
+            }
+            errorDiv.appendChild(retryButton);
+        }
+        
+        this.chatHistory.appendChild(errorDiv);
+        this.scrollToBottom();
+    }
+    
+    setInputState(enabled) {
+        this.userInput.disabled = !enabled;
+        this.sendButton.disabled = !enabled || Date.now() < this.cooldownUntil;
+    }
+    
+    showLoading(show) {
+        if (show) {
+            this.loadingElement.classList.remove('hidden');
+        } else {
+            this.loadingElement.classList.add('hidden');
+        }
+    }
+    
+    scrollToBottom() {
+        this.chatHistory.scrollTop = this.chatHistory.scrollHeight;
+    }
+}
+
+// Initialize the app when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new ChatApp();
 });
\ No newline at end of file
@@ -0,0 +1,202 @@
+// Full-text search over every message in every chat. The index is an
+// inverted index (word -> messages containing it) kept in memory and updated
+// one message at a time as messages are added, so searching stays fast
+// without rescanning chats. Every word in the query must match, as a whole
+// word or the start of one; hits are ranked by how rare and how frequent the
+// matched words are, then by how recent the message is.
+
+// Results shown for a query
+const SEARCH_RESULT_LIMIT = 50;
+
+// Characters of context kept around the first match in a snippet
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 140;
+
+// Prefix matches count for less than whole words
+const PREFIX_MATCH_WEIGHT = 0.7;
+
+class ChatSearchIndex {
+    constructor() {
+        // word -> Map(docKey -> times the word appears)
+        this.postings = new Map();
+        // docKey -> { chatId, messageId, timestamp, words }
+        this.docs = new Map();
+        // chatId -> Set(docKey)
+        this.chatDocs = new Map();
+    }
+
+    // Helper function to split text into lowercase words without accents
+    tokenize(text) {
+        return this.normalize(text || '').match(/[\p{L}\p{N}]+/gu) || [];
+    }
+
+    // Helper function to fold case and accents so "Café" matches "cafe"
+    normalize(word) {
+        return word.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+    }
+
+    // ==================== INDEXING ====================
+
+    addMessage(chatId, message) {
+        const docKey = `${chatId}/${message.id}`;
+        if (this.docs.has(docKey)) {
+            this.removeDoc(docKey);
+        }
+
+        const counts = new Map();
+        this.tokenize(message.text).forEach(word => {
+            counts.set(word, (counts.get(word) || 0) + 1);
+        });
+        if (counts.size === 0) return;
+
+        counts.forEach((count, word) => {
+            if (!this.postings.has(word)) {
+                this.postings.set(word, new Map());
+            }
+            this.postings.get(word).set(docKey, count);
+        });
+
+        this.docs.set(docKey, {
+            chatId: chatId,
+            messageId: message.id,
+            timestamp: message.timestamp,
+            words: Array.from(counts.keys())
+        });
+        if (!this.chatDocs.has(chatId)) {
+            this.chatDocs.set(chatId, new Set());
+        }
+        this.chatDocs.get(chatId).add(docKey);
+    }
+
+    // (Re)index every message in a chat
+    indexChat(chat) {
+        this.removeChat(chat.id);
+        chat.messages.forEach(message => this.addMessage(chat.id, message));
+    }
+
+    removeChat(chatId) {
+        (this.chatDocs.get(chatId) || []).forEach(docKey => this.removeDoc(docKey));
+        this.chatDocs.delete(chatId);
+    }
+
+    removeDoc(docKey) {
+        const doc = this.docs.get(docKey);
+        if (!doc) return;
+
+        doc.words.forEach(word => {
+            const postings = this.postings.get(word);
+            postings.delete(docKey);
+            if (postings.size === 0) {
+                this.postings.delete(word);
+            }
+        });
+        this.docs.delete(docKey);
+        const chatDocs = this.chatDocs.get(doc.chatId);
+        if (chatDocs) {
+            chatDocs.delete(docKey);
+        }
+    }
+
+    // ==================== SEARCH ====================
+
+    // Returns up to SEARCH_RESULT_LIMIT hits as { chatId, messageId, score }, best first
+    search(query) {
+        const queryWords = Array.from(new Set(this.tokenize(query)));
+        if (queryWords.length === 0) {
+            return [];
+        }
+
+        const totalDocs = this.docs.size;
+        let scores = null;
+
+        for (const queryWord of queryWords) {
+            // Best score each message gets for this query word
+            const wordScores = new Map();
+
+            this.postings.forEach((postings, word) => {
+                if (!word.startsWith(queryWord)) return;
+
+                const weight = word === queryWord ? 1 : PREFIX_MATCH_WEIGHT;
+                postings.forEach((count, docKey) => {
+                    const score = weight * (count / (count + 1.2));
+                    if (score > (wordScores.get(docKey) || 0)) {
+                        wordScores.set(docKey, score);
+                    }
+                });
+            });
+
+            // Words found in fewer messages say more about a hit
+            const idf = Math.log(1 + totalDocs / Math.max(1, wordScores.size));
+            wordScores.forEach((score, docKey) => wordScores.set(docKey, score * idf));
+
+            // Keep only messages that match every word so far
+            if (scores === null) {
+                scores = wordScores;
+            } else {
+                const combined = new Map();
+                scores.forEach((score, docKey) => {
+                    if (wordScores.has(docKey)) {
+                        combined.set(docKey, score + wordScores.get(docKey));
+                    }
+                });
+                scores = combined;
+            }
+
+            if (scores.size === 0) {
+                return [];
+            }
+        }
+
+        return Array.from(scores, ([docKey, score]) => ({ doc: this.docs.get(docKey), score }))
+            .sort((a, b) => b.score - a.score || new Date(b.doc.timestamp) - new Date(a.doc.timestamp))
+            .slice(0, SEARCH_RESULT_LIMIT)
+            .map(({ doc, score }) => ({ chatId: doc.chatId, messageId: doc.messageId, score }));
+    }
+
+    // ==================== SNIPPETS ====================
+
+    // A short excerpt around the first match, with matched words in <mark>
+    renderSnippet(text, query) {
+        const queryWords = this.tokenize(query);
+        const wordPattern = /[\p{L}\p{M}\p{N}]+/gu;
+        const matches = [];
+        let match;
+
+        while ((match = wordPattern.exec(text)) !== null) {
+            const word = this.normalize(match[0]);
+            if (queryWords.some(queryWord => word.startsWith(queryWord))) {
+                matches.push({ start: match.index, end: match.index + match[0].length });
+            }
+        }
+
+        let start = matches.length > 0 ? Math.max(0, matches[0].start - SNIPPET_BEFORE) : 0;
+        // Don't cut the first word in half
+        while (start > 0 && /[\p{L}\p{N}]/u.test(text[start - 1])) {
+            start--;
+        }
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        const snippet = document.createElement('span');
+        snippet.className = 'search-snippet';
+        let position = start;
+
+        if (start > 0) {
+            snippet.appendChild(document.createTextNode('…'));
+        }
+        matches
+            .filter(range => range.start >= start && range.end <= end)
+            .forEach(range => {
+                snippet.appendChild(document.createTextNode(text.slice(position, range.start)));
+                const mark = document.createElement('mark');
+                mark.textContent = text.slice(range.start, range.end);
+                snippet.appendChild(mark);
+                position = range.end;
+            });
+        snippet.appendChild(document.createTextNode(text.slice(position, end)));
+        if (end < text.length) {
+            snippet.appendChild(document.createTextNode('…'));
+        }
+
+        return snippet;
+    }
+}
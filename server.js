@@ -1,190 +1,1082 @@
-const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
-const path = require('path');
-const multer = require('multer');
-
-// For Vercel, we don't need dotenv in production
-if (process.env.NODE_ENV !== 'production') {
-    require('dotenv').config();
-}
-
-const app = express();
-const PORT = process.env.PORT || 3000;
-
-// Configure multer for file uploads (using memory storage for serverless)
-const upload = multer({
-    storage: multer.memoryStorage(),
-    limits: {
-        fileSize: 10 * 1024 * 1024 // 10MB limit
-    },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Only image files are allowed!'), false);
-        }
-    }
-});
-
-// Helper function to encode image buffer to base64
-function encodeImageToBase64(buffer) {
-    return buffer.toString('base64');
-}
-
-// Helper function to get mime type from filename
-function getMimeType(filename) {
-    const ext = path.extname(filename).toLowerCase();
-    const mimeTypes = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.gif': 'image/gif',
-        '.webp': 'image/webp'
-    };
-    return mimeTypes[ext] || 'image/jpeg';
-}
-
-// Memory storage - no need to create directories
-
-// Middleware
-app.use(cors());
-app.use(express.json({ limit: '50mb' }));
-app.use(express.static(path.join(__dirname)));
-
-// Serve the main HTML file
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
-
-// Chat endpoint
-app.post('/api/chat', upload.array('images', 10), async (req, res) => {
-    try {
-        const { message } = req.body;
-        const images = req.files || [];
-        
-        if (!message && images.length === 0) {
-            return res.status(400).json({ error: 'Message or images are required' });
-        }
-        
-        // Check if API key is configured
-        if (!process.env.OPENAI_API_KEY) {
-            return res.status(500).json({ 
-                error: 'OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.' 
-            });
-        }
-        
-        // Prepare message content
-        let messageContent = [];
-        
-        // Add text content if present
-        if (message && message.trim()) {
-            messageContent.push({
-                type: 'text',
-                text: message
-            });
-        }
-        
-        // Add image content if present
-        for (const image of images) {
-            const base64Image = encodeImageToBase64(image.buffer);
-            const mimeType = getMimeType(image.originalname);
-            
-            messageContent.push({
-                type: 'image_url',
-                image_url: {
-                    url: `data:${mimeType};base64,${base64Image}`
-                }
-            });
-        }
-        
-        // Choose model based on whether images are present
-        const model = images.length > 0 ? 'gpt-4o' : 'gpt-3.5-turbo';
-        
-        
-        // Prepare the final content for OpenAI
-        let finalContent;
-        if (messageContent.length === 1 && messageContent[0].type === 'text') {
-            // Text-only message
-            finalContent = messageContent[0].text;
-        } else if (messageContent.length > 0) {
-            // Mixed content (text + images or images only)
-            finalContent = messageContent;
-        } else {
-            // Fallback
-            finalContent = message || 'Please analyze this image.';
-        }
-        
-        // Make request to OpenAI API
-        const response = await axios.post('https://api.openai.com/v1/chat/completions', {
-            model: model,
-            messages: [
-                {
-                    role: 'user',
-                    content: finalContent
-                }
-            ],
-            max_tokens: 1000,
-            temperature: 0.7
-        }, {
-            headers: {
-                'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            }
-        });
-        
-        const aiResponse = response.data.choices[0].message.content;
-        res.json({ response: aiResponse });
-        
-    } catch (error) {
-        console.error('Error in chat endpoint:', error);
-        console.error('Error details:', {
-            message: error.message,
-            responseData: error.response?.data,
-            responseStatus: error.response?.status
-        });
-        
-        if (error.response?.status === 401) {
-            res.status(401).json({ 
-                error: 'Invalid OpenAI API key. Please check your OPENAI_API_KEY in the .env file.' 
-            });
-        } else if (error.response?.status === 429) {
-            res.status(429).json({ 
-                error: 'Rate limit exceeded. Please try again later.' 
-            });
-        } else if (error.response?.status === 400) {
-            res.status(400).json({ 
-                error: 'Invalid request to OpenAI API. Please check your message.' 
-            });
-        } else {
-            res.status(500).json({ 
-                error: 'Failed to get response from ChatGPT. Please try again.' 
-            });
-        }
-    }
-});
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'OK', 
-        timestamp: new Date().toISOString(),
-        apiKeyConfigured: !!process.env.OPENAI_API_KEY
-    });
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-    console.error('Unexpected error:', err);
-    res.status(500).json({ error: 'Internal server error' });
-});
-
-// Start server
-app.listen(PORT, () => {
-    console.log(`Server running on http://localhost:${PORT}`);
-    console.log(`API key configured: ${process.env.OPENAI_API_KEY ? 'Yes' : 'No'}`);
-    if (!process.env.OPENAI_API_KEY) {
-        console.log('⚠️  Warning: OPENAI_API_KEY not found in environment variables.');
-        console.log('   Please create a .env file and add your OpenAI API key.');
-    }
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const multer = require('multer');
+const { buildMessages, estimateTokens, formatDocuments, parseConversation } = require('./lib/conversation');
+const { relayCompletionStream } = require('./lib/streaming');
+const { SettingsError, loadModelConfig, resolveSettings, supportsImages, supportsTools } = require('./lib/models');
+const { checkDataPaths, loadConfig } = require('./lib/config');
+const { ProviderError, createImageProvider, createProvider, observeProvider, withResilience } = require('./lib/providers');
+const { createToolRegistry, runToolLoop } = require('./lib/tools');
+const { Auth, AuthError } = require('./lib/auth');
+const { QuotaTracker } = require('./lib/quota');
+const { UsageLog } = require('./lib/usage');
+const { buildTitleMessages, cleanTitle } = require('./lib/titles');
+const { SyncError, createChatStore, parseChat } = require('./lib/sync');
+const { ShareError, ShareStore } = require('./lib/shares');
+const { ConcurrencyLimiter, createStore, rateLimit } = require('./lib/rateLimit');
+const { DocumentError, extractText, fitDocuments, getDocumentKind } = require('./lib/documents');
+const { ImageError, detectImageFormat, normalizeHistoryImages, normalizeImage } = require('./lib/images');
+const { getPublicFiles, getShellVersion, loadServiceWorker } = require('./lib/appShell');
+const { createContentPolicy } = require('./lib/policy');
+const { logger } = require('./lib/logger');
+const { createMetrics } = require('./lib/metrics');
+const { requestLogger } = require('./lib/requestLog');
+const { version } = require('./package.json');
+
+// For Vercel, we don't need dotenv in production
+if (process.env.NODE_ENV !== 'production') {
+    require('dotenv').config();
+}
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+
+const config = loadConfig();
+logger.configure(config.logging);
+checkDataPaths(config);
+
+// Counters and histograms for /metrics
+const metrics = createMetrics({ version });
+
+// Helper function to count every call to an LLM provider for /metrics
+function observeUpstream(target) {
+    return observeProvider(target, ({ operation, status, seconds }) => {
+        metrics.upstreamRequests.inc({ provider: target.name, operation, status });
+        metrics.upstreamDuration.observe({ provider: target.name, operation }, seconds);
+    });
+}
+
+// Behind a proxy, req.ip (used for rate limits) must come from X-Forwarded-For
+if (config.trustProxy) {
+    app.set('trust proxy', config.trustProxy);
+}
+
+// LLM backend (OpenAI-compatible, Anthropic, Ollama or mock), with timeouts,
+// retries, fallback models and a circuit breaker around it
+const chatBackend = createProvider(config.provider);
+const provider = withResilience(observeUpstream(chatBackend), {
+    ...config.upstream,
+    getFallbackModels: getFallbackModels
+});
+
+// Models users may choose from, plus default generation settings
+const modelConfig = loadModelConfig(config.models, provider);
+
+// Tools the model can call (calculator, date and time, reading allowed sites)
+const tools = createToolRegistry(config.tools);
+
+// Image generation for /api/images, when the provider (or IMAGE_PROVIDER) can make images
+const imageBackend = createImageProvider(config.images, chatBackend);
+const imageProvider = imageBackend && withResilience(observeUpstream(imageBackend), {
+    ...config.upstream,
+    timeoutMs: config.images.timeoutMs
+});
+const imageGeneration = imageProvider ? {
+    model: config.images.model || imageProvider.imageDefaults.model,
+    variationModel: config.images.variationModel || imageProvider.imageDefaults.variationModel,
+    sizes: config.images.sizes || imageProvider.getImageSizes(config.images.model || imageProvider.imageDefaults.model),
+    maxCount: config.images.maxCount
+} : null;
+
+// Rules and moderation for what users send and what the model answers.
+// Real OpenAI keys also work for its moderation endpoint.
+const policy = createContentPolicy({
+    ...config.policy,
+    moderationApiKey: config.policy.moderationApiKey || (provider.name === 'openai' && provider.requiresKey ? provider.apiKey : '')
+});
+
+// Optional sign-in and per-user daily quotas
+const auth = new Auth(config.auth);
+const quotas = new QuotaTracker(config.quotas);
+
+// Token counts and estimated cost of every reply
+const usageLog = new UsageLog(config.usage);
+
+// Chat history kept on the server so it follows users between devices. Only
+// accounts have an id that stays the same from one device to the next.
+const chatStore = auth.mode === 'accounts' ? createChatStore(config.sync) : null;
+
+// Throttling: per-IP and per-user token buckets, and a cap on upstream calls
+const rateLimitStore = createStore(config.rateLimit.redisUrl);
+const ipLimiter = rateLimit({
+    store: rateLimitStore,
+    name: 'ip',
+    capacity: config.rateLimit.ipCapacity,
+    perMinute: config.rateLimit.ipPerMinute,
+    keyFor: (req) => req.ip
+});
+const userLimiter = rateLimit({
+    store: rateLimitStore,
+    name: 'user',
+    capacity: config.rateLimit.userCapacity,
+    perMinute: config.rateLimit.userPerMinute,
+    keyFor: (req) => req.quotaKey
+});
+const upstreamSlots = new ConcurrencyLimiter(config.rateLimit.maxConcurrentUpstream);
+
+// Configure multer for file uploads (using memory storage for serverless)
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        files: config.uploads.maxImages + config.uploads.maxDocuments,
+        fileSize: config.uploads.maxFileSizeMb * 1024 * 1024,
+        fieldSize: config.uploads.maxFieldSizeMb * 1024 * 1024 // conversation history may carry earlier images
+    },
+    fileFilter: (req, file, cb) => {
+        if (file.fieldname === 'images') {
+            // Some browsers send HEIC, TIFF or BMP files without an image/ type; the content is checked later
+            if (file.mimetype.startsWith('image/') || /\.(hei[cf]|tiff?|bmp)$/i.test(file.originalname)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only image files are allowed!'), false);
+            }
+        } else if (getDocumentKind(file)) {
+            cb(null, true);
+        } else {
+            cb(new DocumentError(`${file.originalname} isn't a supported file type. Attach PDF, Word (.docx), text, CSV or source code files.`), false);
+        }
+    }
+});
+
+// Helper function to run the multer upload and turn its errors into clear 4xx responses
+function handleUpload(req, res, next) {
+    upload.fields([
+        { name: 'images', maxCount: config.uploads.maxImages },
+        { name: 'files', maxCount: config.uploads.maxDocuments }
+    ])(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+        
+        if (err instanceof multer.MulterError) {
+            const tooMany = err.field === 'files'
+                ? `You can attach up to ${config.uploads.maxDocuments} files per message.`
+                : `You can attach up to ${config.uploads.maxImages} images per message.`;
+            const messages = {
+                LIMIT_FILE_SIZE: `Each ${err.field === 'files' ? 'file' : 'image'} must be smaller than ${config.uploads.maxFileSizeMb}MB.`,
+                LIMIT_FILE_COUNT: tooMany,
+                LIMIT_UNEXPECTED_FILE: tooMany,
+                LIMIT_FIELD_VALUE: 'This conversation is too long to send. Please start a new chat.'
+            };
+            return res.status(413).json({ error: messages[err.code] || 'The upload is too large.' });
+        }
+        res.status(400).json({ error: err.message });
+    });
+}
+
+// Helper function to encode image buffer to base64
+function encodeImageToBase64(buffer) {
+    return buffer.toString('base64');
+}
+
+// Longest description /api/images accepts (DALL·E 3's limit)
+const MAX_IMAGE_PROMPT_LENGTH = 4000;
+
+// Size and quality limits for images sent to the model
+const imageOptions = {
+    maxDimension: config.uploads.maxImageDimension,
+    quality: config.uploads.imageQuality
+};
+
+// Helper function to collect what the client should store about its message:
+// the text read from documents, processed copies of its images and any
+// policy notice (e.g. that parts of it were redacted)
+function getRequestDetails(documents, images, policyNotice = null) {
+    const details = {};
+    if (documents.length > 0) {
+        details.documents = documents;
+    }
+    if (images.length > 0) {
+        details.images = images;
+    }
+    if (policyNotice) {
+        details.policy = policyNotice;
+    }
+    return Object.keys(details).length > 0 ? details : null;
+}
+
+// Helper function to answer a request the content policy blocked
+function sendPolicyBlock(res, notice) {
+    res.status(422).json({ error: notice.message, policy: notice });
+}
+
+// Helper function to turn a request away while every upstream slot is taken
+function sendBusy(res) {
+    res.set('Retry-After', '5');
+    res.status(503).json({ error: 'The server is busy right now. Please try again in a few seconds.', retryable: true, retryAfter: 5 });
+}
+
+// Helper function to record a reply's token usage against the request's user
+// and quota. Counts the provider didn't report are estimated from the prompt
+// and the reply (~4 characters per token).
+function recordUsage(req, model, reported, promptEstimate, reply) {
+    const usage = usageLog.record({
+        userId: req.user.id,
+        model: model,
+        promptTokens: reported ? reported.promptTokens : promptEstimate,
+        completionTokens: reported ? reported.completionTokens : Math.ceil(reply.length / 4),
+        estimated: !reported
+    });
+    quotas.recordTokens(req.quotaKey, usage.promptTokens + usage.completionTokens);
+    metrics.tokens.inc({ model: model, type: 'prompt' }, usage.promptTokens);
+    metrics.tokens.inc({ model: model, type: 'completion' }, usage.completionTokens);
+    return usage;
+}
+
+// Read-only snapshots of chats, shared by link
+const shares = new ShareStore(config.shares, imageOptions);
+
+// Helper function to describe a share to its owner
+function toShareResponse(summary) {
+    return {
+        id: summary.id,
+        title: summary.title,
+        createdAt: summary.createdAt,
+        expiresAt: summary.expiresAt,
+        url: `/s/${summary.id}`
+    };
+}
+
+// Helper middleware for the chat sync routes
+function requireSync(req, res, next) {
+    if (!chatStore) {
+        return res.status(404).json({ error: 'Chat sync is not enabled on this server.' });
+    }
+    next();
+}
+
+// Helper function to answer a chat sync request that failed
+function sendSyncError(req, res, error) {
+    if (error instanceof SyncError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    req.log.error('Chat store error', { error });
+    res.status(500).json({ error: 'Could not reach the saved chats. Please try again.' });
+}
+
+// Helper function to pick the models to try, in order, when the one a
+// request asked for keeps failing: the FALLBACK_MODELS that can take the
+// same request (images, tools)
+function getFallbackModels(request) {
+    const hasImages = request.messages.some(message => Array.isArray(message.content)
+        && message.content.some(part => part.type === 'image_url'));
+    const hasTools = !!request.tools && request.tools.length > 0;
+    return config.upstream.fallbackModels.filter(model => (!hasImages || supportsImages(model, modelConfig))
+        && (!hasTools || supportsTools(model, modelConfig)));
+}
+
+// Helper function to map a provider error onto the status and message we
+// return, and whether (and when) the client may try again
+function getUpstreamError(error) {
+    if (error instanceof ProviderError) {
+        return { status: error.status, error: error.message, retryable: error.retryable, retryAfter: error.retryAfter };
+    }
+    // Anything else is a bug on our side, which trying again won't fix
+    return { status: 500, error: 'Something went wrong while getting the reply.', retryable: false, retryAfter: null };
+}
+
+// Helper function to answer a request whose call to the provider failed
+function sendUpstreamError(res, { status, error, retryable, retryAfter }) {
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+    }
+    res.status(status).json({ error, retryable, ...(retryAfter ? { retryAfter } : {}) });
+}
+
+// Longest a readiness check in /api/health may take
+const HEALTH_CHECK_TIMEOUT_MS = 3000;
+
+// Helper function to run one of /api/health's checks: { ok, ms, error }
+async function runHealthCheck(check) {
+    const started = Date.now();
+    let timer;
+    try {
+        await Promise.race([
+            check(),
+            new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error('Timed out.')), HEALTH_CHECK_TIMEOUT_MS);
+            })
+        ]);
+        return { ok: true, ms: Date.now() - started };
+    } catch (error) {
+        return { ok: false, ms: Date.now() - started, error: error.message };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Memory storage - no need to create directories
+
+// Middleware
+// Request IDs, request logs and HTTP metrics, for everything that follows
+app.use(requestLogger({ logger, metrics }));
+// Any origin by default; with CORS_ORIGINS set, only those (with cookies).
+// Pages on other origins can read the request ID too.
+app.use(cors({
+    ...(config.corsOrigins.length > 0 ? { origin: config.corsOrigins, credentials: true } : {}),
+    exposedHeaders: ['X-Request-Id']
+}));
+app.use(express.json({ limit: config.uploads.jsonBodyLimit }));
+
+// The service worker, versioned by the client files it caches. Browsers
+// check for a new one themselves; don't let a proxy hold on to an old copy.
+const serviceWorker = loadServiceWorker(__dirname);
+const shellVersion = getShellVersion(__dirname);
+app.get('/sw.js', (req, res) => {
+    res.set('Content-Type', 'text/javascript; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(serviceWorker);
+});
+
+// Only the client files are served, each at its own path; server code,
+// config and anything else in the app's folder never is
+const publicFiles = getPublicFiles(__dirname);
+app.use((req, res, next) => {
+    const file = publicFiles.get(req.path);
+    if (!file || !['GET', 'HEAD'].includes(req.method)) {
+        return next();
+    }
+    res.sendFile(file);
+});
+
+// Client-side libraries for rendering assistant messages
+app.use('/vendor/katex', express.static(path.join(__dirname, 'node_modules', 'katex', 'dist')));
+app.use('/vendor/highlight', express.static(path.join(__dirname, 'node_modules', '@highlightjs', 'cdn-assets')));
+
+// Serve the main HTML file
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+// Read-only page for a shared chat
+app.get('/s/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, 'share.html'));
+});
+
+// Current sign-in state, with today's usage for the signed-in user
+app.get('/api/auth/session', (req, res) => {
+    const user = auth.resolveUser(req, res);
+    res.json({
+        authEnabled: auth.enabled,
+        mode: auth.mode,
+        authenticated: !!user,
+        user: auth.enabled ? user : null,
+        usage: user ? quotas.summary(auth.getQuotaKey(req, user), auth.getUserQuotas(user.id)) : null,
+        isAdmin: auth.isAdmin(req, user),
+        sync: !!(chatStore && user)
+    });
+});
+
+// Sign in with the shared passcode or a username and password
+app.post('/api/auth/login', ipLimiter, (req, res) => {
+    if (!auth.enabled) {
+        return res.status(400).json({ error: 'Sign-in is not enabled on this server.' });
+    }
+    
+    try {
+        const user = auth.login(req.body || {}, auth.getBrowserKey(req, res));
+        res.append('Set-Cookie', auth.createSessionCookie(user, req));
+        res.json({ user });
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(401).json({ error: error.message });
+        }
+        throw error;
+    }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+    res.setHeader('Set-Cookie', auth.clearSessionCookie(req));
+    res.json({ success: true });
+});
+
+// Chat endpoint
+app.post('/api/chat', ipLimiter, auth.requireAuth(), userLimiter, handleUpload, async (req, res) => {
+    const controller = new AbortController();
+    let releaseSlot = null;
+    
+    // Abort the upstream request if the client disconnects or presses Stop
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+        if (releaseSlot) {
+            releaseSlot();
+        }
+    });
+    
+    try {
+        let { message } = req.body;
+        const images = (req.files && req.files.images) || [];
+        const attachments = (req.files && req.files.files) || [];
+        
+        if (message !== undefined && message !== null && typeof message !== 'string') {
+            return res.status(400).json({ error: 'Message must be text' });
+        }
+        if (!message && images.length === 0 && attachments.length === 0) {
+            return res.status(400).json({ error: 'Message, images or files are required' });
+        }
+        
+        let conversation;
+        try {
+            conversation = parseConversation(req.body.conversation);
+        } catch (parseError) {
+            return res.status(400).json({ error: 'Invalid conversation history' });
+        }
+        
+        // Check the chat's model and parameters against the allowlist
+        let settings;
+        try {
+            settings = resolveSettings(req.body, { hasImages: images.length > 0 }, modelConfig);
+        } catch (settingsError) {
+            if (settingsError instanceof SettingsError) {
+                return res.status(400).json({ error: settingsError.message });
+            }
+            throw settingsError;
+        }
+        const allowImages = supportsImages(settings.model, modelConfig);
+        res.locals.logFields = {
+            model: settings.model,
+            stream: req.body.stream === true || req.body.stream === 'true',
+            images: images.length,
+            files: attachments.length,
+            prompt: req.log.redact(message)
+        };
+        // The chat asks for tools; they're only offered to models that can use them
+        const useTools = (req.body.tools === true || req.body.tools === 'true')
+            && tools.size > 0
+            && supportsTools(settings.model, modelConfig);
+        
+        // Check the user's daily quota
+        const userQuotas = auth.getUserQuotas(req.user.id);
+        const quotaError = quotas.check(req.quotaKey, userQuotas);
+        if (quotaError) {
+            return res.status(429).json({ error: quotaError, quotaExceeded: true });
+        }
+        
+        // Check if API key is configured
+        if (!provider.isConfigured()) {
+            return res.status(500).json({ 
+                error: `${provider.label} API key not configured. Please add ${provider.keyHint} to your .env file.` 
+            });
+        }
+        
+        // Read attached documents and cut them down to fit the prompt
+        let documents = [];
+        if (attachments.length > 0) {
+            try {
+                const extracted = await Promise.all(attachments.map(async file => ({
+                    name: file.originalname,
+                    text: await extractText(file)
+                })));
+                documents = fitDocuments(extracted, message || '', config.uploads.documentTokenBudget);
+            } catch (documentError) {
+                if (documentError instanceof DocumentError) {
+                    return res.status(400).json({ error: documentError.message });
+                }
+                throw documentError;
+            }
+        }
+        
+        // Check the message, the chat's system prompt and the documents
+        // against the content policy
+        const inputReview = await policy.review([message || '', settings.systemPrompt, ...documents.map(document => document.text)], {
+            stage: 'input',
+            userId: req.user.id,
+            signal: controller.signal
+        });
+        if (inputReview.action === 'block') {
+            return sendPolicyBlock(res, inputReview.notice);
+        }
+        const [checkedMessage, checkedSystemPrompt, ...checkedDocuments] = inputReview.texts;
+        message = checkedMessage;
+        settings = { ...settings, systemPrompt: checkedSystemPrompt };
+        documents = documents.map((document, index) => ({ ...document, text: checkedDocuments[index] }));
+        conversation = policy.filterHistory(conversation);
+        
+        // Prepare message content
+        let messageContent = [];
+        
+        // Add text content if present, with any document text ahead of it
+        const text = [documents.length > 0 ? formatDocuments(documents) : '', message ? message.trim() : '']
+            .filter(Boolean)
+            .join('\n\n');
+        if (text) {
+            messageContent.push({
+                type: 'text',
+                text: text
+            });
+        }
+        
+        // Add image content if present, converted, resized and stripped of metadata
+        let normalizedImages;
+        try {
+            normalizedImages = await Promise.all(images.map(image => normalizeImage(image.buffer, image.originalname, imageOptions)));
+            if (allowImages) {
+                conversation = await normalizeHistoryImages(conversation, imageOptions);
+            }
+        } catch (imageError) {
+            if (imageError instanceof ImageError) {
+                return res.status(400).json({ error: imageError.message });
+            }
+            throw imageError;
+        }
+        
+        for (const image of normalizedImages) {
+            const base64Image = encodeImageToBase64(image.buffer);
+            
+            messageContent.push({
+                type: 'image_url',
+                image_url: {
+                    url: `data:${image.mimeType};base64,${base64Image}`
+                }
+            });
+        }
+        
+        // The client swaps its copies for the processed ones, so it stores and resends less
+        const processedImages = normalizedImages.some(image => image.changed)
+            ? normalizedImages.map(image => ({ name: image.name, dataUrl: `data:${image.mimeType};base64,${encodeImageToBase64(image.buffer)}` }))
+            : [];
+        
+        // Prepare the final content (OpenAI format; providers translate it)
+        let finalContent;
+        if (messageContent.length === 1 && messageContent[0].type === 'text') {
+            // Text-only message
+            finalContent = messageContent[0].text;
+        } else if (messageContent.length > 0) {
+            // Mixed content (text + images or images only)
+            finalContent = messageContent;
+        } else {
+            // Fallback
+            finalContent = message || 'Please analyze this image.';
+        }
+        
+        // Include earlier turns, trimmed to fit the token budget
+        const messages = buildMessages(conversation, finalContent, {
+            allowImages: allowImages,
+            tokenBudget: config.contextTokenBudget,
+            systemPrompt: settings.systemPrompt
+        });
+        
+        const completionRequest = {
+            model: settings.model,
+            messages: messages,
+            maxTokens: settings.maxTokens,
+            temperature: settings.temperature,
+            signal: controller.signal
+        };
+        
+        // Fail fast rather than pile up requests while the upstream is saturated
+        releaseSlot = upstreamSlots.tryAcquire();
+        if (!releaseSlot) {
+            return sendBusy(res);
+        }
+        
+        quotas.recordRequest(req.quotaKey);
+        
+        // Estimated prompt tokens, used if the provider doesn't report usage
+        const promptTokens = messages.reduce((total, message) => total + estimateTokens(message), 0);
+        
+        // With tools, the reply can take several rounds of tool calls
+        const startStream = () => (useTools
+            ? runToolLoop(provider, completionRequest, tools, {
+                maxIterations: config.tools.maxIterations,
+                context: { signal: controller.signal, userId: req.user.id, log: req.log }
+            })
+            : provider.stream(completionRequest));
+        
+        // Streaming mode: relay tokens (and tool calls) as Server-Sent Events
+        if (req.body.stream === true || req.body.stream === 'true') {
+            const deltas = await startStream();
+            let usage = null;
+            // The reply is checked against the content policy on its way out
+            const checked = policy.filterStream(deltas, { userId: req.user.id, signal: controller.signal });
+            const reply = await relayCompletionStream(checked, res, controller.signal, {
+                // The client keeps the document text to send back as history
+                firstEvent: getRequestDetails(documents, processedImages, inputReview.notice),
+                // and stores the usage with the reply
+                finish: (text) => {
+                    usage = recordUsage(req, deltas.model || settings.model, deltas.usage, promptTokens, text);
+                    return { usage };
+                },
+                log: req.log
+            });
+            if (!usage) {
+                // Stopped or interrupted: count what was generated before that
+                recordUsage(req, deltas.model || settings.model, deltas.usage, promptTokens, reply);
+            }
+            return;
+        }
+        
+        if (useTools) {
+            const loop = await startStream();
+            let reply = '';
+            for await (const part of loop) {
+                if (typeof part === 'string') {
+                    reply += part;
+                }
+            }
+            const usage = recordUsage(req, loop.model || settings.model, loop.usage, promptTokens, reply);
+            const outputReview = await policy.review([reply], { stage: 'output', userId: req.user.id, signal: controller.signal });
+            return res.json({
+                response: outputReview.action === 'block' ? '' : outputReview.texts[0],
+                toolSteps: loop.steps,
+                usage: usage,
+                ...getRequestDetails(documents, processedImages, inputReview.notice),
+                ...(outputReview.notice ? { replyPolicy: outputReview.notice } : {})
+            });
+        }
+        
+        const { text: reply, usage: reportedUsage, model: answeredBy } = await provider.complete(completionRequest);
+        const usage = recordUsage(req, answeredBy, reportedUsage, promptTokens, reply);
+        const outputReview = await policy.review([reply], { stage: 'output', userId: req.user.id, signal: controller.signal });
+        res.json({
+            response: outputReview.action === 'block' ? '' : outputReview.texts[0],
+            usage: usage,
+            ...getRequestDetails(documents, processedImages, inputReview.notice),
+            ...(outputReview.notice ? { replyPolicy: outputReview.notice } : {})
+        });
+        
+    } catch (error) {
+        if (releaseSlot) {
+            releaseSlot();
+        }
+        if (controller.signal.aborted) {
+            return; // Client went away before the upstream answered
+        }
+        
+        const upstreamError = getUpstreamError(error);
+        req.log[upstreamError.status >= 500 ? 'error' : 'warn']('Error in chat endpoint', { error });
+        sendUpstreamError(res, upstreamError);
+    }
+});
+
+// A short title for a chat, written by the model from the chat's first messages
+app.post('/api/title', ipLimiter, auth.requireAuth(), userLimiter, async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+    
+    const messages = req.body && Array.isArray(req.body.messages) ? req.body.messages : [];
+    if (messages.length === 0) {
+        return res.status(400).json({ error: 'Messages are required' });
+    }
+    
+    const quotaError = quotas.check(req.quotaKey, auth.getUserQuotas(req.user.id));
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError, quotaExceeded: true });
+    }
+    if (!provider.isConfigured()) {
+        return res.status(500).json({ 
+            error: `${provider.label} API key not configured. Please add ${provider.keyHint} to your .env file.` 
+        });
+    }
+    
+    const releaseSlot = upstreamSlots.tryAcquire();
+    if (!releaseSlot) {
+        return sendBusy(res);
+    }
+    
+    try {
+        const model = config.titleModel || modelConfig.defaults.model;
+        const [instructions, transcript] = buildTitleMessages(messages);
+        
+        // The opening of the chat goes through the content policy like a
+        // message, and the title like a reply
+        const inputReview = await policy.review([transcript.content], { stage: 'input', userId: req.user.id, signal: controller.signal });
+        if (inputReview.action === 'block') {
+            return sendPolicyBlock(res, inputReview.notice);
+        }
+        
+        const titleMessages = [instructions, { ...transcript, content: inputReview.texts[0] }];
+        const { text, usage: reportedUsage, model: answeredBy } = await provider.complete({
+            model: model,
+            messages: titleMessages,
+            maxTokens: 30,
+            temperature: 0.3,
+            signal: controller.signal
+        });
+        const promptTokens = titleMessages.reduce((total, message) => total + estimateTokens(message), 0);
+        recordUsage(req, answeredBy, reportedUsage, promptTokens, text);
+        
+        const title = cleanTitle(text);
+        if (!title) {
+            return res.status(502).json({ error: 'The model did not return a title. Please try again.' });
+        }
+        const outputReview = await policy.review([title], { stage: 'output', userId: req.user.id, signal: controller.signal });
+        if (outputReview.action === 'block') {
+            return sendPolicyBlock(res, outputReview.notice);
+        }
+        res.json({ title: outputReview.texts[0] });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            return;
+        }
+        const upstreamError = getUpstreamError(error);
+        req.log[upstreamError.status >= 500 ? 'error' : 'warn']('Error generating title', { error });
+        sendUpstreamError(res, upstreamError);
+    } finally {
+        releaseSlot();
+    }
+});
+
+// Make images from a prompt, or variations of an image sent as a data URL.
+// They come back as data URLs; the client keeps them with the chat.
+app.post('/api/images', ipLimiter, auth.requireAuth(), userLimiter, async (req, res) => {
+    if (!imageGeneration) {
+        return res.status(404).json({ error: 'Image generation is not enabled on this server.' });
+    }
+    
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) {
+            controller.abort();
+        }
+    });
+    
+    const body = req.body || {};
+    const prompt = typeof body.prompt === 'string' ? body.prompt.trim() : '';
+    const size = body.size || imageGeneration.sizes[0];
+    const count = body.count === undefined ? 1 : Number(body.count);
+    
+    if (!prompt && !body.image) {
+        return res.status(400).json({ error: 'Describe the image you want.' });
+    }
+    if (prompt.length > MAX_IMAGE_PROMPT_LENGTH) {
+        return res.status(400).json({ error: `Image descriptions must be at most ${MAX_IMAGE_PROMPT_LENGTH} characters.` });
+    }
+    if (!imageGeneration.sizes.includes(size)) {
+        return res.status(400).json({ error: `Size must be one of: ${imageGeneration.sizes.join(', ')}.` });
+    }
+    if (!Number.isInteger(count) || count < 1 || count > imageGeneration.maxCount) {
+        return res.status(400).json({ error: `You can make 1 to ${imageGeneration.maxCount} images at a time.` });
+    }
+    res.locals.logFields = { size, count, variations: !!body.image, prompt: req.log.redact(prompt) };
+    
+    // Quota and capacity first, so requests we won't serve don't cost a moderation check
+    const quotaError = quotas.check(req.quotaKey, auth.getUserQuotas(req.user.id));
+    if (quotaError) {
+        return res.status(429).json({ error: quotaError, quotaExceeded: true });
+    }
+    if (!imageProvider.isConfigured()) {
+        return res.status(500).json({ 
+            error: `${imageProvider.label} API key not configured. Please add ${imageProvider.keyHint} to your .env file.` 
+        });
+    }
+    
+    const releaseSlot = upstreamSlots.tryAcquire();
+    if (!releaseSlot) {
+        return sendBusy(res);
+    }
+    
+    try {
+        // Image descriptions go through the content policy like messages
+        const review = await policy.review([prompt], { stage: 'input', userId: req.user.id, signal: controller.signal });
+        if (review.action === 'block') {
+            return sendPolicyBlock(res, review.notice);
+        }
+        
+        // The image to make variations of
+        let source = null;
+        if (body.image) {
+            const match = /^data:image\/[\w.+-]+;base64,(.*)$/s.exec(String(body.image));
+            if (!match) {
+                return res.status(400).json({ error: 'The image to make variations of must be a data URL.' });
+            }
+            try {
+                source = (await normalizeImage(Buffer.from(match[1], 'base64'), 'image', imageOptions)).buffer;
+            } catch (error) {
+                if (error instanceof ImageError) {
+                    return res.status(400).json({ error: 'The image to make variations of couldn\'t be read. Use JPEG, PNG, GIF, WebP, HEIC, TIFF or BMP.' });
+                }
+                throw error;
+            }
+        }
+        
+        quotas.recordRequest(req.quotaKey);
+        const model = source ? imageGeneration.variationModel : imageGeneration.model;
+        const images = await imageProvider.generateImages({
+            model: model,
+            prompt: review.texts[0],
+            size: size,
+            count: count,
+            image: source,
+            signal: controller.signal
+        });
+        
+        res.json({
+            model: model,
+            ...(review.notice ? { policy: review.notice } : {}),
+            images: images.map((image, index) => {
+                const format = detectImageFormat(image.buffer) || 'png';
+                return {
+                    name: `image-${index + 1}.${format === 'jpeg' ? 'jpg' : format}`,
+                    dataUrl: `data:image/${format};base64,${image.buffer.toString('base64')}`,
+                    revisedPrompt: image.revisedPrompt
+                };
+            })
+        });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            return;
+        }
+        const upstreamError = getUpstreamError(error);
+        req.log[upstreamError.status >= 500 ? 'error' : 'warn']('Error generating images', { error });
+        sendUpstreamError(res, upstreamError);
+    } finally {
+        releaseSlot();
+    }
+});
+
+// Token usage and estimated cost over the last ?days= days (30 by default).
+// Admins see every user; everyone else sees only their own.
+app.get('/api/usage', ipLimiter, (req, res) => {
+    const user = auth.resolveUser(req, res);
+    const isAdmin = auth.isAdmin(req, user);
+    if (!user && !isAdmin) {
+        return res.status(401).json({ error: 'Please sign in to continue.', authRequired: true });
+    }
+    
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+    res.json({
+        isAdmin: isAdmin,
+        days: days,
+        ...usageLog.summary({ days, userId: isAdmin ? null : user.id })
+    });
+});
+
+// What the content policy blocked, redacted or flagged, newest first, for
+// admins to review. ?action= shows one kind and ?limit= how many (100 by default).
+app.get('/api/policy/events', ipLimiter, (req, res) => {
+    const user = auth.resolveUser(req, res);
+    if (!auth.isAdmin(req, user)) {
+        return res.status(403).json({ error: 'Only admins can review policy events.' });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 1000);
+    const action = ['block', 'redact', 'flag'].includes(req.query.action) ? req.query.action : null;
+    res.json({
+        enabled: policy.enabled,
+        events: policy.audit.list({ limit, action })
+    });
+});
+
+// Share a snapshot of a chat; returns its link
+app.post('/api/shares', ipLimiter, auth.requireAuth(), userLimiter, async (req, res) => {
+    try {
+        // Shared pages are public, so the content policy's rules apply to them too
+        const body = Array.isArray(req.body.messages)
+            ? { ...req.body, messages: policy.filterHistory(req.body.messages) }
+            : req.body;
+        const summary = await shares.create(req.user.id, body);
+        res.status(201).json({ share: toShareResponse(summary) });
+    } catch (error) {
+        if (error instanceof ShareError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        req.log.error('Could not save share', { error });
+        res.status(500).json({ error: 'Could not create the link. Please try again.' });
+    }
+});
+
+// The signed-in user's shared links, with the expiry choices they have
+app.get('/api/shares', ipLimiter, auth.requireAuth(), (req, res) => {
+    res.json({
+        shares: shares.list(req.user.id).map(toShareResponse),
+        expiryDays: shares.expiryDays,
+        maxExpiryDays: shares.maxExpiryDays
+    });
+});
+
+app.delete('/api/shares/:id', ipLimiter, auth.requireAuth(), async (req, res) => {
+    try {
+        if (!(await shares.revoke(req.user.id, req.params.id))) {
+            return res.status(404).json({ error: 'Shared link not found.' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        req.log.error('Could not revoke share', { error });
+        res.status(500).json({ error: 'Could not revoke the link. Please try again.' });
+    }
+});
+
+// A shared chat, for anyone with the link
+app.get('/api/shares/:id', ipLimiter, async (req, res) => {
+    try {
+        const share = await shares.get(req.params.id);
+        if (!share) {
+            return res.status(404).json({ error: 'This link has expired or been revoked.' });
+        }
+        share.messages.forEach(message => {
+            message.images.forEach(image => {
+                image.url = `/api/shares/${share.id}/images/${image.file}`;
+            });
+        });
+        res.json({ share });
+    } catch (error) {
+        req.log.error('Could not read share', { error });
+        res.status(500).json({ error: 'Could not load this shared chat.' });
+    }
+});
+
+app.get('/api/shares/:id/images/:file', ipLimiter, async (req, res) => {
+    try {
+        const image = await shares.getImage(req.params.id, req.params.file);
+        if (!image) {
+            return res.status(404).end();
+        }
+        res.set({
+            'Content-Type': image.type,
+            'X-Content-Type-Options': 'nosniff',
+            'Cache-Control': 'private, max-age=300'
+        });
+        res.send(image.buffer);
+    } catch (error) {
+        req.log.error('Could not read shared image', { error });
+        res.status(500).end();
+    }
+});
+
+// Chats changed after ?since= (the cursor from an earlier response), or every
+// chat when it's left out. Chats deleted for good are listed by id.
+app.get('/api/chats', ipLimiter, auth.requireAuth(), requireSync, async (req, res) => {
+    const since = req.query.since ? Date.parse(req.query.since) : 0;
+    if (Number.isNaN(since)) {
+        return res.status(400).json({ error: 'since must be a date and time.' });
+    }
+    
+    try {
+        const records = await chatStore.list(req.user.id, since);
+        const last = records[records.length - 1];
+        res.json({
+            chats: records.filter(record => !record.deleted).map(record => record.chat),
+            deleted: records.filter(record => record.deleted).map(record => record.id),
+            cursor: last ? new Date(last.updatedAt).toISOString() : (req.query.since || null)
+        });
+    } catch (error) {
+        sendSyncError(req, res, error);
+    }
+});
+
+app.get('/api/chats/:id', ipLimiter, auth.requireAuth(), requireSync, async (req, res) => {
+    try {
+        const record = await chatStore.get(req.user.id, req.params.id);
+        if (!record || record.deleted) {
+            return res.status(404).json({ error: 'Chat not found.' });
+        }
+        res.json({ chat: record.chat });
+    } catch (error) {
+        sendSyncError(req, res, error);
+    }
+});
+
+// Create or update a chat. It's merged with the stored copy, so changes made
+// on another device aren't lost; the merged chat is sent back.
+app.put('/api/chats/:id', ipLimiter, auth.requireAuth(), requireSync, async (req, res) => {
+    try {
+        const record = await chatStore.merge(req.user.id, req.params.id, parseChat(req.body, req.params.id));
+        res.json({ chat: record.chat });
+    } catch (error) {
+        sendSyncError(req, res, error);
+    }
+});
+
+app.delete('/api/chats/:id', ipLimiter, auth.requireAuth(), requireSync, async (req, res) => {
+    try {
+        await chatStore.remove(req.user.id, req.params.id);
+        res.json({ success: true });
+    } catch (error) {
+        sendSyncError(req, res, error);
+    }
+});
+
+// Models the operator has allowed, with the default chat settings, the
+// tools models can call and the image sizes on offer
+app.get('/api/models', auth.requireAuth(), (req, res) => {
+    res.json({
+        ...modelConfig,
+        tools: tools.definitions().map(({ name, description }) => ({ name, description })),
+        imageGeneration: imageGeneration ? { sizes: imageGeneration.sizes, maxCount: imageGeneration.maxCount } : null
+    });
+});
+
+// Prometheus metrics. With METRICS_TOKEN set, it must be sent as a bearer token.
+app.get('/metrics', (req, res) => {
+    if (config.metrics.token && !auth.hasBearerToken(req, config.metrics.token)) {
+        return res.status(401).json({ error: 'Send METRICS_TOKEN as a bearer token to read the metrics.' });
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.registry.render());
+});
+
+// Health check endpoint: what's running, and whether it's ready to answer
+// (503 if a check fails, so load balancers stop sending it requests)
+app.get('/api/health', async (req, res) => {
+    const checks = {
+        provider: await runHealthCheck(async () => {
+            if (!provider.isConfigured()) {
+                throw new Error(`${provider.keyHint} is not set.`);
+            }
+        }),
+        rateLimitStore: await runHealthCheck(() => rateLimitStore.ping()),
+        ...(chatStore ? { chatStore: await runHealthCheck(() => chatStore.ping()) } : {})
+    };
+    const ready = Object.values(checks).every(check => check.ok);
+    
+    res.status(ready ? 200 : 503).json({ 
+        status: ready ? 'OK' : 'Unavailable', 
+        ready: ready,
+        checks: checks,
+        version: {
+            app: version,
+            client: shellVersion,
+            commit: config.commit || null,
+            node: process.version
+        },
+        uptimeSeconds: Math.round(process.uptime()),
+        timestamp: new Date().toISOString(),
+        provider: provider.name,
+        apiKeyConfigured: provider.isConfigured(),
+        // open while the provider keeps failing; replies fail fast until it closes
+        upstream: {
+            circuit: provider.breaker.state,
+            ...(imageProvider ? { imageCircuit: imageProvider.breaker.state } : {}),
+            fallbackModels: config.upstream.fallbackModels
+        },
+        authEnabled: auth.enabled,
+        authMode: auth.mode,
+        chatSync: chatStore ? config.sync.store : 'off',
+        tools: tools.definitions().map(tool => tool.name),
+        imageGeneration: imageGeneration ? imageGeneration.model : 'off',
+        contentPolicy: { rules: policy.rules.length, moderation: config.policy.moderation }
+    });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'This request is too large. Try a shorter conversation or smaller images.' });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Invalid JSON in request body' });
+    }
+    
+    req.log.error('Unexpected error', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+// Start server
+app.listen(PORT, () => {
+    logger.info(`Server running on http://localhost:${PORT}`, {
+        version: version,
+        provider: provider.label,
+        apiKeyConfigured: provider.isConfigured()
+    });
+    if (!provider.isConfigured()) {
+        logger.warn(`${provider.keyHint} not found in environment variables. Please create a .env file and add your ${provider.label} API key.`);
+    }
 });
\ No newline at end of file
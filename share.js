@@ -0,0 +1,53 @@
+// Read-only page for a chat shared by link (/s/<id>). Messages are built by
+// the same MessageView as the chat itself.
+
+class SharedChatPage {
+    constructor() {
+        this.title = document.getElementById('share-title');
+        this.details = document.getElementById('share-details');
+        this.error = document.getElementById('share-error');
+        this.chatHistory = document.getElementById('chat-history');
+        this.messageView = new MessageView(new MarkdownRenderer());
+
+        this.load();
+    }
+
+    async load() {
+        const shareId = decodeURIComponent(location.pathname.split('/').pop());
+
+        try {
+            const response = await fetch(`/api/shares/${encodeURIComponent(shareId)}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || `HTTP error! status: ${response.status}`);
+            }
+            this.render(data.share);
+        } catch (error) {
+            this.title.textContent = 'Shared chat unavailable';
+            this.error.textContent = error.message;
+            this.error.classList.remove('hidden');
+        }
+    }
+
+    render(share) {
+        document.title = `${share.title} - UnblockedGPT`;
+        this.title.textContent = share.title;
+        this.details.textContent = `Shared ${this.formatDate(share.createdAt)}`
+            + (share.expiresAt ? ` · Link expires ${this.formatDate(share.expiresAt)}` : '');
+
+        share.messages.forEach(message => {
+            this.chatHistory.appendChild(this.messageView.createMessage(message.text, message.sender, message.images, {
+                partial: message.partial,
+                files: message.files
+            }));
+        });
+    }
+
+    formatDate(value) {
+        return new Date(value).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new SharedChatPage();
+});
@@ -0,0 +1,266 @@
+// IndexedDB persistence for chats. Chat records hold the message text and
+// settings; images are stored separately as Blobs and referenced by id, so
+// saving a chat never rewrites image data that's already stored.
+
+const DB_NAME = 'unblockedgpt';
+const DB_VERSION = 1;
+
+// Keys used before chats moved to IndexedDB
+const LEGACY_CHATS_KEY = 'unblockedgpt_chats';
+const LEGACY_CURRENT_CHAT_KEY = 'unblockedgpt_current_chat';
+
+// Warn once this share of the browser's storage quota is used
+const STORAGE_WARNING_RATIO = 0.9;
+
+class ChatStorage {
+    constructor() {
+        this.db = null;
+        this.storedImageIds = new Set();
+    }
+
+    // ==================== DATABASE ====================
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('chats', { keyPath: 'id' });
+                const images = db.createObjectStore('images', { keyPath: 'id' });
+                images.createIndex('chatId', 'chatId');
+                db.createObjectStore('meta', { keyPath: 'key' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Helper to wrap an IDBRequest in a promise
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Helper to wait for a transaction to commit
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    }
+
+    async getMeta(key) {
+        const store = this.db.transaction('meta').objectStore('meta');
+        const record = await this.promisify(store.get(key));
+        return record ? record.value : null;
+    }
+
+    setMeta(key, value) {
+        const transaction = this.db.transaction('meta', 'readwrite');
+        transaction.objectStore('meta').put({ key, value });
+        return this.complete(transaction);
+    }
+
+    // ==================== CHATS ====================
+
+    // Load every chat with its images attached as { id, name, type, blob, url }.
+    // Images synced from another device aren't stored here and stay as
+    // { id, name, type }.
+    async loadChats() {
+        const transaction = this.db.transaction(['chats', 'images']);
+        const [chatRecords, imageRecords] = await Promise.all([
+            this.promisify(transaction.objectStore('chats').getAll()),
+            this.promisify(transaction.objectStore('images').getAll())
+        ]);
+
+        const images = new Map();
+        imageRecords.forEach(record => {
+            images.set(record.id, record);
+            this.storedImageIds.add(record.id);
+        });
+
+        const chats = new Map();
+        chatRecords
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .forEach(chat => {
+                chat.messages.forEach(message => {
+                    message.images = (message.images || [])
+                        .map(ref => images.has(ref.id) ? this.toImage(images.get(ref.id)) : ref);
+                });
+                chats.set(chat.id, chat);
+            });
+
+        return chats;
+    }
+
+    // Write one chat plus any of its images that aren't stored yet, and drop
+    // the stored images it no longer uses (originals replaced by the server's
+    // processed copies, images in deleted messages)
+    saveChat(chat) {
+        const transaction = this.db.transaction(['chats', 'images'], 'readwrite');
+        const imageStore = transaction.objectStore('images');
+        const newImageIds = [];
+        const removedImageIds = [];
+
+        const record = {
+            ...chat,
+            messages: chat.messages.map(message => ({
+                ...message,
+                images: (message.images || []).map(image => {
+                    if (image.blob && !this.storedImageIds.has(image.id)) {
+                        imageStore.put({ id: image.id, chatId: chat.id, name: image.name, type: image.type, blob: image.blob });
+                        newImageIds.push(image.id);
+                    }
+                    return { id: image.id, name: image.name, type: image.type };
+                })
+            }))
+        };
+        transaction.objectStore('chats').put(record);
+
+        const usedImageIds = new Set(record.messages.flatMap(message => message.images.map(image => image.id)));
+        this.promisify(imageStore.index('chatId').getAllKeys(chat.id)).then(imageIds => {
+            imageIds.filter(id => !usedImageIds.has(id)).forEach(id => {
+                imageStore.delete(id);
+                removedImageIds.push(id);
+            });
+        });
+
+        return this.complete(transaction).then(() => {
+            newImageIds.forEach(id => this.storedImageIds.add(id));
+            removedImageIds.forEach(id => this.storedImageIds.delete(id));
+        });
+    }
+
+    // Delete a chat and all of its images
+    async deleteChat(chatId) {
+        const transaction = this.db.transaction(['chats', 'images'], 'readwrite');
+        transaction.objectStore('chats').delete(chatId);
+
+        const imageStore = transaction.objectStore('images');
+        const imageIds = await this.promisify(imageStore.index('chatId').getAllKeys(chatId));
+        imageIds.forEach(id => {
+            imageStore.delete(id);
+            this.storedImageIds.delete(id);
+        });
+
+        return this.complete(transaction);
+    }
+
+    getCurrentChatId() {
+        return this.getMeta('currentChatId');
+    }
+
+    setCurrentChatId(chatId) {
+        return this.setMeta('currentChatId', chatId);
+    }
+
+    // Sidebar folders as [{ id, name }]
+    async getFolders() {
+        return (await this.getMeta('folders')) || [];
+    }
+
+    setFolders(folders) {
+        return this.setMeta('folders', folders);
+    }
+
+    // Keys of the sidebar sections the user has collapsed, or null if never set
+    getCollapsedSections() {
+        return this.getMeta('collapsedSections');
+    }
+
+    setCollapsedSections(keys) {
+        return this.setMeta('collapsedSections', keys);
+    }
+
+    // The prompt library, or null if the user hasn't changed the default one
+    getTemplates() {
+        return this.getMeta('promptTemplates');
+    }
+
+    setTemplates(templates) {
+        return this.setMeta('promptTemplates', templates);
+    }
+
+    // Where chat sync got to: { userId, cursor, queue }, or null before the first sync
+    getSyncState() {
+        return this.getMeta('sync');
+    }
+
+    setSyncState(state) {
+        return this.setMeta('sync', state);
+    }
+
+    toImage(record) {
+        return {
+            id: record.id,
+            name: record.name,
+            type: record.type,
+            blob: record.blob,
+            url: URL.createObjectURL(record.blob)
+        };
+    }
+
+    // ==================== MIGRATION ====================
+
+    // One-time move of chats saved by older versions in localStorage.
+    // The old keys are removed only after everything is written.
+    async migrateFromLocalStorage() {
+        const chatsData = localStorage.getItem(LEGACY_CHATS_KEY);
+        if (!chatsData) {
+            return false;
+        }
+
+        const legacyChats = JSON.parse(chatsData);
+        for (const [chatId, chat] of legacyChats) {
+            for (const [messageIndex, message] of chat.messages.entries()) {
+                const images = [];
+                for (const [imageIndex, image] of (message.images || []).entries()) {
+                    // Images from localStorage only kept their data URL
+                    if (!image || !image.dataUrl) continue;
+                    const blob = await (await fetch(image.dataUrl)).blob();
+                    images.push({
+                        id: `${chatId}_${messageIndex}_${imageIndex}`,
+                        name: image.name,
+                        type: blob.type,
+                        blob: blob
+                    });
+                }
+                message.images = images;
+            }
+            await this.saveChat(chat);
+        }
+
+        const currentChatId = localStorage.getItem(LEGACY_CURRENT_CHAT_KEY);
+        if (currentChatId) {
+            await this.setCurrentChatId(currentChatId);
+        }
+
+        localStorage.removeItem(LEGACY_CHATS_KEY);
+        localStorage.removeItem(LEGACY_CURRENT_CHAT_KEY);
+        return true;
+    }
+
+    // ==================== QUOTA ====================
+
+    // Returns { usage, quota, nearlyFull }, or null if the browser can't tell
+    async checkQuota() {
+        if (!navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return {
+            usage,
+            quota,
+            nearlyFull: quota > 0 && usage / quota >= STORAGE_WARNING_RATIO
+        };
+    }
+}
@@ -0,0 +1,92 @@
+// Service worker: keeps the app shell (the page, its scripts, styles and
+// icons) in a cache so the app opens without a connection and past chats,
+// which live in IndexedDB, can still be read. The server fills in VERSION
+// when it serves this file, so each deploy installs a new worker. A new
+// worker waits until the page asks it to take over (see the update prompt
+// in script.js), then drops the caches of older versions.
+
+const VERSION = '__SHELL_VERSION__';
+const SHELL_CACHE = `shell-${VERSION}`;
+
+const SHELL_FILES = [
+    '/',
+    '/styles.css',
+    '/markdown.js',
+    '/messages.js',
+    '/storage.js',
+    '/transfer.js',
+    '/templates.js',
+    '/sync.js',
+    '/search.js',
+    '/script.js',
+    '/favicon.svg',
+    '/manifest.webmanifest',
+    '/icons/icon-192.png',
+    '/icons/icon-512.png',
+    '/vendor/katex/katex.min.css',
+    '/vendor/katex/katex.min.js',
+    '/vendor/highlight/highlight.min.js',
+    '/vendor/highlight/styles/atom-one-dark.min.css'
+];
+
+// Always fetched: API calls, shared chats and the admin page need the server
+const NETWORK_ONLY = /^\/(api|s)\/|^\/admin\.(html|js)$/;
+
+self.addEventListener('install', (event) => {
+    // Skip the HTTP cache so a new version never stores old files
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== SHELL_CACHE).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page sends this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+    if (event.data === 'skipWaiting') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin || NETWORK_ONLY.test(url.pathname)) {
+        return;
+    }
+
+    event.respondWith(respond(request, url));
+});
+
+// The cached copy if there is one, otherwise the network. Files from
+// /vendor (e.g. KaTeX fonts) are kept once fetched; pages opened offline get
+// the cached app.
+async function respond(request, url) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && url.pathname.startsWith('/vendor/')) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const app = await cache.match('/');
+            if (app) {
+                return app;
+            }
+        }
+        throw error;
+    }
+}
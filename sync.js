@@ -0,0 +1,162 @@
+// Keeps the chats in this browser in step with the copies on the server, so
+// history follows a signed-in account from device to device. Changed and
+// deleted chats are queued in IndexedDB and sent whenever the server can be
+// reached, so the app keeps working offline. The server merges each chat it
+// receives with its own copy (the later change wins, message by message) and
+// sends the result back. Deleted messages are remembered in the chat's
+// deletedMessages, so a device that still has them doesn't restore them.
+// Images and file contents aren't uploaded: they stay in the browser they
+// were added in, and other devices show the image's name in its place.
+
+// Wait this long after a change before sending it, so a burst goes together
+const SYNC_DELAY_MS = 2000;
+
+// Look for changes made on other devices this often while the page is open
+const SYNC_INTERVAL_MS = 60 * 1000;
+
+class ChatSync {
+    constructor(storage) {
+        this.storage = storage;
+        this.userId = null;
+        // Where the last pull got to, from the server's clock
+        this.cursor = null;
+        // chatId -> { action: 'put' | 'delete', seq }
+        this.queue = new Map();
+        this.seq = 0;
+    }
+
+    // Pick up the queue and cursor saved for userId. The first sync in this
+    // browser, or a different user, starts over and sends every local chat.
+    async start(userId, chatIds) {
+        const state = await this.storage.getSyncState();
+        const pending = this.queue;
+
+        if (state && state.userId === userId) {
+            this.cursor = state.cursor;
+            this.queue = new Map(Object.entries(state.queue));
+            this.seq = Math.max(0, ...Array.from(this.queue.values(), change => change.seq));
+        } else {
+            this.cursor = null;
+            this.queue = new Map();
+            chatIds.forEach(chatId => this.queue.set(chatId, { action: 'put', seq: ++this.seq }));
+        }
+        // Changes made before we knew who was signed in
+        pending.forEach((change, chatId) => this.queue.set(chatId, { action: change.action, seq: ++this.seq }));
+
+        this.userId = userId;
+        await this.saveState();
+    }
+
+    stop() {
+        this.userId = null;
+    }
+
+    markChanged(chatId) {
+        this.queue.set(chatId, { action: 'put', seq: ++this.seq });
+        this.saveState();
+    }
+
+    markDeleted(chatId) {
+        this.queue.set(chatId, { action: 'delete', seq: ++this.seq });
+        this.saveState();
+    }
+
+    isQueued(chatId) {
+        return this.queue.has(chatId);
+    }
+
+    // The queued changes as [chatId, change] pairs, oldest first
+    getQueue() {
+        return Array.from(this.queue).sort((a, b) => a[1].seq - b[1].seq);
+    }
+
+    // Take a change off the queue once it's been sent. Returns false if the
+    // chat changed again in the meantime (it stays queued).
+    finish(chatId, change) {
+        const current = this.queue.get(chatId);
+        if (!current || current.seq !== change.seq) {
+            return false;
+        }
+        this.queue.delete(chatId);
+        this.saveState();
+        return true;
+    }
+
+    async setCursor(cursor) {
+        this.cursor = cursor;
+        await this.saveState();
+    }
+
+    saveState() {
+        // Nothing is saved until we know whose chats these are
+        if (!this.userId) {
+            return Promise.resolve();
+        }
+
+        return this.storage.setSyncState({
+            userId: this.userId,
+            cursor: this.cursor,
+            queue: Object.fromEntries(this.queue)
+        }).catch(error => console.error('Failed to save the sync queue:', error));
+    }
+
+    // ==================== SERVER ====================
+
+    // Chats changed on the server since the last pull: { chats, deleted, cursor }
+    pull() {
+        const query = this.cursor ? `?since=${encodeURIComponent(this.cursor)}` : '';
+        return this.request(`/api/chats${query}`);
+    }
+
+    // Send one queued change. Returns the merged chat for a put, or null.
+    // A change the server refuses (other than for sign-in or rate limits)
+    // would fail every time, so it's dropped rather than retried.
+    async push(chatId, change, record) {
+        try {
+            if (change.action === 'delete') {
+                await this.request(`/api/chats/${encodeURIComponent(chatId)}`, { method: 'DELETE' });
+                return null;
+            }
+
+            const data = await this.request(`/api/chats/${encodeURIComponent(chatId)}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(record)
+            });
+            return data.chat;
+        } catch (error) {
+            if (error.status >= 400 && error.status < 500 && error.status !== 401 && error.status !== 429) {
+                console.error(`The server refused chat ${chatId}:`, error.message);
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // A chat as sent to the server: attachments are described, not included,
+    // the folder goes by name since folder ids differ between browsers, and
+    // messages queued offline aren't marked, since only this browser sends them
+    toRecord(chat, folderName) {
+        const { folderId, ...rest } = chat;
+        return {
+            ...rest,
+            folder: folderName || null,
+            messages: chat.messages.map(({ pending, ...message }) => ({
+                ...message,
+                images: (message.images || []).map(({ id, name, type }) => ({ id, name, type })),
+                files: (message.files || []).map(({ id, name, type, size }) => ({ id, name, type, size }))
+            }))
+        };
+    }
+}
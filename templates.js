@@ -0,0 +1,183 @@
+// Saved prompt templates, inserted from the / menu in the message box.
+// Templates can contain {{variables}}: {{selection}} is filled with the text
+// selected in (or already typed into) the message box, and any other
+// variable is asked for when the template is used. A template can also set
+// the chat's system prompt. Libraries are shared as versioned JSON.
+
+const TEMPLATES_FORMAT = 'unblockedgpt-prompts';
+const TEMPLATES_VERSION = 1;
+
+// Filled from the message box rather than asked for
+const SELECTION_VARIABLE = 'selection';
+
+const VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// Starting library for new users
+const DEFAULT_TEMPLATES = [
+    {
+        id: 'tpl_explain',
+        command: 'explain',
+        name: 'Explain code',
+        text: 'Explain what this code does, step by step:\n\n{{selection}}',
+        systemPrompt: ''
+    },
+    {
+        id: 'tpl_summarize',
+        command: 'summarize',
+        name: 'Summarize',
+        text: 'Summarize the following in a few bullet points:\n\n{{selection}}',
+        systemPrompt: ''
+    },
+    {
+        id: 'tpl_translate',
+        command: 'translate',
+        name: 'Translate',
+        text: 'Translate the following into {{language}}:\n\n{{selection}}',
+        systemPrompt: ''
+    },
+    {
+        id: 'tpl_proofread',
+        command: 'proofread',
+        name: 'Proofread',
+        text: 'Fix the grammar and spelling in the following text, then list what you changed:\n\n{{selection}}',
+        systemPrompt: ''
+    },
+    {
+        id: 'tpl_tutor',
+        command: 'tutor',
+        name: 'Patient tutor',
+        text: '',
+        systemPrompt: 'You are a patient tutor. Explain step by step, check understanding with short questions, and avoid jargon.'
+    }
+];
+
+class PromptLibrary {
+    constructor(templates = null) {
+        this.templates = templates || DEFAULT_TEMPLATES.map(template => ({ ...template }));
+    }
+
+    // Helper function to turn what the user typed into a command name
+    normalizeCommand(text) {
+        return (text || '').trim().replace(/^\//, '').toLowerCase().replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '');
+    }
+
+    // Templates whose command or name starts with query, commands first
+    match(query) {
+        const normalized = query.toLowerCase();
+        const byCommand = this.templates.filter(template => template.command.startsWith(normalized));
+        const byName = this.templates.filter(template =>
+            !byCommand.includes(template) && template.name.toLowerCase().split(/\s+/).some(word => word.startsWith(normalized))
+        );
+        return [...byCommand, ...byName];
+    }
+
+    // Variables the user has to fill in, in the order they first appear
+    getVariables(template) {
+        const names = [];
+        [template.text, template.systemPrompt].forEach(text => {
+            for (const match of (text || '').matchAll(VARIABLE_PATTERN)) {
+                if (match[1] !== SELECTION_VARIABLE && !names.includes(match[1])) {
+                    names.push(match[1]);
+                }
+            }
+        });
+        return names;
+    }
+
+    // Replace {{variables}} in text with values (a name -> text object)
+    fill(text, values) {
+        return (text || '').replace(VARIABLE_PATTERN, (match, name) => values[name] ?? '');
+    }
+
+    // ==================== EDITING ====================
+
+    // Add or update a template; returns an error message or null
+    save(template) {
+        const command = this.normalizeCommand(template.command || template.name);
+        if (!template.name.trim()) {
+            return 'Give the prompt a name.';
+        }
+        if (!command) {
+            return 'Give the prompt a command, e.g. "explain".';
+        }
+        if (!template.text.trim() && !template.systemPrompt.trim()) {
+            return 'Write a prompt, a system prompt, or both.';
+        }
+        const clash = this.templates.find(other => other.command === command && other.id !== template.id);
+        if (clash) {
+            return `"${clash.name}" already uses /${command}.`;
+        }
+
+        const saved = {
+            id: template.id || `tpl_${Date.now()}`,
+            command: command,
+            name: template.name.trim(),
+            text: template.text,
+            systemPrompt: template.systemPrompt.trim()
+        };
+        const index = this.templates.findIndex(other => other.id === saved.id);
+        if (index >= 0) {
+            this.templates[index] = saved;
+        } else {
+            this.templates.push(saved);
+        }
+        return null;
+    }
+
+    remove(templateId) {
+        this.templates = this.templates.filter(template => template.id !== templateId);
+    }
+
+    // ==================== IMPORT & EXPORT ====================
+
+    toJson() {
+        return JSON.stringify({
+            format: TEMPLATES_FORMAT,
+            version: TEMPLATES_VERSION,
+            exportedAt: new Date().toISOString(),
+            templates: this.templates.map(({ command, name, text, systemPrompt }) => ({ command, name, text, systemPrompt }))
+        }, null, 2);
+    }
+
+    // Add the templates from an export file. Templates with a command that's
+    // already in the library replace it. Returns the number imported; throws
+    // ImportError if the file isn't a prompt library.
+    importJson(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ImportError('This file is not valid JSON.');
+        }
+        if (!data || data.format !== TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+            throw new ImportError('Unrecognized file. Choose a prompt library exported from UnblockedGPT.');
+        }
+        if (data.version > TEMPLATES_VERSION) {
+            throw new ImportError('This file was exported by a newer version of UnblockedGPT.');
+        }
+
+        // Nothing is imported unless every template is valid
+        const before = this.templates.slice();
+        const importTime = Date.now();
+        data.templates.forEach((template, index) => {
+            if (!template || typeof template.name !== 'string') {
+                this.templates = before;
+                throw new ImportError(`Prompt ${index + 1} in the file has no name.`);
+            }
+            const command = this.normalizeCommand(template.command || template.name);
+            const existing = this.templates.find(other => other.command === command);
+            const error = this.save({
+                id: existing ? existing.id : `tpl_${importTime}_${index}`,
+                command: command,
+                name: template.name,
+                text: typeof template.text === 'string' ? template.text : '',
+                systemPrompt: typeof template.systemPrompt === 'string' ? template.systemPrompt : ''
+            });
+            if (error) {
+                this.templates = before;
+                throw new ImportError(`Prompt ${index + 1} in the file: ${error}`);
+            }
+        });
+        return data.templates.length;
+    }
+}
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { getPublicFiles } = require('../lib/appShell');
+
+const ROOT = path.join(__dirname, '..');
+
+test('getPublicFiles lists the client files and icons', () => {
+    const files = getPublicFiles(ROOT);
+
+    ['/index.html', '/script.js', '/styles.css', '/manifest.webmanifest', '/icons/icon-192.png'].forEach(url => {
+        assert.ok(files.has(url), url);
+    });
+    assert.equal(files.get('/script.js'), path.join(ROOT, 'script.js'));
+});
+
+test('getPublicFiles leaves out server code, config, tests and data', () => {
+    const urls = Array.from(getPublicFiles(ROOT).keys());
+
+    assert.ok(!urls.includes('/server.js'));
+    assert.ok(!urls.includes('/package.json'));
+    assert.ok(urls.every(url => /^\/(icons\/)?[^/]+\.(html|js|css|svg|png|webmanifest)$/.test(url)), urls.join());
+});
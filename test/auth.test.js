@@ -0,0 +1,112 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Auth, AuthError, hashPassword } = require('../lib/auth');
+
+const SECRET = 'test-secret';
+
+// Helper function to make a request as Express would hand it over
+function makeRequest({ cookie, ip = '203.0.113.7' } = {}) {
+    return { headers: cookie ? { cookie } : {}, ip, secure: false };
+}
+
+// Helper function to make a response that collects Set-Cookie headers
+function makeResponse() {
+    const res = { cookies: [], statusCode: 200, body: null };
+    res.append = (name, value) => res.cookies.push(value);
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+// Helper function to turn a Set-Cookie header into a Cookie header
+function toCookie(setCookie) {
+    return setCookie.split(';')[0];
+}
+
+// Helper function to run requireAuth and return the request it passed on, or null
+function runRequireAuth(auth, req, res = makeResponse()) {
+    let passed = null;
+    auth.requireAuth()(req, res, () => {
+        passed = req;
+    });
+    return passed;
+}
+
+test('a browser keeps the same anonymous id while it keeps its cookie', () => {
+    const auth = new Auth({ mode: 'none', users: [], sessionSecret: SECRET, sessionMaxAgeHours: 1 });
+
+    const firstResponse = makeResponse();
+    const first = auth.resolveUser(makeRequest(), firstResponse);
+    assert.equal(firstResponse.cookies.length, 1);
+
+    const againResponse = makeResponse();
+    const again = auth.resolveUser(makeRequest({ cookie: toCookie(firstResponse.cookies[0]) }), againResponse);
+    assert.equal(again.id, first.id);
+    assert.equal(againResponse.cookies.length, 0);
+    assert.match(first.id, /^browser:[a-f0-9]{16}$/);
+});
+
+test('without accounts, quotas count against the IP whether or not a cookie is sent', () => {
+    const auth = new Auth({ mode: 'none', users: [], sessionSecret: SECRET, sessionMaxAgeHours: 1 });
+
+    const first = runRequireAuth(auth, makeRequest());
+    const second = runRequireAuth(auth, makeRequest());
+    assert.notEqual(first.user.id, second.user.id);
+    assert.equal(first.quotaKey, 'ip:203.0.113.7');
+    assert.equal(second.quotaKey, first.quotaKey);
+
+    const elsewhere = runRequireAuth(auth, makeRequest({ ip: '198.51.100.1' }));
+    assert.equal(elsewhere.quotaKey, 'ip:198.51.100.1');
+});
+
+test('passcode guests sign in with the passcode and are counted by IP', () => {
+    const auth = new Auth({ mode: 'passcode', passcode: 'open sesame', users: [], sessionSecret: SECRET, sessionMaxAgeHours: 1 });
+
+    assert.throws(() => auth.login({ password: 'wrong' }, 'a'.repeat(32)), AuthError);
+    const user = auth.login({ password: 'open sesame' }, 'a'.repeat(32));
+    assert.deepEqual(auth.login({ password: 'open sesame' }, 'a'.repeat(32)), user);
+
+    const req = runRequireAuth(auth, makeRequest({ cookie: toCookie(auth.createSessionCookie(user, makeRequest())) }));
+    assert.equal(req.user.id, user.id);
+    assert.equal(req.quotaKey, 'ip:203.0.113.7');
+});
+
+test('accounts sign in with their password and are counted by account', () => {
+    const auth = new Auth({
+        mode: 'accounts',
+        users: [{ username: 'ada', passwordHash: hashPassword('correct horse'), dailyRequests: 5 }],
+        sessionSecret: SECRET,
+        sessionMaxAgeHours: 1
+    });
+
+    assert.throws(() => auth.login({ username: 'ada', password: 'nope' }), /Incorrect username or password/);
+    assert.throws(() => auth.login({ username: 'bob', password: 'correct horse' }), AuthError);
+    const user = auth.login({ username: ' ada ', password: 'correct horse' });
+    assert.deepEqual(user, { id: 'ada', name: 'ada' });
+
+    const req = runRequireAuth(auth, makeRequest({ cookie: toCookie(auth.createSessionCookie(user, makeRequest())) }));
+    assert.equal(req.quotaKey, 'ada');
+    assert.equal(auth.getUserQuotas('ada').dailyRequests, 5);
+});
+
+test('requests without a valid session are turned away', () => {
+    const auth = new Auth({ mode: 'passcode', passcode: 'pass', users: [], sessionSecret: SECRET, sessionMaxAgeHours: 1 });
+    const cookie = toCookie(auth.createSessionCookie({ id: 'guest-x', name: 'Guest' }, makeRequest()));
+    const [name, value] = cookie.split('=');
+    const [payload] = decodeURIComponent(value).split('.');
+    const forged = `${name}=${payload}.${'A'.repeat(43)}`;
+
+    const res = makeResponse();
+    assert.equal(runRequireAuth(auth, makeRequest({ cookie: forged }), res), null);
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.authRequired, true);
+
+    const otherServer = new Auth({ mode: 'passcode', passcode: 'pass', users: [], sessionSecret: 'other', sessionMaxAgeHours: 1 });
+    assert.equal(otherServer.getSessionUser(makeRequest({ cookie })), null);
+});
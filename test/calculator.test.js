@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const calculator = require('../lib/tools/calculator');
+const { ToolError } = require('../lib/tools/errors');
+
+const calculate = (expression) => calculator.run({ expression });
+
+test('evaluates with the usual precedence', async () => {
+    assert.equal(await calculate('1 + 2 * 3'), '7');
+    assert.equal(await calculate('(1 + 2) * 3'), '9');
+    assert.equal(await calculate('10 - 4 - 3'), '3');
+    assert.equal(await calculate('17 % 5'), '2');
+});
+
+test('powers bind tighter than unary minus and group to the right', async () => {
+    assert.equal(await calculate('-2^2'), '-4');
+    assert.equal(await calculate('2^3^2'), '512');
+    assert.equal(await calculate('2 ** -1'), '0.5');
+});
+
+test('knows the constants and functions', async () => {
+    assert.equal(await calculate('sqrt(16) + log(1000) + max(1, 5, 3)'), '12');
+    assert.equal(await calculate('round(pi * 100)'), '314');
+    assert.equal(await calculate('ln(e)'), '1');
+});
+
+test('drops floating point noise', async () => {
+    assert.equal(await calculate('0.1 + 0.2'), '0.3');
+});
+
+test('rejects what it can\'t evaluate with a ToolError', async () => {
+    await assert.rejects(calculate(''), ToolError);
+    await assert.rejects(calculate('2 +'), /ends too early/);
+    await assert.rejects(calculate('(1 + 2'), /Expected "\)"/);
+    await assert.rejects(calculate('foo(1)'), /Unknown name "foo"/);
+    await assert.rejects(calculate('1 $ 2'), /Unexpected "\$"/);
+    await assert.rejects(calculate('1 / 0'), /infinite/);
+    await assert.rejects(calculate('x'.repeat(501)), /at most 500/);
+});
+
+test('doesn\'t evaluate JavaScript', async () => {
+    await assert.rejects(calculate('constructor'), ToolError);
+    await assert.rejects(calculate('process.exit(1)'), ToolError);
+});
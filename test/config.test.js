@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkDataPaths, loadConfig } = require('../lib/config');
+
+const APP_DIR = path.join(__dirname, '..');
+
+// Helper function to make a folder for one test, removed when it ends
+function makeTempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('runtime data goes under DATA_DIR, outside the app, by default', (t) => {
+    const dir = makeTempDir(t);
+    const config = loadConfig({ DATA_DIR: dir, CHAT_STORE: 'sqlite' });
+
+    assert.equal(config.dataDir, dir);
+    assert.equal(config.sync.file, path.join(dir, 'chats.db'));
+    assert.equal(config.policy.auditLogFile, path.join(dir, 'policy-audit.jsonl'));
+    assert.equal(config.shares.dir, path.join(dir, 'shares'));
+    assert.ok(!loadConfig({}).dataDir.startsWith(APP_DIR + path.sep));
+});
+
+test('checkDataPaths accepts a writable folder outside the app', (t) => {
+    const dir = path.join(makeTempDir(t), 'data');
+    checkDataPaths(loadConfig({ DATA_DIR: dir, AUTH_MODE: 'accounts' }));
+
+    assert.ok(fs.statSync(dir).isDirectory());
+});
+
+test('checkDataPaths rejects data inside the app\'s folder', () => {
+    assert.throws(
+        () => checkDataPaths(loadConfig({ AUTH_MODE: 'accounts', CHAT_STORE_FILE: path.join(APP_DIR, 'data', 'chats.json') })),
+        /CHAT_STORE_FILE .* is inside the app's folder/
+    );
+});
+
+test('checkDataPaths stops on a folder that can\'t be written', (t) => {
+    const file = path.join(makeTempDir(t), 'not-a-folder');
+    fs.writeFileSync(file, '');
+
+    assert.throws(() => checkDataPaths(loadConfig({ DATA_DIR: path.join(file, 'data'), AUTH_MODE: 'accounts' })), /can't be written/);
+});
+
+test('checkDataPaths only checks the features that are on', (t) => {
+    // No accounts, so no sync; no rules or moderation, so no audit log
+    checkDataPaths(loadConfig({ DATA_DIR: path.join(APP_DIR, 'data'), SHARES_DIR: makeTempDir(t) }));
+});
+
+test('checkDataPaths always checks the shares folder', () => {
+    assert.throws(() => checkDataPaths(loadConfig({ SHARES_DIR: path.join(APP_DIR, 'data', 'shares') })), /SHARES_DIR .* is inside the app's folder/);
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMessages, estimateTokens, parseConversation } = require('../lib/conversation');
+
+test('parseConversation reads arrays and JSON strings', () => {
+    assert.deepEqual(parseConversation(undefined), []);
+    assert.deepEqual(parseConversation([{ text: 'hi' }]), [{ text: 'hi' }]);
+    assert.deepEqual(parseConversation('[{"text":"hi"}]'), [{ text: 'hi' }]);
+    assert.throws(() => parseConversation('{}'), /must be an array/);
+});
+
+test('estimateTokens counts text, images and the per-message overhead', () => {
+    assert.equal(estimateTokens({ content: 'abcdefgh' }), 2 + 4);
+    assert.equal(estimateTokens({ content: [{ type: 'text', text: 'abcd' }, { type: 'image_url', image_url: { url: '' } }] }), 1 + 765 + 4);
+});
+
+test('buildMessages keeps the system prompt and current message and maps senders to roles', () => {
+    const messages = buildMessages([
+        { sender: 'user', text: 'Hello' },
+        { sender: 'assistant', text: 'Hi there' }
+    ], 'How are you?', { allowImages: true, tokenBudget: 1000, systemPrompt: 'Be brief.' });
+
+    assert.deepEqual(messages, [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hello' },
+        { role: 'assistant', content: 'Hi there' },
+        { role: 'user', content: 'How are you?' }
+    ]);
+});
+
+test('buildMessages drops the oldest turns to fit and never starts on a reply', () => {
+    const history = [
+        { sender: 'user', text: 'a'.repeat(400) },
+        { sender: 'assistant', text: 'b'.repeat(40) },
+        { sender: 'user', text: 'c'.repeat(40) },
+        { sender: 'assistant', text: 'd'.repeat(40) }
+    ];
+    // Room for the current message and the last three turns, but not the first
+    const messages = buildMessages(history, 'now', { allowImages: false, tokenBudget: 50, systemPrompt: '' });
+
+    assert.deepEqual(messages.map(message => message.content), ['c'.repeat(40), 'd'.repeat(40), 'now']);
+});
+
+test('buildMessages puts documents ahead of the text and notes images the model can\'t see', () => {
+    const [message] = buildMessages([{
+        sender: 'user',
+        text: 'Summarize this',
+        documents: [{ name: 'notes.txt', text: 'The notes' }],
+        images: [{ name: 'cat.png', dataUrl: 'data:image/png;base64,AAAA' }]
+    }], 'next', { allowImages: false, tokenBudget: 1000 });
+
+    assert.equal(message.content, '--- File: notes.txt ---\nThe notes\n--- End of file: notes.txt ---\n\nSummarize this\n[Image: cat.png]');
+});
+
+test('buildMessages sends images as parts when the model can see them', () => {
+    const [message] = buildMessages([{
+        sender: 'user',
+        text: 'What is this?',
+        images: [{ name: 'cat.png', dataUrl: 'data:image/png;base64,AAAA' }, { name: 'bad', dataUrl: 'http://example.com/x.png' }]
+    }], 'next', { allowImages: true, tokenBudget: 10000 });
+
+    assert.deepEqual(message.content, [
+        { type: 'text', text: 'What is this?' },
+        { type: 'image_url', image_url: { url: 'data:image/png;base64,AAAA' } }
+    ]);
+});
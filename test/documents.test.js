@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { fitDocuments, getDocumentKind } = require('../lib/documents');
+
+test('getDocumentKind goes by extension, then MIME type', () => {
+    assert.equal(getDocumentKind({ originalname: 'report.PDF', mimetype: 'application/octet-stream' }), 'pdf');
+    assert.equal(getDocumentKind({ originalname: 'notes.docx', mimetype: '' }), 'docx');
+    assert.equal(getDocumentKind({ originalname: 'main.py', mimetype: 'application/octet-stream' }), 'text');
+    assert.equal(getDocumentKind({ originalname: 'photo.jpg', mimetype: 'image/jpeg' }), null);
+});
+
+test('fitDocuments keeps documents that fit whole', () => {
+    const documents = [{ name: 'a.txt', text: 'short' }, { name: 'b.txt', text: 'also short' }];
+    assert.deepEqual(fitDocuments(documents, 'question', 1000), documents);
+});
+
+test('fitDocuments gives the unused share of short documents to long ones', () => {
+    const long = Array.from({ length: 10 }, (_, i) => `Paragraph ${i} ${'x'.repeat(1990)}`).join('\n');
+    const fitted = fitDocuments([{ name: 'long.txt', text: long }, { name: 'short.txt', text: 'tiny' }], '', 2000);
+
+    assert.deepEqual(fitted[1], { name: 'short.txt', text: 'tiny' });
+    assert.equal(fitted[0].truncated, true);
+    // 2000 tokens are 8000 characters, less what short.txt used
+    assert.ok(fitted[0].text.length <= 8000 - 4);
+    assert.ok(fitted[0].text.length > 4000);
+});
+
+test('fitDocuments keeps the chunks that match the question, in order, marking the gaps', () => {
+    const chunks = ['Introduction to the report', 'Section about apples', 'Section about oranges', 'Section about bananas']
+        .map(title => `${title}\n${'filler '.repeat(280)}`);
+    const [fitted] = fitDocuments([{ name: 'r.txt', text: chunks.join('\n') }], 'What do bananas cost?', 1100);
+
+    assert.ok(fitted.text.startsWith('Introduction to the report'));
+    assert.ok(fitted.text.includes('Section about bananas'));
+    assert.ok(!fitted.text.includes('Section about apples'));
+    assert.ok(fitted.text.includes('[...]'));
+});
+
+test('fitDocuments keeps the start of a document when no chunk fits', () => {
+    const [fitted] = fitDocuments([{ name: 'a.txt', text: 'y'.repeat(5000) }], '', 100);
+
+    assert.equal(fitted.truncated, true);
+    assert.ok(fitted.text.startsWith('yyyy'));
+    assert.ok(fitted.text.endsWith('[...]'));
+    assert.ok(fitted.text.length <= 400);
+});
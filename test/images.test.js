@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const bmp = require('bmp-js');
+const { ImageError, detectImageFormat, normalizeHistoryImages, normalizeImage } = require('../lib/images');
+
+const OPTIONS = { maxDimension: 64, quality: 85 };
+
+// Helper function to make a solid image in a format sharp can write
+function makeImage(width, height, format, { alpha = false } = {}) {
+    const background = alpha ? { r: 255, g: 0, b: 0, alpha: 0.5 } : '#ff0000';
+    return sharp({ create: { width, height, channels: alpha ? 4 : 3, background } })[format]().toBuffer();
+}
+
+test('detectImageFormat reads the format from the first bytes', async () => {
+    assert.equal(detectImageFormat(await makeImage(2, 2, 'png')), 'png');
+    assert.equal(detectImageFormat(await makeImage(2, 2, 'jpeg')), 'jpeg');
+    assert.equal(detectImageFormat(await makeImage(2, 2, 'webp')), 'webp');
+    assert.equal(detectImageFormat(Buffer.from('BM' + '\0'.repeat(20))), 'bmp');
+    assert.equal(detectImageFormat(Buffer.from('not an image at all')), null);
+});
+
+test('images that fit and carry no metadata are left as they are', async () => {
+    const png = await makeImage(10, 10, 'png');
+    const result = await normalizeImage(png, 'small.png', OPTIONS);
+
+    assert.equal(result.changed, false);
+    assert.equal(result.buffer, png);
+    assert.equal(result.mimeType, 'image/png');
+});
+
+test('large images are scaled down to fit maxDimension', async () => {
+    const result = await normalizeImage(await makeImage(200, 100, 'jpeg'), 'big.jpg', OPTIONS);
+    const metadata = await sharp(result.buffer).metadata();
+
+    assert.equal(result.changed, true);
+    assert.deepEqual([metadata.width, metadata.height], [64, 32]);
+});
+
+test('EXIF data is dropped', async () => {
+    const withExif = await sharp(await makeImage(10, 10, 'jpeg'))
+        .withExifMerge({ IFD0: { Make: 'Camera', Model: 'Test' } })
+        .jpeg()
+        .toBuffer();
+    assert.ok((await sharp(withExif).metadata()).exif);
+
+    const result = await normalizeImage(withExif, 'photo.jpeg', OPTIONS);
+    assert.equal(result.changed, true);
+    assert.equal((await sharp(result.buffer).metadata()).exif, undefined);
+    assert.equal(result.name, 'photo.jpg');
+});
+
+test('transparency is kept as PNG, everything else becomes JPEG', async () => {
+    const transparent = await normalizeImage(await makeImage(100, 100, 'webp', { alpha: true }), 'a.webp', OPTIONS);
+    assert.equal(transparent.mimeType, 'image/png');
+    assert.equal(transparent.name, 'a.png');
+
+    const opaque = await normalizeImage(await makeImage(100, 100, 'webp'), 'b.webp', OPTIONS);
+    assert.equal(opaque.mimeType, 'image/jpeg');
+});
+
+test('BMP images are converted', async () => {
+    const { data } = bmp.encode({ data: Buffer.alloc(4 * 4 * 4, 255), width: 4, height: 4 });
+    const result = await normalizeImage(data, 'scan.bmp', OPTIONS);
+
+    assert.equal(result.mimeType, 'image/jpeg');
+    assert.equal(result.name, 'scan.jpg');
+});
+
+test('BMP headers claiming huge sizes are rejected before decoding', async () => {
+    const { data } = bmp.encode({ data: Buffer.alloc(4 * 4 * 4, 255), width: 4, height: 4 });
+    data.writeInt32LE(100000, 18);
+    data.writeInt32LE(-100000, 22);
+
+    await assert.rejects(normalizeImage(data, 'huge.bmp', OPTIONS), /huge\.bmp is too large/);
+});
+
+test('files that aren\'t images, or are damaged, throw ImageError', async () => {
+    await assert.rejects(normalizeImage(Buffer.from('plain text, not a picture'), 'notes.txt', OPTIONS), ImageError);
+
+    const png = await makeImage(200, 200, 'png');
+    await assert.rejects(normalizeImage(png.subarray(0, 60), 'cut.png', OPTIONS), /may be damaged/);
+});
+
+test('normalizeHistoryImages converts history images and leaves out unreadable ones', async () => {
+    const png = await makeImage(200, 200, 'png');
+    const [entry] = await normalizeHistoryImages([{
+        sender: 'user',
+        text: 'Look',
+        images: [
+            { name: 'big.png', dataUrl: `data:image/png;base64,${png.toString('base64')}` },
+            { name: 'bad.png', dataUrl: 'data:image/png;base64,AAAA' }
+        ]
+    }], OPTIONS);
+
+    assert.equal(entry.images.length, 1);
+    assert.match(entry.images[0].dataUrl, /^data:image\/jpeg;base64,/);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { readEventData, readLines } = require('../lib/providers/lines');
+
+const collect = async (iterator) => {
+    const items = [];
+    for await (const item of iterator) {
+        items.push(item);
+    }
+    return items;
+};
+
+test('readLines splits on newlines across chunks and keeps the last line', async () => {
+    const stream = Readable.from([Buffer.from('one\ntw'), Buffer.from('o\r\nthree')]);
+    assert.deepEqual(await collect(readLines(stream)), ['one', 'two', 'three']);
+});
+
+test('readLines keeps characters split between chunks whole', async () => {
+    const bytes = Buffer.from('héllo 👋\n');
+    // Cut inside both the é and the emoji
+    const stream = Readable.from([bytes.subarray(0, 2), bytes.subarray(2, 9), bytes.subarray(9)]);
+    assert.deepEqual(await collect(readLines(stream)), ['héllo 👋']);
+});
+
+test('readEventData yields only data payloads', async () => {
+    const stream = Readable.from([Buffer.from('event: x\ndata: {"a":1}\n\n: comment\ndata:[DONE]\n')]);
+    assert.deepEqual(await collect(readEventData(stream)), ['{"a":1}', '[DONE]']);
+});
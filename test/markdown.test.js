@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Just enough of the DOM for the renderer, which only builds nodes and sets
+// textContent. innerHTML is recorded so tests can see if it's ever used.
+class FakeNode {
+    constructor(tagName) {
+        this.tagName = tagName;
+        this.childNodes = [];
+        this.className = '';
+        this.classList = { add: (name) => { this.className = `${this.className} ${name}`.trim(); } };
+    }
+
+    appendChild(child) {
+        this.childNodes.push(child);
+        return child;
+    }
+
+    set textContent(text) {
+        this.childNodes = [{ text: String(text) }];
+    }
+
+    get textContent() {
+        return this.childNodes.map(child => child.text ?? child.textContent).join('');
+    }
+
+    set innerHTML(html) {
+        this.rawHtml = html;
+    }
+}
+
+// Helper function to load markdown.js the way the page does, as a plain script
+function loadRenderer(globals = {}) {
+    const document = {
+        createElement: (tagName) => new FakeNode(tagName),
+        createTextNode: (text) => ({ text })
+    };
+    const context = vm.createContext({ document, ...globals });
+    context.window = context;
+    const source = fs.readFileSync(path.join(__dirname, '..', 'markdown.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.MarkdownRenderer = MarkdownRenderer;`, context);
+    return new context.MarkdownRenderer();
+}
+
+// Helper function to list every element in a rendered tree
+function elements(node) {
+    return (node.childNodes || []).flatMap(child => child.tagName ? [child, ...elements(child)] : []);
+}
+
+// Helper function to find the elements with one tag name
+function byTag(node, tagName) {
+    return elements(node).filter(element => element.tagName === tagName);
+}
+
+test('renders headings, emphasis, lists and tables as elements', () => {
+    const root = loadRenderer().render([
+        '# Title',
+        '',
+        'Some **bold** and *italic* text.',
+        '',
+        '- one',
+        '- two',
+        '',
+        '| a | b |',
+        '|---|---|',
+        '| 1 | 2 |'
+    ].join('\n'));
+
+    assert.equal(byTag(root, 'h1')[0].textContent, 'Title');
+    assert.equal(byTag(root, 'strong')[0].textContent, 'bold');
+    assert.equal(byTag(root, 'em')[0].textContent, 'italic');
+    assert.deepEqual(byTag(root, 'li').map(item => item.textContent), ['one', 'two']);
+    assert.deepEqual(byTag(root, 'td').map(cell => cell.textContent), ['1', '2']);
+});
+
+test('HTML tags and scripts in a reply are stripped, never parsed', () => {
+    const root = loadRenderer().render('Hi <img src=x onerror="alert(1)"> there <script>alert(2)</script><b>bold</b>');
+
+    assert.equal(root.textContent, 'Hi  there bold');
+    assert.deepEqual(byTag(root, 'img'), []);
+    assert.deepEqual(byTag(root, 'script'), []);
+    assert.ok(elements(root).every(element => element.rawHtml === undefined));
+});
+
+test('only http(s) and mailto links become anchors', () => {
+    const root = loadRenderer().render('[safe](https://example.com) [bad](javascript:alert(1)) [data](data:text/html,x)');
+    const links = byTag(root, 'a');
+
+    assert.equal(links.length, 1);
+    assert.equal(links[0].href, 'https://example.com');
+    assert.equal(links[0].rel, 'noopener noreferrer nofollow');
+    assert.match(root.textContent, /bad/);
+});
+
+test('code blocks keep their text and get a copy button', () => {
+    const root = loadRenderer().render('```js\nconst a = "<b>";\n```');
+    const [code] = byTag(root, 'code');
+    const [button] = byTag(root, 'button');
+
+    assert.equal(code.textContent, 'const a = "<b>";');
+    assert.equal(button.className, 'copy-code');
+});
+
+test('code is highlighted with highlight.js when it is loaded', () => {
+    const hljs = {
+        getLanguage: (language) => language === 'js',
+        highlight: (code) => ({ value: `<span class="hljs-keyword">${code}</span>` })
+    };
+    const [code] = byTag(loadRenderer({ hljs }).render('```js\nlet x;\n```'), 'code');
+
+    assert.equal(code.className, 'hljs language-js');
+    assert.match(code.rawHtml, /hljs-keyword/);
+});
+
+test('math falls back to plain text without KaTeX and uses it, untrusted, when loaded', () => {
+    const [fallback] = byTag(loadRenderer().render('Euler: $e^{i\\pi} = -1$'), 'span');
+    assert.equal(fallback.textContent, 'e^{i\\pi} = -1');
+    assert.match(fallback.className, /math-fallback/);
+
+    const calls = [];
+    const katex = { render: (tex, element, options) => calls.push({ tex, options }) };
+    loadRenderer({ katex }).render('$$\nx^2\n$$');
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].tex, 'x^2');
+    assert.equal(calls[0].options.displayMode, true);
+    assert.equal(calls[0].options.trust, false);
+});
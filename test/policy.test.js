@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ContentPolicy } = require('../lib/policy');
+const { AuditLog } = require('../lib/policy/audit');
+
+const RULES = [
+    { id: 'secret', keywords: ['secret'], action: 'block' },
+    { id: 'hmm', keywords: ['hmm'], action: 'flag' },
+    { id: 'heck', keywords: ['heck'], action: 'redact' }
+];
+
+// Helper function to make a policy with the rules above and an in-memory audit log
+function makePolicy(options = {}) {
+    return new ContentPolicy({ rules: RULES, moderator: null, moderationAction: 'block', failClosed: false, audit: new AuditLog({}), ...options });
+}
+
+test('review blocks, redacts, flags and allows', async () => {
+    const policy = makePolicy();
+
+    assert.equal((await policy.review(['a secret'], { stage: 'input', userId: 'u' })).action, 'block');
+    assert.deepEqual(await policy.review(['what the heck', 'fine'], { stage: 'output', userId: 'u' }), {
+        action: 'redact',
+        texts: ['what the [redacted]', 'fine'],
+        notice: { stage: 'output', action: 'redact', message: 'Parts of this reply were removed because of the usage policy.' }
+    });
+    assert.equal((await policy.review(['hmm'], { stage: 'input', userId: 'u' })).action, 'flag');
+    assert.equal((await policy.review(['hello'], { stage: 'input', userId: 'u' })).action, 'allow');
+});
+
+test('audit excerpts keep what flag and block rules matched but not redacted text', async () => {
+    const policy = makePolicy();
+    await policy.review(['my secret, hmm, heck'], { stage: 'input', userId: 'u' });
+    await policy.review(['hello'], { stage: 'input', userId: 'u' });
+
+    const events = policy.audit.list();
+    assert.equal(events.length, 1);
+    assert.equal(events[0].action, 'block');
+    assert.deepEqual(events[0].rules, ['secret', 'hmm', 'heck']);
+    assert.equal(events[0].excerpt, 'my secret, hmm, [redacted]');
+});
+
+test('a moderation model that can\'t be reached blocks only when failing closed', async () => {
+    const moderator = { check: async () => { throw new Error('down'); } };
+
+    assert.equal((await makePolicy({ moderator }).review(['hello'], { stage: 'input', userId: 'u' })).action, 'allow');
+    assert.equal((await makePolicy({ moderator, failClosed: true }).review(['hello'], { stage: 'input', userId: 'u' })).action, 'block');
+});
+
+test('filterHistory drops blocked turns and redacts the rest', () => {
+    const history = makePolicy().filterHistory([
+        { sender: 'user', text: 'a secret' },
+        { sender: 'assistant', text: 'oh heck', documents: [] }
+    ]);
+
+    assert.deepEqual(history, [{ sender: 'assistant', text: 'oh [redacted]', documents: [] }]);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileRules } = require('../lib/policy/rules');
+
+test('keywords match whole words, ignoring case', () => {
+    const [rule] = compileRules([{ id: 'words', keywords: ['heck', 'a.b'], action: 'redact' }]);
+
+    assert.equal('What the HECK'.replace(rule.regex, '*'), 'What the *');
+    assert.equal('checkered'.replace(rule.regex, '*'), 'checkered');
+    // Keywords are literal text, not patterns
+    assert.equal('a.b axb'.replace(rule.regex, '*'), '* axb');
+});
+
+test('patterns keep their flags and always match globally', () => {
+    const [rule] = compileRules([{ pattern: 'answer\\s+key', flags: 'i', action: 'flag' }]);
+
+    assert.equal(rule.id, 'rule-1');
+    assert.equal(rule.regex.flags, 'gi');
+    assert.deepEqual(rule.stages, ['input', 'output']);
+    assert.equal('Answer  key'.replace(rule.regex, '*'), '*');
+});
+
+test('stages and message are kept', () => {
+    const [rule] = compileRules([{ id: 'x', keywords: ['x'], action: 'block', stages: ['output'], message: 'No.' }]);
+
+    assert.deepEqual(rule.stages, ['output']);
+    assert.equal(rule.message, 'No.');
+});
+
+test('invalid rules are rejected with their id', () => {
+    assert.throws(() => compileRules({}), /must be a list/);
+    assert.throws(() => compileRules([{ id: 'a', keywords: ['x'], action: 'delete' }]), /Policy rule a: action/);
+    assert.throws(() => compileRules([{ id: 'b', keywords: ['x'], action: 'flag', stages: ['middle'] }]), /Policy rule b: stages/);
+    assert.throws(() => compileRules([{ id: 'c', action: 'flag' }]), /Policy rule c needs keywords or a pattern/);
+    assert.throws(() => compileRules([{ id: 'd', pattern: '(', action: 'flag' }]), /Policy rule d:/);
+});
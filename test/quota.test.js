@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotaTracker } = require('../lib/quota');
+
+test('a limit of 0 means unlimited', () => {
+    const quotas = new QuotaTracker({ dailyRequests: 0, dailyTokens: 0 });
+    for (let i = 0; i < 100; i++) {
+        quotas.recordRequest('ip:1.2.3.4');
+    }
+    quotas.recordTokens('ip:1.2.3.4', 1000000);
+
+    assert.equal(quotas.check('ip:1.2.3.4'), null);
+});
+
+test('requests and tokens are limited separately, per key', () => {
+    const quotas = new QuotaTracker({ dailyRequests: 2, dailyTokens: 100 });
+
+    quotas.recordRequest('a');
+    assert.equal(quotas.check('a'), null);
+    quotas.recordRequest('a');
+    assert.match(quotas.check('a'), /daily limit of 2 messages/);
+    assert.equal(quotas.check('b'), null);
+
+    quotas.recordTokens('b', 100);
+    assert.match(quotas.check('b'), /daily limit of 100 tokens/);
+});
+
+test('per-user overrides replace the defaults', () => {
+    const quotas = new QuotaTracker({ dailyRequests: 1, dailyTokens: 0 });
+    quotas.recordRequest('ada');
+
+    assert.equal(quotas.check('ada', { dailyRequests: 10 }), null);
+    assert.match(quotas.check('ada', { dailyRequests: undefined }), /limit of 1 messages/);
+    assert.deepEqual(quotas.summary('ada', { dailyTokens: 50 }), {
+        requests: 1,
+        tokens: 0,
+        limits: { dailyRequests: 1, dailyTokens: 50 }
+    });
+});
+
+test('counters start afresh on a new day', () => {
+    const quotas = new QuotaTracker({ dailyRequests: 1, dailyTokens: 0 });
+    quotas.recordRequest('a');
+    assert.notEqual(quotas.check('a'), null);
+
+    quotas.day = '2000-01-01';
+    assert.equal(quotas.check('a'), null);
+});
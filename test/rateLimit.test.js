@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConcurrencyLimiter, MemoryStore, rateLimit } = require('../lib/rateLimit');
+
+// Helper function to make a response that records what the middleware sent
+function makeResponse() {
+    const res = { headers: {}, statusCode: 200, body: null };
+    res.set = (name, value) => {
+        res.headers[name] = value;
+    };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+}
+
+test('a bucket allows its capacity, then refuses until it refills', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 });
+    const store = new MemoryStore();
+    const limits = { capacity: 2, refillPerSecond: 1 };
+
+    assert.equal((await store.take('a', limits)).allowed, true);
+    assert.equal((await store.take('a', limits)).allowed, true);
+    assert.deepEqual(await store.take('a', limits), { allowed: false, retryAfter: 1 });
+    assert.equal((await store.take('b', limits)).allowed, true);
+
+    t.mock.timers.tick(1000);
+    assert.equal((await store.take('a', limits)).allowed, true);
+});
+
+test('buckets sharing a store keep their own capacity', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 });
+    const store = new MemoryStore();
+
+    await store.take('ip:1', { capacity: 1, refillPerSecond: 0.1 });
+    await store.take('user:1', { capacity: 5, refillPerSecond: 0.1 });
+
+    assert.equal((await store.take('ip:1', { capacity: 1, refillPerSecond: 0.1 })).allowed, false);
+    assert.equal((await store.take('user:1', { capacity: 5, refillPerSecond: 0.1 })).allowed, true);
+});
+
+test('buckets are pruned on a timer once they have refilled', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 });
+    const store = new MemoryStore({ pruneIntervalMs: 1000 });
+
+    await store.take('fast', { capacity: 1, refillPerSecond: 1 });
+    await store.take('slow', { capacity: 10, refillPerSecond: 0.5 });
+    assert.equal(store.buckets.size, 2);
+
+    t.mock.timers.tick(1000);
+    assert.deepEqual(Array.from(store.buckets.keys()), ['slow']);
+
+    t.mock.timers.tick(1000);
+    assert.equal(store.buckets.size, 0);
+});
+
+test('taking from a bucket never walks the other buckets', async (t) => {
+    t.mock.timers.enable({ apis: ['Date', 'setInterval'], now: 1000000 });
+    const store = new MemoryStore();
+    let pruned = 0;
+    store.prune = () => {
+        pruned += 1;
+    };
+
+    for (let i = 0; i < 20000; i++) {
+        await store.take(`ip:${i}`, { capacity: 1, refillPerSecond: 1 });
+    }
+    assert.equal(pruned, 0);
+});
+
+test('the middleware answers 429 with Retry-After once the limit is reached', async () => {
+    const limiter = rateLimit({ store: new MemoryStore(), name: 'ip', capacity: 1, perMinute: 6, keyFor: (req) => req.ip });
+    const req = { ip: '203.0.113.7' };
+    let passed = 0;
+
+    await limiter(req, makeResponse(), () => passed++);
+    const res = makeResponse();
+    await limiter(req, res, () => passed++);
+
+    assert.equal(passed, 1);
+    assert.equal(res.statusCode, 429);
+    assert.equal(res.headers['Retry-After'], '10');
+    assert.equal(res.body.retryAfter, 10);
+});
+
+test('the middleware lets requests through when the limit is off or the store fails', async () => {
+    const failing = { take: async () => { throw new Error('down'); } };
+    const log = { error: () => {} };
+    let passed = 0;
+
+    await rateLimit({ store: failing, name: 'ip', capacity: 0, perMinute: 0, keyFor: () => 'x' })({}, makeResponse(), () => passed++);
+    await rateLimit({ store: failing, name: 'ip', capacity: 1, perMinute: 1, keyFor: () => 'x' })({ log }, makeResponse(), () => passed++);
+    assert.equal(passed, 2);
+});
+
+test('ConcurrencyLimiter hands out at most max slots, and each releases once', () => {
+    const slots = new ConcurrencyLimiter(1);
+    const release = slots.tryAcquire();
+
+    assert.equal(slots.tryAcquire(), null);
+    release();
+    release();
+    assert.equal(slots.active, 0);
+    assert.notEqual(slots.tryAcquire(), null);
+});
@@ -0,0 +1,141 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ProviderError } = require('../lib/providers/errors');
+const { CircuitBreaker, withResilience } = require('../lib/providers/resilience');
+
+const OPTIONS = {
+    timeoutMs: 0,
+    idleTimeoutMs: 0,
+    retries: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 20,
+    breakerThreshold: 2,
+    breakerCooldownMs: 60000
+};
+
+// A provider whose complete() answers with what handle(request, calls) returns
+function fakeProvider(handle) {
+    const provider = {
+        label: 'Test',
+        calls: [],
+        async complete(request) {
+            provider.calls.push(request.model);
+            return handle(request, provider.calls.length);
+        }
+    };
+    return provider;
+}
+
+const outage = () => new ProviderError(503, 'Down', { retryable: true });
+
+test('retries errors worth another try, then answers', async () => {
+    const provider = fakeProvider((request, calls) => {
+        if (calls < 3) throw outage();
+        return { text: 'ok' };
+    });
+    const result = await withResilience(provider, OPTIONS).complete({ model: 'm' });
+
+    assert.deepEqual(result, { text: 'ok', model: 'm' });
+    assert.equal(provider.calls.length, 3);
+});
+
+test('doesn\'t retry errors that won\'t go away', async () => {
+    const provider = fakeProvider(() => {
+        throw new ProviderError(400, 'Bad request');
+    });
+
+    await assert.rejects(withResilience(provider, OPTIONS).complete({ model: 'm' }), /Bad request/);
+    assert.equal(provider.calls.length, 1);
+});
+
+test('doesn\'t wait longer than retryMaxDelayMs for Retry-After', async () => {
+    const provider = fakeProvider(() => {
+        throw new ProviderError(429, 'Slow down', { retryable: true, retryAfter: 30 });
+    });
+
+    await assert.rejects(withResilience(provider, OPTIONS).complete({ model: 'm' }), /Slow down/);
+    assert.equal(provider.calls.length, 1);
+});
+
+test('falls back to the next model when one keeps failing', async () => {
+    const provider = fakeProvider((request) => {
+        if (request.model === 'main') throw outage();
+        return { text: 'from fallback' };
+    });
+    const resilient = withResilience(provider, { ...OPTIONS, getFallbackModels: () => ['main', 'backup'] });
+
+    const result = await resilient.complete({ model: 'main' });
+    assert.deepEqual(result, { text: 'from fallback', model: 'backup' });
+    assert.deepEqual(provider.calls, ['main', 'main', 'main', 'backup']);
+});
+
+test('gives up on an attempt after timeoutMs', async () => {
+    const provider = fakeProvider((request) => new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+
+    await assert.rejects(
+        withResilience(provider, { ...OPTIONS, timeoutMs: 10, retries: 0 }).complete({ model: 'm' }),
+        (error) => error instanceof ProviderError && error.status === 504 && error.retryable
+    );
+});
+
+test('opens the circuit after breakerThreshold failed calls', async () => {
+    const provider = fakeProvider(() => {
+        throw outage();
+    });
+    const resilient = withResilience(provider, { ...OPTIONS, retries: 0 });
+
+    await assert.rejects(resilient.complete({ model: 'm' }), /Down/);
+    await assert.rejects(resilient.complete({ model: 'm' }), /Down/);
+    assert.equal(resilient.breaker.state, 'open');
+
+    await assert.rejects(resilient.complete({ model: 'm' }), (error) => error.status === 503 && error.retryAfter > 0);
+    assert.equal(provider.calls.length, 2);
+});
+
+test('rate limits and bad requests don\'t open the circuit', async () => {
+    const provider = fakeProvider((request, calls) => {
+        throw calls % 2 ? new ProviderError(429, 'Busy', { retryable: true }) : new ProviderError(400, 'Bad');
+    });
+    const resilient = withResilience(provider, { ...OPTIONS, retries: 0 });
+
+    for (let i = 0; i < 4; i++) {
+        await assert.rejects(resilient.complete({ model: 'm' }));
+    }
+    assert.equal(resilient.breaker.state, 'closed');
+});
+
+test('a half-open circuit lets one trial call through', () => {
+    const breaker = new CircuitBreaker({ threshold: 1, cooldownMs: 0 });
+    breaker.failure();
+
+    assert.equal(breaker.state, 'half-open');
+    assert.equal(breaker.allow(), true);
+    assert.equal(breaker.allow(), false);
+    breaker.success();
+    assert.equal(breaker.state, 'closed');
+    assert.equal(breaker.allow(), true);
+});
+
+test('cuts off a stream that goes quiet for idleTimeoutMs', async () => {
+    const provider = {
+        label: 'Test',
+        async stream() {
+            return (async function* () {
+                yield 'Hello';
+                await new Promise(() => {});
+            })();
+        }
+    };
+    const deltas = await withResilience(provider, { ...OPTIONS, idleTimeoutMs: 20 }).stream({ model: 'm' });
+
+    const received = [];
+    await assert.rejects((async () => {
+        for await (const delta of deltas) {
+            received.push(delta);
+        }
+    })(), (error) => error instanceof ProviderError && error.status === 504);
+    assert.deepEqual(received, ['Hello']);
+    assert.equal(deltas.model, 'm');
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { ShareError, ShareStore } = require('../lib/shares');
+
+const IMAGE_OPTIONS = { maxDimension: 2048, quality: 85 };
+
+// Helper function to make a share store in a folder removed when the test ends
+function makeStore(t, options = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shares-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new ShareStore({ dir, expiryDays: 30, maxExpiryDays: 365, ...options }, IMAGE_OPTIONS);
+}
+
+const snapshot = (extra = {}) => ({
+    title: 'Homework help',
+    messages: [
+        { sender: 'user', text: 'What is 2 + 2?', files: [{ name: 'notes.txt', size: 12, text: 'not kept' }] },
+        { sender: 'assistant', text: '4' }
+    ],
+    ...extra
+});
+
+test('a share can be read by its id without its owner', async (t) => {
+    const store = makeStore(t);
+    const summary = await store.create('alice', snapshot());
+
+    assert.match(summary.id, /^[\w-]{22}$/);
+    const share = await store.get(summary.id);
+    assert.equal(share.title, 'Homework help');
+    assert.equal(share.ownerId, undefined);
+    assert.deepEqual(share.messages[0].files, [{ name: 'notes.txt', size: 12 }]);
+    assert.equal(share.messages[1].sender, 'assistant');
+});
+
+test('shares are listed and revoked only by their owner', async (t) => {
+    const store = makeStore(t);
+    const { id } = await store.create('alice', snapshot());
+
+    assert.deepEqual(store.list('bob'), []);
+    assert.equal(await store.revoke('bob', id), false);
+    assert.equal(store.list('alice').length, 1);
+
+    assert.equal(await store.revoke('alice', id), true);
+    assert.equal(await store.get(id), null);
+});
+
+test('shares are read back from disk', async (t) => {
+    const store = makeStore(t);
+    const { id } = await store.create('alice', snapshot());
+
+    const reopened = new ShareStore({ dir: store.dir, expiryDays: 30, maxExpiryDays: 365 }, IMAGE_OPTIONS);
+    assert.equal((await reopened.get(id)).title, 'Homework help');
+});
+
+test('expiry is capped at maxExpiryDays and expired shares are gone', async (t) => {
+    const store = makeStore(t, { maxExpiryDays: 7 });
+    assert.equal(store.getExpiryDays(0), 7);
+    assert.equal(store.getExpiryDays(100), 7);
+    assert.equal(store.getExpiryDays(3), 3);
+
+    const { id } = await store.create('alice', snapshot());
+    store.index.get(id).expiresAt = new Date(Date.now() - 1000).toISOString();
+    assert.equal(await store.get(id), null);
+    assert.deepEqual(store.list('alice'), []);
+});
+
+test('images are re-encoded and served with their real type', async (t) => {
+    const store = makeStore(t);
+    const png = await sharp({ create: { width: 4, height: 4, channels: 3, background: '#f00' } }).png().toBuffer();
+    const { id } = await store.create('alice', snapshot({
+        messages: [{ sender: 'user', text: 'Look', images: [{ name: 'red.png', dataUrl: `data:image/png;base64,${png.toString('base64')}` }] }]
+    }));
+
+    const share = await store.get(id);
+    const [image] = share.messages[0].images;
+    assert.equal(image.type, 'image/png');
+    const served = await store.getImage(id, image.file);
+    assert.equal(served.type, 'image/png');
+    assert.ok(served.buffer.length > 0);
+
+    assert.equal(await store.getImage(id, '../share.json'), null);
+    assert.equal(await store.getImage('not-an-id', image.file), null);
+});
+
+test('snapshots that can\'t be shared are rejected', async (t) => {
+    const store = makeStore(t);
+
+    await assert.rejects(store.create('alice', {}), ShareError);
+    await assert.rejects(store.create('alice', { messages: [] }), /no messages/);
+    await assert.rejects(store.create('alice', snapshot({
+        messages: [{ sender: 'user', images: [{ name: 'x.png', dataUrl: 'data:image/png;base64,AAAA' }] }]
+    })), ShareError);
+});
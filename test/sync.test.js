@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore, SyncError, mergeChat, parseChat } = require('../lib/sync');
+
+const message = (id, timestamp, extra = {}) => ({ id, parentId: null, sender: 'user', text: id, timestamp, ...extra });
+
+test('mergeChat keeps messages from both copies and the newer chat fields', () => {
+    const stored = { id: 'c', title: 'Old', changedAt: '2024-01-01T00:00:00Z', messages: [message('a', '1')], selectedBranches: { root: 'a' } };
+    const incoming = { id: 'c', title: 'New', changedAt: '2024-01-02T00:00:00Z', messages: [message('b', '2')], selectedBranches: { root: 'b' } };
+
+    const merged = mergeChat(stored, incoming);
+    assert.equal(merged.title, 'New');
+    assert.deepEqual(merged.messages.map(m => m.id), ['a', 'b']);
+    assert.deepEqual(merged.selectedBranches, { root: 'b' });
+});
+
+test('mergeChat takes the later change to a message, and the stored one on a tie', () => {
+    const stored = { id: 'c', changedAt: '1', messages: [message('a', '1', { text: 'stored', updatedAt: '5' }), message('b', '2', { text: 'stored' })] };
+    const incoming = { id: 'c', changedAt: '2', messages: [message('a', '1', { text: 'older', updatedAt: '4' }), message('b', '2', { text: 'incoming' })] };
+
+    const merged = mergeChat(stored, incoming);
+    assert.deepEqual(merged.messages.map(m => m.text), ['stored', 'stored']);
+});
+
+test('mergeChat drops deleted messages from either copy for good', () => {
+    const stored = { id: 'c', changedAt: '1', messages: [message('a', '1'), message('b', '2', { parentId: 'a' })], selectedBranches: { a: 'b' } };
+    const incoming = { id: 'c', changedAt: '2', messages: [message('a', '1')], selectedBranches: {}, deletedMessages: { b: '2024-01-02T00:00:00Z' } };
+
+    const merged = mergeChat(stored, incoming);
+    assert.deepEqual(merged.messages.map(m => m.id), ['a']);
+    assert.deepEqual(merged.selectedBranches, {});
+
+    // A device that never saw the delete doesn't bring the message back
+    const again = mergeChat(merged, stored);
+    assert.deepEqual(again.messages.map(m => m.id), ['a']);
+    assert.deepEqual(again.deletedMessages, { b: '2024-01-02T00:00:00Z' });
+});
+
+test('parseChat keeps attachment references and rejects malformed chats', () => {
+    const chat = parseChat({
+        id: 'c',
+        title: 'T',
+        messages: [message('a', '1', { images: [{ id: 'i', name: 'cat.png', type: 'image/png', blob: 'x' }] })],
+        deletedMessages: { z: '2024-01-01T00:00:00Z' }
+    }, 'c');
+    assert.deepEqual(chat.messages[0].images, [{ id: 'i', name: 'cat.png', type: 'image/png', size: undefined }]);
+    assert.deepEqual(chat.deletedMessages, { z: '2024-01-01T00:00:00Z' });
+
+    assert.throws(() => parseChat({ id: 'other', messages: [] }, 'c'), /does not match/);
+    assert.throws(() => parseChat({ id: 'c', messages: [{}] }, 'c'), SyncError);
+    assert.throws(() => parseChat({ id: 'c', messages: [], deletedMessages: ['a'] }, 'c'), /deletedMessages/);
+});
+
+test('JsonFileStore.merge doesn\'t lose saves made at the same time', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const store = new JsonFileStore(path.join(dir, 'chats.json'));
+
+    await Promise.all(['a', 'b', 'c'].map((id, index) => (
+        store.merge('user', 'chat', { id: 'chat', changedAt: String(index), messages: [message(id, String(index))] })
+    )));
+
+    const record = await store.get('user', 'chat');
+    assert.deepEqual(record.chat.messages.map(m => m.id), ['a', 'b', 'c']);
+    await store.writing;
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'chats.json'), 'utf8'));
+    assert.equal(saved.users.user.chat.chat.messages.length, 3);
+});
@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Helper function to load transfer.js the way the page does, as a plain script
+function loadTransfer() {
+    const context = vm.createContext({});
+    const source = fs.readFileSync(path.join(__dirname, '..', 'transfer.js'), 'utf8');
+    vm.runInContext(`${source}\nthis.ChatTransfer = ChatTransfer;\nthis.ImportError = ImportError;`, context);
+    return { transfer: new context.ChatTransfer(null), ImportError: context.ImportError };
+}
+
+// Helper function to make a ChatGPT export node
+function node(id, parent, children, role, text) {
+    return {
+        id: id,
+        parent: parent,
+        children: children,
+        message: role ? { author: { role }, content: { content_type: 'text', parts: [text] }, create_time: 1700000000 } : null
+    };
+}
+
+test('ChatGPT exports import as a tree, skipping system messages', async () => {
+    const { transfer } = loadTransfer();
+    const [chat] = await transfer.parse(JSON.stringify([{
+        title: 'Trip',
+        create_time: 1700000000,
+        current_node: 'c',
+        mapping: {
+            root: node('root', null, ['sys'], null),
+            sys: node('sys', 'root', ['a'], 'system', 'Be helpful'),
+            a: node('a', 'sys', ['b', 'c'], 'user', 'Where to?'),
+            b: node('b', 'a', [], 'assistant', 'Paris'),
+            c: node('c', 'a', [], 'assistant', 'Rome')
+        }
+    }]));
+
+    assert.equal(chat.title, 'Trip');
+    assert.deepEqual(Array.from(chat.messages, message => [message.id, message.parentId, message.text]), [
+        ['a', null, 'Where to?'],
+        ['b', 'a', 'Paris'],
+        ['c', 'a', 'Rome']
+    ]);
+    assert.deepEqual({ ...chat.selectedBranches }, { root: 'a', a: 'c' });
+});
+
+test('ChatGPT exports whose messages reply to each other in a loop are rejected', async () => {
+    const { transfer, ImportError } = loadTransfer();
+    const looped = JSON.stringify([{
+        current_node: 'b',
+        mapping: {
+            root: node('root', null, ['a'], 'user', 'Hi'),
+            a: node('a', 'b', ['b'], 'system', 'hidden'),
+            b: node('b', 'a', ['a'], 'system', 'hidden')
+        }
+    }]);
+
+    await assert.rejects(transfer.parse(looped), (error) => error instanceof ImportError && /in a loop/.test(error.message));
+});
+
+test('a node listed as a child more than once is imported once', async () => {
+    const { transfer } = loadTransfer();
+    const [chat] = await transfer.parse(JSON.stringify([{
+        mapping: {
+            a: node('a', null, ['b', 'b'], 'user', 'Hi'),
+            b: node('b', 'a', ['a'], 'assistant', 'Hello')
+        }
+    }]));
+
+    assert.deepEqual(Array.from(chat.messages, message => message.id), ['a', 'b']);
+});
+
+test('UnblockedGPT exports whose messages reply to each other in a loop are rejected', async () => {
+    const { transfer } = loadTransfer();
+    const looped = JSON.stringify({
+        format: 'unblockedgpt-chats',
+        version: 1,
+        chats: [{
+            title: 'Loop',
+            messages: [
+                { id: 'a', parentId: 'b', text: 'Hi', sender: 'user' },
+                { id: 'b', parentId: 'a', text: 'Hello', sender: 'assistant' }
+            ]
+        }]
+    });
+
+    await assert.rejects(transfer.parse(looped), /Chat 1 in the file has messages that reply to each other in a loop/);
+});
+
+test('unrecognized files are rejected', async () => {
+    const { transfer } = loadTransfer();
+
+    await assert.rejects(transfer.parse('{nope'), /not valid JSON/);
+    await assert.rejects(transfer.parse('{"chats": []}'), /Unrecognized file/);
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageLog } = require('../lib/usage');
+
+// Helper function to wait until a log file has the expected number of lines
+async function waitForLines(file, count) {
+    for (let i = 0; i < 50; i++) {
+        if (fs.existsSync(file) && fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).length >= count) {
+            return;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error(`${file} never reached ${count} lines`);
+}
+
+test('costs come from an exact model match or the longest matching prefix', () => {
+    const usage = new UsageLog({ logFile: '', prices: { 'gpt-4o-mini-2024': { input: 1, output: 2 } } });
+
+    assert.equal(usage.getCost('gpt-4o', 1000000, 1000000), 12.5);
+    assert.equal(usage.getCost('gpt-4o-2024-08-06', 1000000, 0), 2.5);
+    assert.equal(usage.getCost('gpt-4o-mini-2024-07-18', 1000000, 1000000), 3);
+    assert.equal(usage.getCost('mock-echo', 500, 500), 0);
+    assert.equal(usage.getCost('some-local-model', 10, 10), null);
+});
+
+test('record returns the usage for the reply, with its cost', () => {
+    const usage = new UsageLog({ logFile: '' });
+    const result = usage.record({ userId: 'ada', model: 'gpt-4o-mini', promptTokens: 1000, completionTokens: 500, estimated: true });
+
+    assert.deepEqual(result, { model: 'gpt-4o-mini', promptTokens: 1000, completionTokens: 500, cost: 0.00045, estimated: true });
+});
+
+test('summary totals usage by day, model and user', () => {
+    const usage = new UsageLog({ logFile: '' });
+    usage.record({ userId: 'ada', model: 'gpt-4o', promptTokens: 100000, completionTokens: 0 });
+    usage.record({ userId: 'ada', model: 'gpt-4o-mini', promptTokens: 100, completionTokens: 100 });
+    usage.record({ userId: 'bob', model: 'gpt-4o', promptTokens: 200000, completionTokens: 0 });
+    usage.record({ userId: 'bob', model: 'local', promptTokens: 10, completionTokens: 10 });
+
+    const summary = usage.summary();
+    assert.deepEqual(summary.totals, { requests: 4, promptTokens: 300110, completionTokens: 110, cost: 0.750075 });
+    assert.deepEqual(summary.byUser.map(row => row.key), ['bob', 'ada']);
+    assert.deepEqual(summary.byModel.map(row => [row.key, row.requests]), [['gpt-4o', 2], ['gpt-4o-mini', 1], ['local', 1]]);
+    assert.equal(summary.byDay.length, 1);
+
+    const ada = usage.summary({ userId: 'ada' });
+    assert.equal(ada.totals.requests, 2);
+    assert.deepEqual(ada.byUser.map(row => row.key), ['ada']);
+});
+
+test('summary leaves out days before the window', () => {
+    const usage = new UsageLog({ logFile: '' });
+    usage.add({ time: '2000-01-01T12:00:00.000Z', userId: 'ada', model: 'gpt-4o', promptTokens: 10, completionTokens: 10, cost: 1 });
+    usage.record({ userId: 'ada', model: 'gpt-4o', promptTokens: 0, completionTokens: 0 });
+
+    assert.equal(usage.summary({ days: 7 }).totals.requests, 1);
+    assert.equal(usage.summary({ days: 100000 }).totals.requests, 2);
+});
+
+test('the log file is appended to and read back on start, skipping broken lines', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const logFile = path.join(dir, 'usage.jsonl');
+
+    const first = new UsageLog({ logFile });
+    first.record({ userId: 'ada', model: 'gpt-4o', promptTokens: 100, completionTokens: 50 });
+    first.record({ userId: 'bob', model: 'gpt-4o', promptTokens: 10, completionTokens: 5 });
+    await waitForLines(logFile, 2);
+    fs.appendFileSync(logFile, '{"time": "2024-01-0');
+
+    const restarted = new UsageLog({ logFile });
+    assert.deepEqual(restarted.summary().totals, first.summary().totals);
+});
+
+test('a missing log file starts with no usage', () => {
+    const usage = new UsageLog({ logFile: path.join(os.tmpdir(), 'usage-test-missing', 'usage.jsonl') });
+    assert.equal(usage.summary().totals.requests, 0);
+});
@@ -0,0 +1,420 @@
+// Export and import of chats. A chat can be saved as Markdown, as a
+// self-contained HTML page (images embedded as data URLs), or as versioned
+// JSON that keeps every branch, setting and image. Import reads that JSON
+// and the conversations.json file from a ChatGPT data export.
+
+const EXPORT_FORMAT = 'unblockedgpt-chats';
+const EXPORT_VERSION = 1;
+
+class ImportError extends Error {}
+
+// Helper function to check whether following parent links from any of ids
+// ever comes back around. parentOf returns an id's parent id, or null.
+function hasParentLoop(ids, parentOf) {
+    const checked = new Set();
+    for (const start of ids) {
+        const path = new Set();
+        let id = start;
+        while (id && !checked.has(id)) {
+            if (path.has(id)) {
+                return true;
+            }
+            path.add(id);
+            id = parentOf(id);
+        }
+        path.forEach(pathId => checked.add(pathId));
+    }
+    return false;
+}
+
+class ChatTransfer {
+    constructor(markdown) {
+        this.markdown = markdown;
+    }
+
+    // ==================== EXPORT ====================
+
+    // messages is the branch to export, oldest first
+    toMarkdown(chat, messages) {
+        const lines = [`# ${chat.title}`, '', `_Exported from UnblockedGPT on ${new Date().toLocaleString()}_`, ''];
+
+        messages.forEach(message => {
+            lines.push(message.sender === 'user' ? '## You' : '## Assistant', '');
+            (message.images || []).forEach(image => {
+                lines.push(`_[Image: ${image.name}]_`, '');
+            });
+            (message.files || []).forEach(file => {
+                lines.push(`_[File: ${file.name}]_`, '');
+            });
+            if (message.text) {
+                lines.push(message.text, '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    async toHtml(chat, messages) {
+        const body = document.createElement('div');
+
+        const heading = document.createElement('h1');
+        heading.textContent = chat.title;
+        body.appendChild(heading);
+
+        for (const message of messages) {
+            const messageDiv = document.createElement('div');
+            messageDiv.className = `message ${message.sender}`;
+
+            const sender = document.createElement('div');
+            sender.className = 'sender';
+            sender.textContent = message.sender === 'user' ? 'You' : 'Assistant';
+            messageDiv.appendChild(sender);
+
+            for (const image of (message.images || []).filter(image => image.blob)) {
+                const img = document.createElement('img');
+                img.src = await this.readAsDataUrl(image.blob);
+                img.alt = image.name;
+                messageDiv.appendChild(img);
+            }
+
+            (message.files || []).forEach(file => {
+                const fileNote = document.createElement('div');
+                fileNote.className = 'file';
+                fileNote.textContent = `📄 ${file.name}`;
+                messageDiv.appendChild(fileNote);
+            });
+
+            if (message.text) {
+                if (message.sender === 'assistant') {
+                    messageDiv.appendChild(this.markdown.render(message.text));
+                } else {
+                    const text = document.createElement('p');
+                    text.className = 'user-text';
+                    text.textContent = message.text;
+                    messageDiv.appendChild(text);
+                }
+            }
+
+            body.appendChild(messageDiv);
+        }
+
+        // Copy buttons need the app's script, which the export doesn't include
+        body.querySelectorAll('.copy-code').forEach(button => button.remove());
+
+        const title = document.createElement('title');
+        title.textContent = chat.title;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+${title.outerHTML}
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; color: #222; line-height: 1.6; }
+.message { padding: 12px 16px; margin: 12px 0; border-radius: 10px; }
+.message.user { background: #eef0fd; }
+.message.assistant { background: #f5f5f5; }
+.sender { font-weight: 600; font-size: 13px; color: #667eea; margin-bottom: 6px; }
+.user-text { white-space: pre-wrap; margin: 0; }
+.file { font-size: 13px; color: #555; margin-bottom: 6px; }
+img { max-width: 100%; border-radius: 8px; }
+pre { background: #282c34; color: #abb2bf; padding: 12px; border-radius: 8px; overflow-x: auto; }
+code { font-family: Consolas, Monaco, monospace; }
+.code-header { font-size: 12px; color: #888; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; }
+blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 12px; color: #555; }
+</style>
+</head>
+<body>
+${body.innerHTML}
+</body>
+</html>
+`;
+    }
+
+    // Every chat in full, with images as data URLs. folders names the
+    // folders chats are filed in, so they can be filed the same way on import.
+    async toJson(chats, folders = []) {
+        const exported = [];
+
+        for (const chat of chats) {
+            exported.push({
+                id: chat.id,
+                title: chat.title,
+                titleSource: chat.titleSource,
+                pinned: chat.pinned || undefined,
+                archived: chat.archived || undefined,
+                folder: (folders.find(folder => folder.id === chat.folderId) || {}).name,
+                createdAt: chat.createdAt,
+                updatedAt: chat.updatedAt,
+                settings: chat.settings,
+                selectedBranches: chat.selectedBranches,
+                messages: await Promise.all(chat.messages.map(async message => ({
+                    id: message.id,
+                    parentId: message.parentId,
+                    text: message.text,
+                    sender: message.sender,
+                    timestamp: message.timestamp,
+                    partial: message.partial || undefined,
+                    usage: message.usage || undefined,
+                    imageRequest: message.imageRequest || undefined,
+                    generated: message.generated || undefined,
+                    policy: message.policy || undefined,
+                    images: await Promise.all((message.images || []).filter(image => image.blob).map(async image => ({
+                        name: image.name,
+                        type: image.type,
+                        dataUrl: await this.readAsDataUrl(image.blob)
+                    }))),
+                    // Attached documents keep their name and the text read from them
+                    files: (message.files || []).map(file => ({ name: file.name, type: file.type, size: file.size })),
+                    documents: message.documents || undefined
+                })))
+            });
+        }
+
+        return JSON.stringify({
+            format: EXPORT_FORMAT,
+            version: EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            chats: exported
+        }, null, 2);
+    }
+
+    readAsDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
+    }
+
+    // ==================== IMPORT ====================
+
+    // Parse an export file into chats ready to merge. Image ids are left for
+    // the caller to assign. Throws ImportError if the file isn't usable.
+    async parse(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new ImportError('This file is not valid JSON.');
+        }
+
+        if (data && data.format === EXPORT_FORMAT) {
+            if (data.version > EXPORT_VERSION) {
+                throw new ImportError('This file was exported by a newer version of UnblockedGPT.');
+            }
+            return this.parseExport(data);
+        }
+        if (Array.isArray(data) && data.every(item => item && item.mapping && typeof item.mapping === 'object')) {
+            return this.parseChatGPTExport(data);
+        }
+
+        throw new ImportError('Unrecognized file. Choose a JSON export from UnblockedGPT or a ChatGPT conversations.json file.');
+    }
+
+    async parseExport(data) {
+        if (!Array.isArray(data.chats)) {
+            throw new ImportError('The export file has no chats list.');
+        }
+
+        const chats = [];
+        for (const [chatIndex, chat] of data.chats.entries()) {
+            if (!chat || !Array.isArray(chat.messages)) {
+                throw new ImportError(`Chat ${chatIndex + 1} in the file has no messages list.`);
+            }
+
+            const messageIds = new Set(chat.messages.map(message => message && message.id).filter(Boolean));
+            const parentIds = new Map(chat.messages.filter(message => message && message.id).map(message => [message.id, message.parentId]));
+            if (hasParentLoop(messageIds, id => parentIds.get(id))) {
+                throw new ImportError(`Chat ${chatIndex + 1} in the file has messages that reply to each other in a loop.`);
+            }
+            const messages = [];
+            for (const [messageIndex, message] of chat.messages.entries()) {
+                const where = `message ${messageIndex + 1} of chat ${chatIndex + 1}`;
+                if (!message || typeof message.text !== 'string' || !['user', 'assistant'].includes(message.sender)) {
+                    throw new ImportError(`The file's ${where} is not a valid message.`);
+                }
+                if (message.parentId && !messageIds.has(message.parentId)) {
+                    throw new ImportError(`The file's ${where} replies to a message that isn't in the file.`);
+                }
+
+                const images = [];
+                for (const image of message.images || []) {
+                    if (!image || typeof image.dataUrl !== 'string' || !image.dataUrl.startsWith('data:image/')) {
+                        throw new ImportError(`The file's ${where} has an invalid image.`);
+                    }
+                    const blob = await (await fetch(image.dataUrl)).blob();
+                    images.push({ name: String(image.name || 'image'), type: blob.type, blob: blob });
+                }
+
+                const files = Array.isArray(message.files)
+                    ? message.files.filter(file => file && typeof file.name === 'string').map(file => ({
+                        name: file.name,
+                        type: String(file.type || ''),
+                        size: Number(file.size) || 0
+                    }))
+                    : [];
+                const documents = Array.isArray(message.documents)
+                    ? message.documents.filter(doc => doc && typeof doc.name === 'string' && typeof doc.text === 'string')
+                        .map(doc => ({ name: doc.name, text: doc.text }))
+                    : [];
+
+                messages.push({
+                    ...(message.id ? { id: String(message.id), parentId: message.parentId || null } : {}),
+                    text: message.text,
+                    sender: message.sender,
+                    images: images,
+                    files: files,
+                    ...(documents.length > 0 ? { documents } : {}),
+                    timestamp: message.timestamp || new Date().toISOString(),
+                    ...(message.partial ? { partial: true } : {}),
+                    ...(this.parseUsage(message.usage) ? { usage: this.parseUsage(message.usage) } : {}),
+                    ...(this.parseImageRequest(message.imageRequest) ? { imageRequest: this.parseImageRequest(message.imageRequest) } : {}),
+                    ...(message.generated && typeof message.generated === 'object' ? { generated: { model: String(message.generated.model || '') } } : {}),
+                    ...(this.parsePolicy(message.policy) ? { policy: this.parsePolicy(message.policy) } : {})
+                });
+            }
+
+            chats.push({
+                id: typeof chat.id === 'string' ? chat.id : '',
+                title: typeof chat.title === 'string' && chat.title ? chat.title : 'Imported Chat',
+                ...(['user', 'generated'].includes(chat.titleSource) ? { titleSource: chat.titleSource } : {}),
+                ...(chat.pinned === true ? { pinned: true } : {}),
+                ...(chat.archived === true ? { archived: true } : {}),
+                ...(typeof chat.folder === 'string' && chat.folder.trim() ? { folder: chat.folder.trim() } : {}),
+                messages: messages,
+                selectedBranches: chat.selectedBranches && typeof chat.selectedBranches === 'object' ? chat.selectedBranches : {},
+                settings: chat.settings && typeof chat.settings === 'object' ? chat.settings : null,
+                createdAt: chat.createdAt || new Date().toISOString(),
+                updatedAt: chat.updatedAt || new Date().toISOString()
+            });
+        }
+
+        return chats;
+    }
+
+    // Helper function to read a reply's token usage, or null if it isn't valid
+    parseUsage(usage) {
+        if (!usage || !Number.isFinite(usage.promptTokens) || !Number.isFinite(usage.completionTokens)) {
+            return null;
+        }
+        return {
+            model: String(usage.model || ''),
+            promptTokens: usage.promptTokens,
+            completionTokens: usage.completionTokens,
+            cost: Number.isFinite(usage.cost) ? usage.cost : null,
+            estimated: usage.estimated === true
+        };
+    }
+
+    // Helper function to read the image size and count a message asked for, or null
+    parseImageRequest(imageRequest) {
+        if (!imageRequest || typeof imageRequest.size !== 'string' || !Number.isInteger(imageRequest.count)) {
+            return null;
+        }
+        return { size: imageRequest.size, count: imageRequest.count };
+    }
+
+    // Helper function to read the content policy's notice on a message, or null
+    parsePolicy(policy) {
+        if (!policy || !['block', 'redact'].includes(policy.action) || typeof policy.message !== 'string') {
+            return null;
+        }
+        return {
+            stage: policy.stage === 'output' ? 'output' : 'input',
+            action: policy.action,
+            message: policy.message
+        };
+    }
+
+    // ChatGPT's export stores each conversation as a tree of nodes (mapping),
+    // including system and tool messages we skip; their children are attached
+    // to the nearest message we keep.
+    parseChatGPTExport(conversations) {
+        return conversations.map((conversation, chatIndex) => {
+            const mapping = conversation.mapping;
+            const messages = [];
+            const keptIds = new Set();
+
+            // Every walk below follows parent links, so a loop would never end
+            if (hasParentLoop(Object.keys(mapping), id => (mapping[id] ? mapping[id].parent : null))) {
+                throw new ImportError(`Chat ${chatIndex + 1} in the file has messages that reply to each other in a loop.`);
+            }
+
+            const toText = (message) => {
+                const content = message && message.content;
+                if (!content || !['text', 'multimodal_text'].includes(content.content_type) || !Array.isArray(content.parts)) {
+                    return '';
+                }
+                return content.parts.filter(part => typeof part === 'string').join('\n').trim();
+            };
+
+            const keeps = (node) => {
+                const role = node && node.message && node.message.author && node.message.author.role;
+                return (role === 'user' || role === 'assistant') && toText(node.message) !== '';
+            };
+
+            // Nearest kept ancestor of a node, or null at the top
+            const keptParent = (node) => {
+                let parentId = node.parent;
+                while (parentId && mapping[parentId] && !keeps(mapping[parentId])) {
+                    parentId = mapping[parentId].parent;
+                }
+                return parentId && mapping[parentId] ? parentId : null;
+            };
+
+            // Walk from the roots so parents are added before their children.
+            // Nodes listed as a child more than once are only added once.
+            const queue = Object.values(mapping).filter(node => node && !(node.parent && mapping[node.parent]));
+            const queued = new Set(queue);
+            while (queue.length > 0) {
+                const node = queue.shift();
+                if (keeps(node)) {
+                    const time = node.message.create_time || conversation.create_time;
+                    messages.push({
+                        id: node.id,
+                        parentId: keptParent(node),
+                        text: toText(node.message),
+                        sender: node.message.author.role,
+                        images: [],
+                        timestamp: time ? new Date(time * 1000).toISOString() : new Date().toISOString()
+                    });
+                    keptIds.add(node.id);
+                }
+                (node.children || []).forEach(childId => {
+                    const child = mapping[childId];
+                    if (child && !queued.has(child)) {
+                        queued.add(child);
+                        queue.push(child);
+                    }
+                });
+            }
+
+            // Show the branch that was open in ChatGPT
+            const selectedBranches = {};
+            let nodeId = conversation.current_node;
+            while (nodeId && mapping[nodeId]) {
+                if (keptIds.has(nodeId)) {
+                    selectedBranches[keptParent(mapping[nodeId]) || 'root'] = nodeId;
+                }
+                nodeId = mapping[nodeId].parent;
+            }
+
+            const created = conversation.create_time ? new Date(conversation.create_time * 1000) : new Date();
+            const updated = conversation.update_time ? new Date(conversation.update_time * 1000) : created;
+            return {
+                id: '',
+                title: conversation.title || 'Imported Chat',
+                messages: messages,
+                selectedBranches: selectedBranches,
+                settings: null,
+                createdAt: created.toISOString(),
+                updatedAt: updated.toISOString()
+            };
+        });
+    }
+}